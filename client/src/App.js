@@ -5,17 +5,17 @@
  * TEMPLATE NOTE FOR DEVELOPERS:
  * ============================================================================
  * This app uses configuration from /config/character.json for character names
- * and feature flags. The companion tab is conditionally rendered based on
- * config.companion.enabled.
+ * and feature flags. There is one companion tab per companion in
+ * config.companions (none if the character has no companion).
  * 
  * When adding NEW TABS or FEATURES:
  * - Check if the feature should be conditional (use isFeatureEnabled())
- * - Use getMainName()/getCompanionName() for display labels
+ * - Use getMainName()/getCompanionName(id) for display labels
  * - Add feature flags to config if the feature is optional
  * ============================================================================
  */
 
-import React, { useState } from 'react';
+import React, { useState, useCallback } from 'react';
 import { Box, Tabs, Tab, Paper, Container, Typography, Alert, Snackbar, IconButton, Tooltip, Dialog, DialogTitle, DialogContent, DialogActions, Button } from '@mui/material';
 import {
   Assessment as StatsIcon,
@@ -28,6 +28,10 @@ import {
 } from '@mui/icons-material';
 import axios from 'axios';
 import { CharacterProvider, useCharacter } from './context/CharacterContext';
+import { setActiveCharacter, getAppTitle } from './config/characterConfig';
+import CharacterSwitcher from './components/CharacterSwitcher';
+import SaveConflictDialog from './components/SaveConflictDialog';
+import EditHistoryControls from './components/EditHistoryControls';
 import BasicStats from './tabs/BasicStats';
 import Abilities from './tabs/Abilities';
 import Titles from './tabs/Titles';
@@ -52,19 +56,25 @@ function TabPanel({ children, value, index }) {
   );
 }
 
-function AppContent() {
+// Remembers the last character workspace between visits
+const ACTIVE_CHARACTER_KEY = 'activeCharacter';
+
+function AppContent({ characterId, onSwitchCharacter }) {
   const [tabValue, setTabValue] = useState(0);
   const [shutdownDialogOpen, setShutdownDialogOpen] = useState(false);
   const { 
     main, 
-    companion, 
+    companions, 
+    companionIds,
     notification, 
     clearNotification, 
     loading, 
     error,
-    hasCompanion,
     getMainName,
     getCompanionName,
+    getCharacterName,
+    saveConflict,
+    resolveSaveConflict,
   } = useCharacter();
 
   const handleTabChange = (event, newValue) => {
@@ -80,35 +90,23 @@ function AppContent() {
     }
   };
 
-  // Dynamic character and companion names from config
+  // Dynamic character name from config
   const characterName = main?.name || getMainName();
-  const companionName = companion?.name || getCompanionName();
 
-  // Build tabs array - companion tab is conditional
+  // Build tabs array - one companion tab per enabled companion (none if disabled)
   const tabs = [
-    { label: 'Basic Stats', icon: <StatsIcon /> },
-    { label: 'Skills', icon: <SkillsIcon /> },
-    { label: 'Titles', icon: <TitlesIcon /> },
+    { key: 'stats', label: 'Basic Stats', icon: <StatsIcon />, content: <BasicStats /> },
+    { key: 'skills', label: 'Skills', icon: <SkillsIcon />, content: <Abilities /> },
+    { key: 'titles', label: 'Titles', icon: <TitlesIcon />, content: <Titles /> },
+    ...companionIds.map(id => ({
+      key: `companion-${id}`,
+      label: companions[id]?.name || getCompanionName(id),
+      icon: <CompanionIcon />,
+      content: <Companion companionId={id} />,
+    })),
+    { key: 'output', label: 'Output', icon: <PreviewIcon />, content: <OutputPreview /> },
+    { key: 'history', label: 'History', icon: <HistoryIcon />, content: <SaveHistory /> },
   ];
-  
-  // Only add companion tab if companion is enabled in config
-  if (hasCompanion) {
-    tabs.push({ label: companionName, icon: <CompanionIcon /> });
-  }
-  
-  // Always add output and history tabs
-  tabs.push(
-    { label: 'Output', icon: <PreviewIcon /> },
-    { label: 'History', icon: <HistoryIcon /> }
-  );
-
-  // Calculate tab indices (they shift if companion is disabled)
-  const getTabIndex = (tabName) => {
-    const tabNames = ['stats', 'skills', 'titles'];
-    if (hasCompanion) tabNames.push('companion');
-    tabNames.push('output', 'history');
-    return tabNames.indexOf(tabName);
-  };
 
   if (loading) {
     return (
@@ -150,6 +148,16 @@ function AppContent() {
           position: 'relative',
         }}
       >
+        {/* Character Switcher */}
+        <Box sx={{ position: 'absolute', top: 8, left: 16 }}>
+          <CharacterSwitcher activeId={characterId} onSwitch={onSwitchCharacter} />
+        </Box>
+
+        {/* Undo / Redo / Edit History */}
+        <Box sx={{ position: 'absolute', top: 8, right: 56 }}>
+          <EditHistoryControls />
+        </Box>
+
         {/* Shutdown Button */}
         <Tooltip title="Shutdown Server">
           <IconButton
@@ -189,7 +197,7 @@ function AppContent() {
             mt: 0.5,
           }}
         >
-          Status Screen
+          {getAppTitle()}
         </Typography>
       </Paper>
 
@@ -234,9 +242,9 @@ function AppContent() {
               },
             }}
           >
-            {tabs.map((tab, index) => (
+            {tabs.map((tab) => (
               <Tab
-                key={index}
+                key={tab.key}
                 icon={tab.icon}
                 label={tab.label}
                 iconPosition="start"
@@ -250,26 +258,11 @@ function AppContent() {
       {/* Main Content */}
       <Box sx={{ flex: 1, overflow: 'hidden' }}>
         <Container maxWidth="xl" sx={{ py: 3, height: '100%' }}>
-          <TabPanel value={tabValue} index={getTabIndex('stats')}>
-            <BasicStats />
-          </TabPanel>
-          <TabPanel value={tabValue} index={getTabIndex('skills')}>
-            <Abilities />
-          </TabPanel>
-          <TabPanel value={tabValue} index={getTabIndex('titles')}>
-            <Titles />
-          </TabPanel>
-          {hasCompanion && (
-            <TabPanel value={tabValue} index={getTabIndex('companion')}>
-              <Companion />
+          {tabs.map((tab, index) => (
+            <TabPanel key={tab.key} value={tabValue} index={index}>
+              {tab.content}
             </TabPanel>
-          )}
-          <TabPanel value={tabValue} index={getTabIndex('output')}>
-            <OutputPreview />
-          </TabPanel>
-          <TabPanel value={tabValue} index={getTabIndex('history')}>
-            <SaveHistory />
-          </TabPanel>
+          ))}
         </Container>
       </Box>
 
@@ -289,6 +282,15 @@ function AppContent() {
         </Alert>
       </Snackbar>
 
+      {/* Another window saved first */}
+      <SaveConflictDialog
+        conflict={saveConflict}
+        getCharacterName={getCharacterName}
+        onReload={() => resolveSaveConflict('reload')}
+        onOverwrite={() => resolveSaveConflict('overwrite')}
+        onMerge={(merged) => resolveSaveConflict('merge', merged)}
+      />
+
       {/* Shutdown Confirmation Dialog */}
       <Dialog open={shutdownDialogOpen} onClose={() => setShutdownDialogOpen(false)}>
         <DialogTitle>Shutdown Server?</DialogTitle>
@@ -309,9 +311,23 @@ function AppContent() {
 }
 
 function App() {
+  // Point the API at the remembered workspace before the provider loads anything
+  const [characterId, setCharacterId] = useState(() => {
+    const stored = localStorage.getItem(ACTIVE_CHARACTER_KEY) || 'default';
+    setActiveCharacter(stored);
+    return stored;
+  });
+
+  const handleSwitchCharacter = useCallback((id) => {
+    setActiveCharacter(id);
+    localStorage.setItem(ACTIVE_CHARACTER_KEY, id);
+    setCharacterId(id);
+  }, []);
+
+  // key: a new workspace gets a fresh provider (config, data, auto-save)
   return (
-    <CharacterProvider>
-      <AppContent />
+    <CharacterProvider key={characterId}>
+      <AppContent characterId={characterId} onSwitchCharacter={handleSwitchCharacter} />
     </CharacterProvider>
   );
 }
@@ -0,0 +1,242 @@
+/**
+ * Character Switcher Component
+ *
+ * ============================================================================
+ * TEMPLATE NOTE FOR DEVELOPERS:
+ * ============================================================================
+ * Lists the character workspaces on this server (GET /api/characters) and
+ * creates new ones (POST /api/characters). Each workspace has its own config,
+ * current state, snapshots and ledger, so one app can track several POV
+ * characters instead of one project copy per character.
+ *
+ * Switching is handled by App.js: it points the API at the new workspace
+ * (setActiveCharacter) and remounts CharacterProvider.
+ * ============================================================================
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Select,
+  MenuItem,
+  ListItemIcon,
+  ListItemText,
+  Divider,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  FormControl,
+  InputLabel,
+  Typography,
+  Alert,
+} from '@mui/material';
+import {
+  Person as CharacterIcon,
+  Add as AddIcon,
+} from '@mui/icons-material';
+import axios from 'axios';
+
+const NEW_CHARACTER = '__new__';
+
+function NewCharacterDialog({ open, onClose, characters, onCreated }) {
+  const [name, setName] = useState('');
+  const [pronouns, setPronouns] = useState('');
+  const [companionName, setCompanionName] = useState('');
+  const [companionType, setCompanionType] = useState('');
+  const [companionPronouns, setCompanionPronouns] = useState('');
+  const [copyConfigFrom, setCopyConfigFrom] = useState('default');
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (open) {
+      setName('');
+      setPronouns('');
+      setCompanionName('');
+      setCompanionType('');
+      setCompanionPronouns('');
+      setCopyConfigFrom('default');
+      setError(null);
+    }
+  }, [open]);
+
+  const handleCreate = async () => {
+    try {
+      setSaving(true);
+      const response = await axios.post('/api/characters', {
+        name,
+        pronouns,
+        companionName,
+        companionType,
+        companionPronouns,
+        copyConfigFrom,
+      });
+      onCreated(response.data.character);
+    } catch (err) {
+      console.error('Failed to create character:', err);
+      setError(err.response?.data?.error || 'Failed to create character');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="xs" fullWidth>
+      <DialogTitle>New Character</DialogTitle>
+      <DialogContent>
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, mt: 1 }}>
+          <TextField
+            label="Character Name"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            autoFocus
+            fullWidth
+          />
+          <TextField
+            label="Pronouns (optional)"
+            value={pronouns}
+            onChange={(e) => setPronouns(e.target.value)}
+            placeholder="e.g. she/her"
+            fullWidth
+          />
+          <TextField
+            label="Companion Name (optional)"
+            value={companionName}
+            onChange={(e) => setCompanionName(e.target.value)}
+            helperText="Leave empty for a character without a companion"
+            fullWidth
+          />
+          {companionName.trim() && (
+            <Box sx={{ display: 'flex', gap: 2 }}>
+              <TextField
+                label="Companion Type (optional)"
+                value={companionType}
+                onChange={(e) => setCompanionType(e.target.value)}
+                placeholder="e.g. wolf"
+                fullWidth
+              />
+              <TextField
+                label="Companion Pronouns (optional)"
+                value={companionPronouns}
+                onChange={(e) => setCompanionPronouns(e.target.value)}
+                fullWidth
+              />
+            </Box>
+          )}
+          <FormControl fullWidth>
+            <InputLabel>Copy Settings From</InputLabel>
+            <Select
+              value={copyConfigFrom}
+              label="Copy Settings From"
+              onChange={(e) => setCopyConfigFrom(e.target.value)}
+            >
+              {characters.map(character => (
+                <MenuItem key={character.id} value={character.id}>
+                  {character.name}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <Typography variant="caption" color="text.secondary">
+            Stats, resources, features and theme are copied. Edit config/characters/&lt;id&gt;.json to change them later.
+          </Typography>
+          {error && <Alert severity="error">{error}</Alert>}
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button onClick={handleCreate} variant="contained" disabled={!name.trim() || saving}>
+          Create
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+/**
+ * @param {string} activeId - Workspace id currently shown
+ * @param {function} onSwitch - Called with a workspace id
+ */
+function CharacterSwitcher({ activeId, onSwitch }) {
+  const [characters, setCharacters] = useState([]);
+  const [dialogOpen, setDialogOpen] = useState(false);
+
+  const fetchCharacters = useCallback(async () => {
+    try {
+      const response = await axios.get('/api/characters');
+      setCharacters(response.data);
+
+      // A remembered workspace may have been removed on the server
+      if (!response.data.some(character => character.id === activeId)) {
+        onSwitch('default');
+      }
+    } catch (err) {
+      console.error('Failed to load characters:', err);
+    }
+  }, [activeId, onSwitch]);
+
+  useEffect(() => {
+    fetchCharacters();
+  }, [fetchCharacters]);
+
+  const handleChange = (event) => {
+    if (event.target.value === NEW_CHARACTER) {
+      setDialogOpen(true);
+      return;
+    }
+    onSwitch(event.target.value);
+  };
+
+  const handleCreated = (character) => {
+    setDialogOpen(false);
+    setCharacters(prev => [...prev, character]);
+    onSwitch(character.id);
+  };
+
+  if (characters.length === 0) return null;
+
+  return (
+    <>
+      <Select
+        value={characters.some(character => character.id === activeId) ? activeId : ''}
+        onChange={handleChange}
+        size="small"
+        variant="standard"
+        disableUnderline
+        renderValue={(id) => characters.find(character => character.id === id)?.name || ''}
+        sx={{ color: 'text.secondary', minWidth: 160 }}
+      >
+        {characters.map(character => (
+          <MenuItem key={character.id} value={character.id}>
+            <ListItemIcon>
+              <CharacterIcon fontSize="small" />
+            </ListItemIcon>
+            <ListItemText
+              primary={character.name}
+              secondary={character.companionName ? `with ${character.companionName}` : null}
+            />
+          </MenuItem>
+        ))}
+        <Divider />
+        <MenuItem value={NEW_CHARACTER}>
+          <ListItemIcon>
+            <AddIcon fontSize="small" />
+          </ListItemIcon>
+          <ListItemText primary="New character..." />
+        </MenuItem>
+      </Select>
+
+      <NewCharacterDialog
+        open={dialogOpen}
+        onClose={() => setDialogOpen(false)}
+        characters={characters}
+        onCreated={handleCreated}
+      />
+    </>
+  );
+}
+
+export default CharacterSwitcher;
@@ -0,0 +1,156 @@
+/**
+ * Consistency Report Component
+ *
+ * ============================================================================
+ * TEMPLATE NOTE FOR DEVELOPERS:
+ * ============================================================================
+ * Shows the result of utils/snapshotValidator.js (validateCharacterData) in
+ * the Basic Stats tab: every issue as an alert, plus a table per character
+ * comparing each snapshot with the value recomputed from the one before it.
+ *
+ * The same report is available from GET /api/validate.
+ * ============================================================================
+ */
+
+import React from 'react';
+import {
+  Box,
+  Typography,
+  Alert,
+  Chip,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+} from '@mui/material';
+import { getAllStats, getStatAbbreviation } from '../utils/statCalculator';
+import { getCompanionName } from '../config/characterConfig';
+
+// Rounding in snapshots can leave a difference of 1 (same as the validator)
+const TOLERANCE = 1;
+
+/**
+ * Summary chips for an accordion header
+ */
+export function ConsistencySummary({ summary }) {
+  if (!summary) return null;
+  if (summary.error + summary.warning + summary.info === 0) {
+    return <Chip label="No issues" size="small" color="success" variant="outlined" />;
+  }
+
+  return (
+    <Box sx={{ display: 'flex', gap: 1 }}>
+      {summary.error > 0 && <Chip label={`${summary.error} error${summary.error > 1 ? 's' : ''}`} size="small" color="error" />}
+      {summary.warning > 0 && <Chip label={`${summary.warning} warning${summary.warning > 1 ? 's' : ''}`} size="small" color="warning" />}
+      {summary.info > 0 && <Chip label={`${summary.info} note${summary.info > 1 ? 's' : ''}`} size="small" color="info" variant="outlined" />}
+    </Box>
+  );
+}
+
+function SnapshotCheckTable({ checks }) {
+  const allStats = getAllStats();
+
+  return (
+    <TableContainer>
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            <TableCell>Snapshot</TableCell>
+            <TableCell />
+            {allStats.map(stat => (
+              <TableCell key={stat} align="right">{getStatAbbreviation(stat)}</TableCell>
+            ))}
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {checks.flatMap(check => [
+            <TableRow key={`${check.toLevel}-actual`}>
+              <TableCell rowSpan={2}>
+                Lvl {check.fromLevel} → {check.toLevel}
+              </TableCell>
+              <TableCell sx={{ color: 'text.secondary' }}>Stored</TableCell>
+              {check.stats.map(row => (
+                <TableCell
+                  key={row.stat}
+                  align="right"
+                  sx={{
+                    fontFamily: '"JetBrains Mono", monospace',
+                    fontSize: '0.8rem',
+                    color: Math.abs(row.difference) > TOLERANCE ? 'warning.main' : 'inherit',
+                  }}
+                >
+                  {row.actual}
+                </TableCell>
+              ))}
+            </TableRow>,
+            <TableRow key={`${check.toLevel}-expected`}>
+              <TableCell sx={{ color: 'text.secondary' }}>Recomputed</TableCell>
+              {check.stats.map(row => (
+                <TableCell
+                  key={row.stat}
+                  align="right"
+                  sx={{ fontFamily: '"JetBrains Mono", monospace', fontSize: '0.8rem', color: 'text.secondary' }}
+                >
+                  {row.expected}
+                </TableCell>
+              ))}
+            </TableRow>,
+          ])}
+        </TableBody>
+      </Table>
+    </TableContainer>
+  );
+}
+
+function CharacterReport({ report, title }) {
+  return (
+    <Box sx={{ mb: 3 }}>
+      <Typography variant="subtitle1" sx={{ fontWeight: 600, mb: 1 }}>
+        {title}
+      </Typography>
+
+      {report.issues.length === 0 ? (
+        <Alert severity="success" sx={{ mb: 1 }}>
+          Snapshots and history are consistent.
+        </Alert>
+      ) : (
+        report.issues.map((item, index) => (
+          <Alert key={index} severity={item.severity} sx={{ mb: 1 }}>
+            {item.message}
+          </Alert>
+        ))
+      )}
+
+      {report.snapshotChecks.length > 0 && (
+        <Box sx={{ mt: 2 }}>
+          <Typography variant="body2" sx={{ mb: 1, color: 'text.secondary' }}>
+            Each snapshot recomputed from the previous one (class gains, redirected free points, trait
+            multipliers and the bonuses each snapshot says it includes):
+          </Typography>
+          <SnapshotCheckTable checks={report.snapshotChecks} />
+        </Box>
+      )}
+    </Box>
+  );
+}
+
+/**
+ * @param {object} report - Result of validateCharacterData
+ * @param {string} mainName - Heading for the main character
+ */
+function ConsistencyReport({ report, mainName }) {
+  if (!report) return null;
+
+  return (
+    <Box>
+      {report.main && <CharacterReport report={report.main} title={report.main.name || mainName} />}
+      {Object.entries(report.companions || {}).map(([id, companionReport]) => companionReport && (
+        <CharacterReport key={id} report={companionReport} title={companionReport.name || getCompanionName(id)} />
+      ))}
+    </Box>
+  );
+}
+
+export default ConsistencyReport;
@@ -0,0 +1,137 @@
+/**
+ * Edit History Controls Component
+ *
+ * ============================================================================
+ * TEMPLATE NOTE FOR DEVELOPERS:
+ * ============================================================================
+ * Undo/redo buttons for the header, the keyboard shortcuts (Ctrl+Z,
+ * Ctrl+Shift+Z / Ctrl+Y; Cmd on macOS) and a drawer listing recent edits.
+ * The history itself lives in CharacterContext (editHistory, undo, redo).
+ *
+ * Shortcuts are left alone while a text field has focus, so typing keeps
+ * the browser's own undo for that field.
+ * ============================================================================
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  IconButton,
+  Tooltip,
+  Drawer,
+  List,
+  ListItemButton,
+  ListItemText,
+  ListSubheader,
+  Divider,
+} from '@mui/material';
+import {
+  Undo as UndoIcon,
+  Redo as RedoIcon,
+  ManageHistory as EditHistoryIcon,
+} from '@mui/icons-material';
+import { useCharacter } from '../context/CharacterContext';
+
+const isEditableTarget = (target) =>
+  !!target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+
+const formatTime = (dateString) =>
+  new Date(dateString).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+
+function EditHistoryControls() {
+  const { editHistory, canUndo, canRedo, undo, redo, clearEditHistory } = useCharacter();
+  const [drawerOpen, setDrawerOpen] = useState(false);
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || event.altKey || isEditableTarget(event.target)) return;
+      const key = event.key.toLowerCase();
+
+      if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        undo();
+      } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+        event.preventDefault();
+        redo();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [undo, redo]);
+
+  // Newest first; undone entries above the current point
+  const undone = [...editHistory.future].reverse();
+  const done = [...editHistory.past].reverse();
+
+  return (
+    <>
+      <Box sx={{ display: 'flex', alignItems: 'center' }}>
+        <Tooltip title={canUndo ? `Undo: ${editHistory.past[editHistory.past.length - 1].description} (Ctrl+Z)` : 'Nothing to undo'}>
+          <span>
+            <IconButton onClick={() => undo()} disabled={!canUndo} sx={{ color: 'text.secondary' }}>
+              <UndoIcon />
+            </IconButton>
+          </span>
+        </Tooltip>
+        <Tooltip title={canRedo ? `Redo: ${editHistory.future[0].description} (Ctrl+Shift+Z)` : 'Nothing to redo'}>
+          <span>
+            <IconButton onClick={() => redo()} disabled={!canRedo} sx={{ color: 'text.secondary' }}>
+              <RedoIcon />
+            </IconButton>
+          </span>
+        </Tooltip>
+        <Tooltip title="Edit History">
+          <IconButton onClick={() => setDrawerOpen(true)} sx={{ color: 'text.secondary' }}>
+            <EditHistoryIcon />
+          </IconButton>
+        </Tooltip>
+      </Box>
+
+      <Drawer anchor="right" open={drawerOpen} onClose={() => setDrawerOpen(false)}>
+        <Box sx={{ width: 360, display: 'flex', flexDirection: 'column', height: '100%' }}>
+          <Box sx={{ p: 2 }}>
+            <Typography variant="h6">Edit History</Typography>
+            <Typography variant="caption" color="text.secondary">
+              Click an edit to undo back to before it, or an undone edit to redo up to it.
+            </Typography>
+          </Box>
+          <Divider />
+
+          <List dense sx={{ flex: 1, overflow: 'auto' }}>
+            {undone.length > 0 && <ListSubheader>Undone</ListSubheader>}
+            {undone.map((entry, index) => (
+              <ListItemButton key={entry.id} onClick={() => redo(undone.length - index)} sx={{ opacity: 0.6 }}>
+                <ListItemText primary={entry.description} secondary={formatTime(entry.createdAt)} />
+              </ListItemButton>
+            ))}
+
+            {done.length > 0 && <ListSubheader>Edits</ListSubheader>}
+            {done.map((entry, index) => (
+              <ListItemButton key={entry.id} onClick={() => undo(index + 1)}>
+                <ListItemText primary={entry.description} secondary={formatTime(entry.createdAt)} />
+              </ListItemButton>
+            ))}
+
+            {done.length === 0 && undone.length === 0 && (
+              <Typography variant="body2" color="text.secondary" sx={{ p: 2 }}>
+                No edits yet.
+              </Typography>
+            )}
+          </List>
+
+          <Divider />
+          <Box sx={{ p: 1, display: 'flex', justifyContent: 'flex-end' }}>
+            <Button onClick={clearEditHistory} disabled={!canUndo && !canRedo} color="warning">
+              Clear History
+            </Button>
+          </Box>
+        </Box>
+      </Drawer>
+    </>
+  );
+}
+
+export default EditHistoryControls;
@@ -0,0 +1,256 @@
+/**
+ * Progression Ledger Component
+ *
+ * ============================================================================
+ * TEMPLATE NOTE FOR DEVELOPERS:
+ * ============================================================================
+ * Shown in the History tab. Sets the book/chapter that new ledger events are
+ * stamped with and lists every event grouped by chapter. Any chapter can be
+ * replayed to view the state as it was at the end of that chapter.
+ *
+ * Events are created by the server from normal saves (see
+ * utils/progressionLedger.js) - there is nothing to log by hand.
+ * ============================================================================
+ */
+
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  Button,
+  TextField,
+  IconButton,
+  Tooltip,
+  Chip,
+  Accordion,
+  AccordionSummary,
+  AccordionDetails,
+  FormControlLabel,
+  Checkbox,
+  CircularProgress,
+  Alert,
+} from '@mui/material';
+import {
+  ExpandMore as ExpandIcon,
+  Refresh as RefreshIcon,
+  Visibility as ViewIcon,
+  Bookmark as ChapterIcon,
+} from '@mui/icons-material';
+import axios from 'axios';
+import { getMainName, getCompanionName, getCompanionConfig, getApiBase } from '../config/characterConfig';
+import {
+  describeLedgerEvent,
+  groupLedgerByChapter,
+  formatChapterLabel,
+} from '../utils/progressionLedger';
+
+/**
+ * Compact list of ledger events (also used by the snapshot viewer)
+ */
+export function LedgerEventList({ events }) {
+  // Any key other than main is a companion id (or the legacy valtherion key)
+  const isCompanion = (key) => !!key && key !== 'main' && key !== 'alex';
+  const characterName = (key) => {
+    if (!key) return 'All';
+    if (!isCompanion(key)) return getMainName();
+    return getCompanionConfig(key)?.name || (key === 'valtherion' ? getCompanionName() : key);
+  };
+  const classLabel = (key) => (isCompanion(key) ? 'Evolution' : 'Class');
+
+  return (
+    <Box component="ul" sx={{ m: 0, pl: 0, listStyle: 'none' }}>
+      {events.map(event => (
+        <Box component="li" key={event.id} sx={{ display: 'flex', alignItems: 'center', gap: 1, py: 0.5 }}>
+          <Chip label={characterName(event.character)} size="small" variant="outlined" sx={{ minWidth: 80 }} />
+          <Typography
+            variant="body2"
+            sx={{ color: event.type === 'character_edited' ? 'text.secondary' : 'text.primary' }}
+          >
+            {describeLedgerEvent(event, { classLabel: classLabel(event.character) })}
+          </Typography>
+        </Box>
+      ))}
+    </Box>
+  );
+}
+
+/**
+ * @param {function} onViewState - Called with { name, createdAt, data } to show a replayed state
+ * @param {function} showNotification - From CharacterContext
+ * @param {number} refreshKey - Refetches quietly when it changes (serverChanges.ledger)
+ */
+function ProgressionLedger({ onViewState, showNotification, refreshKey = 0 }) {
+  const [events, setEvents] = useState([]);
+  const [position, setPosition] = useState({ book: '', chapter: '' });
+  const [savedPosition, setSavedPosition] = useState({ book: '', chapter: '' });
+  const [showEdits, setShowEdits] = useState(false);
+  const [loading, setLoading] = useState(true);
+  // Last position from the server, to tell if the book/chapter fields are being edited
+  const savedPositionRef = useRef(savedPosition);
+  savedPositionRef.current = savedPosition;
+
+  const fetchLedger = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(`${getApiBase()}/ledger`);
+      setEvents(response.data.events);
+      setPosition(response.data.position);
+      setSavedPosition(response.data.position);
+    } catch (err) {
+      console.error('Failed to load ledger:', err);
+      showNotification('error', 'Failed to load progression ledger');
+    } finally {
+      setLoading(false);
+    }
+  }, [showNotification]);
+
+  useEffect(() => {
+    fetchLedger();
+  }, [fetchLedger]);
+
+  // Live refresh (autosaves and other windows add events); a book/chapter
+  // that is being typed is left alone
+  useEffect(() => {
+    if (!refreshKey) return undefined;
+    let cancelled = false;
+
+    axios.get(`${getApiBase()}/ledger`)
+      .then(response => {
+        if (cancelled) return;
+        const saved = savedPositionRef.current;
+        setEvents(response.data.events);
+        setPosition(prev => (prev.book === saved.book && prev.chapter === saved.chapter
+          ? response.data.position
+          : prev));
+        setSavedPosition(response.data.position);
+      })
+      .catch(err => console.error('Failed to refresh ledger:', err));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [refreshKey]);
+
+  const handleSetPosition = async () => {
+    try {
+      const response = await axios.put(`${getApiBase()}/ledger/position`, position);
+      setSavedPosition(response.data.position);
+      showNotification('success', `Now writing ${formatChapterLabel(response.data.position.book, response.data.position.chapter)}`);
+    } catch (err) {
+      console.error('Failed to set chapter:', err);
+      showNotification('error', 'Failed to set chapter');
+    }
+  };
+
+  const handleViewChapter = async (group) => {
+    try {
+      const response = await axios.get(`${getApiBase()}/ledger/replay`, { params: { until: group.lastSeq } });
+      const lastEvent = group.events[group.events.length - 1];
+      onViewState({
+        name: `End of ${formatChapterLabel(group.book, group.chapter)}`,
+        createdAt: lastEvent.createdAt,
+        data: response.data.data,
+      });
+    } catch (err) {
+      console.error('Failed to replay ledger:', err);
+      showNotification('error', 'Failed to replay ledger');
+    }
+  };
+
+  // Group all events so replaying a chapter includes its hidden edits too; newest chapter first
+  const isVisible = (event) => showEdits || event.type !== 'character_edited';
+  const chapters = groupLedgerByChapter(events)
+    .map(group => ({ ...group, visibleEvents: group.events.filter(isVisible) }))
+    .filter(group => group.visibleEvents.length > 0)
+    .reverse();
+  const positionChanged = position.book !== savedPosition.book || position.chapter !== savedPosition.chapter;
+
+  return (
+    <Paper sx={{ p: 3 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+        <Typography variant="h5" sx={{ color: 'primary.main' }}>
+          Progression Ledger
+        </Typography>
+        <Tooltip title="Refresh ledger">
+          <IconButton onClick={fetchLedger} disabled={loading}>
+            <RefreshIcon />
+          </IconButton>
+        </Tooltip>
+      </Box>
+
+      <Typography variant="body2" sx={{ mb: 2, color: 'text.secondary' }}>
+        Every change is recorded as it is saved - level ups, free points, classes, skills, titles, traits,
+        bound items and stat boosts - stamped with the chapter you are writing.
+      </Typography>
+
+      <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', mb: 2, flexWrap: 'wrap' }}>
+        <TextField
+          label="Book"
+          size="small"
+          value={position.book}
+          onChange={(e) => setPosition(prev => ({ ...prev, book: e.target.value }))}
+          sx={{ width: 120 }}
+        />
+        <TextField
+          label="Chapter"
+          size="small"
+          value={position.chapter}
+          onChange={(e) => setPosition(prev => ({ ...prev, chapter: e.target.value }))}
+          onKeyPress={(e) => e.key === 'Enter' && handleSetPosition()}
+          sx={{ width: 120 }}
+        />
+        <Button
+          variant="contained"
+          size="small"
+          startIcon={<ChapterIcon />}
+          onClick={handleSetPosition}
+          disabled={!positionChanged}
+        >
+          Set Chapter
+        </Button>
+        <FormControlLabel
+          control={<Checkbox checked={showEdits} onChange={(e) => setShowEdits(e.target.checked)} size="small" />}
+          label="Show other edits"
+        />
+      </Box>
+
+      {loading ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+          <CircularProgress />
+        </Box>
+      ) : chapters.length === 0 ? (
+        <Alert severity="info">
+          No progression recorded yet. Changes made in the other tabs will appear here.
+        </Alert>
+      ) : (
+        chapters.map(group => (
+          <Accordion key={`${group.book}-${group.chapter}`} disableGutters>
+            <AccordionSummary expandIcon={<ExpandIcon />}>
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, flex: 1 }}>
+                <Typography fontWeight={500}>{formatChapterLabel(group.book, group.chapter)}</Typography>
+                <Chip
+                  label={`${group.visibleEvents.length} event${group.visibleEvents.length === 1 ? '' : 's'}`}
+                  size="small"
+                />
+              </Box>
+            </AccordionSummary>
+            <AccordionDetails>
+              <LedgerEventList events={group.visibleEvents} />
+              <Button
+                size="small"
+                startIcon={<ViewIcon />}
+                onClick={() => handleViewChapter(group)}
+                sx={{ mt: 1 }}
+              >
+                View state at end of chapter
+              </Button>
+            </AccordionDetails>
+          </Accordion>
+        ))
+      )}
+    </Paper>
+  );
+}
+
+export default ProgressionLedger;
@@ -0,0 +1,419 @@
+/**
+ * Projection Dialog Component (what-if simulator)
+ *
+ * ============================================================================
+ * TEMPLATE NOTE FOR DEVELOPERS:
+ * ============================================================================
+ * Shared by BasicStats (main character) and Companion. Lets the author plan
+ * future levels - target level, a hypothetical class/evolution, planned
+ * titles, extra free points and trait toggles - and shows the projected
+ * final stats, resources and per-stat breakdown. The "Solve for Targets" tab
+ * (StatSolverPanel) works backwards from target values on top of the same plan.
+ *
+ * Nothing here is saved. The plan lives in local state and the calculation
+ * runs on a copy of the character (see utils/projection.js).
+ * ============================================================================
+ */
+
+import React, { useState, useMemo, useEffect, useRef } from 'react';
+import {
+  Box,
+  Typography,
+  TextField,
+  Grid,
+  Tooltip,
+  Button,
+  IconButton,
+  Switch,
+  Checkbox,
+  FormControlLabel,
+  Divider,
+  Alert,
+  Tabs,
+  Tab,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Delete as DeleteIcon,
+} from '@mui/icons-material';
+import {
+  getAllStats,
+  getStatDisplayName,
+  getResourceDefinitions,
+  getCurrentClass,
+  getBreakdownText,
+} from '../utils/statCalculator';
+import { createProjectionPlan, projectCharacter } from '../utils/projection';
+import TitleBonusEditor from './TitleBonusEditor';
+import StatSolverPanel from './StatSolverPanel';
+
+// Signed change label, e.g. "+12", "-3", "—"
+function formatDelta(value) {
+  if (!value) return '—';
+  return value > 0 ? `+${value}` : `${value}`;
+}
+
+function DeltaCell({ value }) {
+  return (
+    <TableCell
+      align="right"
+      sx={{
+        fontFamily: '"JetBrains Mono", monospace',
+        color: value > 0 ? 'success.main' : value < 0 ? 'error.main' : 'text.secondary',
+      }}
+    >
+      {formatDelta(value)}
+    </TableCell>
+  );
+}
+
+function ProjectionDialog({
+  open,
+  onClose,
+  character,
+  bondedStats,
+  bondPartnerName,
+  classLabel = 'Class',
+  showFreePoints = true,
+  accentColor = 'primary.main',
+}) {
+  const [plan, setPlan] = useState(() => createProjectionPlan(character));
+  const [resultTab, setResultTab] = useState(0);
+
+  // Reset only when the dialog opens - edits to the live character shouldn't wipe the plan
+  const wasOpenRef = useRef(false);
+  useEffect(() => {
+    if (open && !wasOpenRef.current) {
+      setPlan(createProjectionPlan(character));
+    }
+    wasOpenRef.current = open;
+  }, [open, character]);
+
+  const result = useMemo(
+    () => (open && character ? projectCharacter(character, plan, bondedStats) : null),
+    [open, character, plan, bondedStats]
+  );
+
+  if (!character) return null;
+
+  const bonded = bondedStats || {};
+  const currentClass = getCurrentClass(character.classHistory, character.level);
+  const redirectsFreePoints = character.traits?.items?.some(trait =>
+    trait.effects?.some(effect => effect.type === 'redirect_free_points')
+  );
+
+  const updatePlan = (changes) => setPlan(prev => ({ ...prev, ...changes }));
+
+  // Hypothetical class handlers
+  const toggleHypotheticalClass = (enabled) => {
+    updatePlan({
+      hypotheticalClass: enabled
+        ? { name: '', startLevel: character.level || 1, statsPerLevel: {} }
+        : null,
+    });
+  };
+
+  const updateHypotheticalClass = (changes) => {
+    setPlan(prev => ({ ...prev, hypotheticalClass: { ...prev.hypotheticalClass, ...changes } }));
+  };
+
+  const copyCurrentClassGains = () => {
+    updateHypotheticalClass({ statsPerLevel: { ...(currentClass?.statsPerLevel || {}) } });
+  };
+
+  // Trait handlers
+  const toggleTrait = (traitName, active) => {
+    setPlan(prev => ({
+      ...prev,
+      disabledTraits: active
+        ? prev.disabledTraits.filter(name => name !== traitName)
+        : [...prev.disabledTraits, traitName],
+    }));
+  };
+
+  // Planned title handlers
+  const addPlannedTitle = () => {
+    updatePlan({ plannedTitles: [...plan.plannedTitles, { name: '', bonuses: [] }] });
+  };
+
+  const updatePlannedTitle = (index, changes) => {
+    const titles = [...plan.plannedTitles];
+    titles[index] = { ...titles[index], ...changes };
+    updatePlan({ plannedTitles: titles });
+  };
+
+  const removePlannedTitle = (index) => {
+    updatePlan({ plannedTitles: plan.plannedTitles.filter((_, i) => i !== index) });
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="lg" fullWidth>
+      <DialogTitle>What-if Projection: {character.name}</DialogTitle>
+      <DialogContent>
+        <Alert severity="info" sx={{ mb: 3 }}>
+          Plans are not saved - the character data is never changed from here.
+        </Alert>
+        <Grid container spacing={4}>
+          {/* Plan */}
+          <Grid item xs={12} md={5}>
+            <TextField
+              fullWidth
+              type="number"
+              label="Target Level"
+              value={plan.targetLevel}
+              onChange={(e) => updatePlan({ targetLevel: Number(e.target.value) || 1 })}
+              inputProps={{ min: 1 }}
+              helperText={`Currently level ${character.level || 1}${currentClass ? ` (${currentClass.name})` : ''}`}
+              sx={{ mb: 2 }}
+            />
+
+            <FormControlLabel
+              control={
+                <Switch
+                  checked={!!plan.hypotheticalClass}
+                  onChange={(e) => toggleHypotheticalClass(e.target.checked)}
+                />
+              }
+              label={`Hypothetical ${classLabel.toLowerCase()} for future levels`}
+            />
+            {plan.hypotheticalClass && (
+              <Box sx={{ mt: 2, mb: 1 }}>
+                <Grid container spacing={2}>
+                  <Grid item xs={8}>
+                    <TextField
+                      fullWidth
+                      size="small"
+                      label={`${classLabel} Name`}
+                      value={plan.hypotheticalClass.name}
+                      onChange={(e) => updateHypotheticalClass({ name: e.target.value })}
+                    />
+                  </Grid>
+                  <Grid item xs={4}>
+                    <TextField
+                      fullWidth
+                      size="small"
+                      type="number"
+                      label="Received at Lvl"
+                      value={plan.hypotheticalClass.startLevel}
+                      onChange={(e) => updateHypotheticalClass({ startLevel: Number(e.target.value) || 1 })}
+                      inputProps={{ min: 1 }}
+                    />
+                  </Grid>
+                  {getAllStats().map(stat => (
+                    <Grid item xs={6} sm={3} key={stat}>
+                      <TextField
+                        fullWidth
+                        size="small"
+                        type="number"
+                        label={getStatDisplayName(stat)}
+                        value={plan.hypotheticalClass.statsPerLevel?.[stat] || 0}
+                        onChange={(e) => updateHypotheticalClass({
+                          statsPerLevel: {
+                            ...plan.hypotheticalClass.statsPerLevel,
+                            [stat]: Number(e.target.value) || 0,
+                          },
+                        })}
+                        inputProps={{ min: 0 }}
+                      />
+                    </Grid>
+                  ))}
+                </Grid>
+                {currentClass && (
+                  <Button size="small" onClick={copyCurrentClassGains} sx={{ mt: 1 }}>
+                    Copy gains from {currentClass.name}
+                  </Button>
+                )}
+              </Box>
+            )}
+
+            {character.traits?.items?.length > 0 && (
+              <>
+                <Divider sx={{ my: 2 }} />
+                <Typography variant="subtitle2" sx={{ color: 'text.secondary' }}>
+                  Traits
+                </Typography>
+                {character.traits.items.map(trait => (
+                  <FormControlLabel
+                    key={trait.name}
+                    control={
+                      <Checkbox
+                        size="small"
+                        checked={!plan.disabledTraits.includes(trait.name)}
+                        onChange={(e) => toggleTrait(trait.name, e.target.checked)}
+                      />
+                    }
+                    label={trait.name}
+                    sx={{ display: 'flex' }}
+                  />
+                ))}
+              </>
+            )}
+
+            {showFreePoints && (
+              <>
+                <Divider sx={{ my: 2 }} />
+                <Typography variant="subtitle2" sx={{ color: 'text.secondary' }}>
+                  Extra Free Points
+                </Typography>
+                <Typography variant="caption" sx={{ display: 'block', mb: 1.5, color: 'text.disabled' }}>
+                  {redirectsFreePoints && plan.disabledTraits.length === 0
+                    ? 'A trait redirects free points automatically - manual points only count for its target stat.'
+                    : 'Added on top of the points already allocated.'}
+                </Typography>
+                <Grid container spacing={2}>
+                  {getAllStats().map(stat => (
+                    <Grid item xs={6} sm={3} key={stat}>
+                      <TextField
+                        fullWidth
+                        size="small"
+                        type="number"
+                        label={getStatDisplayName(stat)}
+                        value={plan.freePoints[stat] || 0}
+                        onChange={(e) => updatePlan({
+                          freePoints: { ...plan.freePoints, [stat]: Number(e.target.value) || 0 },
+                        })}
+                      />
+                    </Grid>
+                  ))}
+                </Grid>
+              </>
+            )}
+
+            <Divider sx={{ my: 2 }} />
+            <Typography variant="subtitle2" sx={{ color: 'text.secondary' }}>
+              Planned Titles
+            </Typography>
+            {plan.plannedTitles.map((title, index) => (
+              <Box key={index} sx={{ mt: 2, p: 2, border: '1px solid', borderColor: 'divider', borderRadius: 1 }}>
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                  <TextField
+                    fullWidth
+                    size="small"
+                    label="Title Name"
+                    value={title.name}
+                    onChange={(e) => updatePlannedTitle(index, { name: e.target.value })}
+                  />
+                  <IconButton size="small" color="error" onClick={() => removePlannedTitle(index)}>
+                    <DeleteIcon fontSize="small" />
+                  </IconButton>
+                </Box>
+                <TitleBonusEditor
+                  bonuses={title.bonuses}
+                  onChange={(bonuses) => updatePlannedTitle(index, { bonuses })}
+                />
+              </Box>
+            ))}
+            <Button
+              startIcon={<AddIcon />}
+              onClick={addPlannedTitle}
+              size="small"
+              variant="outlined"
+              sx={{ mt: 2 }}
+            >
+              Add Planned Title
+            </Button>
+          </Grid>
+
+          {/* Results */}
+          <Grid item xs={12} md={7}>
+            <Tabs value={resultTab} onChange={(e, value) => setResultTab(value)} sx={{ mb: 2 }}>
+              <Tab label="Projection" />
+              <Tab label="Solve for Targets" />
+            </Tabs>
+            {resultTab === 1 && (
+              <StatSolverPanel
+                character={character}
+                plan={plan}
+                bondedStats={bondedStats}
+                showFreePoints={showFreePoints}
+                accentColor={accentColor}
+              />
+            )}
+            {resultTab === 0 && result && (
+              <>
+                <Typography variant="h6" sx={{ color: accentColor, mb: 1 }}>
+                  Level {character.level || 1} → {result.character.level}
+                </Typography>
+                <TableContainer>
+                  <Table size="small">
+                    <TableHead>
+                      <TableRow>
+                        <TableCell>Stat</TableCell>
+                        <TableCell align="right">Now</TableCell>
+                        <TableCell align="right">Projected</TableCell>
+                        <TableCell align="right">Change</TableCell>
+                      </TableRow>
+                    </TableHead>
+                    <TableBody>
+                      {getAllStats().map(stat => (
+                        <TableRow key={stat}>
+                          <TableCell>{getStatDisplayName(stat)}</TableCell>
+                          <TableCell align="right" sx={{ fontFamily: '"JetBrains Mono", monospace' }}>
+                            {(result.current.stats[stat] || 0) + (bonded[stat] || 0)}
+                          </TableCell>
+                          <Tooltip
+                            title={
+                              <pre style={{ margin: 0, fontFamily: 'monospace', fontSize: '12px' }}>
+                                {getBreakdownText(result.projected.breakdowns[stat], stat)}
+                                {bonded[stat] > 0 ? `\nBond (${bondPartnerName}): +${bonded[stat]}` : ''}
+                              </pre>
+                            }
+                            arrow
+                            placement="left"
+                          >
+                            <TableCell
+                              align="right"
+                              sx={{ fontFamily: '"JetBrains Mono", monospace', fontWeight: 600, color: accentColor, cursor: 'help' }}
+                            >
+                              {(result.projected.stats[stat] || 0) + (bonded[stat] || 0)}
+                            </TableCell>
+                          </Tooltip>
+                          <DeltaCell value={result.deltas[stat]} />
+                        </TableRow>
+                      ))}
+                      {getResourceDefinitions().map(resource => (
+                        <TableRow key={resource.key} sx={{ bgcolor: 'rgba(255, 255, 255, 0.03)' }}>
+                          <TableCell sx={{ fontWeight: 600 }}>{resource.name}</TableCell>
+                          <TableCell align="right" sx={{ fontFamily: '"JetBrains Mono", monospace' }}>
+                            {result.current.derived[resource.key]?.max || 0}
+                          </TableCell>
+                          <TableCell
+                            align="right"
+                            sx={{ fontFamily: '"JetBrains Mono", monospace', fontWeight: 600, color: `${resource.color}.main` }}
+                          >
+                            {result.projected.derived[resource.key]?.max || 0}
+                          </TableCell>
+                          <DeltaCell value={result.resourceDeltas[resource.key]} />
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </TableContainer>
+                <Typography variant="caption" sx={{ display: 'block', mt: 1.5, color: 'text.secondary' }}>
+                  Hover a projected value for its breakdown.
+                  {Object.values(bonded).some(value => value > 0) && ` Bond values use ${bondPartnerName}'s current stats.`}
+                </Typography>
+              </>
+            )}
+          </Grid>
+        </Grid>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={() => setPlan(createProjectionPlan(character))}>Reset Plan</Button>
+        <Button onClick={onClose} variant="contained">Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default ProjectionDialog;
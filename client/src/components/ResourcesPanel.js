@@ -0,0 +1,189 @@
+/**
+ * Resources Panel Component
+ *
+ * ============================================================================
+ * TEMPLATE NOTE FOR DEVELOPERS:
+ * ============================================================================
+ * Shared by BasicStats (main character) and Companion. Shows every resource
+ * from config.resources (HP, MP, custom pools) with its max value.
+ *
+ * When "Track current" is on (character.trackCurrentResources), current
+ * values become editable and the quick damage/heal/spend/restore actions
+ * appear. The status screen output then prints real current/max.
+ *
+ * The panel is purely presentational - the owning tab passes the update
+ * callbacks (updateMainResource / updateCompanionResource).
+ * ============================================================================
+ */
+
+import React, { useState } from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  TextField,
+  Grid,
+  Tooltip,
+  Button,
+  Switch,
+  FormControlLabel,
+  LinearProgress,
+} from '@mui/material';
+import { Info as InfoIcon } from '@mui/icons-material';
+import {
+  getResourceDefinitions,
+  getResourceFormulaText,
+  resourceIncludesBond,
+} from '../utils/statCalculator';
+import { getResourceIcon } from '../utils/statIcons';
+
+// A single resource row: value display plus current-value controls when tracking
+function ResourceRow({ resource, derived, bondedStats, trackCurrent, onCurrentChange }) {
+  const [amount, setAmount] = useState(10);
+
+  const ResourceIcon = getResourceIcon(resource.key);
+  const color = `${resource.color}.main`;
+  const max = derived?.max || 0;
+  const current = derived?.current ?? max;
+  const percent = max > 0 ? Math.min(100, Math.max(0, (current / max) * 100)) : 0;
+
+  const reduceLabel = resource.actions?.reduce || 'Spend';
+  const restoreLabel = resource.actions?.restore || 'Restore';
+
+  const setCurrent = (value) => {
+    onCurrentChange(resource.key, Math.min(max, Math.max(0, Math.round(Number(value) || 0))));
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+        <ResourceIcon sx={{ color, fontSize: 24 }} />
+        <Typography sx={{ minWidth: 50, fontWeight: 600 }}>{resource.name}:</Typography>
+        {trackCurrent ? (
+          <>
+            <TextField
+              type="number"
+              value={current}
+              onChange={(e) => setCurrent(e.target.value)}
+              size="small"
+              sx={{ width: 110 }}
+              inputProps={{ min: 0, max }}
+            />
+            <Typography
+              sx={{
+                fontFamily: '"JetBrains Mono", monospace',
+                fontSize: '1.3rem',
+                fontWeight: 600,
+                color,
+              }}
+            >
+              / {max}
+            </Typography>
+          </>
+        ) : (
+          <Typography
+            sx={{
+              fontFamily: '"JetBrains Mono", monospace',
+              fontSize: '1.3rem',
+              fontWeight: 600,
+              color,
+            }}
+          >
+            {max}
+          </Typography>
+        )}
+        {resourceIncludesBond(resource, bondedStats) && (
+          <Typography variant="body2" sx={{ color: 'success.light' }}>
+            (includes bond)
+          </Typography>
+        )}
+      </Box>
+
+      {trackCurrent && (
+        <>
+          <LinearProgress
+            variant="determinate"
+            value={percent}
+            color={resource.color}
+            sx={{ mt: 1.5, height: 8, borderRadius: 1 }}
+          />
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mt: 1.5, flexWrap: 'wrap' }}>
+            <TextField
+              type="number"
+              label="Amount"
+              value={amount}
+              onChange={(e) => setAmount(Number(e.target.value) || 0)}
+              size="small"
+              sx={{ width: 100 }}
+              inputProps={{ min: 0 }}
+            />
+            <Button size="small" variant="outlined" color="error" onClick={() => setCurrent(current - amount)}>
+              {reduceLabel}
+            </Button>
+            <Button size="small" variant="outlined" color="success" onClick={() => setCurrent(current + amount)}>
+              {restoreLabel}
+            </Button>
+            <Button size="small" onClick={() => setCurrent(max)}>
+              Full
+            </Button>
+            <Button size="small" onClick={() => setCurrent(0)}>
+              Empty
+            </Button>
+          </Box>
+        </>
+      )}
+    </Box>
+  );
+}
+
+function ResourcesPanel({
+  derivedStats,
+  bondedStats,
+  trackCurrent = false,
+  onToggleTrackCurrent,
+  onCurrentChange,
+  accentColor = 'primary.main',
+}) {
+  const resources = getResourceDefinitions();
+
+  return (
+    <Paper sx={{ p: 3 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 3 }}>
+        <Typography variant="h5" sx={{ color: accentColor }}>
+          Resources
+        </Typography>
+        <Tooltip title={resources.map(getResourceFormulaText).join(' | ')} arrow>
+          <InfoIcon sx={{ color: 'text.secondary', fontSize: 18, cursor: 'help' }} />
+        </Tooltip>
+        <Box sx={{ flex: 1 }} />
+        <Tooltip title="Track current values separately from max (e.g. mid-fight status screens)" arrow>
+          <FormControlLabel
+            control={
+              <Switch
+                checked={trackCurrent}
+                onChange={(e) => onToggleTrackCurrent(e.target.checked)}
+                size="small"
+              />
+            }
+            label="Track current"
+          />
+        </Tooltip>
+      </Box>
+      <Grid container spacing={3}>
+        {resources.map(resource => (
+          <Grid item xs={12} sm={6} key={resource.key}>
+            <ResourceRow
+              resource={resource}
+              derived={derivedStats?.[resource.key]}
+              bondedStats={bondedStats}
+              trackCurrent={trackCurrent}
+              onCurrentChange={onCurrentChange}
+            />
+          </Grid>
+        ))}
+      </Grid>
+    </Paper>
+  );
+}
+
+export default ResourcesPanel;
@@ -0,0 +1,174 @@
+/**
+ * Save Conflict Dialog Component
+ *
+ * ============================================================================
+ * TEMPLATE NOTE FOR DEVELOPERS:
+ * ============================================================================
+ * Shown by App.js when an autosave is rejected because current.json changed
+ * in another window (POST /api/update answered 409 - see saveConflict in
+ * CharacterContext). The author can:
+ * - Reload: take the other window's version and drop local edits
+ * - Overwrite: save this window's version over it
+ * - Merge: pick a side for every field that differs (utils/stateMerge.js)
+ * ============================================================================
+ */
+
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  Alert,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Radio,
+  Chip,
+} from '@mui/material';
+import {
+  listFieldDifferences,
+  defaultMergeChoice,
+  mergeFieldChoices,
+} from '../utils/stateMerge';
+
+// "levelSnapshots" -> "Level Snapshots"
+const formatFieldName = (field) => field
+  .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+  .replace(/^./, letter => letter.toUpperCase());
+
+// Short, readable version of a field value for the merge table
+const summarizeValue = (value) => {
+  if (value === undefined || value === null || value === '') return '(none)';
+  if (Array.isArray(value)) {
+    const names = value.map(item => item?.name).filter(Boolean);
+    if (names.length === value.length && names.length > 0) {
+      const text = names.join(', ');
+      return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+    }
+    return `${value.length} item${value.length === 1 ? '' : 's'}`;
+  }
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+};
+
+/**
+ * @param {object} conflict - { local, server, base } from CharacterContext (null = closed)
+ * @param {function} getCharacterName - Display name for "main" or a companion id
+ * @param {function} onReload - Use the server's version
+ * @param {function} onOverwrite - Save this window's version anyway
+ * @param {function} onMerge - Called with the merged data object
+ */
+function SaveConflictDialog({ conflict, getCharacterName, onReload, onOverwrite, onMerge }) {
+  const [merging, setMerging] = useState(false);
+  const [choices, setChoices] = useState({});
+
+  const rows = useMemo(
+    () => (conflict ? listFieldDifferences(conflict.base, conflict.local, conflict.server) : []),
+    [conflict]
+  );
+
+  useEffect(() => {
+    setMerging(false);
+    setChoices(Object.fromEntries(rows.map(row => [row.key, defaultMergeChoice(row)])));
+  }, [rows]);
+
+  if (!conflict) return null;
+
+  const choose = (key, side) => setChoices(prev => ({ ...prev, [key]: side }));
+
+  return (
+    <Dialog open maxWidth={merging ? 'md' : 'sm'} fullWidth>
+      <DialogTitle>Changed in Another Window</DialogTitle>
+      <DialogContent>
+        <Alert severity="warning" sx={{ mb: 2 }}>
+          The character was saved from another window or tab since this one last loaded it.
+          Your latest edits have not been saved yet.
+        </Alert>
+
+        {!merging ? (
+          <Typography variant="body2" color="text.secondary">
+            {rows.length} field{rows.length === 1 ? '' : 's'} differ. Reload to take the other version,
+            overwrite it with this window's version, or merge field by field.
+          </Typography>
+        ) : (
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Field</TableCell>
+                  <TableCell>This window</TableCell>
+                  <TableCell>Other window</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {rows.map(row => (
+                  <TableRow key={row.key}>
+                    <TableCell>
+                      <Typography variant="body2" fontWeight={500}>
+                        {getCharacterName(row.character)}
+                        {row.field ? ` - ${formatFieldName(row.field)}` : ''}
+                      </Typography>
+                      {row.changedLocally && row.changedOnServer && (
+                        <Chip label="Changed in both" size="small" color="warning" variant="outlined" sx={{ mt: 0.5 }} />
+                      )}
+                    </TableCell>
+                    <TableCell>
+                      <Box sx={{ display: 'flex', alignItems: 'center' }}>
+                        <Radio
+                          size="small"
+                          checked={choices[row.key] === 'local'}
+                          onChange={() => choose(row.key, 'local')}
+                        />
+                        <Typography variant="body2">{summarizeValue(row.local)}</Typography>
+                      </Box>
+                    </TableCell>
+                    <TableCell>
+                      <Box sx={{ display: 'flex', alignItems: 'center' }}>
+                        <Radio
+                          size="small"
+                          checked={choices[row.key] === 'server'}
+                          onChange={() => choose(row.key, 'server')}
+                        />
+                        <Typography variant="body2">{summarizeValue(row.server)}</Typography>
+                      </Box>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+      </DialogContent>
+      <DialogActions>
+        {!merging ? (
+          <>
+            <Button onClick={onReload}>Reload</Button>
+            <Button onClick={onOverwrite} color="warning">Overwrite</Button>
+            <Button onClick={() => setMerging(true)} variant="contained" disabled={rows.length === 0}>
+              Merge...
+            </Button>
+          </>
+        ) : (
+          <>
+            <Button onClick={() => setMerging(false)}>Back</Button>
+            <Button
+              onClick={() => onMerge(mergeFieldChoices(conflict.local, conflict.server, rows, choices))}
+              variant="contained"
+            >
+              Save Merged
+            </Button>
+          </>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default SaveConflictDialog;
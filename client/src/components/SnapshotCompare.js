@@ -0,0 +1,281 @@
+/**
+ * Snapshot Compare Component
+ *
+ * ============================================================================
+ * TEMPLATE NOTE FOR DEVELOPERS:
+ * ============================================================================
+ * Compare mode of the History tab: pick two snapshots (or a snapshot and the
+ * current state) and see what changed between them, side by side. The diff
+ * comes from GET /api/snapshots/diff (utils/snapshotDiff.js), so the numbers
+ * are the server's full pipeline, bond included.
+ *
+ * Every character in the diff gets its own table (main first, then each
+ * companion); stats and resources that didn't change are hidden unless
+ * "Show unchanged" is on.
+ * ============================================================================
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  TextField,
+  MenuItem,
+  IconButton,
+  Tooltip,
+  Chip,
+  Switch,
+  FormControlLabel,
+  CircularProgress,
+  Alert,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+} from '@mui/material';
+import {
+  SwapHoriz as SwapIcon,
+  Refresh as RefreshIcon,
+} from '@mui/icons-material';
+import axios from 'axios';
+import { getApiBase } from '../config/characterConfig';
+import { getStatDisplayName } from '../utils/statCalculator';
+import { SKILL_LISTS } from '../utils/progressionLedger';
+
+const CURRENT = 'current';
+
+const STATUS_CHIPS = {
+  added: { label: 'New', color: 'success' },
+  removed: { label: 'Gone', color: 'error' },
+  unchanged: { label: 'No changes', color: 'default' },
+};
+
+// Signed change label, e.g. "+12", "-3", "—"
+function formatDelta(value) {
+  if (!value) return '—';
+  return value > 0 ? `+${value}` : `${value}`;
+}
+
+const monoCell = { fontFamily: '"JetBrains Mono", monospace', fontSize: '0.85rem' };
+
+function CompareRow({ label, before, after, change }) {
+  const changed = change !== undefined ? change !== 0 : before !== after;
+  return (
+    <TableRow sx={{ opacity: changed ? 1 : 0.6 }}>
+      <TableCell>{label}</TableCell>
+      <TableCell align="right" sx={monoCell}>{before ?? '—'}</TableCell>
+      <TableCell align="right" sx={{ ...monoCell, fontWeight: changed ? 600 : 400 }}>{after ?? '—'}</TableCell>
+      <TableCell
+        align="right"
+        sx={{
+          ...monoCell,
+          color: change > 0 ? 'success.main' : change < 0 ? 'error.main' : 'text.secondary',
+        }}
+      >
+        {change !== undefined ? formatDelta(change) : (changed ? 'changed' : '—')}
+      </TableCell>
+    </TableRow>
+  );
+}
+
+function ChangeList({ label, items, color }) {
+  if (items.length === 0) return null;
+  return (
+    <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', flexWrap: 'wrap', mb: 1 }}>
+      <Typography variant="body2" color="text.secondary" sx={{ minWidth: 140 }}>
+        {label}
+      </Typography>
+      {items.map((item, index) => (
+        <Chip key={`${item}-${index}`} label={item} size="small" color={color} variant="outlined" />
+      ))}
+    </Box>
+  );
+}
+
+// "Active: Fireball" - skill lists are labelled like the ledger does
+const skillLabel = (list, name) => `${SKILL_LISTS[list] || list}: ${name}`;
+
+function CharacterDiff({ character, beforeName, afterName, showUnchanged }) {
+  const classLabel = character.key === 'main' ? 'Class' : 'Evolution';
+  const classesLabel = character.key === 'main' ? 'Classes' : 'Evolutions';
+  const status = STATUS_CHIPS[character.status];
+  const stats = character.stats.filter(row => showUnchanged || row.change !== 0);
+  const resources = character.resources.filter(row => showUnchanged || row.change !== 0);
+  const { skills } = character;
+
+  return (
+    <Box sx={{ mb: 3 }}>
+      <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', mb: 1 }}>
+        <Typography variant="h6">{character.name}</Typography>
+        {status && <Chip label={status.label} size="small" color={status.color} variant="outlined" />}
+      </Box>
+
+      <TableContainer sx={{ mb: 2 }}>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell />
+              <TableCell align="right">{beforeName}</TableCell>
+              <TableCell align="right">{afterName}</TableCell>
+              <TableCell align="right">Change</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            <CompareRow
+              label="Level"
+              before={character.level.before}
+              after={character.level.after}
+              change={(character.level.after || 0) - (character.level.before || 0)}
+            />
+            <CompareRow label={classLabel} before={character.class.before} after={character.class.after} />
+            {resources.map(row => (
+              <CompareRow key={row.key} label={`Max ${row.name}`} before={row.before} after={row.after} change={row.change} />
+            ))}
+            {stats.map(row => (
+              <CompareRow
+                key={row.stat}
+                label={getStatDisplayName(row.stat)}
+                before={row.before}
+                after={row.after}
+                change={row.change}
+              />
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      <ChangeList label={`${classesLabel} gained`} items={character.classes.added} color="primary" />
+      <ChangeList label={`${classesLabel} removed`} items={character.classes.removed} color="error" />
+      <ChangeList label="Skills learned" items={skills.added.map(skill => skillLabel(skill.list, skill.name))} color="success" />
+      <ChangeList
+        label="Skills evolved"
+        items={skills.evolved.map(skill => skillLabel(skill.list, `${skill.from} → ${skill.to}`))}
+        color="secondary"
+      />
+      <ChangeList
+        label="Skills levelled"
+        items={skills.levelled.map(skill => skillLabel(skill.list, `${skill.name} (${Object.entries(skill.changes)
+          .map(([field, { before, after }]) => `${field} ${before ?? '—'} → ${after ?? '—'}`)
+          .join(', ')})`))}
+        color="info"
+      />
+      <ChangeList label="Skills removed" items={skills.removed.map(skill => skillLabel(skill.list, skill.name))} color="error" />
+      <ChangeList label="Titles earned" items={character.titles.added} color="success" />
+      <ChangeList label="Titles removed" items={character.titles.removed} color="error" />
+      <ChangeList label="Traits acquired" items={character.traits.added} color="success" />
+      <ChangeList label="Traits removed" items={character.traits.removed} color="error" />
+      <ChangeList label="Items bound" items={character.boundItems.added} color="success" />
+      <ChangeList label="Items removed" items={character.boundItems.removed} color="error" />
+      <ChangeList label="Stat boosts used" items={character.statBoosts.added} color="success" />
+      <ChangeList label="Stat boosts removed" items={character.statBoosts.removed} color="error" />
+    </Box>
+  );
+}
+
+function SnapshotCompare({ snapshots, refreshKey, showNotification }) {
+  const [fromId, setFromId] = useState(snapshots[0]?.id || '');
+  const [toId, setToId] = useState(CURRENT);
+  const [diff, setDiff] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [showUnchanged, setShowUnchanged] = useState(false);
+
+  // Keep the selection valid when snapshots are deleted elsewhere
+  useEffect(() => {
+    const exists = (id) => id === CURRENT || snapshots.some(snapshot => snapshot.id === id);
+    if (!exists(fromId)) setFromId(snapshots[0]?.id || '');
+    if (!exists(toId)) setToId(CURRENT);
+  }, [snapshots, fromId, toId]);
+
+  const fetchDiff = useCallback(async () => {
+    if (!fromId || !toId) {
+      setDiff(null);
+      return;
+    }
+    try {
+      setLoading(true);
+      const response = await axios.get(`${getApiBase()}/snapshots/diff`, { params: { a: fromId, b: toId } });
+      setDiff(response.data);
+    } catch (err) {
+      console.error('Failed to compare snapshots:', err);
+      showNotification('error', 'Failed to compare snapshots');
+    } finally {
+      setLoading(false);
+    }
+  }, [fromId, toId, showNotification]);
+
+  useEffect(() => {
+    fetchDiff();
+  }, [fetchDiff, refreshKey]);
+
+  const options = [
+    { id: CURRENT, name: 'Current state' },
+    ...snapshots.map(snapshot => ({ id: snapshot.id, name: snapshot.name })),
+  ];
+
+  const renderSelect = (label, value, onChange) => (
+    <TextField select label={label} value={value} onChange={(e) => onChange(e.target.value)} sx={{ flex: 1 }}>
+      {options.map(option => (
+        <MenuItem key={option.id} value={option.id}>{option.name}</MenuItem>
+      ))}
+    </TextField>
+  );
+
+  return (
+    <Paper sx={{ p: 3 }}>
+      <Typography variant="h5" sx={{ mb: 3, color: 'primary.main' }}>
+        Compare
+      </Typography>
+
+      <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', mb: 2 }}>
+        {renderSelect('From', fromId, setFromId)}
+        <Tooltip title="Swap">
+          <IconButton onClick={() => { setFromId(toId); setToId(fromId); }}>
+            <SwapIcon />
+          </IconButton>
+        </Tooltip>
+        {renderSelect('To', toId, setToId)}
+        <Tooltip title="Refresh">
+          <span>
+            <IconButton onClick={fetchDiff} disabled={loading}>
+              <RefreshIcon />
+            </IconButton>
+          </span>
+        </Tooltip>
+      </Box>
+
+      <FormControlLabel
+        control={<Switch checked={showUnchanged} onChange={(e) => setShowUnchanged(e.target.checked)} size="small" />}
+        label="Show unchanged stats"
+        sx={{ mb: 2 }}
+      />
+
+      {loading && !diff ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+          <CircularProgress />
+        </Box>
+      ) : diff && (
+        <>
+          {!diff.changed && (
+            <Alert severity="info" sx={{ mb: 2 }}>
+              "{diff.a.name}" and "{diff.b.name}" are identical.
+            </Alert>
+          )}
+          {diff.characters.map(character => (
+            <CharacterDiff
+              key={character.key}
+              character={character}
+              beforeName={diff.a.name}
+              afterName={diff.b.name}
+              showUnchanged={showUnchanged}
+            />
+          ))}
+        </>
+      )}
+    </Paper>
+  );
+}
+
+export default SnapshotCompare;
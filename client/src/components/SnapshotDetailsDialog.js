@@ -0,0 +1,140 @@
+/**
+ * Snapshot Details Dialog Component
+ *
+ * ============================================================================
+ * TEMPLATE NOTE FOR DEVELOPERS:
+ * ============================================================================
+ * Edits a snapshot's name and details - book, chapter, in-world date, tags
+ * and notes - through PATCH /api/snapshot/:id. SnapshotDetailsFields is also
+ * used by the History tab's save form.
+ *
+ * Book and chapter are free text, like the ledger's position. Snapshots saved
+ * before details existed have none; the dialog suggests them from names like
+ * "V3 Chapter 26 - Full Status" so old saves are quick to sort out.
+ * ============================================================================
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  TextField,
+  Autocomplete,
+  Chip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+} from '@mui/material';
+
+export const EMPTY_SNAPSHOT_DETAILS = { book: '', chapter: '', inWorldDate: '', notes: '', tags: [] };
+
+/**
+ * Read book and chapter from a snapshot name ("V3 Ch 20", "Book 2 Chapter 14")
+ * @returns {object} - { book, chapter } ('' where nothing was found)
+ */
+export function guessChapterFromName(name = '') {
+  const book = name.match(/\b(?:v|vol\.?|volume|book)\s*(\d+)/i);
+  const chapter = name.match(/\b(?:ch\.?|chapter)\s*(\d+(?:\.\d+)?)/i);
+  return { book: book ? book[1] : '', chapter: chapter ? chapter[1] : '' };
+}
+
+/**
+ * Book, chapter, in-world date, tags and notes inputs
+ * @param {object} details - { book, chapter, inWorldDate, notes, tags }
+ * @param {function} onChange - Called with the new details
+ * @param {Array} knownTags - Tags used on other snapshots (suggestions)
+ */
+export function SnapshotDetailsFields({ details, onChange, knownTags = [], disabled = false }) {
+  const setField = (field) => (event) => onChange({ ...details, [field]: event.target.value });
+
+  return (
+    <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+      <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap' }}>
+        <TextField label="Book" size="small" value={details.book} onChange={setField('book')} disabled={disabled} sx={{ width: 120 }} />
+        <TextField label="Chapter" size="small" value={details.chapter} onChange={setField('chapter')} disabled={disabled} sx={{ width: 120 }} />
+        <TextField
+          label="In-world date"
+          size="small"
+          placeholder="e.g. Day 34 of the Integration"
+          value={details.inWorldDate}
+          onChange={setField('inWorldDate')}
+          disabled={disabled}
+          sx={{ flex: 1, minWidth: 200 }}
+        />
+      </Box>
+      <Autocomplete
+        multiple
+        freeSolo
+        size="small"
+        options={knownTags.filter(tag => !details.tags.includes(tag))}
+        value={details.tags}
+        onChange={(event, tags) => onChange({ ...details, tags: [...new Set(tags.map(tag => tag.trim()).filter(Boolean))] })}
+        disabled={disabled}
+        renderTags={(tags, getTagProps) => tags.map((tag, index) => (
+          <Chip {...getTagProps({ index })} key={tag} label={tag} size="small" />
+        ))}
+        renderInput={(params) => (
+          <TextField {...params} label="Tags" placeholder="Type a tag and press Enter" />
+        )}
+      />
+      <TextField
+        label="Notes"
+        size="small"
+        multiline
+        minRows={2}
+        value={details.notes}
+        onChange={setField('notes')}
+        disabled={disabled}
+      />
+    </Box>
+  );
+}
+
+function SnapshotDetailsDialog({ open, snapshot, knownTags, onClose, onSave }) {
+  const [name, setName] = useState('');
+  const [details, setDetails] = useState(EMPTY_SNAPSHOT_DETAILS);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!open || !snapshot) return;
+    const guess = !snapshot.book && !snapshot.chapter ? guessChapterFromName(snapshot.name) : {};
+    setName(snapshot.name);
+    setDetails({
+      book: snapshot.book || guess.book || '',
+      chapter: snapshot.chapter || guess.chapter || '',
+      inWorldDate: snapshot.inWorldDate || '',
+      notes: snapshot.notes || '',
+      tags: snapshot.tags || [],
+    });
+  }, [open, snapshot]);
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      await onSave({ name: name.trim(), ...details });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Snapshot Details</DialogTitle>
+      <DialogContent>
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, pt: 1 }}>
+          <TextField label="Name" size="small" value={name} onChange={(e) => setName(e.target.value)} />
+          <SnapshotDetailsFields details={details} onChange={setDetails} knownTags={knownTags} />
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button variant="contained" onClick={handleSave} disabled={saving || !name.trim()}>
+          Save
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default SnapshotDetailsDialog;
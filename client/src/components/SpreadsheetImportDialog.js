@@ -0,0 +1,276 @@
+/**
+ * Spreadsheet Import Dialog Component
+ *
+ * ============================================================================
+ * TEMPLATE NOTE FOR DEVELOPERS:
+ * ============================================================================
+ * Imports progression tracked in a spreadsheet before the app existed (the
+ * old "Alex and Val Spreadsheet.xlsx"), in two steps:
+ *
+ * 1. POST /api/import/spreadsheet/preview reads the .xlsx and suggests a
+ *    mapping per sheet: which character, which layout, and where each field
+ *    (level, class, every stat from config) is.
+ * 2. The user corrects the mapping - the values it picks up are shown next
+ *    to each field - and POST /api/import/spreadsheet writes level snapshots,
+ *    class history entries and (optionally) one snapshot per level.
+ *
+ * Reading the rows uses utils/spreadsheetImport.js, the same code the server
+ * imports with, so the preview matches the result.
+ * ============================================================================
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  TextField,
+  MenuItem,
+  Typography,
+  Checkbox,
+  FormControlLabel,
+  Alert,
+  Divider,
+  CircularProgress,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+} from '@mui/material';
+import axios from 'axios';
+import { getApiBase } from '../config/characterConfig';
+import { SHEET_LAYOUTS, getCellValue, readSpreadsheetEntries } from '../utils/spreadsheetImport';
+
+// "Level 28 · Ritualist · 8 stats"
+function describeEntry(entry) {
+  return [
+    `Level ${entry.level}`,
+    entry.className,
+    `${Object.keys(entry.stats).length} stats`,
+  ].filter(Boolean).join(' · ');
+}
+
+// The value a field currently points at (first data row for tables)
+function previewValue(sheet, mapping, source) {
+  if (!source) return null;
+  if (mapping.layout === 'table') {
+    return getCellValue(sheet, `${source}${(Number(mapping.headerRow) || 1) + 1}`);
+  }
+  return getCellValue(sheet, source);
+}
+
+function SheetMapping({ sheet, mapping, fields, targets, onChange }) {
+  const { entries, errors } = mapping.include ? readSpreadsheetEntries(sheet, mapping) : { entries: [], errors: [] };
+  const setField = (key, value) => onChange({ ...mapping, fields: { ...mapping.fields, [key]: value.trim().toUpperCase() } });
+
+  return (
+    <Box sx={{ mb: 2 }}>
+      <Divider sx={{ mb: 2 }} />
+      <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', flexWrap: 'wrap' }}>
+        <FormControlLabel
+          control={<Checkbox checked={mapping.include} onChange={(e) => onChange({ ...mapping, include: e.target.checked })} />}
+          label={<Typography variant="subtitle1">{sheet.name}</Typography>}
+          sx={{ minWidth: 220 }}
+        />
+        <TextField
+          select
+          size="small"
+          label="Character"
+          value={mapping.target || ''}
+          // Picking a character for a sheet nobody matched includes it
+          onChange={(e) => onChange({ ...mapping, target: e.target.value, include: mapping.include || !mapping.target })}
+          sx={{ minWidth: 160 }}
+        >
+          <MenuItem value="" disabled>
+            <em>Pick a character</em>
+          </MenuItem>
+          {targets.map(target => <MenuItem key={target.key} value={target.key}>{target.name}</MenuItem>)}
+        </TextField>
+        <TextField
+          select
+          size="small"
+          label="Layout"
+          value={mapping.layout}
+          onChange={(e) => onChange({ ...mapping, layout: e.target.value, fields: {} })}
+          disabled={!mapping.include}
+          sx={{ minWidth: 200 }}
+        >
+          {Object.entries(SHEET_LAYOUTS).map(([key, label]) => <MenuItem key={key} value={key}>{label}</MenuItem>)}
+        </TextField>
+        {mapping.layout === 'table' && (
+          <TextField
+            size="small"
+            type="number"
+            label="Header row"
+            value={mapping.headerRow}
+            onChange={(e) => onChange({ ...mapping, headerRow: Number(e.target.value) || 1 })}
+            disabled={!mapping.include}
+            sx={{ width: 110 }}
+          />
+        )}
+      </Box>
+
+      {mapping.include && (
+        <>
+          <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mt: 2 }}>
+            {fields.map(field => {
+              const value = previewValue(sheet, mapping, mapping.fields[field.key]);
+              return (
+                <TextField
+                  key={field.key}
+                  size="small"
+                  label={field.label}
+                  placeholder={mapping.layout === 'table' ? 'Column' : 'Cell'}
+                  value={mapping.fields[field.key] || ''}
+                  onChange={(e) => setField(field.key, e.target.value)}
+                  helperText={value === null ? ' ' : String(value)}
+                  sx={{ width: 130 }}
+                />
+              );
+            })}
+          </Box>
+          {errors.length > 0 ? (
+            <Alert severity="warning">{errors.join('; ')}</Alert>
+          ) : (
+            <Typography variant="body2" color="text.secondary">
+              {entries.length === 0 ? 'No rows with a level' : entries.map(describeEntry).join(' | ')}
+            </Typography>
+          )}
+        </>
+      )}
+    </Box>
+  );
+}
+
+function SpreadsheetImportDialog({ file, onClose, onImported, showNotification }) {
+  const [preview, setPreview] = useState(null);
+  const [mappings, setMappings] = useState([]);
+  const [replaceExisting, setReplaceExisting] = useState(false);
+  const [createSnapshots, setCreateSnapshots] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [result, setResult] = useState(null);
+
+  useEffect(() => {
+    if (!file) return;
+    setPreview(null);
+    setResult(null);
+
+    let cancelled = false;
+    axios.post(`${getApiBase()}/import/spreadsheet/preview`, file, {
+      headers: { 'Content-Type': file.type || 'application/octet-stream' },
+    })
+      .then(response => {
+        if (cancelled) return;
+        setPreview(response.data);
+        setMappings(response.data.mappings);
+      })
+      .catch(err => {
+        console.error('Failed to read spreadsheet:', err);
+        showNotification('error', err.response?.data?.error || 'Failed to read spreadsheet');
+        onClose();
+      });
+    return () => { cancelled = true; };
+    // onClose must be stable (useCallback) - only a new file should start a new preview
+  }, [file, onClose, showNotification]);
+
+  const included = mappings.filter(mapping => mapping.include);
+
+  const handleImport = async () => {
+    try {
+      setBusy(true);
+      const response = await axios.post(`${getApiBase()}/import/spreadsheet`, {
+        sheets: preview.sheets.filter(sheet => included.some(mapping => mapping.sheet === sheet.name)),
+        mappings: included,
+        replaceExisting,
+        createSnapshots,
+      });
+      setResult(response.data);
+      if (onImported) onImported();
+    } catch (err) {
+      console.error('Failed to import spreadsheet:', err);
+      showNotification('error', err.response?.data?.error || 'Failed to import spreadsheet');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <Dialog open={!!file} onClose={onClose} maxWidth="lg" fullWidth>
+      <DialogTitle>Import Spreadsheet{file ? ` - ${file.name}` : ''}</DialogTitle>
+      <DialogContent>
+        {!preview && (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+            <CircularProgress />
+          </Box>
+        )}
+
+        {preview && !result && (
+          <>
+            <Alert severity="info" sx={{ mb: 2 }}>
+              Each included sheet becomes level snapshots (stats as totals, like Take Snapshot) and
+              any class not in the history yet. Check the values under each field before importing.
+            </Alert>
+            {preview.sheets.map((sheet, index) => (
+              <SheetMapping
+                key={sheet.name}
+                sheet={sheet}
+                mapping={mappings[index]}
+                fields={preview.fields}
+                targets={preview.targets}
+                onChange={(mapping) => setMappings(prev => prev.map((m, i) => (i === index ? mapping : m)))}
+              />
+            ))}
+            <Divider sx={{ mb: 1 }} />
+            <FormControlLabel
+              control={<Checkbox checked={replaceExisting} onChange={(e) => setReplaceExisting(e.target.checked)} />}
+              label="Replace level snapshots that already exist"
+            />
+            <FormControlLabel
+              control={<Checkbox checked={createSnapshots} onChange={(e) => setCreateSnapshots(e.target.checked)} />}
+              label="Also save a snapshot per imported level"
+            />
+          </>
+        )}
+
+        {result && (
+          <>
+            {result.summary.map(character => (
+              <Box key={character.target} sx={{ mb: 2 }}>
+                <Typography variant="h6">{character.name}</Typography>
+                <Typography variant="body2">
+                  Level snapshots: {character.levels.length > 0 ? character.levels.join(', ') : 'none'}
+                </Typography>
+                {character.classes.length > 0 && (
+                  <Typography variant="body2">Classes added: {character.classes.join(', ')}</Typography>
+                )}
+                {character.skipped.length > 0 && (
+                  <Alert severity="warning" sx={{ mt: 1 }}>
+                    {character.skipped.map((message, i) => <div key={i}>Skipped {message}</div>)}
+                  </Alert>
+                )}
+              </Box>
+            ))}
+            {result.snapshots.length > 0 && (
+              <Typography variant="body2" color="text.secondary">
+                Saved {result.snapshots.length} snapshot{result.snapshots.length === 1 ? '' : 's'} tagged "spreadsheet".
+              </Typography>
+            )}
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        {result ? (
+          <Button variant="contained" onClick={onClose}>Done</Button>
+        ) : (
+          <>
+            <Button onClick={onClose}>Cancel</Button>
+            <Button variant="contained" onClick={handleImport} disabled={!preview || busy || included.length === 0}>
+              Import {included.length} Sheet{included.length === 1 ? '' : 's'}
+            </Button>
+          </>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default SpreadsheetImportDialog;
@@ -0,0 +1,205 @@
+/**
+ * Stat Solver Panel Component
+ *
+ * ============================================================================
+ * TEMPLATE NOTE FOR DEVELOPERS:
+ * ============================================================================
+ * Second tab of the what-if dialog. The author enters target final values
+ * (e.g. Intellect >= 700) and the solver works out the free points, title
+ * bonuses or levels needed on top of the current projection plan (target
+ * level, hypothetical class, planned titles, trait toggles).
+ *
+ * All math lives in utils/statSolver.js - this component only collects the
+ * targets and lays out the answers. Nothing is saved.
+ * ============================================================================
+ */
+
+import React, { useState } from 'react';
+import {
+  Box,
+  Typography,
+  TextField,
+  Button,
+  IconButton,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  Alert,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Delete as DeleteIcon,
+  Calculate as SolveIcon,
+} from '@mui/icons-material';
+import { getAllStats, getStatDisplayName } from '../utils/statCalculator';
+import { solveStatTargets } from '../utils/statSolver';
+
+// One answer cell: a value, or a dash when the target is already met / unreachable
+function AnswerCell({ met, children }) {
+  return (
+    <TableCell sx={{ fontFamily: '"JetBrains Mono", monospace', fontSize: '0.85rem' }}>
+      {met ? <Typography component="span" sx={{ color: 'success.main' }}>Met</Typography> : children}
+    </TableCell>
+  );
+}
+
+function StatSolverPanel({ character, plan, bondedStats, showFreePoints = true, accentColor = 'primary.main' }) {
+  const [targets, setTargets] = useState([{ stat: getAllStats()[0], value: 0 }]);
+  const [solution, setSolution] = useState(null);
+
+  const updateTarget = (index, changes) => {
+    const newTargets = [...targets];
+    newTargets[index] = { ...newTargets[index], ...changes };
+    setTargets(newTargets);
+    setSolution(null);
+  };
+
+  const addTarget = () => {
+    setTargets([...targets, { stat: getAllStats()[0], value: 0 }]);
+    setSolution(null);
+  };
+
+  const removeTarget = (index) => {
+    setTargets(targets.filter((_, i) => i !== index));
+    setSolution(null);
+  };
+
+  const handleSolve = () => {
+    setSolution(solveStatTargets(character, targets, { plan, bondedStats }));
+  };
+
+  const describeFreePoints = (result) => {
+    if (result.freePoints.length === 0) {
+      return result.freePointsBlockedBy
+        ? `Redirected to ${getStatDisplayName(result.freePointsBlockedBy)}`
+        : 'Unreachable';
+    }
+    return result.freePoints
+      .map(option => `+${option.points} ${getStatDisplayName(option.stat)}`)
+      .join(' or ');
+  };
+
+  return (
+    <Box>
+      <Typography variant="body2" sx={{ mb: 2, color: 'text.secondary' }}>
+        Targets are solved at level {plan.targetLevel} using the plan from the Projection tab
+        (class, traits and planned titles). Each answer on its own reaches the target.
+      </Typography>
+
+      {targets.map((target, index) => (
+        <Box key={index} sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1.5 }}>
+          <FormControl size="small" sx={{ minWidth: 150 }}>
+            <InputLabel>Stat</InputLabel>
+            <Select
+              value={target.stat}
+              onChange={(e) => updateTarget(index, { stat: e.target.value })}
+              label="Stat"
+            >
+              {getAllStats().map(stat => (
+                <MenuItem key={stat} value={stat}>
+                  {getStatDisplayName(stat)}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <Typography sx={{ fontFamily: 'monospace' }}>≥</Typography>
+          <TextField
+            type="number"
+            label="Target"
+            value={target.value}
+            onChange={(e) => updateTarget(index, { value: Number(e.target.value) || 0 })}
+            size="small"
+            sx={{ width: 120 }}
+            inputProps={{ min: 0 }}
+          />
+          <IconButton size="small" color="error" onClick={() => removeTarget(index)} disabled={targets.length === 1}>
+            <DeleteIcon fontSize="small" />
+          </IconButton>
+        </Box>
+      ))}
+
+      <Box sx={{ display: 'flex', gap: 1, mt: 1, mb: 3 }}>
+        <Button startIcon={<AddIcon />} onClick={addTarget} size="small" variant="outlined">
+          Add Target
+        </Button>
+        <Button startIcon={<SolveIcon />} onClick={handleSolve} size="small" variant="contained">
+          Solve
+        </Button>
+      </Box>
+
+      {solution && (
+        <>
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Target</TableCell>
+                  <TableCell align="right">At Lvl {solution.level}</TableCell>
+                  {showFreePoints && <TableCell>Free Points</TableCell>}
+                  <TableCell>Title Bonus</TableCell>
+                  <TableCell>Title Multiplier</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {solution.targets.map((result, index) => (
+                  <TableRow key={index}>
+                    <TableCell>
+                      {getStatDisplayName(result.stat)} ≥ {result.value}
+                    </TableCell>
+                    <TableCell
+                      align="right"
+                      sx={{ fontFamily: '"JetBrains Mono", monospace', color: result.met ? 'success.main' : accentColor }}
+                    >
+                      {result.projected}
+                      {!result.met && (
+                        <Typography component="span" variant="caption" sx={{ display: 'block', color: 'error.main' }}>
+                          {result.shortfall} short
+                        </Typography>
+                      )}
+                    </TableCell>
+                    {showFreePoints && (
+                      <AnswerCell met={result.met}>{describeFreePoints(result)}</AnswerCell>
+                    )}
+                    <AnswerCell met={result.met}>
+                      {result.titleAdditive === null ? 'Unreachable' : `+${result.titleAdditive}`}
+                    </AnswerCell>
+                    <AnswerCell met={result.met}>
+                      {result.titleMultiplier === null ? 'Unreachable' : `${result.titleMultiplier} (×${(1 + result.titleMultiplier).toFixed(2)})`}
+                    </AnswerCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+
+          <Alert severity={solution.levelNeeded !== null ? 'info' : 'warning'} sx={{ mt: 2 }}>
+            {solution.levelNeeded !== null
+              ? `With no other changes, every target is reached at level ${solution.levelNeeded}.`
+              : 'Levelling alone does not reach every target within the next 300 levels.'}
+          </Alert>
+
+          {showFreePoints && solution.combined.total > 0 && (
+            <Alert severity={solution.combined.meetsAll ? 'success' : 'warning'} sx={{ mt: 2 }}>
+              All targets with free points:{' '}
+              {Object.entries(solution.combined.freePoints)
+                .map(([stat, points]) => `+${points} ${getStatDisplayName(stat)}`)
+                .join(', ')}
+              {' '}({solution.combined.total} points
+              {solution.combined.available !== null && `, ${solution.combined.available} available at level ${solution.level}`})
+              {!solution.combined.meetsAll && ' - not enough together, check the table above.'}
+            </Alert>
+          )}
+        </>
+      )}
+    </Box>
+  );
+}
+
+export default StatSolverPanel;
@@ -0,0 +1,255 @@
+/**
+ * Stat Timeline Component
+ *
+ * ============================================================================
+ * TEMPLATE NOTE FOR DEVELOPERS:
+ * ============================================================================
+ * Shared by BasicStats (class history) and Companion (evolutions). Shows
+ * every stat at every level as a line chart and a table, with markers where
+ * snapshots, class/evolution changes and acquired traits/titles/boosts fall.
+ *
+ * All numbers come from utils/statTimeline.js. The chart is plain SVG so the
+ * app doesn't need a charting dependency.
+ * ============================================================================
+ */
+
+import React, { useState, useMemo } from 'react';
+import {
+  Box,
+  Typography,
+  TextField,
+  Chip,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+} from '@mui/material';
+import { getAllStats, getStatDisplayName, getStatAbbreviation } from '../utils/statCalculator';
+import {
+  calculateStatTimeline,
+  getTimelineMax,
+  TIMELINE_MARKER_TYPES,
+} from '../utils/statTimeline';
+
+// Line colours, assigned to stats in config order
+const LINE_COLORS = ['#E57373', '#FFB74D', '#FFF176', '#81C784', '#4FC3F7', '#C9A227', '#BA68C8', '#F06292', '#4DB6AC', '#90A4AE'];
+
+const CHART = { width: 800, height: 280, left: 50, right: 16, top: 16, bottom: 28 };
+
+function TimelineChart({ rows, markers, stats, colors, selectedLevel, onSelectLevel }) {
+  const plotWidth = CHART.width - CHART.left - CHART.right;
+  const plotHeight = CHART.height - CHART.top - CHART.bottom;
+  const lastLevel = rows.length > 0 ? rows[rows.length - 1].level : 1;
+  const maxValue = Math.max(1, getTimelineMax(rows, stats));
+
+  const x = (level) => CHART.left + (lastLevel > 1 ? ((level - 1) / (lastLevel - 1)) * plotWidth : plotWidth / 2);
+  const y = (value) => CHART.top + plotHeight - (value / maxValue) * plotHeight;
+
+  const levelStep = Math.max(1, Math.ceil(lastLevel / 10 / 5) * 5);
+  const levelTicks = rows.filter(row => row.level === 1 || row.level % levelStep === 0).map(row => row.level);
+  const valueTicks = [0, Math.round(maxValue / 2), maxValue];
+  const slotWidth = plotWidth / Math.max(1, rows.length);
+
+  return (
+    <Box component="svg" viewBox={`0 0 ${CHART.width} ${CHART.height}`} sx={{ width: '100%', display: 'block' }}>
+      {/* Axes and grid */}
+      {valueTicks.map(value => (
+        <g key={`v${value}`}>
+          <line x1={CHART.left} x2={CHART.width - CHART.right} y1={y(value)} y2={y(value)} stroke="rgba(255,255,255,0.08)" />
+          <text x={CHART.left - 6} y={y(value) + 4} textAnchor="end" fontSize="11" fill="rgba(255,255,255,0.5)">
+            {value}
+          </text>
+        </g>
+      ))}
+      {levelTicks.map(level => (
+        <text key={`l${level}`} x={x(level)} y={CHART.height - 8} textAnchor="middle" fontSize="11" fill="rgba(255,255,255,0.5)">
+          {level}
+        </text>
+      ))}
+
+      {/* Event markers */}
+      {markers.map((marker, index) => (
+        <line
+          key={`m${index}`}
+          x1={x(marker.level)}
+          x2={x(marker.level)}
+          y1={CHART.top}
+          y2={CHART.top + plotHeight}
+          stroke={TIMELINE_MARKER_TYPES[marker.type]?.color}
+          strokeDasharray="4 3"
+          strokeWidth="1.5"
+        >
+          <title>{`Lvl ${marker.level}: ${TIMELINE_MARKER_TYPES[marker.type]?.label} - ${marker.label}`}</title>
+        </line>
+      ))}
+
+      {/* Stat lines */}
+      {stats.map(stat => (
+        <polyline
+          key={stat}
+          fill="none"
+          stroke={colors[stat]}
+          strokeWidth="2"
+          points={rows.map(row => `${x(row.level)},${y(row.stats[stat] || 0)}`).join(' ')}
+        />
+      ))}
+
+      {/* Selected level */}
+      {selectedLevel && selectedLevel <= lastLevel && (
+        <line
+          x1={x(selectedLevel)}
+          x2={x(selectedLevel)}
+          y1={CHART.top}
+          y2={CHART.top + plotHeight}
+          stroke="rgba(255,255,255,0.6)"
+        />
+      )}
+
+      {/* Hover targets, one per level */}
+      {rows.map(row => (
+        <rect
+          key={`h${row.level}`}
+          x={x(row.level) - slotWidth / 2}
+          y={CHART.top}
+          width={slotWidth}
+          height={plotHeight}
+          fill="transparent"
+          onMouseEnter={() => onSelectLevel(row.level)}
+        />
+      ))}
+    </Box>
+  );
+}
+
+function StatTimeline({ character, classLabel = 'Class' }) {
+  const allStats = getAllStats();
+  const [visibleStats, setVisibleStats] = useState(allStats);
+  const [selectedLevel, setSelectedLevel] = useState(null);
+
+  const timeline = useMemo(() => calculateStatTimeline(character), [character]);
+
+  const colors = {};
+  allStats.forEach((stat, index) => {
+    colors[stat] = LINE_COLORS[index % LINE_COLORS.length];
+  });
+
+  const toggleStat = (stat) => {
+    setVisibleStats(prev => (prev.includes(stat) ? prev.filter(s => s !== stat) : [...prev, stat]));
+  };
+
+  const selectedRow = timeline.rows.find(row => row.level === selectedLevel);
+  const markerLabel = (marker) =>
+    marker.type === 'class' ? `${classLabel}: ${marker.label}` : `${TIMELINE_MARKER_TYPES[marker.type].label}: ${marker.label}`;
+
+  if (timeline.rows.length === 0) {
+    return <Typography color="text.secondary">No levels to show yet.</Typography>;
+  }
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mb: 2 }}>
+        {allStats.map(stat => (
+          <Chip
+            key={stat}
+            label={getStatDisplayName(stat)}
+            size="small"
+            onClick={() => toggleStat(stat)}
+            variant={visibleStats.includes(stat) ? 'filled' : 'outlined'}
+            sx={{
+              bgcolor: visibleStats.includes(stat) ? colors[stat] : 'transparent',
+              color: visibleStats.includes(stat) ? '#111' : 'text.secondary',
+              borderColor: colors[stat],
+            }}
+          />
+        ))}
+      </Box>
+
+      <TimelineChart
+        rows={timeline.rows}
+        markers={timeline.markers}
+        stats={allStats.filter(stat => visibleStats.includes(stat))}
+        colors={colors}
+        selectedLevel={selectedLevel}
+        onSelectLevel={setSelectedLevel}
+      />
+
+      <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', mt: 1, mb: 2 }}>
+        {Object.entries(TIMELINE_MARKER_TYPES).map(([type, { label, color }]) => (
+          <Typography key={type} variant="caption" sx={{ color }}>
+            ┆ {type === 'class' ? `${classLabel} change` : label}
+          </Typography>
+        ))}
+      </Box>
+
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 2 }}>
+        <TextField
+          type="number"
+          label="Level"
+          size="small"
+          value={selectedLevel || ''}
+          onChange={(e) => setSelectedLevel(Number(e.target.value) || null)}
+          inputProps={{ min: 1, max: timeline.rows.length }}
+          sx={{ width: 100 }}
+        />
+        <Typography variant="body2" sx={{ fontFamily: '"JetBrains Mono", monospace' }}>
+          {selectedRow
+            ? allStats.map(stat => `${getStatAbbreviation(stat)} ${selectedRow.stats[stat] || 0}`).join(' · ')
+            : 'Hover the chart or enter a level'}
+        </Typography>
+      </Box>
+
+      <TableContainer sx={{ maxHeight: 360 }}>
+        <Table size="small" stickyHeader>
+          <TableHead>
+            <TableRow>
+              <TableCell>Lvl</TableCell>
+              {allStats.map(stat => (
+                <TableCell key={stat} align="right">{getStatAbbreviation(stat)}</TableCell>
+              ))}
+              <TableCell>Events</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {timeline.rows.map(row => (
+              <TableRow
+                key={row.level}
+                hover
+                selected={row.level === selectedLevel}
+                onClick={() => setSelectedLevel(row.level)}
+                sx={{ cursor: 'pointer', bgcolor: row.markers.length > 0 ? 'rgba(201, 162, 39, 0.06)' : 'inherit' }}
+              >
+                <TableCell>{row.level}</TableCell>
+                {allStats.map(stat => (
+                  <TableCell key={stat} align="right" sx={{ fontFamily: '"JetBrains Mono", monospace', fontSize: '0.8rem' }}>
+                    {row.stats[stat] || 0}
+                  </TableCell>
+                ))}
+                <TableCell sx={{ fontSize: '0.75rem' }}>
+                  {row.markers.map((marker, index) => (
+                    <Typography
+                      key={index}
+                      variant="caption"
+                      sx={{ display: 'block', color: TIMELINE_MARKER_TYPES[marker.type].color }}
+                    >
+                      {markerLabel(marker)}
+                    </Typography>
+                  ))}
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      <Typography variant="caption" sx={{ display: 'block', mt: 1.5, color: 'text.secondary' }}>
+        Bond values are not included. Manual free points only count after the latest snapshot.
+        {timeline.untimedItems > 0 &&
+          ` ${timeline.untimedItems} trait/title/boost entries have no "Acquired at Level" and only count from the latest snapshot on.`}
+      </Typography>
+    </Box>
+  );
+}
+
+export default StatTimeline;
@@ -0,0 +1,315 @@
+/**
+ * Status Import Dialog Component
+ *
+ * ============================================================================
+ * TEMPLATE NOTE FOR DEVELOPERS:
+ * ============================================================================
+ * Paste one or more status screens (the *** blocks the Output tab prints, or
+ * ones written by hand before the app existed) and pick which differences to
+ * take over. Parsing and applying live in utils/statusParser.js; this dialog
+ * only matches screens to characters and collects the choices.
+ *
+ * Every screen is matched to main or a companion by name (by order if no
+ * name matches). Removals start unticked - older screens often leave things
+ * out. The result can go into the current state (undo works as for any
+ * edit) or into a new snapshot, leaving the current state alone.
+ * ============================================================================
+ */
+
+import React, { useState, useMemo, useCallback } from 'react';
+import {
+  Box,
+  Button,
+  TextField,
+  MenuItem,
+  Typography,
+  Checkbox,
+  FormControlLabel,
+  Alert,
+  Chip,
+  Divider,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+} from '@mui/material';
+import axios from 'axios';
+import { useCharacter } from '../context/CharacterContext';
+import { getApiBase, getCompanionEntries } from '../config/characterConfig';
+import { computeCharacterStats } from '../utils/computeStats';
+import { SCHEMA_VERSION } from '../utils/dataSchema';
+import { parseStatusScreens, diffStatusScreen, applyStatusChanges } from '../utils/statusParser';
+import { guessChapterFromName } from './SnapshotDetailsDialog';
+
+const SKIP = '';
+
+// Removals are opt-in; everything else is picked by default
+const isRemoval = (change) => /Removed$/.test(change.type);
+
+function ChangeRow({ change, checked, onToggle }) {
+  const hasValues = change.before !== undefined || change.after !== undefined;
+  return (
+    <FormControlLabel
+      sx={{ display: 'flex', ml: 0 }}
+      control={<Checkbox size="small" checked={checked} onChange={onToggle} />}
+      label={
+        <Typography variant="body2">
+          {change.label}
+          {hasValues && (
+            <Box component="span" sx={{ fontFamily: '"JetBrains Mono", monospace', color: 'text.secondary', ml: 1 }}>
+              {change.before ?? '—'} → {change.after ?? '—'}
+            </Box>
+          )}
+        </Typography>
+      }
+    />
+  );
+}
+
+function StatusImportDialog({ open, onClose, onSnapshotSaved }) {
+  const { main, companions, updateMain, updateCompanionById, showNotification } = useCharacter();
+  const [text, setText] = useState('');
+  const [screens, setScreens] = useState([]);
+  const [targets, setTargets] = useState([]);
+  const [unpicked, setUnpicked] = useState(new Set());
+  const [snapshotName, setSnapshotName] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const state = useMemo(() => ({ main, ...companions }), [main, companions]);
+  const characters = useMemo(() => [
+    { key: 'main', label: main?.name || 'Main', data: main },
+    ...getCompanionEntries(state)
+      .filter(entry => entry.data)
+      .map(entry => ({ key: entry.id, label: entry.data.name || entry.name, data: entry.data })),
+  ], [main, state]);
+  const computed = useMemo(() => computeCharacterStats(state), [state]);
+
+  const characterOf = useCallback((key) => characters.find(character => character.key === key), [characters]);
+
+  // Changes from a screen to the character it's matched to
+  const diffFor = useCallback((screen, key) => {
+    const character = characterOf(key);
+    if (!character) return [];
+    return diffStatusScreen(
+      character.data,
+      screen,
+      key === 'main' ? computed.main : computed.companions[key],
+      { classLabel: key === 'main' ? 'Class' : 'Evolution' },
+    );
+  }, [characterOf, computed]);
+
+  const diffs = useMemo(
+    () => screens.map((screen, index) => diffFor(screen, targets[index])),
+    [screens, targets, diffFor]
+  );
+
+  const pickedChanges = (index) => diffs[index].filter(change => !unpicked.has(`${index}/${change.id}`));
+  const pickedCount = diffs.reduce((count, changes, index) => count + pickedChanges(index).length, 0);
+
+  const handleParse = () => {
+    const parsed = parseStatusScreens(text);
+    if (parsed.length === 0) {
+      showNotification('warning', 'No status screen found (expected a "Name: ... - Level ..." line)');
+      return;
+    }
+
+    // Match by name, then fill the rest in order
+    const taken = new Set();
+    const matched = parsed.map(screen => {
+      const match = characters.find(c => !taken.has(c.key) && c.data?.name?.toLowerCase() === screen.name?.toLowerCase());
+      if (match) taken.add(match.key);
+      return match?.key;
+    });
+    const nextTargets = matched.map(key => {
+      if (key) return key;
+      const free = characters.find(c => !taken.has(c.key));
+      if (!free) return SKIP;
+      taken.add(free.key);
+      return free.key;
+    });
+
+    setScreens(parsed);
+    setTargets(nextTargets);
+    setUnpicked(new Set(parsed.flatMap((screen, index) => diffFor(screen, nextTargets[index])
+      .filter(isRemoval)
+      .map(change => `${index}/${change.id}`))));
+    if (!snapshotName) setSnapshotName(`${parsed[0].name} - Level ${parsed[0].level}`);
+  };
+
+  const toggle = (id) => {
+    setUnpicked(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  const setAll = (index, picked) => {
+    setUnpicked(prev => {
+      const next = new Set(prev);
+      diffs[index].forEach(change => {
+        if (picked) next.delete(`${index}/${change.id}`);
+        else next.add(`${index}/${change.id}`);
+      });
+      return next;
+    });
+  };
+
+  // { key: updated character } for every screen with picked changes
+  const buildUpdates = () => {
+    const updates = {};
+    screens.forEach((screen, index) => {
+      const key = targets[index];
+      const changes = pickedChanges(index);
+      if (!key || changes.length === 0) return;
+      updates[key] = applyStatusChanges(updates[key] || characterOf(key).data, changes);
+    });
+    return updates;
+  };
+
+  const handleClose = () => {
+    setText('');
+    setScreens([]);
+    setTargets([]);
+    setUnpicked(new Set());
+    setSnapshotName('');
+    onClose();
+  };
+
+  const handleApply = () => {
+    const updates = buildUpdates();
+    Object.entries(updates).forEach(([key, data]) => {
+      if (key === 'main') updateMain(() => data);
+      else updateCompanionById(key, () => data);
+    });
+    showNotification('success', `Applied ${pickedCount} change${pickedCount === 1 ? '' : 's'} (undo with Ctrl+Z)`);
+    handleClose();
+  };
+
+  const handleSaveSnapshot = async () => {
+    try {
+      setBusy(true);
+      const name = snapshotName.trim();
+      const guess = guessChapterFromName(name);
+      await axios.post(`${getApiBase()}/save`, {
+        name,
+        book: guess.book || undefined,
+        chapter: guess.chapter || undefined,
+        data: { schemaVersion: SCHEMA_VERSION, ...state, ...buildUpdates() },
+      });
+      showNotification('success', `Saved: ${name}`);
+      if (onSnapshotSaved) onSnapshotSaved();
+      handleClose();
+    } catch (err) {
+      console.error('Failed to save snapshot:', err);
+      showNotification('error', err.response?.data?.error || 'Failed to save snapshot');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={handleClose} maxWidth="md" fullWidth>
+      <DialogTitle>Paste Status Screen</DialogTitle>
+      <DialogContent>
+        <TextField
+          multiline
+          fullWidth
+          minRows={6}
+          maxRows={14}
+          placeholder={'***\n\n**Status**\n\nName: ... - Level ...\n\n...\n\n***'}
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          InputProps={{ sx: { fontFamily: '"JetBrains Mono", monospace', fontSize: '0.85rem' } }}
+          sx={{ mt: 1, mb: 1 }}
+        />
+        <Button variant="outlined" onClick={handleParse} disabled={!text.trim()} sx={{ mb: 2 }}>
+          Parse
+        </Button>
+
+        {screens.map((screen, index) => {
+          const changes = diffs[index];
+          const sections = [...new Set(changes.map(change => change.section))];
+          return (
+            <Box key={index} sx={{ mb: 3 }}>
+              <Divider sx={{ mb: 2 }} />
+              <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', flexWrap: 'wrap', mb: 1 }}>
+                <Typography variant="h6">{screen.name} - Level {screen.level}</Typography>
+                <TextField
+                  select
+                  size="small"
+                  label="Apply to"
+                  value={targets[index] || SKIP}
+                  onChange={(e) => setTargets(prev => prev.map((key, i) => (i === index ? e.target.value : key)))}
+                  sx={{ minWidth: 180 }}
+                >
+                  <MenuItem value={SKIP}>Skip this screen</MenuItem>
+                  {characters.map(character => (
+                    <MenuItem key={character.key} value={character.key}>{character.label}</MenuItem>
+                  ))}
+                </TextField>
+                {changes.length > 0 && (
+                  <>
+                    <Button size="small" onClick={() => setAll(index, true)}>All</Button>
+                    <Button size="small" onClick={() => setAll(index, false)}>None</Button>
+                  </>
+                )}
+              </Box>
+
+              {screen.warnings.length > 0 && (
+                <Alert severity="warning" sx={{ mb: 1 }}>
+                  {screen.warnings.map((warning, i) => <div key={i}>{warning}</div>)}
+                </Alert>
+              )}
+              {targets[index] && changes.length === 0 && (
+                <Alert severity="info">Matches {characterOf(targets[index])?.label} - nothing to change.</Alert>
+              )}
+
+              {sections.map(section => (
+                <Box key={section} sx={{ mb: 1 }}>
+                  <Chip label={section} size="small" variant="outlined" sx={{ mb: 0.5 }} />
+                  {changes.filter(change => change.section === section).map(change => (
+                    <ChangeRow
+                      key={change.id}
+                      change={change}
+                      checked={!unpicked.has(`${index}/${change.id}`)}
+                      onToggle={() => toggle(`${index}/${change.id}`)}
+                    />
+                  ))}
+                </Box>
+              ))}
+            </Box>
+          );
+        })}
+
+        {pickedCount > 0 && (
+          <>
+            <Alert severity="info" sx={{ mb: 2 }}>
+              Stats are written as a level snapshot so the totals match the screen. New titles and
+              traits are added by name only - fill in their bonuses and effects afterwards.
+            </Alert>
+            <TextField
+              fullWidth
+              size="small"
+              label="Snapshot name (for Save as Snapshot)"
+              value={snapshotName}
+              onChange={(e) => setSnapshotName(e.target.value)}
+            />
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleClose}>Cancel</Button>
+        <Button onClick={handleSaveSnapshot} disabled={busy || pickedCount === 0 || !snapshotName.trim()}>
+          Save as Snapshot
+        </Button>
+        <Button variant="contained" onClick={handleApply} disabled={busy || pickedCount === 0}>
+          Apply {pickedCount > 0 ? `${pickedCount} ` : ''}to Current
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default StatusImportDialog;
@@ -0,0 +1,217 @@
+/**
+ * Status Template Editor Component
+ *
+ * ============================================================================
+ * TEMPLATE NOTE FOR DEVELOPERS:
+ * ============================================================================
+ * Panel in the Output tab for creating and editing status screen templates
+ * (utils/statusTemplates.js): section order, headings, bracket styles and
+ * spacing of the status screen, per book, without code changes.
+ *
+ * While the panel is open, every valid edit is handed to onPreview() and the
+ * Output tab's preview renders it - nothing is saved until "Save". Templates
+ * are stored per character by the server (GET/POST/PUT/DELETE /api/templates).
+ * ============================================================================
+ */
+
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  Button,
+  IconButton,
+  TextField,
+  MenuItem,
+  Alert,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+} from '@mui/material';
+import {
+  Close as CloseIcon,
+  Save as SaveIcon,
+  Delete as DeleteIcon,
+  RestartAlt as ResetIcon,
+} from '@mui/icons-material';
+import axios from 'axios';
+import { getApiBase } from '../config/characterConfig';
+import {
+  DEFAULT_STATUS_TEMPLATE,
+  TEMPLATE_FORMAT_PREFIX,
+  TEMPLATE_VARIABLES,
+  validateTemplate,
+} from '../utils/statusTemplates';
+
+// Value of the template picker for a template that isn't saved yet
+const NEW_TEMPLATE = '';
+
+function StatusTemplateEditor({ templates, format, onPreview, onSaved, onDeleted, onClose, showNotification }) {
+  const [selectedId, setSelectedId] = useState(() => {
+    const id = format.startsWith(TEMPLATE_FORMAT_PREFIX) ? format.slice(TEMPLATE_FORMAT_PREFIX.length) : null;
+    return templates.some(template => template.id === id) ? id : NEW_TEMPLATE;
+  });
+  const saved = templates.find(template => template.id === selectedId) || null;
+  const [name, setName] = useState(saved?.name || 'New template');
+  const [body, setBody] = useState(saved?.body ?? DEFAULT_STATUS_TEMPLATE);
+  const [saving, setSaving] = useState(false);
+  const [confirmDelete, setConfirmDelete] = useState(false);
+
+  const error = useMemo(() => validateTemplate(body), [body]);
+  const isDirty = !saved || saved.name !== name || saved.body !== body;
+
+  // Preview the draft while it parses; the Output tab falls back to the chosen format otherwise
+  useEffect(() => {
+    onPreview(error ? null : { id: selectedId || 'draft', name, body });
+  }, [selectedId, name, body, error, onPreview]);
+
+  useEffect(() => () => onPreview(null), [onPreview]);
+
+  const handleSelect = (id) => {
+    const template = templates.find(t => t.id === id);
+    setSelectedId(id);
+    setName(template?.name || 'New template');
+    setBody(template?.body ?? DEFAULT_STATUS_TEMPLATE);
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      const response = saved
+        ? await axios.put(`${getApiBase()}/templates/${saved.id}`, { name, body })
+        : await axios.post(`${getApiBase()}/templates`, { name, body });
+      setSelectedId(response.data.template.id);
+      onSaved(response.data.template);
+      showNotification('success', `Template "${response.data.template.name}" saved`);
+    } catch (err) {
+      console.error('Failed to save template:', err);
+      showNotification('error', err.response?.data?.error || 'Failed to save template');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    setConfirmDelete(false);
+    try {
+      await axios.delete(`${getApiBase()}/templates/${saved.id}`);
+      onDeleted(saved);
+      handleSelect(NEW_TEMPLATE);
+      showNotification('success', 'Template deleted');
+    } catch (err) {
+      console.error('Failed to delete template:', err);
+      showNotification('error', err.response?.data?.error || 'Failed to delete template');
+    }
+  };
+
+  return (
+    <Paper sx={{ p: 3 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+        <Box>
+          <Typography variant="h6" sx={{ color: 'primary.main' }}>
+            Status Screen Templates
+          </Typography>
+          <Typography variant="body2" sx={{ color: 'text.secondary' }}>
+            The preview below follows your edits; save to use the template as an output format
+          </Typography>
+        </Box>
+        <IconButton onClick={onClose} aria-label="Close template editor">
+          <CloseIcon />
+        </IconButton>
+      </Box>
+
+      <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', flexWrap: 'wrap', mb: 2 }}>
+        <TextField
+          select
+          size="small"
+          label="Template"
+          value={selectedId}
+          onChange={(e) => handleSelect(e.target.value)}
+          sx={{ minWidth: 220 }}
+        >
+          {templates.map(template => (
+            <MenuItem key={template.id} value={template.id}>{template.name}</MenuItem>
+          ))}
+          <MenuItem value={NEW_TEMPLATE}>
+            <em>New template</em>
+          </MenuItem>
+        </TextField>
+        <TextField
+          size="small"
+          label="Name"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="e.g. Book 2 style"
+          sx={{ minWidth: 220 }}
+        />
+        <Button
+          variant="contained"
+          startIcon={<SaveIcon />}
+          onClick={handleSave}
+          disabled={saving || !!error || !name.trim() || !isDirty}
+        >
+          Save
+        </Button>
+        <Button startIcon={<ResetIcon />} onClick={() => setBody(DEFAULT_STATUS_TEMPLATE)}>
+          Start from Built-in Layout
+        </Button>
+        {saved && (
+          <Button color="error" startIcon={<DeleteIcon />} onClick={() => setConfirmDelete(true)}>
+            Delete
+          </Button>
+        )}
+      </Box>
+
+      <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap' }}>
+        <TextField
+          multiline
+          minRows={16}
+          maxRows={32}
+          value={body}
+          onChange={(e) => setBody(e.target.value)}
+          error={!!error}
+          sx={{ flex: '2 1 420px' }}
+          inputProps={{
+            spellCheck: false,
+            style: { fontFamily: '"JetBrains Mono", "Courier New", monospace', fontSize: '0.85rem' },
+          }}
+        />
+        <Box sx={{ flex: '1 1 260px' }}>
+          <Typography variant="subtitle2" sx={{ mb: 1 }}>Values</Typography>
+          {TEMPLATE_VARIABLES.map(variable => (
+            <Typography key={variable.name} variant="body2" sx={{ mb: 0.5, color: 'text.secondary' }}>
+              <Box component="code" sx={{ color: 'text.primary' }}>{variable.name}</Box> - {variable.description}
+            </Typography>
+          ))}
+          <Typography variant="subtitle2" sx={{ mt: 2, mb: 1 }}>Tags</Typography>
+          <Typography variant="body2" sx={{ color: 'text.secondary' }}>
+            <code>{'{{#each activeSkills}}…{{/each}}'}</code> loops (inside: <code>{'{{name}}'}</code>,{' '}
+            <code>{'{{this}}'}</code>, <code>{'{{@number}}'}</code>, <code>{'{{@last}}'}</code>);{' '}
+            <code>{'{{#if advancement}}…{{else}}…{{/if}}'}</code> and <code>{'{{#unless …}}'}</code>;{' '}
+            <code>{'{{! comment }}'}</code>. A tag alone on its line doesn&apos;t leave a blank line.
+          </Typography>
+        </Box>
+      </Box>
+
+      {error && <Alert severity="error" sx={{ mt: 2 }}>{error}</Alert>}
+
+      <Dialog open={confirmDelete} onClose={() => setConfirmDelete(false)}>
+        <DialogTitle>Delete Template?</DialogTitle>
+        <DialogContent>
+          <Typography>
+            Are you sure you want to delete "{saved?.name}"? This action cannot be undone.
+          </Typography>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setConfirmDelete(false)}>Cancel</Button>
+          <Button color="error" variant="contained" onClick={handleDelete}>
+            Delete
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Paper>
+  );
+}
+
+export default StatusTemplateEditor;
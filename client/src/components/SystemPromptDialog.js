@@ -0,0 +1,311 @@
+/**
+ * System Prompt Dialog Component
+ *
+ * ============================================================================
+ * TEMPLATE NOTE FOR DEVELOPERS:
+ * ============================================================================
+ * The one dialog every tab uses to copy a story "system" prompt (skill
+ * offered, title earned, level up, ...) for pasting into Notion. The texts
+ * come from the prompt library (utils/systemPrompts.js, GET /api/prompts),
+ * filled in for the given character and subject.
+ *
+ * Usage:
+ *   <SystemPromptDialog open type="title_earned" character={main}
+ *     subject={{ title }} onClose={...} onCopySuccess={...} />
+ *
+ * "Edit" changes the text of the prompt shown (a built-in prompt can be reset
+ * to its original text later) or saves it as an extra prompt of the same
+ * type; types with several prompts get a picker.
+ * ============================================================================
+ */
+
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  TextField,
+  MenuItem,
+  Alert,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+} from '@mui/material';
+import {
+  ContentCopy as CopyIcon,
+  Edit as EditIcon,
+  Save as SaveIcon,
+  Delete as DeleteIcon,
+  RestartAlt as ResetIcon,
+} from '@mui/icons-material';
+import axios from 'axios';
+import { useCharacter } from '../context/CharacterContext';
+import { getApiBase } from '../config/characterConfig';
+import { validateTemplate } from '../utils/statusTemplates';
+import {
+  PROMPT_TYPES,
+  PROMPT_VARIABLES,
+  getBuiltInPrompts,
+  buildPromptContext,
+  renderPrompt,
+} from '../utils/systemPrompts';
+
+const monospace = '"JetBrains Mono", "Courier New", monospace';
+
+// Who or what the prompt is about, for the dialog text
+const getSubjectName = (character, subject = {}) => {
+  const { skill, title, trait, classEntry, item } = subject;
+  return (skill || title || trait || classEntry || item)?.name || character?.name || '';
+};
+
+function SystemPromptDialog({ open, onClose, type, character, subject, onCopySuccess }) {
+  const { serverChanges, showNotification } = useCharacter();
+  const [prompts, setPrompts] = useState([]);
+  const [selectedId, setSelectedId] = useState(type);
+  const [editing, setEditing] = useState(false);
+  const [draftName, setDraftName] = useState('');
+  const [draftBody, setDraftBody] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [confirmDelete, setConfirmDelete] = useState(false);
+
+  const promptType = PROMPT_TYPES[type];
+
+  const fetchPrompts = useCallback(async () => {
+    try {
+      const response = await axios.get(`${getApiBase()}/prompts`, { params: { type } });
+      setPrompts(response.data);
+    } catch (err) {
+      // Without the library the built-in texts still work
+      console.error('Failed to load prompts:', err);
+      setPrompts(getBuiltInPrompts().filter(prompt => prompt.type === type));
+    }
+  }, [type]);
+
+  useEffect(() => {
+    if (open) fetchPrompts();
+  }, [open, fetchPrompts, serverChanges.prompts]);
+
+  // Every opening starts on the built-in prompt of the type, not editing
+  useEffect(() => {
+    if (open) {
+      setSelectedId(type);
+      setEditing(false);
+    }
+  }, [open, type]);
+
+  const selected = prompts.find(prompt => prompt.id === selectedId) || prompts[0] || null;
+
+  const context = useMemo(() => buildPromptContext(character, subject), [character, subject]);
+  const draftError = useMemo(() => (editing ? validateTemplate(draftBody) : null), [editing, draftBody]);
+
+  const preview = useMemo(() => {
+    if (editing) return draftError ? '' : renderPrompt({ body: draftBody }, context);
+    return selected ? renderPrompt(selected, context) : '';
+  }, [editing, draftBody, draftError, selected, context]);
+
+  const startEditing = () => {
+    setDraftName(selected?.name || promptType?.label || '');
+    setDraftBody(selected?.body || '');
+    setEditing(true);
+  };
+
+  const handleSave = async (asNew) => {
+    try {
+      setSaving(true);
+      const response = asNew
+        ? await axios.post(`${getApiBase()}/prompts`, { type, name: draftName, body: draftBody })
+        : await axios.put(`${getApiBase()}/prompts/${selected.id}`, { name: draftName, body: draftBody });
+      await fetchPrompts();
+      setSelectedId(response.data.prompt.id);
+      setEditing(false);
+      showNotification('success', `Prompt "${response.data.prompt.name}" saved`);
+    } catch (err) {
+      console.error('Failed to save prompt:', err);
+      showNotification('error', err.response?.data?.error || 'Failed to save prompt');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Deletes an added prompt; an edited built-in prompt goes back to its original text
+  const handleDelete = async () => {
+    setConfirmDelete(false);
+    try {
+      const response = await axios.delete(`${getApiBase()}/prompts/${selected.id}`);
+      await fetchPrompts();
+      if (!response.data.reset) setSelectedId(type);
+      setEditing(false);
+      showNotification('success', response.data.reset ? 'Prompt reset' : 'Prompt deleted');
+    } catch (err) {
+      console.error('Failed to delete prompt:', err);
+      showNotification('error', err.response?.data?.error || 'Failed to delete prompt');
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(preview);
+      onCopySuccess?.('Prompt copied to clipboard!');
+      onClose();
+    } catch (err) {
+      console.error('Failed to copy:', err);
+    }
+  };
+
+  const variables = [
+    ...PROMPT_VARIABLES.common,
+    ...(PROMPT_VARIABLES[promptType?.subject] || []),
+  ];
+  const canDelete = selected && (!selected.builtIn || selected.customized);
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle sx={{ color: 'primary.main' }}>
+        {promptType ? `${promptType.label} Prompt` : 'System Prompt'}
+      </DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" sx={{ mb: 2, color: 'text.secondary' }}>
+          Copy this prompt for <strong>{getSubjectName(character, subject)}</strong> and paste into Notion.
+        </Typography>
+
+        {prompts.length > 1 && !editing && (
+          <TextField
+            select
+            size="small"
+            label="Prompt"
+            value={selected?.id || ''}
+            onChange={(e) => setSelectedId(e.target.value)}
+            sx={{ minWidth: 260, mb: 2 }}
+          >
+            {prompts.map(prompt => (
+              <MenuItem key={prompt.id} value={prompt.id}>
+                {prompt.name}{prompt.builtIn && prompt.customized ? ' (edited)' : ''}
+              </MenuItem>
+            ))}
+          </TextField>
+        )}
+
+        {editing && (
+          <Box sx={{ mb: 2 }}>
+            <TextField
+              size="small"
+              label="Name"
+              value={draftName}
+              onChange={(e) => setDraftName(e.target.value)}
+              sx={{ minWidth: 260, mb: 2 }}
+            />
+            <TextField
+              multiline
+              fullWidth
+              minRows={8}
+              maxRows={20}
+              value={draftBody}
+              onChange={(e) => setDraftBody(e.target.value)}
+              error={!!draftError}
+              inputProps={{ spellCheck: false, style: { fontFamily: monospace, fontSize: '0.85rem' } }}
+            />
+            {draftError && <Alert severity="error" sx={{ mt: 1 }}>{draftError}</Alert>}
+            <Typography variant="subtitle2" sx={{ mt: 2, mb: 1 }}>Values</Typography>
+            {variables.map(variable => (
+              <Typography key={variable.name} variant="body2" sx={{ mb: 0.5, color: 'text.secondary' }}>
+                <Box component="code" sx={{ color: 'text.primary' }}>{variable.name}</Box> - {variable.description}
+              </Typography>
+            ))}
+            <Typography variant="body2" sx={{ mt: 1, color: 'text.secondary' }}>
+              Same tags as status screen templates: <code>{'{{skillName}}'}</code>,{' '}
+              <code>{'{{#each statGains}}…{{/each}}'}</code>, <code>{'{{#if …}}…{{/if}}'}</code>.
+            </Typography>
+          </Box>
+        )}
+
+        <Box
+          component="pre"
+          sx={{
+            fontFamily: monospace,
+            fontSize: '0.9rem',
+            lineHeight: 1.6,
+            whiteSpace: 'pre-wrap',
+            wordBreak: 'break-word',
+            color: 'text.primary',
+            m: 0,
+            p: 2,
+            bgcolor: 'rgba(0, 0, 0, 0.3)',
+            borderRadius: 1,
+            border: '1px solid',
+            borderColor: 'divider',
+            maxHeight: '400px',
+            overflow: 'auto',
+          }}
+        >
+          {preview}
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        {editing ? (
+          <>
+            <Button onClick={() => setEditing(false)}>Cancel</Button>
+            <Button
+              onClick={() => handleSave(true)}
+              disabled={saving || !!draftError || !draftName.trim()}
+            >
+              Save as New
+            </Button>
+            <Button
+              onClick={() => handleSave(false)}
+              variant="contained"
+              startIcon={<SaveIcon />}
+              disabled={saving || !!draftError || !draftName.trim() || !selected}
+            >
+              Save
+            </Button>
+          </>
+        ) : (
+          <>
+            {canDelete && (
+              <Button
+                color="error"
+                startIcon={selected.builtIn ? <ResetIcon /> : <DeleteIcon />}
+                onClick={() => setConfirmDelete(true)}
+                sx={{ mr: 'auto' }}
+              >
+                {selected.builtIn ? 'Reset to Default' : 'Delete'}
+              </Button>
+            )}
+            <Button startIcon={<EditIcon />} onClick={startEditing} disabled={!selected}>
+              Edit
+            </Button>
+            <Button onClick={onClose}>Close</Button>
+            <Button
+              onClick={handleCopy}
+              variant="contained"
+              startIcon={<CopyIcon />}
+              sx={{ bgcolor: 'success.main', '&:hover': { bgcolor: 'success.dark' } }}
+            >
+              Copy to Clipboard
+            </Button>
+          </>
+        )}
+      </DialogActions>
+
+      <Dialog open={confirmDelete} onClose={() => setConfirmDelete(false)}>
+        <DialogTitle>{selected?.builtIn ? 'Reset Prompt?' : 'Delete Prompt?'}</DialogTitle>
+        <DialogContent>
+          <Typography>
+            {selected?.builtIn
+              ? `Are you sure you want to reset "${selected?.name}" to its original text? Your edits will be lost.`
+              : `Are you sure you want to delete "${selected?.name}"? This action cannot be undone.`}
+          </Typography>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setConfirmDelete(false)}>Cancel</Button>
+          <Button color="error" variant="contained" onClick={handleDelete}>
+            {selected?.builtIn ? 'Reset' : 'Delete'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Dialog>
+  );
+}
+
+export default SystemPromptDialog;
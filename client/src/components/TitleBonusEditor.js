@@ -0,0 +1,126 @@
+/**
+ * Title Bonus Editor Component
+ *
+ * ============================================================================
+ * TEMPLATE NOTE FOR DEVELOPERS:
+ * ============================================================================
+ * Edits a title's bonuses array ([{ stat, additive, multiplier }]). Used by
+ * the Titles tab and by the what-if simulator for planned titles. The stat
+ * list comes from config.stats via getAllStats().
+ * ============================================================================
+ */
+
+import React from 'react';
+import {
+  Box,
+  Typography,
+  TextField,
+  Button,
+  IconButton,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  Tooltip,
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Delete as DeleteIcon,
+} from '@mui/icons-material';
+import { getAllStats, getStatDisplayName } from '../utils/statCalculator';
+
+// Built on demand so the list follows config.stats once config has loaded
+const getStatOptions = () => getAllStats().map((key) => ({
+  value: key,
+  label: getStatDisplayName(key),
+}));
+
+function TitleBonusEditor({ bonuses, onChange }) {
+  const addBonus = () => {
+    onChange([...bonuses, { stat: getAllStats()[0], additive: 0, multiplier: 0 }]);
+  };
+
+  const updateBonus = (index, field, value) => {
+    const newBonuses = [...bonuses];
+    newBonuses[index] = { ...newBonuses[index], [field]: value };
+    onChange(newBonuses);
+  };
+
+  const removeBonus = (index) => {
+    onChange(bonuses.filter((_, i) => i !== index));
+  };
+
+  return (
+    <Box sx={{ mt: 2 }}>
+      <Typography variant="subtitle2" sx={{ mb: 1, color: 'text.secondary' }}>
+        Stat Bonuses
+      </Typography>
+      <Typography variant="caption" sx={{ display: 'block', mb: 2, color: 'text.disabled' }}>
+        Additive bonuses add flat values. Multipliers apply as (1 + value), e.g., 0.5 = +50%.
+      </Typography>
+      
+      {bonuses.map((bonus, index) => (
+        <Box key={index} sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1.5, flexWrap: 'wrap' }}>
+          <FormControl size="small" sx={{ minWidth: 130 }}>
+            <InputLabel>Stat</InputLabel>
+            <Select
+              value={bonus.stat}
+              onChange={(e) => updateBonus(index, 'stat', e.target.value)}
+              label="Stat"
+            >
+              {getStatOptions().map((option) => (
+                <MenuItem key={option.value} value={option.value}>
+                  {option.label}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          
+          <Tooltip title="Flat bonus added to stat" arrow>
+            <TextField
+              type="number"
+              label="Additive (+)"
+              value={bonus.additive || bonus.value || 0}
+              onChange={(e) => updateBonus(index, 'additive', Number(e.target.value) || 0)}
+              size="small"
+              sx={{ width: 110 }}
+              inputProps={{ step: 1 }}
+            />
+          </Tooltip>
+          
+          <Tooltip title="Multiplier bonus (0.5 = +50%)" arrow>
+            <TextField
+              type="number"
+              label="Multiplier (×)"
+              value={bonus.multiplier || 0}
+              onChange={(e) => updateBonus(index, 'multiplier', Number(e.target.value) || 0)}
+              size="small"
+              sx={{ width: 120 }}
+              inputProps={{ step: 0.1, min: 0 }}
+            />
+          </Tooltip>
+          
+          <IconButton
+            onClick={() => removeBonus(index)}
+            size="small"
+            color="error"
+          >
+            <DeleteIcon fontSize="small" />
+          </IconButton>
+        </Box>
+      ))}
+      
+      <Button
+        startIcon={<AddIcon />}
+        onClick={addBonus}
+        size="small"
+        variant="outlined"
+        sx={{ mt: 1 }}
+      >
+        Add Bonus
+      </Button>
+    </Box>
+  );
+}
+
+export default TitleBonusEditor;
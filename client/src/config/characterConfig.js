@@ -9,12 +9,13 @@
  * 
  * 1. Edit /config/character.json to set character names and features
  * 2. The app will automatically adapt to use those names
- * 3. Set companion.enabled = false if the character has no companion
+ * 3. List companions in config.companions (or set companion.enabled = false
+ *    if the character has no companion)
  * 
  * When adding NEW FEATURES, consider:
  * - Should this feature be toggle-able in the config?
  * - Does it apply to main character, companion, or both?
- * - Use getMainName()/getCompanionName() instead of hardcoded names
+ * - Use getMainName()/getCompanionName(id) instead of hardcoded names
  * ============================================================================
  */
 
@@ -37,6 +38,34 @@ const defaultConfig = {
     enabled: false,
     syncRules: []
   },
+  stats: {
+    groups: [
+      {
+        id: "physical",
+        label: "Physical Stats",
+        stats: [
+          { key: "strength", name: "Strength", icon: "FitnessCenter" },
+          { key: "agility", name: "Agility", icon: "Bolt" },
+          { key: "constitution", name: "Constitution", icon: "Shield" },
+          { key: "vitality", name: "Vitality", icon: "Favorite" }
+        ]
+      },
+      {
+        id: "magical",
+        label: "Magical Stats",
+        stats: [
+          { key: "intellect", name: "Intellect", icon: "Psychology" },
+          { key: "willpower", name: "Willpower", icon: "Whatshot" },
+          { key: "mana", name: "Mana", icon: "AutoAwesome" },
+          { key: "wisdom", name: "Wisdom", icon: "MenuBook" }
+        ]
+      }
+    ]
+  },
+  resources: [
+    { key: "hp", name: "HP", formula: "constitution * 10", includeBond: true, icon: "LocalHospital", color: "error", actions: { reduce: "Damage", restore: "Heal" } },
+    { key: "mp", name: "MP", formula: "mana * 10", includeBond: true, icon: "Science", color: "info" }
+  ],
   features: {
     traits: true,
     titles: true,
@@ -58,13 +87,40 @@ const defaultConfig = {
 // This will be populated by the API call
 let loadedConfig = null;
 
+// Character workspace the app is showing (null = the server's default workspace)
+let activeCharacterId = null;
+
+/**
+ * Choose which character workspace API calls go to
+ * Call before CharacterProvider mounts; the config is reloaded on mount.
+ */
+export function setActiveCharacter(characterId) {
+  activeCharacterId = characterId && characterId !== 'default' ? characterId : null;
+  loadedConfig = null;
+}
+
+/**
+ * Get the active character workspace id ("default" if none was chosen)
+ */
+export function getActiveCharacter() {
+  return activeCharacterId || 'default';
+}
+
+/**
+ * Base URL for per-character API routes
+ * USE THIS instead of hardcoding '/api' so every tab works in every workspace!
+ */
+export function getApiBase() {
+  return activeCharacterId ? `/api/characters/${encodeURIComponent(activeCharacterId)}` : '/api';
+}
+
 /**
  * Load configuration from the server
- * Called once at app startup
+ * Called at app startup, and again when the config file changes on the server
  */
 export async function loadConfig() {
   try {
-    const response = await fetch('/api/config');
+    const response = await fetch(`${getApiBase()}/config`);
     if (response.ok) {
       loadedConfig = await response.json();
     }
@@ -74,6 +130,15 @@ export async function loadConfig() {
   return getConfig();
 }
 
+/**
+ * Use a configuration object directly instead of fetching it
+ * For the server and scripts, which read config/character.json themselves
+ */
+export function setConfig(config) {
+  loadedConfig = config || null;
+  return getConfig();
+}
+
 /**
  * Get the current configuration
  * Returns loaded config or defaults
@@ -82,6 +147,14 @@ export function getConfig() {
   return loadedConfig || defaultConfig;
 }
 
+/**
+ * Get the app title shown under the character's name
+ * New workspaces get "<name> Status Screen"; edit appTitle in the config to change it
+ */
+export function getAppTitle() {
+  return getConfig().appTitle || defaultConfig.appTitle;
+}
+
 /**
  * Get the main character's display name
  * USE THIS instead of hardcoding character names!
@@ -90,26 +163,92 @@ export function getMainName() {
   return getConfig().mainCharacter?.name || 'Character';
 }
 
+// ============================================================================
+// COMPANIONS - Zero or more companions, each with its own tab and data key
+// ============================================================================
+
+/**
+ * Get every enabled companion from config, in tab order
+ * Each entry: { id, name, type, bondType, pronouns, bond }
+ *
+ * TEMPLATE NOTE: config.companions is a list (entries are enabled unless
+ * "enabled": false). The older single config.companion object still works and
+ * becomes the only entry. The id is the companion's key in current.json; the
+ * first companion defaults to "companion" so existing data keeps loading.
+ */
+export function getCompanions() {
+  const config = getConfig();
+  const list = Array.isArray(config.companions)
+    ? config.companions
+    : (config.companion?.enabled === true ? [config.companion] : []);
+
+  return list
+    .map((companion, index) => companion && {
+      ...companion,
+      id: companion.id || (index === 0 ? 'companion' : `companion${index + 1}`),
+      name: companion.name || 'Companion',
+    })
+    .filter(companion => companion && companion.enabled !== false);
+}
+
+/**
+ * Get the data keys of every enabled companion, in tab order
+ */
+export function getCompanionIds() {
+  return getCompanions().map(companion => companion.id);
+}
+
+/**
+ * Get one companion's config (the first companion if no id is given)
+ */
+export function getCompanionConfig(companionId) {
+  const companions = getCompanions();
+  return (companionId ? companions.find(companion => companion.id === companionId) : companions[0]) || null;
+}
+
 /**
- * Get the companion's display name
+ * Get a companion's display name (the first companion if no id is given)
  * USE THIS instead of hardcoding companion names!
  */
-export function getCompanionName() {
-  return getConfig().companion?.name || 'Companion';
+export function getCompanionName(companionId) {
+  return getCompanionConfig(companionId)?.name || 'Companion';
 }
 
 /**
- * Check if companion feature is enabled
+ * Check if at least one companion is enabled
  */
 export function hasCompanion() {
-  return getConfig().companion?.enabled === true;
+  return getCompanions().length > 0;
+}
+
+/**
+ * Pick each enabled companion's data out of a data object
+ * The first companion also reads the generic "companion" key, so data
+ * saved before config.companions gave it another id still loads (legacy
+ * "valtherion" keys are renamed on load - see utils/dataSchema.js).
+ * @param {object} data - Contents of current.json or a snapshot's data
+ * @returns {Array} - [{ id, name, data }] in tab order (data is null if missing)
+ */
+export function getCompanionEntries(data) {
+  return getCompanions().map((companion, index) => ({
+    id: companion.id,
+    name: companion.name,
+    data: data?.[companion.id] || (index === 0 ? data?.companion : null) || null,
+  }));
 }
 
 /**
  * Check if bond/sync features are enabled
+ * Without an id: for any companion. With an id: for that companion.
+ * The top-level config.bond belongs to the first companion; any companion
+ * can also have its own "bond" block.
  */
-export function hasBond() {
-  return getConfig().bond?.enabled === true && hasCompanion();
+export function hasBond(companionId) {
+  const sharedBond = getConfig().bond?.enabled === true;
+  return getCompanions().some((companion, index) =>
+    (!companionId || companion.id === companionId) &&
+    ((index === 0 && sharedBond) || (!!companion.bond && companion.bond.enabled !== false))
+  );
 }
 
 /**
@@ -123,12 +262,115 @@ export function isFeatureEnabled(featureName) {
 }
 
 /**
- * Get bond sync rules
+ * Get bond sync rules for every companion
+ * "companion" in a rule's from/to is replaced by the id of the companion the
+ * rule belongs to, so the rules can be evaluated against
+ * { main, <companionId>: ... } in one go (see utils/bondSync.js).
  * Returns array of sync rules or empty array
  */
 export function getBondSyncRules() {
-  if (!hasBond()) return [];
-  return getConfig().bond?.syncRules || [];
+  const companions = getCompanions();
+  const sharedBond = getConfig().bond;
+
+  const scopeRule = (rule, companionId) => ({
+    ...rule,
+    from: rule.from === 'companion' ? companionId : rule.from,
+    to: rule.to === 'companion' ? companionId : rule.to,
+  });
+
+  return companions.flatMap((companion, index) => {
+    const rules = [];
+    if (index === 0 && sharedBond?.enabled === true) {
+      rules.push(...(sharedBond.syncRules || []));
+    }
+    if (companion.bond && companion.bond.enabled !== false) {
+      rules.push(...(companion.bond.syncRules || []));
+    }
+    return rules.map(rule => scopeRule(rule, companion.id));
+  });
+}
+
+// ============================================================================
+// STAT SCHEMA - Which stats exist, how they are grouped and displayed
+// ============================================================================
+
+/**
+ * Get the stat groups from config, in display order
+ * Each group: { id, label, stats: [{ key, name, abbreviation, icon }] }
+ * Falls back to the default eight-stat schema if config has none
+ */
+export function getStatGroups() {
+  const groups = getConfig().stats?.groups;
+  const source = Array.isArray(groups) && groups.length > 0 ? groups : defaultConfig.stats.groups;
+
+  return source.map(group => ({
+    id: group.id,
+    label: group.label || group.id,
+    stats: (group.stats || []).map(stat => (typeof stat === 'string' ? { key: stat } : stat)),
+  }));
+}
+
+/**
+ * Get all stat keys in display order
+ * USE THIS instead of hardcoding stat names!
+ */
+export function getAllStats() {
+  return getStatGroups().flatMap(group => group.stats.map(stat => stat.key));
+}
+
+/**
+ * Get the full definition of a stat ({ key, name, abbreviation, icon })
+ */
+export function getStatDefinition(statKey) {
+  for (const group of getStatGroups()) {
+    const stat = group.stats.find(s => s.key === statKey);
+    if (stat) return stat;
+  }
+  return { key: statKey };
+}
+
+/**
+ * Get the display name for a stat (e.g. "willpower" -> "Willpower")
+ */
+export function getStatDisplayName(statKey) {
+  const name = getStatDefinition(statKey).name;
+  if (name) return name;
+  return statKey ? statKey.charAt(0).toUpperCase() + statKey.slice(1) : '';
+}
+
+/**
+ * Get the short label for a stat, used in compact tables (e.g. "Wil")
+ */
+export function getStatAbbreviation(statKey) {
+  return getStatDefinition(statKey).abbreviation || getStatDisplayName(statKey).slice(0, 3);
+}
+
+// ============================================================================
+// DERIVED RESOURCES - HP, MP and any custom pools (Stamina, Ki, ...)
+// ============================================================================
+
+/**
+ * Get the derived resource definitions from config, in display order
+ * Each resource: { key, name, formula, rounding, includeBond, icon, color }
+ * - formula: arithmetic over final stats and "level" (see utils/formulaEvaluator.js)
+ * - rounding: "round" (default), "floor", "ceil" or "none"
+ * - includeBond: add stats received through the bond before evaluating
+ * - actions: optional labels for the quick buttons, e.g. { reduce: "Damage", restore: "Heal" }
+ */
+export function getResourceDefinitions() {
+  const resources = getConfig().resources;
+  const source = Array.isArray(resources) && resources.length > 0 ? resources : defaultConfig.resources;
+
+  return source
+    .filter(resource => resource && resource.key)
+    .map(resource => ({
+      name: resource.key.toUpperCase(),
+      formula: '0',
+      rounding: 'round',
+      includeBond: false,
+      color: 'primary',
+      ...resource,
+    }));
 }
 
 /**
@@ -140,13 +382,27 @@ export function getUIConfig() {
 
 const characterConfigExports = {
   loadConfig,
+  setConfig,
   getConfig,
+  setActiveCharacter,
+  getActiveCharacter,
+  getApiBase,
   getMainName,
+  getCompanions,
+  getCompanionIds,
+  getCompanionConfig,
   getCompanionName,
   hasCompanion,
+  getCompanionEntries,
   hasBond,
   isFeatureEnabled,
   getBondSyncRules,
+  getStatGroups,
+  getAllStats,
+  getStatDefinition,
+  getStatDisplayName,
+  getStatAbbreviation,
+  getResourceDefinitions,
   getUIConfig,
 };
 
@@ -9,7 +9,10 @@
  * 
  * NAMING CONVENTION:
  * - "main" = the primary character (e.g., Alex)
- * - "companion" = the bonded companion if any (e.g., Valtherion)
+ * - "companion" = the first bonded companion if any (e.g., Valtherion)
+ * - companions[id] = every companion from config.companions, keyed by the
+ *   companion's id (its key in current.json). useCompanion(id) gives a tab
+ *   the single-companion API (companion, updateCompanion, ...) for one of them.
  * 
  * When adding NEW FEATURES:
  * - Add update functions following the pattern: updateMain*, updateCompanion*
@@ -17,6 +20,14 @@
  * - Check hasBond() before sync/bond-specific logic
  * - Use getMainName()/getCompanionName() for display purposes
  * 
+ * Autosaves send the revision they are based on (If-Match). If another
+ * window saved in between, the server refuses with 409 and saveConflict is
+ * set until resolveSaveConflict() is called (App.js shows SaveConflictDialog).
+ * 
+ * Every edit made through the update functions is recorded for undo/redo
+ * (editHistory, undo(), redo(); kept in localStorage per workspace). States
+ * that come from elsewhere go through showState() and are not recorded.
+ * 
  * The context exposes both generic names AND legacy aliases for backwards
  * compatibility during refactoring.
  * ============================================================================
@@ -31,30 +42,125 @@ import {
   getTitleMultiplierBonuses,
   getCurrentClass,
 } from '../utils/statCalculator';
+import { calculateBondSync } from '../utils/bondSync';
+import { EMPTY_HISTORY, recordEdit, undoEdits, redoEdits, trimHistoryForStorage } from '../utils/editHistory';
+import { SCHEMA_VERSION } from '../utils/dataSchema';
 import { 
   loadConfig, 
   hasCompanion, 
   hasBond,
   getMainName,
   getCompanionName,
+  getCompanionIds,
+  getCompanionEntries,
+  getBondSyncRules,
+  getApiBase,
+  getActiveCharacter,
 } from '../config/characterConfig';
 
 const CharacterContext = createContext(null);
 
-const API_BASE = '/api';
-
 // Debounce helper
 const DEBOUNCE_DELAY = 1000;
 
+const EMPTY_CALCULATION = { stats: {}, breakdowns: {} };
+
+/**
+ * Revision from an ETag header ('"abc"' -> 'abc')
+ */
+function parseRevision(etag) {
+  return etag ? etag.replace(/^W\//, '').replace(/"/g, '') : null;
+}
+
+/**
+ * Read every enabled companion from a data object into { [id]: data }
+ */
+function readCompanions(data) {
+  const companions = {};
+  getCompanionEntries(data).forEach(({ id, data: companion }) => {
+    companions[id] = companion;
+  });
+  return companions;
+}
+
+/**
+ * Build the data object sent to the server ({ schemaVersion, main, <companionId>: ... })
+ */
+function buildPayload(mainData, companionsData) {
+  const payload = { schemaVersion: SCHEMA_VERSION, main: mainData };
+  Object.entries(companionsData || {}).forEach(([id, companion]) => {
+    if (companion) payload[id] = companion;
+  });
+  return payload;
+}
+
+// The undo history survives page reloads: one localStorage entry per workspace
+function readStoredHistory(storageKey) {
+  try {
+    const stored = JSON.parse(localStorage.getItem(storageKey));
+    if (Array.isArray(stored?.past) && Array.isArray(stored?.future)) return stored;
+  } catch (err) {
+    console.warn('Ignoring unreadable edit history:', err);
+  }
+  return EMPTY_HISTORY;
+}
+
+/**
+ * Store as much of the history as fits (oldest entries are left out first)
+ * @returns {boolean} - false if even that couldn't be stored (quota used up by other data)
+ */
+function writeStoredHistory(storageKey, history) {
+  const { history: stored, dropped } = trimHistoryForStorage(history);
+  if (dropped > 0) console.warn(`Edit history too large to store: left out the ${dropped} oldest entries`);
+  try {
+    localStorage.setItem(storageKey, JSON.stringify(stored));
+    return true;
+  } catch (err) {
+    console.warn('Could not store edit history:', err);
+    return false;
+  }
+}
+
 export function CharacterProvider({ children }) {
   // Generic state names - these are the actual data holders
   const [main, setMain] = useState(null);
-  const [companion, setCompanion] = useState(null);
+  const [companions, setCompanions] = useState({});
   const [config, setConfig] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [notification, setNotification] = useState(null);
   const [isDirty, setIsDirty] = useState(false);
+  const [saveConflict, setSaveConflict] = useState(null);
+  // Bumped when another window, a script or a hand edit changes a file on the
+  // server, so tabs can refetch what they show ({ snapshots, ledger, templates, prompts })
+  const [serverChanges, setServerChanges] = useState({ snapshots: 0, ledger: 0, templates: 0, prompts: 0 });
+  // Undo/redo entries (utils/editHistory.js); the workspace can't change
+  // while this provider is mounted, so its storage key is fixed
+  const [historyStorageKey] = useState(() => `editHistory:${getActiveCharacter()}`);
+  const [editHistory, setEditHistory] = useState(() => readStoredHistory(historyStorageKey));
+
+  // Revision of current.json this window's edits are based on, and that state
+  // itself (the common base when merging a conflict)
+  const revisionRef = useRef(null);
+  const baseRef = useRef(null);
+  const conflictRef = useRef(null);
+  // Local edits not yet acknowledged by the server (read by the live update listener)
+  const isDirtyRef = useRef(false);
+  const savingRef = useRef(false);
+  // State the undo history was last brought up to date with
+  const recordedStateRef = useRef(null);
+
+  /**
+   * Show a state that didn't come from an edit in this window (initial load,
+   * live refresh, snapshot load, conflict resolution, undo/redo) - it is
+   * not recorded as an undoable edit
+   */
+  const showState = useCallback((data) => {
+    const companionsData = readCompanions(data);
+    recordedStateRef.current = buildPayload(data.main, companionsData);
+    setMain(data.main);
+    setCompanions(companionsData);
+  }, []);
 
   // Load configuration and initial data
   useEffect(() => {
@@ -65,9 +171,10 @@ export function CharacterProvider({ children }) {
         setConfig(loadedConfig);
         
         // Then load character data
-        const response = await axios.get(`${API_BASE}/current`);
-        setMain(response.data.main);
-        setCompanion(response.data.companion || null);
+        const response = await axios.get(`${getApiBase()}/current`);
+        revisionRef.current = parseRevision(response.headers.etag);
+        baseRef.current = response.data;
+        showState(response.data);
         setLoading(false);
       } catch (err) {
         console.error('Failed to load character data:', err);
@@ -76,38 +183,174 @@ export function CharacterProvider({ children }) {
       }
     };
     loadData();
+  }, [showState]);
+
+  // ============================================
+  // UNDO / REDO
+  // ============================================
+
+  // Record every change to the state that showState() didn't announce as an edit
+  useEffect(() => {
+    if (!main) return;
+    const state = buildPayload(main, companions);
+    const previous = recordedStateRef.current;
+    recordedStateRef.current = state;
+    if (!previous) return;
+
+    const nameOf = (key) => (key === 'main'
+      ? state.main?.name || getMainName()
+      : state[key]?.name || getCompanionName(key));
+    setEditHistory(prev => recordEdit(prev, previous, state, { nameOf }));
+  }, [main, companions]);
+
+  // Tell the user once when the history stops being stored (not on every edit)
+  const historyStoreFailedRef = useRef(false);
+  useEffect(() => {
+    const stored = writeStoredHistory(historyStorageKey, editHistory);
+    if (!stored && !historyStoreFailedRef.current) {
+      setNotification({
+        type: 'warning',
+        message: 'Undo history could not be saved in this browser (storage full) - it will be lost on reload',
+      });
+    }
+    historyStoreFailedRef.current = !stored;
+  }, [historyStorageKey, editHistory]);
+
+  /**
+   * Undo the last edit(s); the result is autosaved like any other edit
+   * @param {number} count - How many entries to step back (default 1)
+   */
+  const undo = useCallback((count = 1) => {
+    if (!main || editHistory.past.length === 0) return;
+    const result = undoEdits(editHistory, buildPayload(main, companions), count);
+    setEditHistory(result.history);
+    showState(result.state);
+    setIsDirty(true);
+  }, [main, companions, editHistory, showState]);
+
+  /**
+   * Redo undone edit(s)
+   * @param {number} count - How many entries to step forward (default 1)
+   */
+  const redo = useCallback((count = 1) => {
+    if (!main || editHistory.future.length === 0) return;
+    const result = redoEdits(editHistory, buildPayload(main, companions), count);
+    setEditHistory(result.history);
+    showState(result.state);
+    setIsDirty(true);
+  }, [main, companions, editHistory, showState]);
+
+  const clearEditHistory = useCallback(() => {
+    setEditHistory(EMPTY_HISTORY);
   }, []);
 
   // Auto-save debounced using useRef to avoid React Hook warnings
   const saveTimeoutRef = useRef(null);
+  // Saves are sent one at a time so a slow request can't land after a newer one
+  const saveQueueRef = useRef(Promise.resolve());
   
-  const saveToServer = useCallback((mainData, companionData) => {
+  const saveToServer = useCallback((mainData, companionsData) => {
     // Clear any pending save
     if (saveTimeoutRef.current) {
       clearTimeout(saveTimeoutRef.current);
     }
     
+    // Build the request now: if the user switches character before the timer
+    // fires, this save must still go to the workspace the data came from
+    const apiBase = getApiBase();
+    const payload = buildPayload(mainData, companionsData);
+
     // Schedule new save
-    saveTimeoutRef.current = setTimeout(async () => {
-      try {
-        const payload = { main: mainData };
-        if (hasCompanion() && companionData) {
-          payload.companion = companionData;
+    saveTimeoutRef.current = setTimeout(() => {
+      saveTimeoutRef.current = null;
+      saveQueueRef.current = saveQueueRef.current.then(async () => {
+        // Nothing is saved until the user decides how to resolve a conflict
+        if (conflictRef.current) return;
+        savingRef.current = true;
+        try {
+          const headers = revisionRef.current ? { 'If-Match': `"${revisionRef.current}"` } : {};
+          const response = await axios.post(`${apiBase}/update`, payload, { headers });
+          revisionRef.current = response.data.revision || null;
+          baseRef.current = payload;
+          setIsDirty(false);
+        } catch (err) {
+          if (err.response?.status === 409) {
+            conflictRef.current = {
+              server: err.response.data.data,
+              revision: err.response.data.revision,
+            };
+            setSaveConflict(conflictRef.current);
+            return;
+          }
+          console.error('Failed to auto-save:', err);
+          // 400: the server's schema check rejected the data (see utils/dataSchema.js)
+          if (err.response?.status === 400) {
+            setNotification({ type: 'error', message: `Not saved: ${err.response.data.error}` });
+          }
+        } finally {
+          savingRef.current = false;
         }
-        await axios.post(`${API_BASE}/update`, payload);
-        setIsDirty(false);
-      } catch (err) {
-        console.error('Failed to auto-save:', err);
-      }
+      });
     }, DEBOUNCE_DELAY);
   }, []);
 
   // Trigger auto-save when data changes
   useEffect(() => {
     if (main && isDirty) {
-      saveToServer(main, companion);
+      saveToServer(main, companions);
     }
-  }, [main, companion, isDirty, saveToServer]);
+  }, [main, companions, isDirty, saveToServer]);
+
+  useEffect(() => {
+    isDirtyRef.current = isDirty;
+  }, [isDirty]);
+
+  // ============================================
+  // LIVE UPDATES - GET /api/events
+  // ============================================
+
+  /**
+   * Follow changes made elsewhere (another window, a script, hand-edited JSON
+   * or config files) without reloading the page. A new current.json is only
+   * taken while this window has no unsaved edits - otherwise the next
+   * autosave gets a 409 and the conflict dialog lets the user decide.
+   */
+  useEffect(() => {
+    if (typeof EventSource === 'undefined') return undefined;
+
+    const apiBase = getApiBase();
+    const source = new EventSource(`${apiBase}/events`);
+    const hasLocalEdits = () =>
+      isDirtyRef.current || savingRef.current || saveTimeoutRef.current !== null || conflictRef.current !== null;
+
+    source.addEventListener('current', async (event) => {
+      const { revision } = JSON.parse(event.data);
+      // Our own save, or a state we already have
+      if (!revision || revision === revisionRef.current || hasLocalEdits()) return;
+
+      try {
+        const response = await axios.get(`${apiBase}/current`);
+        if (hasLocalEdits()) return;
+        revisionRef.current = parseRevision(response.headers.etag);
+        baseRef.current = response.data;
+        showState(response.data);
+      } catch (err) {
+        console.error('Failed to refresh character data:', err);
+      }
+    });
+
+    source.addEventListener('config', async () => {
+      setConfig(await loadConfig());
+    });
+
+    ['snapshots', 'ledger', 'templates', 'prompts'].forEach(type => {
+      source.addEventListener(type, () => {
+        setServerChanges(prev => ({ ...prev, [type]: prev[type] + 1 }));
+      });
+    });
+
+    return () => source.close();
+  }, [showState]);
 
   // ============================================
   // UPDATE FUNCTIONS - Main Character
@@ -182,41 +425,75 @@ export function CharacterProvider({ children }) {
     setIsDirty(true);
   }, []);
 
+  const updateMainResource = useCallback((resourceKey, current) => {
+    setMain((prev) => ({
+      ...prev,
+      resources: {
+        ...prev.resources,
+        [resourceKey]: { ...prev.resources?.[resourceKey], current: Number(current) || 0 },
+      },
+    }));
+    setIsDirty(true);
+  }, []);
+
   // ============================================
-  // UPDATE FUNCTIONS - Companion
+  // UPDATE FUNCTIONS - Companions
   // ============================================
 
-  const updateCompanion = useCallback((updates) => {
-    if (!hasCompanion()) return;
-    setCompanion((prev) => {
-      if (typeof updates === 'function') {
-        return updates(prev);
-      }
-      return { ...prev, ...updates };
-    });
+  const updateCompanionById = useCallback((companionId, updates) => {
+    if (!getCompanionIds().includes(companionId)) return;
+    setCompanions((prev) => ({
+      ...prev,
+      [companionId]: typeof updates === 'function'
+        ? updates(prev[companionId])
+        : { ...prev[companionId], ...updates },
+    }));
     setIsDirty(true);
   }, []);
 
-  const updateCompanionFreePoints = useCallback((statName, value) => {
-    if (!hasCompanion()) return;
-    setCompanion((prev) => ({
+  const updateCompanionFreePointsById = useCallback((companionId, statName, value) => {
+    updateCompanionById(companionId, (prev) => ({
       ...prev,
       freePoints: {
         ...prev.freePoints,
         [statName]: Number(value) || 0,
       },
     }));
-    setIsDirty(true);
-  }, []);
+  }, [updateCompanionById]);
 
-  const updateCompanionLevel = useCallback((level) => {
-    if (!hasCompanion()) return;
-    setCompanion((prev) => ({
+  const updateCompanionLevelById = useCallback((companionId, level) => {
+    updateCompanionById(companionId, (prev) => ({
       ...prev,
       level: Number(level) || 1,
     }));
-    setIsDirty(true);
-  }, []);
+  }, [updateCompanionById]);
+
+  const updateCompanionResourceById = useCallback((companionId, resourceKey, current) => {
+    updateCompanionById(companionId, (prev) => ({
+      ...prev,
+      resources: {
+        ...prev.resources,
+        [resourceKey]: { ...prev.resources?.[resourceKey], current: Number(current) || 0 },
+      },
+    }));
+  }, [updateCompanionById]);
+
+  // The single-companion functions act on the first companion
+  const updateCompanion = useCallback((updates) => {
+    updateCompanionById(getCompanionIds()[0], updates);
+  }, [updateCompanionById]);
+
+  const updateCompanionFreePoints = useCallback((statName, value) => {
+    updateCompanionFreePointsById(getCompanionIds()[0], statName, value);
+  }, [updateCompanionFreePointsById]);
+
+  const updateCompanionLevel = useCallback((level) => {
+    updateCompanionLevelById(getCompanionIds()[0], level);
+  }, [updateCompanionLevelById]);
+
+  const updateCompanionResource = useCallback((resourceKey, current) => {
+    updateCompanionResourceById(getCompanionIds()[0], resourceKey, current);
+  }, [updateCompanionResourceById]);
 
   // ============================================
   // CALCULATED VALUES - Using new leveling system
@@ -224,59 +501,114 @@ export function CharacterProvider({ children }) {
 
   // Calculate all of main character's stats with the leveling system
   const mainCalculation = useMemo(() => {
-    if (!main) return { stats: {}, breakdowns: {} };
+    // Recomputed when config changes too: stat definitions can be edited live
+    if (!main || !config) return { stats: {}, breakdowns: {} };
     return calculateAllStats(main);
-  }, [main]);
+  }, [main, config]);
 
   const mainFinalStats = mainCalculation.stats;
   const mainStatBreakdowns = mainCalculation.breakdowns;
 
-  // Calculate all of companion's stats
-  const companionCalculation = useMemo(() => {
-    if (!companion) return { stats: {}, breakdowns: {} };
-    return calculateAllStats(companion);
-  }, [companion]);
+  // Calculate all of each companion's stats
+  const companionIds = useMemo(() => (config ? getCompanionIds() : []), [config]);
 
-  const companionFinalStats = companionCalculation.stats;
-  const companionStatBreakdowns = companionCalculation.breakdowns;
+  const companionCalculations = useMemo(() => {
+    const calculations = {};
+    companionIds.forEach(id => {
+      calculations[id] = companions[id] ? calculateAllStats(companions[id]) : EMPTY_CALCULATION;
+    });
+    return calculations;
+  }, [companionIds, companions]);
 
   // ============================================
   // BOND SYNC - Configurable stat sharing
   // ============================================
   
   /**
-   * TEMPLATE NOTE: Bond sync is now configurable via /config/character.json
+   * TEMPLATE NOTE: Bond sync is driven entirely by config (config.bond and
+   * each companion's own "bond" block - see getBondSyncRules() and
+   * utils/bondSync.js for the rule and formula format).
    * The default for Alex/Valtherion is:
    * - Main gets half of companion's Mana
    * - Companion gets half of main's Willpower
    * 
-   * Modify config.bond.syncRules to change this behavior for other characters.
+   * Modify the sync rules to change this behavior for other characters.
    */
   
-  // Calculate synced stats based on config
-  const syncedManaForMain = useMemo(() => {
-    if (!hasBond() || !companionFinalStats.mana) return 0;
-    // Default: main gets half of companion's mana
-    return Math.round((companionFinalStats.mana || 0) / 2);
-  }, [companionFinalStats.mana]);
-
-  const syncedWillpowerForCompanion = useMemo(() => {
-    if (!hasBond() || !mainFinalStats.willpower) return 0;
-    // Default: companion gets half of main's willpower
-    return Math.round((mainFinalStats.willpower || 0) / 2);
-  }, [mainFinalStats.willpower]);
+  // Evaluate every configured sync rule against every character's final stats
+  const bondSync = useMemo(() => {
+    const finalStatsByKey = { main: mainFinalStats };
+    companionIds.forEach(id => {
+      finalStatsByKey[id] = companionCalculations[id].stats;
+    });
+    return calculateBondSync(config && hasBond() ? getBondSyncRules() : [], finalStatsByKey);
+  }, [config, mainFinalStats, companionIds, companionCalculations]);
+
+  const mainBondedStats = bondSync.bonded.main;
+  const bondSyncDetails = bondSync.details;
 
   // Calculate derived stats (HP/MP) for main character
   const mainDerivedStats = useMemo(() => {
     if (!main) return { hp: { current: 0, max: 0 }, mp: { current: 0, max: 0 } };
-    return calculateDerivedStats(mainFinalStats, main, syncedManaForMain);
-  }, [mainFinalStats, main, syncedManaForMain]);
+    return calculateDerivedStats(mainFinalStats, main, mainBondedStats);
+  }, [mainFinalStats, main, mainBondedStats]);
+
+  // Everything a companion tab shows, per companion id (same names as the
+  // single-companion values below, so useCompanion() can spread it)
+  const companionsById = useMemo(() => {
+    const views = {};
+    companionIds.forEach(id => {
+      const companion = companions[id] || null;
+      const calculation = companionCalculations[id];
+      const companionBondedStats = bondSync.bonded[id] || {};
+      views[id] = {
+        companionId: id,
+        companion,
+        companionFinalStats: calculation.stats,
+        companionStatBreakdowns: calculation.breakdowns,
+        companionBondedStats,
+        companionDerivedStats: companion
+          ? calculateDerivedStats(calculation.stats, companion, companionBondedStats)
+          : { hp: { current: 0, max: 0 }, mp: { current: 0, max: 0 } },
+        companionCurrentClass: companion ? getCurrentClass(companion.classHistory, companion.level) : null,
+        companionTitleBonuses: companion?.titles ? getTitleAdditiveBonuses(companion.titles) : {},
+        bondSyncDetails: bondSync.details.filter(detail => detail.from === id || detail.to === id),
+      };
+    });
+    return views;
+  }, [companionIds, companions, companionCalculations, bondSync]);
+
+  // The first companion, under the single-companion names
+  const firstCompanion = companionsById[companionIds[0]] || {};
+  const companion = firstCompanion.companion || null;
+  const companionFinalStats = firstCompanion.companionFinalStats || {};
+  const companionStatBreakdowns = firstCompanion.companionStatBreakdowns || {};
+  const companionBondedStats = firstCompanion.companionBondedStats || {};
+  const companionDerivedStats = firstCompanion.companionDerivedStats || { hp: { current: 0, max: 0 }, mp: { current: 0, max: 0 } };
+  const companionCurrentClass = firstCompanion.companionCurrentClass || null;
+  const companionTitleBonuses = firstCompanion.companionTitleBonuses || {};
+
+  // Kept for existing consumers that only know about the default Mana/Willpower rules
+  const syncedManaForMain = mainBondedStats.mana || 0;
+  const syncedWillpowerForCompanion = companionBondedStats.willpower || 0;
 
-  // Calculate derived stats for companion
-  const companionDerivedStats = useMemo(() => {
-    if (!companion) return { hp: { current: 0, max: 0 }, mp: { current: 0, max: 0 } };
-    return calculateDerivedStats(companionFinalStats, companion, 0);
-  }, [companionFinalStats, companion]);
+  /**
+   * Display name for a character key ("main" or a companion id)
+   */
+  const getCharacterName = useCallback((key) => {
+    if (key === 'main') return main?.name || getMainName();
+    return companions[key]?.name || getCompanionName(key);
+  }, [main?.name, companions]);
+
+  /**
+   * Names of every character that gives stats to this one through the bond
+   * ("Valtherion", or "Valtherion, Ember" with several companions)
+   */
+  const getBondPartnerName = useCallback((key) => {
+    const givers = bondSyncDetails.filter(detail => detail.to === key).map(detail => getCharacterName(detail.from));
+    if (givers.length > 0) return [...new Set(givers)].join(', ');
+    return key === 'main' ? getCompanionName() : getCharacterName('main');
+  }, [bondSyncDetails, getCharacterName]);
 
   // Get current class for main character
   const mainCurrentClass = useMemo(() => {
@@ -284,23 +616,12 @@ export function CharacterProvider({ children }) {
     return getCurrentClass(main.classHistory, main.level);
   }, [main]);
 
-  // Get current class for companion
-  const companionCurrentClass = useMemo(() => {
-    if (!companion) return null;
-    return getCurrentClass(companion.classHistory, companion.level);
-  }, [companion]);
-
   // Title bonuses (additive only)
   const mainTitleBonuses = useMemo(() => {
     if (!main?.titles) return {};
     return getTitleAdditiveBonuses(main.titles);
   }, [main?.titles]);
 
-  const companionTitleBonuses = useMemo(() => {
-    if (!companion?.titles) return {};
-    return getTitleAdditiveBonuses(companion.titles);
-  }, [companion?.titles]);
-
   // Title multipliers
   const mainTitleMultipliers = useMemo(() => {
     if (!main?.titles) return {};
@@ -311,14 +632,13 @@ export function CharacterProvider({ children }) {
   // SNAPSHOT FUNCTIONS
   // ============================================
 
-  const saveSnapshot = useCallback(async (name) => {
+  // details: { book, chapter, inWorldDate, notes, tags } (book/chapter default to the ledger position)
+  const saveSnapshot = useCallback(async (name, details = {}) => {
     try {
-      const payload = { main };
-      if (hasCompanion() && companion) {
-        payload.companion = companion;
-      }
-      const response = await axios.post(`${API_BASE}/save`, {
+      const payload = buildPayload(main, companions);
+      const response = await axios.post(`${getApiBase()}/save`, {
         name,
+        ...details,
         data: payload,
       });
       setNotification({ type: 'success', message: `Saved: ${name}` });
@@ -328,15 +648,17 @@ export function CharacterProvider({ children }) {
       setNotification({ type: 'error', message: 'Failed to save snapshot' });
       throw err;
     }
-  }, [main, companion]);
+  }, [main, companions]);
 
   const loadSnapshot = useCallback(async (id) => {
     try {
-      const response = await axios.post(`${API_BASE}/snapshot/${id}/load`);
-      setMain(response.data.data.main);
-      if (hasCompanion()) {
-        setCompanion(response.data.data.companion || null);
-      }
+      // A pending autosave holds edits the snapshot replaces
+      clearTimeout(saveTimeoutRef.current);
+      saveTimeoutRef.current = null;
+      const response = await axios.post(`${getApiBase()}/snapshot/${id}/load`);
+      revisionRef.current = response.data.revision || null;
+      baseRef.current = response.data.data;
+      showState(response.data.data);
       setNotification({ type: 'success', message: 'Snapshot loaded' });
       return response.data;
     } catch (err) {
@@ -344,7 +666,47 @@ export function CharacterProvider({ children }) {
       setNotification({ type: 'error', message: 'Failed to load snapshot' });
       throw err;
     }
-  }, []);
+  }, [showState]);
+
+  // ============================================
+  // SAVE CONFLICTS - Another window saved first
+  // ============================================
+
+  /**
+   * Resolve the current save conflict
+   * @param {string} choice - "reload" (take the server's version), "overwrite"
+   *   (save this window's version) or "merge" (save mergedData)
+   * @param {object} mergedData - { main, <companionId>: ... } for "merge"
+   */
+  const resolveSaveConflict = useCallback((choice, mergedData) => {
+    const conflict = conflictRef.current;
+    if (!conflict) return;
+
+    clearTimeout(saveTimeoutRef.current);
+    saveTimeoutRef.current = null;
+    conflictRef.current = null;
+    setSaveConflict(null);
+    revisionRef.current = conflict.revision;
+
+    if (choice === 'reload') {
+      baseRef.current = conflict.server;
+      showState(conflict.server);
+      setIsDirty(false);
+      return;
+    }
+
+    baseRef.current = conflict.server;
+    const data = choice === 'merge' ? mergedData : buildPayload(main, companions);
+    showState(data);
+    saveToServer(data.main, readCompanions(data));
+  }, [main, companions, saveToServer, showState]);
+
+  // The conflict as shown to the user: this window's latest state against the server's
+  const saveConflictDetails = useMemo(() => (saveConflict ? {
+    local: buildPayload(main, companions),
+    server: saveConflict.server,
+    base: baseRef.current,
+  } : null), [saveConflict, main, companions]);
 
   // ============================================
   // NOTIFICATION FUNCTIONS
@@ -369,14 +731,27 @@ export function CharacterProvider({ children }) {
     hasBond: hasBond(),
     getMainName,
     getCompanionName,
+    getCharacterName,
+    getBondPartnerName,
+    companionIds,
+    serverChanges,
     
     // Raw data - GENERIC NAMES (preferred)
     main,
     companion,
+    companions,
     loading,
     error,
     notification,
     isDirty,
+
+    // Undo/redo - editHistory is { past, future } of { id, description, createdAt, changes }
+    editHistory,
+    canUndo: editHistory.past.length > 0,
+    canRedo: editHistory.future.length > 0,
+    undo,
+    redo,
+    clearEditHistory,
     
     // Update functions - GENERIC NAMES (preferred)
     updateMain,
@@ -390,6 +765,12 @@ export function CharacterProvider({ children }) {
     updateMainTitles,
     updateMainTraits,
     updateMainStatDerivations,
+    updateMainResource,
+    updateCompanionResource,
+    updateCompanionById,
+    updateCompanionFreePointsById,
+    updateCompanionLevelById,
+    updateCompanionResourceById,
     
     // Calculated values - GENERIC NAMES (preferred)
     mainFinalStats,
@@ -405,8 +786,12 @@ export function CharacterProvider({ children }) {
     mainTitleMultipliers,
     mainTotalStats: mainFinalStats, // Alias
     companionTotalStats: companionFinalStats, // Alias
+    companionsById,
     
     // Synced values
+    mainBondedStats,
+    companionBondedStats,
+    bondSyncDetails,
     syncedManaForMain,
     syncedWillpowerForCompanion,
     
@@ -446,6 +831,10 @@ export function CharacterProvider({ children }) {
     // Snapshot functions
     saveSnapshot,
     loadSnapshot,
+
+    // Save conflicts
+    saveConflict: saveConflictDetails,
+    resolveSaveConflict,
     
     // Notification functions
     clearNotification,
@@ -467,4 +856,37 @@ export function useCharacter() {
   return context;
 }
 
+/**
+ * The context as seen by one companion's tab
+ * companion, updateCompanion*, companionFinalStats, bondSyncDetails, hasBond
+ * and getCompanionName() all refer to the given companion instead of the first.
+ * @param {string} companionId - Companion id from config (defaults to the first)
+ */
+export function useCompanion(companionId) {
+  const context = useCharacter();
+  const id = companionId || context.companionIds[0];
+  const {
+    updateCompanionById,
+    updateCompanionFreePointsById,
+    updateCompanionLevelById,
+    updateCompanionResourceById,
+  } = context;
+
+  const scopedUpdates = useMemo(() => ({
+    updateCompanion: (updates) => updateCompanionById(id, updates),
+    updateCompanionFreePoints: (statName, value) => updateCompanionFreePointsById(id, statName, value),
+    updateCompanionLevel: (level) => updateCompanionLevelById(id, level),
+    updateCompanionResource: (resourceKey, current) => updateCompanionResourceById(id, resourceKey, current),
+    getCompanionName: () => getCompanionName(id),
+  }), [id, updateCompanionById, updateCompanionFreePointsById, updateCompanionLevelById, updateCompanionResourceById]);
+
+  return {
+    ...context,
+    ...context.companionsById[id],
+    ...scopedUpdates,
+    companionId: id,
+    hasBond: hasBond(id),
+  };
+}
+
 export default CharacterContext;
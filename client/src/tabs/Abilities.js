@@ -65,14 +65,16 @@ import {
   CardGiftcard as SkillOfferedIcon,
   TrendingUp as LevelUpIcon,
   Upgrade as AdvanceIcon,
+  LinkOutlined as BindIcon,
 } from '@mui/icons-material';
 import { useCharacter } from '../context/CharacterContext';
+import SystemPromptDialog from '../components/SystemPromptDialog';
 import { 
   SKILL_RANKS, 
   PASSIVE_TIERS, 
-  STAT_DISPLAY_NAMES,
   TRAIT_EFFECT_TYPES,
-  ALL_STATS,
+  getAllStats,
+  getStatDisplayName,
 } from '../utils/statCalculator';
 
 // Skill Hover Panel Component - Slides out when hovering over a skill
@@ -395,8 +397,11 @@ function ItemNameCell({ item }) {
 
 // Trait Effect Editor Component
 function TraitEffectEditor({ effects, onChange }) {
+  // New effects default to the first stat in config.stats
+  const defaultStat = getAllStats()[0];
+
   const addEffect = () => {
-    onChange([...effects, { type: 'stat_multiplier', stat: 'willpower', multiplier: 1 }]);
+    onChange([...effects, { type: 'stat_multiplier', stat: defaultStat, multiplier: 1 }]);
   };
 
   const updateEffect = (index, updates) => {
@@ -417,12 +422,12 @@ function TraitEffectEditor({ effects, onChange }) {
             <FormControl size="small" sx={{ minWidth: 120 }}>
               <InputLabel>Stat</InputLabel>
               <Select
-                value={effect.stat || 'willpower'}
+                value={effect.stat || defaultStat}
                 onChange={(e) => updateEffect(index, { stat: e.target.value })}
                 label="Stat"
               >
-                {ALL_STATS.map((stat) => (
-                  <MenuItem key={stat} value={stat}>{STAT_DISPLAY_NAMES[stat]}</MenuItem>
+                {getAllStats().map((stat) => (
+                  <MenuItem key={stat} value={stat}>{getStatDisplayName(stat)}</MenuItem>
                 ))}
               </Select>
             </FormControl>
@@ -442,12 +447,12 @@ function TraitEffectEditor({ effects, onChange }) {
           <FormControl size="small" sx={{ minWidth: 150 }}>
             <InputLabel>Redirect To</InputLabel>
             <Select
-              value={effect.toStat || 'willpower'}
+              value={effect.toStat || defaultStat}
               onChange={(e) => updateEffect(index, { toStat: e.target.value })}
               label="Redirect To"
             >
-              {ALL_STATS.map((stat) => (
-                <MenuItem key={stat} value={stat}>{STAT_DISPLAY_NAMES[stat]}</MenuItem>
+              {getAllStats().map((stat) => (
+                <MenuItem key={stat} value={stat}>{getStatDisplayName(stat)}</MenuItem>
               ))}
             </Select>
           </FormControl>
@@ -458,12 +463,12 @@ function TraitEffectEditor({ effects, onChange }) {
             <FormControl size="small" sx={{ minWidth: 120 }}>
               <InputLabel>Source</InputLabel>
               <Select
-                value={effect.sourceStat || 'willpower'}
+                value={effect.sourceStat || defaultStat}
                 onChange={(e) => updateEffect(index, { sourceStat: e.target.value })}
                 label="Source"
               >
-                {ALL_STATS.map((stat) => (
-                  <MenuItem key={stat} value={stat}>{STAT_DISPLAY_NAMES[stat]}</MenuItem>
+                {getAllStats().map((stat) => (
+                  <MenuItem key={stat} value={stat}>{getStatDisplayName(stat)}</MenuItem>
                 ))}
               </Select>
             </FormControl>
@@ -478,12 +483,12 @@ function TraitEffectEditor({ effects, onChange }) {
             <FormControl size="small" sx={{ minWidth: 120 }}>
               <InputLabel>Target</InputLabel>
               <Select
-                value={effect.targetStat || 'intellect'}
+                value={effect.targetStat || defaultStat}
                 onChange={(e) => updateEffect(index, { targetStat: e.target.value })}
                 label="Target"
               >
-                {ALL_STATS.map((stat) => (
-                  <MenuItem key={stat} value={stat}>{STAT_DISPLAY_NAMES[stat]}</MenuItem>
+                {getAllStats().map((stat) => (
+                  <MenuItem key={stat} value={stat}>{getStatDisplayName(stat)}</MenuItem>
                 ))}
               </Select>
             </FormControl>
@@ -540,16 +545,18 @@ function TraitEffectEditor({ effects, onChange }) {
 function TraitDialog({ open, onClose, trait, onSave }) {
   const [name, setName] = useState(trait?.name || '');
   const [effects, setEffects] = useState(trait?.effects || []);
+  const [acquiredLevel, setAcquiredLevel] = useState(trait?.acquiredLevel || '');
 
   React.useEffect(() => {
     if (open) {
       setName(trait?.name || '');
       setEffects(trait?.effects || []);
+      setAcquiredLevel(trait?.acquiredLevel || '');
     }
   }, [open, trait]);
 
   const handleSave = () => {
-    onSave({ name, effects });
+    onSave({ name, effects, acquiredLevel: Number(acquiredLevel) || null });
     onClose();
   };
 
@@ -565,6 +572,16 @@ function TraitDialog({ open, onClose, trait, onSave }) {
           value={name}
           onChange={(e) => setName(e.target.value)}
         />
+        <TextField
+          margin="dense"
+          type="number"
+          label="Acquired at Level"
+          value={acquiredLevel}
+          onChange={(e) => setAcquiredLevel(e.target.value)}
+          inputProps={{ min: 1 }}
+          helperText="Optional - the Stat Timeline only applies the trait from this level on"
+          sx={{ width: 320 }}
+        />
         <TraitEffectEditor effects={effects} onChange={setEffects} />
       </DialogContent>
       <DialogActions>
@@ -577,213 +594,6 @@ function TraitDialog({ open, onClose, trait, onSave }) {
   );
 }
 
-// Helper to get next tier
-const getNextTier = (currentTier) => {
-  const tiers = ['I', 'II', 'III', 'IV', 'V', 'VI', 'VII', 'VIII', 'IX', 'X'];
-  const currentIndex = tiers.indexOf(currentTier);
-  if (currentIndex === -1 || currentIndex >= tiers.length - 1) return currentTier;
-  return tiers[currentIndex + 1];
-};
-
-// System Prompt Dialog - for copying skill-related story prompts
-function SystemPromptDialog({ open, onClose, type, skill, onCopySuccess }) {
-  const getPromptContent = () => {
-    if (!skill) return '';
-    
-    const skillName = skill.name;
-    const skillTier = skill.tier || 'I';
-    const nextTier = getNextTier(skillTier);
-    
-    switch (type) {
-      // Active/Bond Skill prompts
-      case 'offered':
-        return `***
-
-
-
-**New Skill Learned:** ${skillName} (Novice - Level 1)
-
-**Do you accept? Yes/ No?**
-
-***`;
-      
-      case 'levelup':
-        return `***
-
-
-
-**Congratulations, ${skillName} has leveled up!**
-
-***`;
-      
-      case 'advancement':
-        return `***
-
-
-
-**Congratulations, ${skillName} has leveled up!**
-
-You have reached the Tier threshold of an active skill. Would you like to advance or evolve this skill? 
-
-
-
-Advance: This skill stays the same and advances to an improved version in the same tree.
-
-
-
-Evolve: This skill changes based on the different ways you may have used it or pushed the bounds of its purpose. You will lose levels in this skill if you choose this option. 
-
-
-
-Advance / Evolve?
-
-
-
-***
-
-
-
----
-
-
-
-***
-
-
-
-Analyzing skill usage…
-
-**New Skill Learned:** [insert skill name] ([insert rank])
-
-
-
- **[insert skill name] -** [skill description]
-
-
-
-***`;
-
-      // Passive Skill prompts
-      case 'passive_offered':
-        return `***
-
-
-
-**New Skill Learned:** ${skillName} (Tier I)
-
-**Do you accept? Yes/ No?**
-
-***`;
-      
-      case 'passive_levelup':
-        return `***
-
-
-
-**Congratulations, ${skillName} (Tier ${skillTier}) has advanced to (Tier ${nextTier})!**
-
-***`;
-      
-      case 'passive_advancement':
-        return `***
-
-
-
-**Congratulations, ${skillName} (Tier ${skillTier}) has leveled up!**
-
-You have reached the Tier threshold of an active skill. Would you like to advance or evolve this skill? 
-
-Advance: This skill stays the same and advances to an improved version in the same tree.
-
-Evolve: This skill changes based on the different ways you may have used it or pushed the bounds of its purpose. You will lose levels in this skill if you choose this option. 
-
-Advance / Evolve?
-
-***
-
----
-
-***
-
-Analyzing skill usage…
-
-**New Skill Learned:** [insert skill name] ([insert tier])
-
- **[name](Tier #) -** skill description
-
-***`;
-      
-      default:
-        return '';
-    }
-  };
-
-  const getTitle = () => {
-    switch (type) {
-      case 'offered': return 'Skill Offered Prompt';
-      case 'levelup': return 'Skill Level Up Prompt';
-      case 'advancement': return 'Skill Advancement Prompt';
-      case 'passive_offered': return 'Passive Skill Offered Prompt';
-      case 'passive_levelup': return 'Passive Tier Advance Prompt';
-      case 'passive_advancement': return 'Passive Skill Advancement Prompt';
-      default: return 'System Prompt';
-    }
-  };
-
-  const handleCopy = async () => {
-    try {
-      await navigator.clipboard.writeText(getPromptContent());
-      onCopySuccess?.('Prompt copied to clipboard!');
-      onClose();
-    } catch (err) {
-      console.error('Failed to copy:', err);
-    }
-  };
-
-  return (
-    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
-      <DialogTitle sx={{ color: 'primary.main' }}>{getTitle()}</DialogTitle>
-      <DialogContent>
-        <Typography variant="body2" sx={{ mb: 2, color: 'text.secondary' }}>
-          Copy this prompt for <strong>{skill?.name}</strong> and paste into Notion.
-        </Typography>
-        <Box
-          component="pre"
-          sx={{
-            fontFamily: '"JetBrains Mono", "Courier New", monospace',
-            fontSize: '0.9rem',
-            lineHeight: 1.6,
-            whiteSpace: 'pre-wrap',
-            wordBreak: 'break-word',
-            color: 'text.primary',
-            m: 0,
-            p: 2,
-            bgcolor: 'rgba(0, 0, 0, 0.3)',
-            borderRadius: 1,
-            border: '1px solid',
-            borderColor: 'divider',
-            maxHeight: '400px',
-            overflow: 'auto',
-          }}
-        >
-          {getPromptContent()}
-        </Box>
-      </DialogContent>
-      <DialogActions>
-        <Button onClick={onClose}>Close</Button>
-        <Button 
-          onClick={handleCopy} 
-          variant="contained" 
-          startIcon={<CopyIcon />}
-          sx={{ bgcolor: 'success.main', '&:hover': { bgcolor: 'success.dark' } }}
-        >
-          Copy to Clipboard
-        </Button>
-      </DialogActions>
-    </Dialog>
-  );
-}
-
 // Skill Dialog (for Active and Bond skills)
 function SkillDialog({ open, onClose, skill, onSave, isBondSkill = false }) {
   const [name, setName] = useState(skill?.name || '');
@@ -1080,7 +890,7 @@ function Abilities() {
   // System prompt dialog state
   const [promptDialogOpen, setPromptDialogOpen] = useState(false);
   const [promptType, setPromptType] = useState('offered');
-  const [promptSkill, setPromptSkill] = useState(null);
+  const [promptSubject, setPromptSubject] = useState(null);
   
   // Snackbar state for copy feedback
   const [snackbar, setSnackbar] = useState({ open: false, message: '' });
@@ -1122,8 +932,9 @@ function Abilities() {
   };
 
   // System prompt handlers
-  const openPromptDialog = (skill, type) => {
-    setPromptSkill(skill);
+  // subject: { skill }, { trait } or { item } (see utils/systemPrompts.js)
+  const openPromptDialog = (subject, type) => {
+    setPromptSubject(subject);
     setPromptType(type);
     setPromptDialogOpen(true);
   };
@@ -1210,11 +1021,11 @@ function Abilities() {
   const getEffectSummary = (effect) => {
     switch (effect.type) {
       case 'stat_multiplier':
-        return `${STAT_DISPLAY_NAMES[effect.stat]} ×${effect.multiplier}`;
+        return `${getStatDisplayName(effect.stat)} ×${effect.multiplier}`;
       case 'redirect_free_points':
-        return `Free pts → ${STAT_DISPLAY_NAMES[effect.toStat]}`;
+        return `Free pts → ${getStatDisplayName(effect.toStat)}`;
       case 'stat_derivation':
-        return `${effect.percent}% ${STAT_DISPLAY_NAMES[effect.sourceStat]} → ${STAT_DISPLAY_NAMES[effect.targetStat]}`;
+        return `${effect.percent}% ${getStatDisplayName(effect.sourceStat)} → ${getStatDisplayName(effect.targetStat)}`;
       default:
         return effect.description || 'Unknown effect';
     }
@@ -1311,6 +1122,15 @@ function Abilities() {
                           <CopyIcon fontSize="small" />
                         </IconButton>
                       </Tooltip>
+                      <Tooltip title="Trait Gained Prompt">
+                        <IconButton
+                          size="small"
+                          onClick={() => openPromptDialog({ trait }, 'trait_gained')}
+                          sx={{ color: 'secondary.light' }}
+                        >
+                          <SkillOfferedIcon fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
                       <IconButton
                         size="small"
                         onClick={() => handleEdit(trait, index, setTraitDialogOpen)}
@@ -1399,7 +1219,7 @@ function Abilities() {
                           <Tooltip title="Skill Offered Prompt">
                             <IconButton 
                               size="small" 
-                              onClick={() => openPromptDialog(skill, 'offered')}
+                              onClick={() => openPromptDialog({ skill }, 'offered')}
                               sx={{ color: 'success.main' }}
                             >
                               <SkillOfferedIcon fontSize="small" />
@@ -1408,7 +1228,7 @@ function Abilities() {
                           <Tooltip title="Skill Level Up Prompt">
                             <IconButton 
                               size="small" 
-                              onClick={() => openPromptDialog(skill, 'levelup')}
+                              onClick={() => openPromptDialog({ skill }, 'levelup')}
                               sx={{ color: 'info.main' }}
                             >
                               <LevelUpIcon fontSize="small" />
@@ -1417,7 +1237,7 @@ function Abilities() {
                           <Tooltip title="Advancement Offered Prompt">
                             <IconButton 
                               size="small" 
-                              onClick={() => openPromptDialog(skill, 'advancement')}
+                              onClick={() => openPromptDialog({ skill }, 'advancement')}
                               sx={{ color: 'warning.main' }}
                             >
                               <AdvanceIcon fontSize="small" />
@@ -1504,7 +1324,7 @@ function Abilities() {
                           <Tooltip title="Skill Offered Prompt">
                             <IconButton 
                               size="small" 
-                              onClick={() => openPromptDialog(skill, 'offered')}
+                              onClick={() => openPromptDialog({ skill }, 'offered')}
                               sx={{ color: 'success.main' }}
                             >
                               <SkillOfferedIcon fontSize="small" />
@@ -1513,7 +1333,7 @@ function Abilities() {
                           <Tooltip title="Skill Level Up Prompt">
                             <IconButton 
                               size="small" 
-                              onClick={() => openPromptDialog(skill, 'levelup')}
+                              onClick={() => openPromptDialog({ skill }, 'levelup')}
                               sx={{ color: 'info.main' }}
                             >
                               <LevelUpIcon fontSize="small" />
@@ -1522,7 +1342,7 @@ function Abilities() {
                           <Tooltip title="Advancement Offered Prompt">
                             <IconButton 
                               size="small" 
-                              onClick={() => openPromptDialog(skill, 'advancement')}
+                              onClick={() => openPromptDialog({ skill }, 'advancement')}
                               sx={{ color: 'warning.main' }}
                             >
                               <AdvanceIcon fontSize="small" />
@@ -1606,7 +1426,7 @@ function Abilities() {
                           <Tooltip title="Skill Offered Prompt">
                             <IconButton 
                               size="small" 
-                              onClick={() => openPromptDialog(skill, 'passive_offered')}
+                              onClick={() => openPromptDialog({ skill }, 'passive_offered')}
                               sx={{ color: 'success.main' }}
                             >
                               <SkillOfferedIcon fontSize="small" />
@@ -1615,7 +1435,7 @@ function Abilities() {
                           <Tooltip title="Tier Advance Prompt">
                             <IconButton 
                               size="small" 
-                              onClick={() => openPromptDialog(skill, 'passive_levelup')}
+                              onClick={() => openPromptDialog({ skill }, 'passive_levelup')}
                               sx={{ color: 'info.main' }}
                             >
                               <LevelUpIcon fontSize="small" />
@@ -1834,6 +1654,15 @@ function Abilities() {
                             <CopyIcon fontSize="small" />
                           </IconButton>
                         </Tooltip>
+                        <Tooltip title="Item Bound Prompt">
+                          <IconButton 
+                            size="small" 
+                            onClick={() => openPromptDialog({ item }, 'item_bound')}
+                            sx={{ color: 'success.main' }}
+                          >
+                            <BindIcon fontSize="small" />
+                          </IconButton>
+                        </Tooltip>
                       </TableCell>
                     </TableRow>
                   ))}
@@ -1884,7 +1713,8 @@ function Abilities() {
         open={promptDialogOpen}
         onClose={() => setPromptDialogOpen(false)}
         type={promptType}
-        skill={promptSkill}
+        character={alex}
+        subject={promptSubject}
         onCopySuccess={handleCopySuccess}
       />
       
@@ -16,7 +16,7 @@
  * ============================================================================
  */
 
-import React, { useState } from 'react';
+import React, { useState, useMemo } from 'react';
 import {
   Box,
   Paper,
@@ -47,22 +47,27 @@ import {
   Add as AddIcon,
   Delete as DeleteIcon,
   Edit as EditIcon,
-  Info as InfoIcon,
-  LocalHospital as HpIcon,
-  Science as MpIcon,
   CameraAlt as SnapshotIcon,
+  Insights as ProjectionIcon,
+  TrendingUp as LevelUpIcon,
+  CardGiftcard as ClassOfferedIcon,
 } from '@mui/icons-material';
 import { useCharacter } from '../context/CharacterContext';
 import {
-  PHYSICAL_STATS,
-  MAGICAL_STATS,
-  STAT_DISPLAY_NAMES,
-  ALL_STATS,
-  getTitleAdditiveBonuses,
-  getTitleMultiplierBonuses,
+  getStatGroups,
+  getAllStats,
+  getStatDisplayName,
+  getStatAbbreviation,
   getSnapshotStatValue,
+  buildLevelSnapshot,
 } from '../utils/statCalculator';
-import { STAT_ICONS } from '../utils/statIcons';
+import { getStatIcon } from '../utils/statIcons';
+import ResourcesPanel from '../components/ResourcesPanel';
+import ProjectionDialog from '../components/ProjectionDialog';
+import SystemPromptDialog from '../components/SystemPromptDialog';
+import StatTimeline from '../components/StatTimeline';
+import ConsistencyReport, { ConsistencySummary } from '../components/ConsistencyReport';
+import { validateCharacterData } from '../utils/snapshotValidator';
 
 // Stat display with breakdown tooltip and icon
 function StatDisplay({ statName, finalValue, breakdown, freePoints, onFreePointsChange, syncedValue, syncedFrom, showFreePoints = true }) {
@@ -70,7 +75,7 @@ function StatDisplay({ statName, finalValue, breakdown, freePoints, onFreePoints
   const totalWithSync = finalValue + (hasSynced ? syncedValue : 0);
   
   // Get the icon component for this stat
-  const IconComponent = STAT_ICONS[statName];
+  const IconComponent = getStatIcon(statName);
   
   const breakdownLines = [];
   if (breakdown) {
@@ -126,7 +131,7 @@ function StatDisplay({ statName, finalValue, breakdown, freePoints, onFreePoints
           <IconComponent sx={{ color: 'text.secondary', fontSize: 20 }} />
         )}
         <Typography sx={{ width: 100, fontWeight: 600 }}>
-          {STAT_DISPLAY_NAMES[statName]}:
+          {getStatDisplayName(statName)}:
         </Typography>
         <Tooltip 
           title={<pre style={{ margin: 0, fontFamily: 'monospace', fontSize: '12px' }}>{breakdownLines.join('\n')}</pre>}
@@ -238,12 +243,12 @@ function ClassDialog({ open, onClose, classData, onSave, isEdit }) {
               Stats Gained Per Level:
             </Typography>
             <Grid container spacing={2}>
-              {ALL_STATS.map(stat => (
+              {getAllStats().map(stat => (
                 <Grid item xs={6} sm={3} key={stat}>
                   <TextField
                     fullWidth
                     type="number"
-                    label={STAT_DISPLAY_NAMES[stat]}
+                    label={getStatDisplayName(stat)}
                     value={statsPerLevel[stat] || 0}
                     onChange={(e) => updateStatPerLevel(stat, e.target.value)}
                     size="small"
@@ -273,9 +278,9 @@ function SnapshotDialog({ open, onClose, level, currentSnapshot, onSave }) {
   React.useEffect(() => {
     if (open) {
       setSnapshotLevel(level || 1);
-      // Initialize with zeros or current values (handle both old and new snapshot formats)
+      // Initialize with zeros or current values
       const initialStats = {};
-      ALL_STATS.forEach(stat => {
+      getAllStats().forEach(stat => {
         initialStats[stat] = getSnapshotStatValue(currentSnapshot, stat);
       });
       setStats(initialStats);
@@ -307,12 +312,12 @@ function SnapshotDialog({ open, onClose, level, currentSnapshot, onSave }) {
           Base Stats at Level {snapshotLevel}:
         </Typography>
         <Grid container spacing={2}>
-          {ALL_STATS.map(stat => (
+          {getAllStats().map(stat => (
             <Grid item xs={6} sm={3} key={stat}>
               <TextField
                 fullWidth
                 type="number"
-                label={STAT_DISPLAY_NAMES[stat]}
+                label={getStatDisplayName(stat)}
                 value={stats[stat] || 0}
                 onChange={(e) => setStats(prev => ({ ...prev, [stat]: Number(e.target.value) || 0 }))}
                 size="small"
@@ -343,7 +348,11 @@ function BasicStats() {
     alexStatBreakdowns,
     alexDerivedStats,
     alexCurrentClass,
-    syncedManaForAlex,
+    mainBondedStats,
+    updateMainResource,
+    companions,
+    getBondPartnerName,
+    showNotification,
   } = useCharacter();
 
   const [classDialogOpen, setClassDialogOpen] = useState(false);
@@ -351,6 +360,11 @@ function BasicStats() {
   const [editingClass, setEditingClass] = useState(null);
   const [editingClassIndex, setEditingClassIndex] = useState(-1);
   const [editingSnapshotLevel, setEditingSnapshotLevel] = useState(null);
+  const [projectionDialogOpen, setProjectionDialogOpen] = useState(false);
+  // System prompt dialog: 'level_up', or 'class_offered' for promptClass
+  const [promptDialogOpen, setPromptDialogOpen] = useState(false);
+  const [promptType, setPromptType] = useState('level_up');
+  const [promptClass, setPromptClass] = useState(null);
 
   // Calculate free points available
   // Characters earn 3 free points per level (starting from level 1)
@@ -360,16 +374,31 @@ function BasicStats() {
   );
   
   const totalFreePointsEarned = (alex?.level || 1) * 3;
-  const totalFreePointsSpent = ALL_STATS.reduce((sum, stat) => 
+  const totalFreePointsSpent = getAllStats().reduce((sum, stat) => 
     sum + (alex?.freePoints?.[stat] || 0), 0
   );
   const freePointsAvailable = totalFreePointsEarned - totalFreePointsSpent;
 
+  // Stats received through the bond come from the companions' sync rules
+  const bondPartnerName = getBondPartnerName('main');
+
+  // Snapshot / class history consistency (same report as GET /api/validate)
+  const consistency = useMemo(
+    () => validateCharacterData({ main: alex, ...companions }),
+    [alex, companions]
+  );
+
   if (!alex) {
     return <Typography>Loading...</Typography>;
   }
 
   // Class handlers
+  const openPromptDialog = (type, classEntry = null) => {
+    setPromptType(type);
+    setPromptClass(classEntry);
+    setPromptDialogOpen(true);
+  };
+
   const handleAddClass = () => {
     setEditingClass(null);
     setEditingClassIndex(-1);
@@ -413,7 +442,7 @@ function BasicStats() {
 
   const handleSaveSnapshot = (level, stats) => {
     const snapshots = { ...(alex.levelSnapshots || {}) };
-    snapshots[level] = stats;
+    snapshots[level] = { stats };
     updateAlexLevelSnapshots(snapshots);
     setSnapshotDialogOpen(false);
   };
@@ -425,37 +454,10 @@ function BasicStats() {
   };
 
   // Take a snapshot of current TOTAL stats at current level (includes all bonuses)
-  // Track title bonuses, trait multipliers, AND derivation bonuses to avoid double-counting later
+  // The snapshot records the title, trait and derivation bonuses in it to avoid double-counting later
   const handleTakeSnapshot = () => {
     const snapshots = { ...(alex.levelSnapshots || {}) };
-    
-    // Get current title bonuses (raw values before trait multiplication)
-    const rawTitleBonuses = getTitleAdditiveBonuses(alex.titles);
-    const titleMultiplierBonuses = getTitleMultiplierBonuses(alex.titles);
-    
-    // Get trait multipliers and derivation bonuses for each stat
-    const traitMultipliers = {};
-    const includedTitleBonuses = {};
-    const includedDerivationBonuses = {};
-    ALL_STATS.forEach(stat => {
-      const traitMult = alexStatBreakdowns[stat]?.traitMultiplier || 1;
-      traitMultipliers[stat] = traitMult;
-      // Also store the effective (trait-multiplied) value for backwards compatibility
-      includedTitleBonuses[stat] = (rawTitleBonuses[stat] || 0) * traitMult;
-      // Store derivation bonuses (e.g., 25% of Willpower → Intellect)
-      includedDerivationBonuses[stat] = alexStatBreakdowns[stat]?.derivationBonus || 0;
-    });
-    
-    // Store the full snapshot with tracking of what's included
-    snapshots[alex.level] = {
-      stats: { ...alexFinalStats },
-      rawTitleBonuses: { ...rawTitleBonuses },           // Raw title bonuses (before trait)
-      includedTraitMultipliers: traitMultipliers,        // Trait multipliers at snapshot time
-      includedTitleBonuses: includedTitleBonuses,        // Effective title bonuses (for backwards compat)
-      includedTitleMultipliers: { ...titleMultiplierBonuses },
-      includedDerivationBonuses: includedDerivationBonuses, // Derivation bonuses baked into stats
-    };
-    
+    snapshots[alex.level] = buildLevelSnapshot(alex, { stats: alexFinalStats, breakdowns: alexStatBreakdowns });
     updateAlexLevelSnapshots(snapshots);
   };
 
@@ -463,9 +465,32 @@ function BasicStats() {
     <Box sx={{ display: 'flex', flexDirection: 'column', gap: 3 }}>
       {/* Character Info & Level */}
       <Paper sx={{ p: 3 }}>
-        <Typography variant="h5" sx={{ mb: 3, color: 'primary.main' }}>
-          Character Info
-        </Typography>
+        <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 3 }}>
+          <Typography variant="h5" sx={{ color: 'primary.main' }}>
+            Character Info
+          </Typography>
+          <Tooltip title="Project stats at a future level without changing anything" arrow>
+            <Button
+              variant="outlined"
+              size="small"
+              startIcon={<ProjectionIcon />}
+              onClick={() => setProjectionDialogOpen(true)}
+            >
+              What-if
+            </Button>
+          </Tooltip>
+          <Tooltip title="Level up prompt with this class's stat gains" arrow>
+            <Button
+              variant="outlined"
+              size="small"
+              startIcon={<LevelUpIcon />}
+              onClick={() => openPromptDialog('level_up')}
+              sx={{ ml: 1 }}
+            >
+              Level Up Prompt
+            </Button>
+          </Tooltip>
+        </Box>
         <Grid container spacing={3}>
           <Grid item xs={12} sm={6} md={4}>
             <TextField
@@ -509,56 +534,15 @@ function BasicStats() {
         </Grid>
       </Paper>
 
-      {/* Derived Stats (HP/MP) - Calculated automatically */}
-      <Paper sx={{ p: 3 }}>
-        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 3 }}>
-          <Typography variant="h5" sx={{ color: 'primary.main' }}>
-            Resources
-          </Typography>
-          <Tooltip title="HP = Constitution × 10 | MP = (Mana + Bond Mana) × 10" arrow>
-            <InfoIcon sx={{ color: 'text.secondary', fontSize: 18, cursor: 'help' }} />
-          </Tooltip>
-        </Box>
-        <Grid container spacing={3}>
-          <Grid item xs={12} sm={6}>
-            <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
-              <HpIcon sx={{ color: 'error.main', fontSize: 24 }} />
-              <Typography sx={{ width: 50, fontWeight: 600 }}>HP:</Typography>
-              <Typography
-                sx={{
-                  fontFamily: '"JetBrains Mono", monospace',
-                  fontSize: '1.3rem',
-                  fontWeight: 600,
-                  color: 'error.main',
-                }}
-              >
-                {alexDerivedStats.hp?.max || 0}
-              </Typography>
-            </Box>
-          </Grid>
-          <Grid item xs={12} sm={6}>
-            <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
-              <MpIcon sx={{ color: 'info.main', fontSize: 24 }} />
-              <Typography sx={{ width: 50, fontWeight: 600 }}>MP:</Typography>
-              <Typography
-                sx={{
-                  fontFamily: '"JetBrains Mono", monospace',
-                  fontSize: '1.3rem',
-                  fontWeight: 600,
-                  color: 'info.main',
-                }}
-              >
-                {alexDerivedStats.mp?.max || 0}
-              </Typography>
-              {syncedManaForAlex > 0 && (
-                <Typography variant="body2" sx={{ color: 'success.light' }}>
-                  (includes bond mana)
-                </Typography>
-              )}
-            </Box>
-          </Grid>
-        </Grid>
-      </Paper>
+      {/* Derived Resources (HP/MP/custom) - Calculated from config.resources formulas */}
+      <ResourcesPanel
+        derivedStats={alexDerivedStats}
+        bondedStats={mainBondedStats}
+        trackCurrent={!!alex.trackCurrentResources}
+        onToggleTrackCurrent={(enabled) => updateAlex({ trackCurrentResources: enabled })}
+        onCurrentChange={updateMainResource}
+        accentColor="primary.main"
+      />
 
       {/* Free Points Available */}
       {!hasRedirectFreePoints && (
@@ -591,46 +575,32 @@ function BasicStats() {
         </Paper>
       )}
 
-      {/* Physical Stats */}
-      <Paper sx={{ p: 3 }}>
-        <Typography variant="h5" sx={{ mb: 3, color: 'primary.main' }}>
-          Physical Stats
-        </Typography>
-        <Typography variant="body2" sx={{ mb: 3, color: 'text.secondary' }}>
-          Hover over values to see calculation breakdown.{!hasRedirectFreePoints && ' Use "Free Pts" for manual point allocation.'}
-        </Typography>
-        {PHYSICAL_STATS.map(stat => (
-          <StatDisplay
-            key={stat}
-            statName={stat}
-            finalValue={alexFinalStats[stat] || 0}
-            breakdown={alexStatBreakdowns[stat]}
-            freePoints={alex.freePoints?.[stat] || 0}
-            onFreePointsChange={(value) => updateAlexFreePoints(stat, value)}
-            showFreePoints={!hasRedirectFreePoints}
-          />
-        ))}
-      </Paper>
-
-      {/* Magical Stats */}
-      <Paper sx={{ p: 3 }}>
-        <Typography variant="h5" sx={{ mb: 3, color: 'primary.main' }}>
-          Magical Stats
-        </Typography>
-        {MAGICAL_STATS.map(stat => (
-          <StatDisplay
-            key={stat}
-            statName={stat}
-            finalValue={alexFinalStats[stat] || 0}
-            breakdown={alexStatBreakdowns[stat]}
-            freePoints={alex.freePoints?.[stat] || 0}
-            onFreePointsChange={(value) => updateAlexFreePoints(stat, value)}
-            showFreePoints={!hasRedirectFreePoints}
-            syncedValue={stat === 'mana' ? syncedManaForAlex : undefined}
-            syncedFrom={stat === 'mana' ? 'Valtherion' : undefined}
-          />
-        ))}
-      </Paper>
+      {/* Stat Groups (order and grouping come from config.stats) */}
+      {getStatGroups().map((group, groupIndex) => (
+        <Paper key={group.id} sx={{ p: 3 }}>
+          <Typography variant="h5" sx={{ mb: 3, color: 'primary.main' }}>
+            {group.label}
+          </Typography>
+          {groupIndex === 0 && (
+            <Typography variant="body2" sx={{ mb: 3, color: 'text.secondary' }}>
+              Hover over values to see calculation breakdown.{!hasRedirectFreePoints && ' Use "Free Pts" for manual point allocation.'}
+            </Typography>
+          )}
+          {group.stats.map(({ key: stat }) => (
+            <StatDisplay
+              key={stat}
+              statName={stat}
+              finalValue={alexFinalStats[stat] || 0}
+              breakdown={alexStatBreakdowns[stat]}
+              freePoints={alex.freePoints?.[stat] || 0}
+              onFreePointsChange={(value) => updateAlexFreePoints(stat, value)}
+              showFreePoints={!hasRedirectFreePoints}
+              syncedValue={mainBondedStats[stat]}
+              syncedFrom={bondPartnerName}
+            />
+          ))}
+        </Paper>
+      ))}
 
       {/* Class History */}
       <Accordion defaultExpanded>
@@ -658,7 +628,7 @@ function BasicStats() {
                     <TableCell>Class Name</TableCell>
                     <TableCell>Levels</TableCell>
                     <TableCell>Stats/Level</TableCell>
-                    <TableCell width={80}>Actions</TableCell>
+                    <TableCell width={120}>Actions</TableCell>
                   </TableRow>
                 </TableHead>
                 <TableBody>
@@ -682,9 +652,9 @@ function BasicStats() {
                       </TableCell>
                       <TableCell>
                         <Typography variant="body2" sx={{ fontFamily: 'monospace', fontSize: '0.8rem' }}>
-                          {ALL_STATS
+                          {getAllStats()
                             .filter(stat => (cls.statsPerLevel?.[stat] || 0) > 0)
-                            .map(stat => `${STAT_DISPLAY_NAMES[stat].slice(0,3)}: ${cls.statsPerLevel[stat]}`)
+                            .map(stat => `${getStatAbbreviation(stat)}: ${cls.statsPerLevel[stat]}`)
                             .join(', ') || 'None'}
                         </Typography>
                       </TableCell>
@@ -695,6 +665,15 @@ function BasicStats() {
                         <IconButton size="small" color="error" onClick={() => handleDeleteClass(index)}>
                           <DeleteIcon fontSize="small" />
                         </IconButton>
+                        <Tooltip title="Class Offered Prompt">
+                          <IconButton
+                            size="small"
+                            onClick={() => openPromptDialog('class_offered', cls)}
+                            sx={{ color: 'success.main' }}
+                          >
+                            <ClassOfferedIcon fontSize="small" />
+                          </IconButton>
+                        </Tooltip>
                       </TableCell>
                     </TableRow>
                   ))}
@@ -757,9 +736,9 @@ function BasicStats() {
                         <TableCell>Level {level}</TableCell>
                         <TableCell>
                           <Typography variant="body2" sx={{ fontFamily: 'monospace', fontSize: '0.8rem' }}>
-                            {ALL_STATS
+                            {getAllStats()
                               .filter(stat => getSnapshotStatValue(snapshot, stat) > 0)
-                              .map(stat => `${STAT_DISPLAY_NAMES[stat].slice(0,3)}: ${getSnapshotStatValue(snapshot, stat)}`)
+                              .map(stat => `${getStatAbbreviation(stat)}: ${getSnapshotStatValue(snapshot, stat)}`)
                               .join(', ')}
                           </Typography>
                           {snapshot.includedTitleBonuses && (
@@ -787,6 +766,39 @@ function BasicStats() {
         </AccordionDetails>
       </Accordion>
 
+      {/* Stat Timeline - every stat at every level (only calculated while open) */}
+      <Accordion TransitionProps={{ unmountOnExit: true }}>
+        <AccordionSummary expandIcon={<ExpandIcon />}>
+          <Typography variant="h6">Stat Timeline</Typography>
+        </AccordionSummary>
+        <AccordionDetails>
+          <Typography variant="body2" sx={{ mb: 2, color: 'text.secondary' }}>
+            Stats at every level from 1 to {alex.level}, rebuilt from snapshots, class history, traits and titles.
+          </Typography>
+          <StatTimeline character={alex} classLabel="Class" />
+        </AccordionDetails>
+      </Accordion>
+
+      {/* Consistency Check - snapshots vs class history, stale title bonuses */}
+      <Accordion>
+        <AccordionSummary expandIcon={<ExpandIcon />}>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+            <Typography variant="h6">Consistency Check</Typography>
+            <ConsistencySummary summary={consistency.summary} />
+          </Box>
+        </AccordionSummary>
+        <AccordionDetails>
+          <Typography variant="body2" sx={{ mb: 2, color: 'text.secondary' }}>
+            Checks level snapshots against class history: snapshots that don't follow from the one before,
+            gaps and overlaps between classes, and snapshot title bonuses that no current title provides.
+          </Typography>
+          <ConsistencyReport
+            report={consistency}
+            mainName={alex.name}
+          />
+        </AccordionDetails>
+      </Accordion>
+
       {/* Dialogs */}
       <ClassDialog
         open={classDialogOpen}
@@ -802,6 +814,23 @@ function BasicStats() {
         currentSnapshot={editingSnapshotLevel ? alex.levelSnapshots?.[editingSnapshotLevel] : null}
         onSave={handleSaveSnapshot}
       />
+      <ProjectionDialog
+        open={projectionDialogOpen}
+        onClose={() => setProjectionDialogOpen(false)}
+        character={alex}
+        bondedStats={mainBondedStats}
+        bondPartnerName={bondPartnerName}
+        showFreePoints
+        accentColor="primary.main"
+      />
+      <SystemPromptDialog
+        open={promptDialogOpen}
+        onClose={() => setPromptDialogOpen(false)}
+        type={promptType}
+        character={alex}
+        subject={{ classEntry: promptClass }}
+        onCopySuccess={(message) => showNotification('success', message)}
+      />
     </Box>
   );
 }
@@ -7,7 +7,9 @@
  * This tab displays the bonded companion's stats and abilities. It uses GENERIC
  * variable names (companion) internally, with display names from config.
  * 
- * This tab is only shown when config.companion.enabled = true.
+ * One tab is shown per companion in config.companions (or the single
+ * config.companion when enabled). App.js passes the companion's id and
+ * useCompanion(id) scopes every companion value and update to it.
  * 
  * When adding NEW FEATURES for companions:
  * - Use updateCompanion() for state changes
@@ -58,10 +60,7 @@ import {
   Delete as DeleteIcon,
   Edit as EditIcon,
   Sync as SyncIcon,
-  Info as InfoIcon,
   Pets as EvolutionIcon,
-  LocalHospital as HpIcon,
-  Science as MpIcon,
   CameraAlt as SnapshotIcon,
   FitnessCenter as BoostIcon,
   FlashOn as ActiveIcon,
@@ -70,22 +69,25 @@ import {
   CardGiftcard as SkillOfferedIcon,
   TrendingUp as LevelUpIcon,
   Upgrade as AdvanceIcon,
+  Insights as ProjectionIcon,
 } from '@mui/icons-material';
-import { useCharacter } from '../context/CharacterContext';
+import { useCompanion } from '../context/CharacterContext';
 import {
-  PHYSICAL_STATS,
-  MAGICAL_STATS,
-  STAT_DISPLAY_NAMES,
-  ALL_STATS,
+  getStatGroups,
+  getAllStats,
+  getStatDisplayName,
+  getStatAbbreviation,
   SKILL_RANKS,
   PASSIVE_TIERS,
-  getTitleAdditiveBonuses,
-  getTitleMultiplierBonuses,
-  getStatBoostAdditiveBonuses,
-  getStatBoostMultiplierBonuses,
   getSnapshotStatValue,
+  buildLevelSnapshot,
 } from '../utils/statCalculator';
-import { STAT_ICONS } from '../utils/statIcons';
+import { describeSyncFormula } from '../utils/bondSync';
+import { getStatIcon } from '../utils/statIcons';
+import ResourcesPanel from '../components/ResourcesPanel';
+import ProjectionDialog from '../components/ProjectionDialog';
+import StatTimeline from '../components/StatTimeline';
+import SystemPromptDialog from '../components/SystemPromptDialog';
 
 // Stat display with breakdown tooltip and icon (no free points for beasts)
 function StatDisplay({ statName, finalValue, breakdown, syncedValue, syncedFrom }) {
@@ -93,7 +95,7 @@ function StatDisplay({ statName, finalValue, breakdown, syncedValue, syncedFrom
   const totalWithSync = finalValue + (hasSynced ? syncedValue : 0);
   
   // Get the icon component for this stat
-  const IconComponent = STAT_ICONS[statName];
+  const IconComponent = getStatIcon(statName);
   
   const breakdownLines = [];
   if (breakdown) {
@@ -133,7 +135,7 @@ function StatDisplay({ statName, finalValue, breakdown, syncedValue, syncedFrom
           <IconComponent sx={{ color: 'text.secondary', fontSize: 20 }} />
         )}
         <Typography sx={{ width: 100, fontWeight: 600 }}>
-          {STAT_DISPLAY_NAMES[statName]}:
+          {getStatDisplayName(statName)}:
         </Typography>
         <Tooltip 
           title={<pre style={{ margin: 0, fontFamily: 'monospace', fontSize: '12px' }}>{breakdownLines.join('\n')}</pre>}
@@ -234,12 +236,12 @@ function EvolutionDialog({ open, onClose, evolutionData, onSave, isEdit }) {
               Stats Gained Per Level:
             </Typography>
             <Grid container spacing={2}>
-              {ALL_STATS.map(stat => (
+              {getAllStats().map(stat => (
                 <Grid item xs={6} sm={3} key={stat}>
                   <TextField
                     fullWidth
                     type="number"
-                    label={STAT_DISPLAY_NAMES[stat]}
+                    label={getStatDisplayName(stat)}
                     value={statsPerLevel[stat] || 0}
                     onChange={(e) => updateStatPerLevel(stat, e.target.value)}
                     size="small"
@@ -269,9 +271,9 @@ function SnapshotDialog({ open, onClose, level, currentSnapshot, onSave }) {
   React.useEffect(() => {
     if (open) {
       setSnapshotLevel(level || 1);
-      // Handle both old and new snapshot formats
+      // Start from the snapshot being edited, if any
       const initialStats = {};
-      ALL_STATS.forEach(stat => {
+      getAllStats().forEach(stat => {
         initialStats[stat] = getSnapshotStatValue(currentSnapshot, stat);
       });
       setStats(initialStats);
@@ -299,12 +301,12 @@ function SnapshotDialog({ open, onClose, level, currentSnapshot, onSave }) {
           Base Stats at Level {snapshotLevel}:
         </Typography>
         <Grid container spacing={2}>
-          {ALL_STATS.map(stat => (
+          {getAllStats().map(stat => (
             <Grid item xs={6} sm={3} key={stat}>
               <TextField
                 fullWidth
                 type="number"
-                label={STAT_DISPLAY_NAMES[stat]}
+                label={getStatDisplayName(stat)}
                 value={stats[stat] || 0}
                 onChange={(e) => setStats(prev => ({ ...prev, [stat]: Number(e.target.value) || 0 }))}
                 size="small"
@@ -426,80 +428,6 @@ function CompanionSkillNameCell({ skill, isPassive = false }) {
   );
 }
 
-// Helper to get next tier
-const getNextTier = (currentTier) => {
-  const tiers = ['I', 'II', 'III', 'IV', 'V', 'VI', 'VII', 'VIII', 'IX', 'X'];
-  const currentIndex = tiers.indexOf(currentTier);
-  if (currentIndex === -1 || currentIndex >= tiers.length - 1) return currentTier;
-  return tiers[currentIndex + 1];
-};
-
-// System Prompt Dialog for Companion Skills
-function CompanionSystemPromptDialog({ open, onClose, type, skill, onCopySuccess }) {
-  const getPromptContent = () => {
-    if (!skill) return '';
-    const skillName = skill.name;
-    const skillTier = skill.tier || 'I';
-    const nextTier = getNextTier(skillTier);
-    
-    switch (type) {
-      case 'offered':
-        return `***\n\n**New Skill Learned:** ${skillName} (Novice - Level 1)\n\n**Do you accept? Yes/ No?**\n\n***`;
-      case 'levelup':
-        return `***\n\n**Congratulations, ${skillName} has leveled up!**\n\n***`;
-      case 'advancement':
-        return `***\n\n**Congratulations, ${skillName} has leveled up!**\n\nYou have reached the Tier threshold of an active skill. Would you like to advance or evolve this skill?\n\nAdvance: This skill stays the same and advances to an improved version in the same tree.\n\nEvolve: This skill changes based on the different ways you may have used it or pushed the bounds of its purpose. You will lose levels in this skill if you choose this option.\n\nAdvance / Evolve?\n\n***\n\n---\n\n***\n\nAnalyzing skill usage…\n\n**New Skill Learned:** [insert skill name] ([insert rank])\n\n**[insert skill name] -** [skill description]\n\n***`;
-      case 'passive_offered':
-        return `***\n\n**New Skill Learned:** ${skillName} (Tier I)\n\n**Do you accept? Yes/ No?**\n\n***`;
-      case 'passive_levelup':
-        return `***\n\n**Congratulations, ${skillName} (Tier ${skillTier}) has advanced to (Tier ${nextTier})!**\n\n***`;
-      default:
-        return '';
-    }
-  };
-
-  const getTitle = () => {
-    switch (type) {
-      case 'offered': return 'Skill Offered Prompt';
-      case 'levelup': return 'Skill Level Up Prompt';
-      case 'advancement': return 'Skill Advancement Prompt';
-      case 'passive_offered': return 'Passive Skill Offered Prompt';
-      case 'passive_levelup': return 'Passive Tier Advance Prompt';
-      default: return 'System Prompt';
-    }
-  };
-
-  const handleCopy = async () => {
-    try {
-      await navigator.clipboard.writeText(getPromptContent());
-      onCopySuccess?.('Prompt copied to clipboard!');
-      onClose();
-    } catch (err) {
-      console.error('Failed to copy:', err);
-    }
-  };
-
-  return (
-    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
-      <DialogTitle sx={{ color: 'primary.main' }}>{getTitle()}</DialogTitle>
-      <DialogContent>
-        <Typography variant="body2" sx={{ mb: 2, color: 'text.secondary' }}>
-          Copy this prompt for <strong>{skill?.name}</strong> and paste into Notion.
-        </Typography>
-        <Box sx={{ bgcolor: 'rgba(0,0,0,0.3)', p: 2, borderRadius: 1, fontFamily: 'monospace', whiteSpace: 'pre-wrap' }}>
-          {getPromptContent()}
-        </Box>
-      </DialogContent>
-      <DialogActions>
-        <Button onClick={onClose}>Close</Button>
-        <Button onClick={handleCopy} variant="contained" color="success" startIcon={<CopyIcon />}>
-          Copy to Clipboard
-        </Button>
-      </DialogActions>
-    </Dialog>
-  );
-}
-
 // Active Skill Dialog for Companion
 function CompanionActiveSkillDialog({ open, onClose, skill, onSave }) {
   const [name, setName] = useState(skill?.name || '');
@@ -619,16 +547,18 @@ function CompanionPassiveSkillDialog({ open, onClose, skill, onSave }) {
 // Stat Boost Dialog for body tempering, fruits, etc.
 function StatBoostDialog({ open, onClose, boost, onSave }) {
   const [description, setDescription] = useState(boost?.description || '');
-  const [stat, setStat] = useState(boost?.stat || 'strength');
+  const [stat, setStat] = useState(boost?.stat || getAllStats()[0]);
   const [additive, setAdditive] = useState(boost?.additive || 0);
   const [multiplier, setMultiplier] = useState(boost?.multiplier || 0);
+  const [acquiredLevel, setAcquiredLevel] = useState(boost?.acquiredLevel || '');
 
   React.useEffect(() => {
     if (open) {
       setDescription(boost?.description || '');
-      setStat(boost?.stat || 'strength');
+      setStat(boost?.stat || getAllStats()[0]);
       setAdditive(boost?.additive || 0);
       setMultiplier(boost?.multiplier || 0);
+      setAcquiredLevel(boost?.acquiredLevel || '');
     }
   }, [open, boost]);
 
@@ -639,6 +569,7 @@ function StatBoostDialog({ open, onClose, boost, onSave }) {
       additive: Number(additive) || 0,
       multiplier: Number(multiplier) || 0,
       enabled: boost?.enabled !== false,
+      acquiredLevel: Number(acquiredLevel) || null,
     });
     onClose();
   };
@@ -668,8 +599,8 @@ function StatBoostDialog({ open, onClose, boost, onSave }) {
                 onChange={(e) => setStat(e.target.value)}
                 label="Stat"
               >
-                {ALL_STATS.map((s) => (
-                  <MenuItem key={s} value={s}>{STAT_DISPLAY_NAMES[s]}</MenuItem>
+                {getAllStats().map((s) => (
+                  <MenuItem key={s} value={s}>{getStatDisplayName(s)}</MenuItem>
                 ))}
               </Select>
             </FormControl>
@@ -700,6 +631,18 @@ function StatBoostDialog({ open, onClose, boost, onSave }) {
               />
             </Tooltip>
           </Grid>
+          <Grid item xs={6} sm={4}>
+            <TextField
+              type="number"
+              label="Acquired at Level"
+              fullWidth
+              size="small"
+              value={acquiredLevel}
+              onChange={(e) => setAcquiredLevel(e.target.value)}
+              inputProps={{ min: 1 }}
+              helperText="Optional - used by the Stat Timeline"
+            />
+          </Grid>
         </Grid>
       </DialogContent>
       <DialogActions>
@@ -727,23 +670,27 @@ function getCurrentEvolution(classHistory, level) {
   return classHistory[classHistory.length - 1];
 }
 
-function Companion() {
-  // Use GENERIC context values (preferred) with LEGACY aliases for backwards compatibility
+/**
+ * @param {string} companionId - Companion id from config (defaults to the first companion)
+ */
+function Companion({ companionId }) {
+  // GENERIC context values, scoped to this companion
   const {
     // Generic names (preferred)
     companion,
-    main,
     updateCompanion,
     companionFinalStats,
     companionStatBreakdowns,
     companionDerivedStats,
-    syncedWillpowerForCompanion,
-    syncedManaForMain,
-    mainFinalStats,
-    getMainName,
+    companionBondedStats,
+    updateCompanionResource,
+    bondSyncDetails,
     getCompanionName,
+    getCharacterName,
+    getBondPartnerName,
     hasBond,
-  } = useCharacter();
+    companionId: id,
+  } = useCompanion(companionId);
 
   const [evolutionDialogOpen, setEvolutionDialogOpen] = useState(false);
   const [snapshotDialogOpen, setSnapshotDialogOpen] = useState(false);
@@ -761,10 +708,11 @@ function Companion() {
   const [promptType, setPromptType] = useState('');
   const [promptSkill, setPromptSkill] = useState(null);
   const [snackbar, setSnackbar] = useState({ open: false, message: '' });
+  const [projectionDialogOpen, setProjectionDialogOpen] = useState(false);
 
   // Get display names from config
-  const mainName = main?.name || getMainName();
   const companionDisplayName = companion?.name || getCompanionName();
+  const bondPartnerName = getBondPartnerName(id);
 
   if (!companion) {
     return <Typography>Loading...</Typography>;
@@ -816,7 +764,7 @@ function Companion() {
 
   const handleSaveSnapshot = (level, stats) => {
     const snapshots = { ...(companion.levelSnapshots || {}) };
-    snapshots[level] = stats;
+    snapshots[level] = { stats };
     updateCompanion({ levelSnapshots: snapshots });
     setSnapshotDialogOpen(false);
   };
@@ -830,37 +778,8 @@ function Companion() {
   // Take a snapshot of current TOTAL stats at current level (includes all bonuses)
   const handleTakeSnapshot = () => {
     const snapshots = { ...(companion.levelSnapshots || {}) };
-    
-    // Get current title bonuses (raw values)
-    const rawTitleBonuses = getTitleAdditiveBonuses(companion.titles);
-    const titleMultiplierBonuses = getTitleMultiplierBonuses(companion.titles);
-    
-    // Get current stat boost bonuses
-    const statBoostAdditiveBonuses = getStatBoostAdditiveBonuses(companion.statBoosts);
-    const statBoostMultiplierBonuses = getStatBoostMultiplierBonuses(companion.statBoosts);
-    
-    // Get trait multipliers and derivation bonuses for each stat
-    const traitMultipliers = {};
-    const includedTitleBonuses = {};
-    const includedDerivationBonuses = {};
-    ALL_STATS.forEach(stat => {
-      const traitMult = companionStatBreakdowns[stat]?.traitMultiplier || 1;
-      traitMultipliers[stat] = traitMult;
-      includedTitleBonuses[stat] = (rawTitleBonuses[stat] || 0) * traitMult;
-      includedDerivationBonuses[stat] = companionStatBreakdowns[stat]?.derivationBonus || 0;
-    });
-    
-    // Store the full snapshot with tracking of what's included
-    snapshots[companion.level] = {
-      stats: { ...companionFinalStats },
-      rawTitleBonuses: { ...rawTitleBonuses },
-      includedTraitMultipliers: traitMultipliers,
-      includedTitleBonuses: includedTitleBonuses,
-      includedTitleMultipliers: { ...titleMultiplierBonuses },
-      includedStatBoostBonuses: { ...statBoostAdditiveBonuses },
-      includedStatBoostMultipliers: { ...statBoostMultiplierBonuses },
-      includedDerivationBonuses: includedDerivationBonuses,
-    };
+    // Records the title, stat boost, trait and derivation bonuses baked into the stats
+    snapshots[companion.level] = buildLevelSnapshot(companion, { stats: companionFinalStats, breakdowns: companionStatBreakdowns });
     
     updateCompanion({ levelSnapshots: snapshots });
   };
@@ -1005,18 +924,45 @@ function Companion() {
           }}
         >
           <Typography variant="body2">
-            <strong>Bond Sync Active:</strong><br />
-            {mainName} receives +{syncedManaForMain} Mana (half of {companionDisplayName}'s {companionFinalStats.mana || 0}).<br />
-            {companionDisplayName} receives +{syncedWillpowerForCompanion} Willpower (half of {mainName}'s {mainFinalStats.willpower || 0}).
+            <strong>Bond Sync Active:</strong>
+            {bondSyncDetails.map((detail, index) => {
+              const receiverName = getCharacterName(detail.to);
+              const giverName = getCharacterName(detail.from);
+              return (
+                <React.Fragment key={index}>
+                  <br />
+                  {receiverName} receives +{detail.value} {getStatDisplayName(detail.targetStat)} ({describeSyncFormula(detail.rule.formula)} of {giverName}'s {detail.sourceValue} {getStatDisplayName(detail.sourceStat)}).
+                </React.Fragment>
+              );
+            })}
+            {bondSyncDetails.length === 0 && (
+              <>
+                <br />
+                No sync rules configured.
+              </>
+            )}
           </Typography>
         </Alert>
       )}
 
       {/* Basic Info */}
       <Paper sx={{ p: 3 }}>
-        <Typography variant="h5" sx={{ mb: 3, color: 'secondary.main' }}>
-          Companion Info
-        </Typography>
+        <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 3 }}>
+          <Typography variant="h5" sx={{ color: 'secondary.main' }}>
+            Companion Info
+          </Typography>
+          <Tooltip title="Project stats at a future level without changing anything" arrow>
+            <Button
+              variant="outlined"
+              size="small"
+              color="secondary"
+              startIcon={<ProjectionIcon />}
+              onClick={() => setProjectionDialogOpen(true)}
+            >
+              What-if
+            </Button>
+          </Tooltip>
+        </Box>
         <Grid container spacing={3}>
           <Grid item xs={12} sm={6} md={4}>
             <TextField
@@ -1049,86 +995,39 @@ function Companion() {
         </Grid>
       </Paper>
 
-      {/* Derived Stats (HP/MP) */}
-      <Paper sx={{ p: 3 }}>
-        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 3 }}>
-          <Typography variant="h5" sx={{ color: 'secondary.main' }}>
-            Resources
-          </Typography>
-          <Tooltip title="HP = Constitution × 10 | MP = Mana × 10" arrow>
-            <InfoIcon sx={{ color: 'text.secondary', fontSize: 18, cursor: 'help' }} />
-          </Tooltip>
-        </Box>
-        <Grid container spacing={3}>
-          <Grid item xs={12} sm={6}>
-            <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
-              <HpIcon sx={{ color: 'error.main', fontSize: 24 }} />
-              <Typography sx={{ width: 50, fontWeight: 600 }}>HP:</Typography>
-              <Typography
-                sx={{
-                  fontFamily: '"JetBrains Mono", monospace',
-                  fontSize: '1.3rem',
-                  fontWeight: 600,
-                  color: 'error.main',
-                }}
-              >
-                {companionDerivedStats.hp?.max || 0}
-              </Typography>
-            </Box>
-          </Grid>
-          <Grid item xs={12} sm={6}>
-            <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
-              <MpIcon sx={{ color: 'info.main', fontSize: 24 }} />
-              <Typography sx={{ width: 50, fontWeight: 600 }}>MP:</Typography>
-              <Typography
-                sx={{
-                  fontFamily: '"JetBrains Mono", monospace',
-                  fontSize: '1.3rem',
-                  fontWeight: 600,
-                  color: 'info.main',
-                }}
-              >
-                {companionDerivedStats.mp?.max || 0}
-              </Typography>
-            </Box>
-          </Grid>
-        </Grid>
-      </Paper>
-
-      {/* Physical Stats - No free points for beasts */}
-      <Paper sx={{ p: 3 }}>
-        <Typography variant="h5" sx={{ mb: 3, color: 'secondary.main' }}>
-          Physical Stats
-        </Typography>
-        <Typography variant="body2" sx={{ mb: 3, color: 'text.secondary' }}>
-          Hover over values to see calculation breakdown. Stats increase based on evolution.
-        </Typography>
-        {PHYSICAL_STATS.map(stat => (
-          <StatDisplay
-            key={stat}
-            statName={stat}
-            finalValue={companionFinalStats[stat] || 0}
-            breakdown={companionStatBreakdowns[stat]}
-          />
-        ))}
-      </Paper>
+      {/* Derived Resources (HP/MP/custom) - Calculated from config.resources formulas */}
+      <ResourcesPanel
+        derivedStats={companionDerivedStats}
+        bondedStats={hasBond ? companionBondedStats : undefined}
+        trackCurrent={!!companion.trackCurrentResources}
+        onToggleTrackCurrent={(enabled) => updateCompanion({ trackCurrentResources: enabled })}
+        onCurrentChange={updateCompanionResource}
+        accentColor="secondary.main"
+      />
 
-      {/* Magical Stats */}
-      <Paper sx={{ p: 3 }}>
-        <Typography variant="h5" sx={{ mb: 3, color: 'secondary.main' }}>
-          Magical Stats
-        </Typography>
-        {MAGICAL_STATS.map(stat => (
-          <StatDisplay
-            key={stat}
-            statName={stat}
-            finalValue={companionFinalStats[stat] || 0}
-            breakdown={companionStatBreakdowns[stat]}
-            syncedValue={stat === 'willpower' && hasBond ? syncedWillpowerForCompanion : undefined}
-            syncedFrom={stat === 'willpower' && hasBond ? mainName : undefined}
-          />
-        ))}
-      </Paper>
+      {/* Stat Groups (from config.stats) - No free points for beasts */}
+      {getStatGroups().map((group, groupIndex) => (
+        <Paper key={group.id} sx={{ p: 3 }}>
+          <Typography variant="h5" sx={{ mb: 3, color: 'secondary.main' }}>
+            {group.label}
+          </Typography>
+          {groupIndex === 0 && (
+            <Typography variant="body2" sx={{ mb: 3, color: 'text.secondary' }}>
+              Hover over values to see calculation breakdown. Stats increase based on evolution.
+            </Typography>
+          )}
+          {group.stats.map(({ key: stat }) => (
+            <StatDisplay
+              key={stat}
+              statName={stat}
+              finalValue={companionFinalStats[stat] || 0}
+              breakdown={companionStatBreakdowns[stat]}
+              syncedValue={hasBond ? companionBondedStats[stat] : undefined}
+              syncedFrom={hasBond ? bondPartnerName : undefined}
+            />
+          ))}
+        </Paper>
+      ))}
 
       {/* Evolution History */}
       <Accordion defaultExpanded>
@@ -1184,9 +1083,9 @@ function Companion() {
                       </TableCell>
                       <TableCell>
                         <Typography variant="body2" sx={{ fontFamily: 'monospace', fontSize: '0.8rem' }}>
-                          {ALL_STATS
+                          {getAllStats()
                             .filter(stat => (evo.statsPerLevel?.[stat] || 0) > 0)
-                            .map(stat => `${STAT_DISPLAY_NAMES[stat].slice(0,3)}: ${evo.statsPerLevel[stat]}`)
+                            .map(stat => `${getStatAbbreviation(stat)}: ${evo.statsPerLevel[stat]}`)
                             .join(', ') || 'None'}
                         </Typography>
                       </TableCell>
@@ -1259,9 +1158,9 @@ function Companion() {
                         <TableCell>Level {level}</TableCell>
                         <TableCell>
                           <Typography variant="body2" sx={{ fontFamily: 'monospace', fontSize: '0.8rem' }}>
-                            {ALL_STATS
+                            {getAllStats()
                               .filter(stat => getSnapshotStatValue(snapshot, stat) > 0)
-                              .map(stat => `${STAT_DISPLAY_NAMES[stat].slice(0,3)}: ${getSnapshotStatValue(snapshot, stat)}`)
+                              .map(stat => `${getStatAbbreviation(stat)}: ${getSnapshotStatValue(snapshot, stat)}`)
                               .join(', ')}
                           </Typography>
                           {(snapshot.includedTitleBonuses || snapshot.includedStatBoostBonuses) && (
@@ -1289,6 +1188,19 @@ function Companion() {
         </AccordionDetails>
       </Accordion>
 
+      {/* Stat Timeline - every stat at every level (only calculated while open) */}
+      <Accordion TransitionProps={{ unmountOnExit: true }}>
+        <AccordionSummary expandIcon={<ExpandIcon />}>
+          <Typography variant="h6">Stat Timeline</Typography>
+        </AccordionSummary>
+        <AccordionDetails>
+          <Typography variant="body2" sx={{ mb: 2, color: 'text.secondary' }}>
+            Stats at every level from 1 to {companion.level}, rebuilt from snapshots, evolutions and stat boosts.
+          </Typography>
+          <StatTimeline character={companion} classLabel="Evolution" />
+        </AccordionDetails>
+      </Accordion>
+
       {/* Active Skills */}
       <Accordion defaultExpanded>
         <AccordionSummary expandIcon={<ExpandIcon />}>
@@ -1601,7 +1513,7 @@ function Companion() {
                           {boost.description || '(No description)'}
                         </Typography>
                       </TableCell>
-                      <TableCell>{STAT_DISPLAY_NAMES[boost.stat]}</TableCell>
+                      <TableCell>{getStatDisplayName(boost.stat)}</TableCell>
                       <TableCell>
                         <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
                           {boost.additive !== 0 && (
@@ -1669,11 +1581,12 @@ function Companion() {
         skill={editingSkill}
         onSave={handleSavePassiveSkill}
       />
-      <CompanionSystemPromptDialog
+      <SystemPromptDialog
         open={promptDialogOpen}
         onClose={() => setPromptDialogOpen(false)}
         type={promptType}
-        skill={promptSkill}
+        character={companion}
+        subject={{ skill: promptSkill }}
         onCopySuccess={(msg) => setSnackbar({ open: true, message: msg })}
       />
       <StatBoostDialog
@@ -1683,6 +1596,17 @@ function Companion() {
         onSave={handleSaveBoost}
       />
       
+      <ProjectionDialog
+        open={projectionDialogOpen}
+        onClose={() => setProjectionDialogOpen(false)}
+        character={companion}
+        bondedStats={hasBond ? companionBondedStats : undefined}
+        bondPartnerName={bondPartnerName}
+        classLabel="Evolution"
+        showFreePoints={false}
+        accentColor="secondary.main"
+      />
+
       {/* Copy Success Snackbar */}
       <Snackbar
         open={snackbar.open}
@@ -4,22 +4,26 @@
  * ============================================================================
  * TEMPLATE NOTE FOR DEVELOPERS:
  * ============================================================================
- * This tab generates formatted status screen output. It currently uses LEGACY
- * variable names (alex, valtherion) via context aliases.
+ * This tab generates formatted status screen output for the main character,
+ * any one companion, or a party of selected characters printed one after
+ * another. It uses GENERIC names (main, companionsById) from the context.
  * 
- * For NEW CODE, prefer using generic names:
- * - main instead of alex
- * - companion instead of valtherion
- * - getMainName() / getCompanionName() for display text
- * 
- * The formatter utility (formatter.js) may also need updates to use
- * generic names for full template compatibility.
+ * - getMainName() / getCompanionName(id) for display text
+ * - formatStatusScreen() / formatPartyStatusScreens() in utils/formatter.js
+ * - "Changes since…" prints formatChangesSince() against a saved snapshot
+ *   instead (short level-up summary), optionally followed by the full screen
+ * - "Format" picks an output format from utils/outputFormats.js (Markdown
+ *   for Notion, BBCode, an HTML table for Royal Road, plain text, Discord)
+ *   or a saved status screen template (utils/statusTemplates.js); the choice
+ *   is remembered in localStorage
+ * - "Templates" opens StatusTemplateEditor; while it is open the preview
+ *   renders the template being edited
  * 
  * See DEVELOPMENT.md for full guidelines on template-aware development.
  * ============================================================================
  */
 
-import React, { useState, useMemo } from 'react';
+import React, { useState, useMemo, useEffect, useCallback } from 'react';
 import {
   Box,
   Paper,
@@ -30,57 +34,185 @@ import {
   Divider,
   Snackbar,
   Alert,
+  FormGroup,
+  FormControlLabel,
+  Checkbox,
+  TextField,
+  MenuItem,
+  ListSubheader,
 } from '@mui/material';
 import {
   ContentCopy as CopyIcon,
-  Person as AlexIcon,
-  Pets as ValIcon,
-  SelectAll as BothIcon,
+  Person as MainIcon,
+  Pets as CompanionIcon,
+  Groups as PartyIcon,
+  EditNote as TemplateIcon,
 } from '@mui/icons-material';
 import { useCharacter } from '../context/CharacterContext';
-import { formatStatusScreen, formatBothStatusScreens } from '../utils/formatter';
+import axios from 'axios';
+import { formatPartyStatusScreens, formatChangesSince } from '../utils/formatter';
+import { getAllStats, getStatAbbreviation, getResourceDefinitions } from '../utils/statCalculator';
+import { getApiBase } from '../config/characterConfig';
+import { DEFAULT_OUTPUT_FORMAT, getOutputFormat, getOutputFormats, hasOutputFormat } from '../utils/outputFormats';
+import { TEMPLATE_FORMAT_PREFIX, createTemplateFormat } from '../utils/statusTemplates';
+import StatusTemplateEditor from '../components/StatusTemplateEditor';
+
+// View mode that prints several characters together
+const PARTY_MODE = 'party';
+
+const OUTPUT_FORMAT_KEY = 'outputFormat';
+
+// How to paste each format; formats without an entry show their description
+const FORMAT_TIPS = {
+  markdown: 'The output is formatted for Notion with proper spacing and markdown. '
+    + 'Click "Copy Status" and paste directly into your document. The **bold** markers and '
+    + 'spacing will render correctly in Notion.',
+  bbcode: 'Paste into a forum post editor that accepts BBCode (the [b] and [quote] tags render there).',
+  html: 'Paste into the source code view of the Royal Road chapter editor (the "<>" button) '
+    + 'so the table renders instead of showing the tags.',
+  plain: 'No markup at all - paste into an EPUB draft or any editor and style it there.',
+  discord: 'Paste into a Discord message; the code block keeps the layout lined up.',
+};
 
 function OutputPreview() {
   const { 
-    alex, 
-    valtherion, 
+    main, 
+    companions,
+    companionIds,
+    companionsById,
     showNotification,
-    alexFinalStats,
-    valFinalStats,
-    alexDerivedStats,
-    valDerivedStats,
-    syncedManaForAlex,
+    mainFinalStats,
+    mainDerivedStats,
+    mainBondedStats,
+    getMainName,
+    getCompanionName,
+    serverChanges,
   } = useCharacter();
   
-  const [viewMode, setViewMode] = useState('alex');
+  const [viewMode, setViewMode] = useState('main');
+  // Keys left out of the party view (everyone is in by default)
+  const [excludedFromParty, setExcludedFromParty] = useState([]);
   const [copied, setCopied] = useState(false);
+  // "Changes since…": snapshot to compare against ('' = full status screen only)
+  const [snapshots, setSnapshots] = useState([]);
+  const [changesSinceId, setChangesSinceId] = useState('');
+  const [changesSince, setChangesSince] = useState(null);
+  const [includeFullScreen, setIncludeFullScreen] = useState(false);
+  const [format, setFormat] = useState(() => {
+    const stored = localStorage.getItem(OUTPUT_FORMAT_KEY) || '';
+    return hasOutputFormat(stored) || stored.startsWith(TEMPLATE_FORMAT_PREFIX) ? stored : DEFAULT_OUTPUT_FORMAT;
+  });
+  // Saved status screen templates, and the one being edited (previewed instead of the format)
+  const [templates, setTemplates] = useState([]);
+  const [editingTemplates, setEditingTemplates] = useState(false);
+  const [previewTemplate, setPreviewTemplate] = useState(null);
+
+  const handleFormatChange = (newFormat) => {
+    setFormat(newFormat);
+    localStorage.setItem(OUTPUT_FORMAT_KEY, newFormat);
+  };
+
+  const fetchTemplates = useCallback(() => {
+    axios.get(`${getApiBase()}/templates`)
+      .then(response => setTemplates(response.data))
+      .catch(err => console.error('Failed to load templates:', err));
+  }, []);
+
+  useEffect(() => {
+    fetchTemplates();
+  }, [fetchTemplates, serverChanges.templates]);
+
+  useEffect(() => {
+    axios.get(`${getApiBase()}/snapshots`)
+      .then(response => setSnapshots(response.data))
+      .catch(err => console.error('Failed to load snapshots:', err));
+  }, [serverChanges.snapshots]);
+
+  useEffect(() => {
+    if (!changesSinceId) {
+      setChangesSince(null);
+      return;
+    }
+    axios.get(`${getApiBase()}/snapshot/${changesSinceId}`)
+      .then(response => setChangesSince(response.data))
+      .catch(err => {
+        console.error('Failed to load snapshot:', err);
+        setChangesSinceId('');
+        showNotification('error', 'Failed to load snapshot');
+      });
+  }, [changesSinceId, serverChanges.snapshots, showNotification]);
+
+  // Every printable character: main first, then companions in tab order
+  const characters = useMemo(() => [
+    {
+      key: 'main',
+      name: main?.name || getMainName(),
+      icon: <MainIcon sx={{ mr: 0.5 }} />,
+      data: main,
+      options: { calculatedStats: mainFinalStats, derivedStats: mainDerivedStats, bondedStats: mainBondedStats },
+    },
+    ...companionIds.map(id => {
+      const view = companionsById[id];
+      return {
+        key: id,
+        name: view.companion?.name || getCompanionName(id),
+        icon: <CompanionIcon sx={{ mr: 0.5 }} />,
+        data: view.companion,
+        options: {
+          calculatedStats: view.companionFinalStats,
+          derivedStats: view.companionDerivedStats,
+          bondedStats: view.companionBondedStats,
+        },
+      };
+    }),
+  ], [main, mainFinalStats, mainDerivedStats, mainBondedStats, companionIds, companionsById, getMainName, getCompanionName]);
+
+  const shownCharacters = useMemo(() => (viewMode === PARTY_MODE
+    ? characters.filter(character => !excludedFromParty.includes(character.key))
+    : characters.filter(character => character.key === viewMode)
+  ), [characters, viewMode, excludedFromParty]);
+
+  // The chosen format as an object; a template that isn't loaded (yet) prints as the default
+  const outputFormat = useMemo(() => {
+    if (previewTemplate) return createTemplateFormat(previewTemplate);
+    if (!format.startsWith(TEMPLATE_FORMAT_PREFIX)) return getOutputFormat(format);
+    const template = templates.find(t => `${TEMPLATE_FORMAT_PREFIX}${t.id}` === format);
+    return template ? createTemplateFormat(template) : getOutputFormat(DEFAULT_OUTPUT_FORMAT);
+  }, [format, templates, previewTemplate]);
 
   // Generate formatted output based on view mode
   const formattedOutput = useMemo(() => {
-    switch (viewMode) {
-      case 'alex':
-        return formatStatusScreen(alex, {
-          calculatedStats: alexFinalStats,
-          derivedStats: alexDerivedStats,
-          bondedMana: syncedManaForAlex,
-        });
-      case 'valtherion':
-        return formatStatusScreen(valtherion, {
-          calculatedStats: valFinalStats,
-          derivedStats: valDerivedStats,
-        });
-      case 'both':
-        return formatBothStatusScreens(alex, valtherion, {
-          alexStats: alexFinalStats,
-          alexDerived: alexDerivedStats,
-          alexBondedMana: syncedManaForAlex,
-          valStats: valFinalStats,
-          valDerived: valDerivedStats,
-        });
-      default:
-        return '';
+    const fullScreens = formatPartyStatusScreens(
+      shownCharacters.map(character => ({ character: character.data, options: character.options })),
+      outputFormat
+    );
+    if (!changesSince) return fullScreens;
+
+    const changes = formatChangesSince(
+      changesSince.data,
+      { main, ...companions },
+      shownCharacters.map(character => character.key),
+      { format: outputFormat }
+    ) || `No changes since "${changesSince.name}"`;
+    return includeFullScreen ? `${changes}${outputFormat.separator}${fullScreens}` : changes;
+  }, [shownCharacters, changesSince, includeFullScreen, main, companions, outputFormat]);
+
+  const handleTemplateSaved = (template) => {
+    fetchTemplates();
+    handleFormatChange(`${TEMPLATE_FORMAT_PREFIX}${template.id}`);
+  };
+
+  const handleTemplateDeleted = (template) => {
+    fetchTemplates();
+    if (format === `${TEMPLATE_FORMAT_PREFIX}${template.id}`) handleFormatChange(DEFAULT_OUTPUT_FORMAT);
+  };
+
+  const getTip = () => {
+    if (outputFormat.id.startsWith(TEMPLATE_FORMAT_PREFIX)) {
+      return `Printed with the "${outputFormat.label}" template ("Changes since…" blocks keep the Markdown layout).`;
     }
-  }, [alex, valtherion, viewMode, alexFinalStats, valFinalStats, alexDerivedStats, valDerivedStats, syncedManaForAlex]);
+    return FORMAT_TIPS[outputFormat.id] || `${outputFormat.description}.`;
+  };
 
   const handleCopy = async () => {
     try {
@@ -99,49 +231,40 @@ function OutputPreview() {
     }
   };
 
-  const getTitle = () => {
-    switch (viewMode) {
-      case 'alex':
-        return `${alex?.name || 'Alex'}'s Status Screen`;
-      case 'valtherion':
-        return `${valtherion?.name || 'Valtherion'}'s Status Screen`;
-      case 'both':
-        return 'Combined Status Screens';
-      default:
-        return 'Status Screen';
-    }
+  const handleTogglePartyMember = (key) => {
+    setExcludedFromParty(prev =>
+      prev.includes(key) ? prev.filter(existing => existing !== key) : [...prev, key]
+    );
   };
 
-  // Quick stats preview
-  const getQuickStats = () => {
-    if (viewMode === 'alex' || viewMode === 'both') {
-      return (
-        <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', mb: 2 }}>
-          <Typography variant="body2" sx={{ color: 'text.secondary' }}>
-            <strong>Alex:</strong> Lvl {alex?.level} | 
-            HP: {alexDerivedStats?.hp?.max} | 
-            MP: {alexDerivedStats?.mp?.max} | 
-            Will: {alexFinalStats?.willpower} | 
-            Int: {alexFinalStats?.intellect}
-          </Typography>
-        </Box>
-      );
-    }
-    if (viewMode === 'valtherion') {
-      return (
-        <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', mb: 2 }}>
-          <Typography variant="body2" sx={{ color: 'text.secondary' }}>
-            <strong>Valtherion:</strong> Lvl {valtherion?.level} | 
-            HP: {valDerivedStats?.hp?.max} | 
-            MP: {valDerivedStats?.mp?.max} | 
-            Mana: {valFinalStats?.mana}
-          </Typography>
-        </Box>
-      );
-    }
-    return null;
+  const getTitle = () => {
+    if (changesSince) return `Changes since "${changesSince.name}"`;
+    if (viewMode === PARTY_MODE) return 'Party Status Screens';
+    return shownCharacters[0] ? `${shownCharacters[0].name}'s Status Screen` : 'Status Screen';
   };
 
+  // Quick stats preview - one abbreviated entry per stat in config.stats
+  const formatQuickStats = (finalStats) => getAllStats()
+    .map(stat => `${getStatAbbreviation(stat)}: ${finalStats?.[stat] || 0}`)
+    .join(' | ');
+
+  // One entry per resource in config.resources (HP, MP, custom pools)
+  const formatQuickResources = (derivedStats) => getResourceDefinitions()
+    .map(resource => `${resource.name}: ${derivedStats?.[resource.key]?.max || 0}`)
+    .join(' | ');
+
+  const getQuickStats = () => shownCharacters
+    .filter(character => character.data)
+    .map(character => (
+      <Box key={character.key} sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', mb: 2 }}>
+        <Typography variant="body2" sx={{ color: 'text.secondary' }}>
+          <strong>{character.name}:</strong> Lvl {character.data.level} | 
+          {formatQuickResources(character.options.derivedStats)} | 
+          {formatQuickStats(character.options.calculatedStats)}
+        </Typography>
+      </Box>
+    ));
+
   return (
     <Box sx={{ display: 'flex', flexDirection: 'column', gap: 3, height: '100%' }}>
       {/* Controls */}
@@ -170,18 +293,18 @@ function OutputPreview() {
               onChange={handleViewModeChange}
               size="small"
             >
-              <ToggleButton value="alex">
-                <AlexIcon sx={{ mr: 0.5 }} />
-                Alex
-              </ToggleButton>
-              <ToggleButton value="valtherion">
-                <ValIcon sx={{ mr: 0.5 }} />
-                Valtherion
-              </ToggleButton>
-              <ToggleButton value="both">
-                <BothIcon sx={{ mr: 0.5 }} />
-                Both
-              </ToggleButton>
+              {characters.map(character => (
+                <ToggleButton key={character.key} value={character.key}>
+                  {character.icon}
+                  {character.name}
+                </ToggleButton>
+              ))}
+              {characters.length > 1 && (
+                <ToggleButton value={PARTY_MODE}>
+                  <PartyIcon sx={{ mr: 0.5 }} />
+                  Party
+                </ToggleButton>
+              )}
             </ToggleButtonGroup>
             <Button
               variant="contained"
@@ -198,9 +321,92 @@ function OutputPreview() {
             </Button>
           </Box>
         </Box>
+        <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', flexWrap: 'wrap', mt: 2 }}>
+          <TextField
+            select
+            size="small"
+            label="Format"
+            value={format}
+            onChange={(e) => handleFormatChange(e.target.value)}
+            sx={{ minWidth: 220 }}
+          >
+            {getOutputFormats().map(({ id, label }) => (
+              <MenuItem key={id} value={id}>{label}</MenuItem>
+            ))}
+            {templates.length > 0 && <ListSubheader>Templates</ListSubheader>}
+            {templates.map(template => (
+              <MenuItem key={template.id} value={`${TEMPLATE_FORMAT_PREFIX}${template.id}`}>
+                {template.name}
+              </MenuItem>
+            ))}
+          </TextField>
+          <Button
+            variant={editingTemplates ? 'contained' : 'outlined'}
+            startIcon={<TemplateIcon />}
+            onClick={() => setEditingTemplates(prev => !prev)}
+          >
+            Templates
+          </Button>
+          <TextField
+            select
+            size="small"
+            label="Changes since…"
+            value={changesSinceId}
+            onChange={(e) => setChangesSinceId(e.target.value)}
+            sx={{ minWidth: 280 }}
+          >
+            <MenuItem value="">
+              <em>Full status screen</em>
+            </MenuItem>
+            {snapshots.map(snapshot => (
+              <MenuItem key={snapshot.id} value={snapshot.id}>{snapshot.name}</MenuItem>
+            ))}
+          </TextField>
+          {changesSinceId && (
+            <FormControlLabel
+              control={
+                <Checkbox
+                  checked={includeFullScreen}
+                  onChange={(e) => setIncludeFullScreen(e.target.checked)}
+                  size="small"
+                />
+              }
+              label="Include full status screen"
+            />
+          )}
+        </Box>
+        {viewMode === PARTY_MODE && (
+          <FormGroup row sx={{ mt: 2 }}>
+            {characters.map(character => (
+              <FormControlLabel
+                key={character.key}
+                control={
+                  <Checkbox
+                    checked={!excludedFromParty.includes(character.key)}
+                    onChange={() => handleTogglePartyMember(character.key)}
+                    size="small"
+                  />
+                }
+                label={character.name}
+              />
+            ))}
+          </FormGroup>
+        )}
         {getQuickStats()}
       </Paper>
 
+      {editingTemplates && (
+        <StatusTemplateEditor
+          templates={templates}
+          format={format}
+          onPreview={setPreviewTemplate}
+          onSaved={handleTemplateSaved}
+          onDeleted={handleTemplateDeleted}
+          onClose={() => setEditingTemplates(false)}
+          showNotification={showNotification}
+        />
+      )}
+
       {/* Preview Panel */}
       <Paper
         sx={{
@@ -244,10 +450,8 @@ function OutputPreview() {
       {/* Helpful Tips */}
       <Paper sx={{ p: 2, bgcolor: 'rgba(201, 162, 39, 0.05)' }}>
         <Typography variant="body2" sx={{ color: 'text.secondary' }}>
-          <strong>Tip:</strong> The output is formatted for Notion with proper spacing and markdown. 
-          Click "Copy Status" and paste directly into your document. The **bold** markers and 
-          spacing will render correctly in Notion. Stats are automatically calculated based on 
-          level, class, titles, and traits.
+          <strong>Tip:</strong> {getTip()} Stats
+          are automatically calculated based on level, class, titles, and traits.
         </Typography>
       </Paper>
 
@@ -7,14 +7,28 @@
  * This tab manages snapshots and save history. Snapshots use generic data keys
  * (main/companion) which works correctly with the new template system.
  * 
- * When loading legacy snapshots that used alex/valtherion keys, the server
- * handles migration automatically.
+ * Snapshots saved by older versions (legacy alex/valtherion keys, flat
+ * level snapshots) are upgraded by the server on load (utils/dataSchema.js).
+ * 
+ * Compare mode (components/SnapshotCompare.js) diffs two snapshots, or a
+ * snapshot and the current state, through GET /api/snapshots/diff.
+ * 
+ * Each snapshot carries details (book, chapter, in-world date, notes, tags)
+ * edited with components/SnapshotDetailsDialog.js; the list can be sorted,
+ * filtered and grouped by them.
+ * 
+ * "Paste Status" (components/StatusImportDialog.js) reads status screens
+ * written outside the app and applies picked differences to the current
+ * state or saves them as a new snapshot.
+ * 
+ * Import takes a snapshot .json or an .xlsx spreadsheet; spreadsheets go
+ * through components/SpreadsheetImportDialog.js to map their columns first.
  * 
  * See DEVELOPMENT.md for full guidelines on template-aware development.
  * ============================================================================
  */
 
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import {
   Box,
   Paper,
@@ -36,6 +50,9 @@ import {
   CircularProgress,
   Alert,
   Tooltip,
+  MenuItem,
+  FormControlLabel,
+  Switch,
 } from '@mui/material';
 import {
   Save as SaveIcon,
@@ -45,17 +62,62 @@ import {
   Upload as ImportIcon,
   Visibility as ViewIcon,
   Refresh as RefreshIcon,
+  CompareArrows as CompareIcon,
+  Edit as EditIcon,
+  ContentPaste as PasteIcon,
 } from '@mui/icons-material';
 import axios from 'axios';
 import { useCharacter } from '../context/CharacterContext';
-import { formatStatusScreen } from '../utils/formatter';
+import { getApiBase, getCompanionEntries } from '../config/characterConfig';
+import { formatPartyStatusScreens } from '../utils/formatter';
+import { computeCharacterStats } from '../utils/computeStats';
+import { groupLedgerByChapter, formatChapterLabel } from '../utils/progressionLedger';
+import ProgressionLedger, { LedgerEventList } from '../components/ProgressionLedger';
+import SnapshotCompare from '../components/SnapshotCompare';
+import SnapshotDetailsDialog, { SnapshotDetailsFields, EMPTY_SNAPSHOT_DETAILS } from '../components/SnapshotDetailsDialog';
+import StatusImportDialog from '../components/StatusImportDialog';
+import SpreadsheetImportDialog from '../components/SpreadsheetImportDialog';
+
+// Sort orders for the snapshot list
+const SORT_OPTIONS = {
+  newest: 'Newest saved first',
+  oldest: 'Oldest saved first',
+  chapter: 'Book and chapter',
+  name: 'Name',
+};
 
-const API_BASE = '/api';
+// Book/chapter text compares numerically where it can ("2" < "10", "26.5" < "27")
+const compareText = (a, b) => {
+  if (a && !b) return -1;
+  if (!a && b) return 1;
+  return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+};
 
-function SnapshotViewDialog({ open, onClose, snapshot }) {
+const SNAPSHOT_SORTS = {
+  newest: (a, b) => b.createdAt.localeCompare(a.createdAt),
+  oldest: (a, b) => a.createdAt.localeCompare(b.createdAt),
+  chapter: (a, b) => compareText(a.book, b.book) || compareText(a.chapter, b.chapter) || a.createdAt.localeCompare(b.createdAt),
+  name: (a, b) => compareText(a.name, b.name),
+};
+
+function SnapshotViewDialog({ open, onClose, snapshot, events = [] }) {
   if (!snapshot) return null;
 
-  const alexPreview = formatStatusScreen(snapshot.data?.alex);
+  const mainData = snapshot.data?.main;
+
+  // Recalculate with bond sync so resources match what the live tabs showed
+  const computed = computeCharacterStats(snapshot.data);
+
+  const preview = formatPartyStatusScreens([
+    {
+      character: mainData,
+      options: { calculatedStats: computed.main?.finalStats || {}, bondedStats: computed.main?.bondedStats },
+    },
+    ...getCompanionEntries(snapshot.data).map(({ id, data }) => ({
+      character: data,
+      options: { calculatedStats: computed.companions[id]?.finalStats, bondedStats: computed.companions[id]?.bondedStats },
+    })),
+  ]);
 
   return (
     <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
@@ -64,8 +126,20 @@ function SnapshotViewDialog({ open, onClose, snapshot }) {
         <Typography variant="body2" color="text.secondary">
           Saved: {new Date(snapshot.createdAt).toLocaleString()}
         </Typography>
+        {(snapshot.book || snapshot.chapter || snapshot.inWorldDate) && (
+          <Typography variant="body2" color="text.secondary">
+            {[snapshot.book || snapshot.chapter ? formatChapterLabel(snapshot.book, snapshot.chapter) : null, snapshot.inWorldDate]
+              .filter(Boolean)
+              .join(' · ')}
+          </Typography>
+        )}
       </DialogTitle>
       <DialogContent>
+        {snapshot.notes && (
+          <Typography variant="body2" sx={{ mb: 2, whiteSpace: 'pre-wrap' }}>
+            {snapshot.notes}
+          </Typography>
+        )}
         <Box
           component="pre"
           sx={{
@@ -80,8 +154,23 @@ function SnapshotViewDialog({ open, onClose, snapshot }) {
             overflow: 'auto',
           }}
         >
-          {alexPreview}
+          {preview}
         </Box>
+        {events.length > 0 && (
+          <Box sx={{ mt: 2 }}>
+            <Typography variant="subtitle1" sx={{ mb: 1, fontWeight: 600 }}>
+              Since the previous save
+            </Typography>
+            {groupLedgerByChapter(events).map(group => (
+              <Box key={`${group.book}-${group.chapter}`} sx={{ mb: 1.5 }}>
+                <Typography variant="body2" sx={{ color: 'primary.main', mb: 0.5 }}>
+                  {formatChapterLabel(group.book, group.chapter)}
+                </Typography>
+                <LedgerEventList events={group.events} />
+              </Box>
+            ))}
+          </Box>
+        )}
       </DialogContent>
       <DialogActions>
         <Button onClick={onClose}>Close</Button>
@@ -91,19 +180,31 @@ function SnapshotViewDialog({ open, onClose, snapshot }) {
 }
 
 function SaveHistory() {
-  const { saveSnapshot, loadSnapshot, showNotification } = useCharacter();
+  const { saveSnapshot, loadSnapshot, showNotification, serverChanges } = useCharacter();
   const [snapshots, setSnapshots] = useState([]);
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
   const [snapshotName, setSnapshotName] = useState('');
   const [viewingSnapshot, setViewingSnapshot] = useState(null);
+  const [viewingEvents, setViewingEvents] = useState([]);
+  const [ledgerVersion, setLedgerVersion] = useState(0);
   const [confirmDelete, setConfirmDelete] = useState(null);
+  const [compareMode, setCompareMode] = useState(false);
+  const [saveDetails, setSaveDetails] = useState(EMPTY_SNAPSHOT_DETAILS);
+  const [editingSnapshot, setEditingSnapshot] = useState(null);
+  const [search, setSearch] = useState('');
+  const [bookFilter, setBookFilter] = useState('');
+  const [tagFilter, setTagFilter] = useState('');
+  const [sortBy, setSortBy] = useState('newest');
+  const [groupByBook, setGroupByBook] = useState(false);
+  const [pasteOpen, setPasteOpen] = useState(false);
+  const [spreadsheetFile, setSpreadsheetFile] = useState(null);
 
   // Load snapshots
   const fetchSnapshots = useCallback(async () => {
     try {
       setLoading(true);
-      const response = await axios.get(`${API_BASE}/snapshots`);
+      const response = await axios.get(`${getApiBase()}/snapshots`);
       setSnapshots(response.data);
     } catch (err) {
       console.error('Failed to load snapshots:', err);
@@ -113,9 +214,10 @@ function SaveHistory() {
     }
   }, [showNotification]);
 
+  // Also refetch when snapshots change in another window or on disk
   useEffect(() => {
     fetchSnapshots();
-  }, [fetchSnapshots]);
+  }, [fetchSnapshots, serverChanges.snapshots]);
 
   // Save new snapshot
   const handleSave = async () => {
@@ -126,8 +228,14 @@ function SaveHistory() {
 
     try {
       setSaving(true);
-      await saveSnapshot(snapshotName.trim());
+      // Empty book/chapter are left out so the server uses the ledger's position
+      await saveSnapshot(snapshotName.trim(), {
+        ...saveDetails,
+        book: saveDetails.book.trim() || undefined,
+        chapter: saveDetails.chapter.trim() || undefined,
+      });
       setSnapshotName('');
+      setSaveDetails(EMPTY_SNAPSHOT_DETAILS);
       await fetchSnapshots();
     } catch (err) {
       console.error('Failed to save:', err);
@@ -140,6 +248,7 @@ function SaveHistory() {
   const handleLoad = async (id) => {
     try {
       await loadSnapshot(id);
+      setLedgerVersion(version => version + 1);
     } catch (err) {
       console.error('Failed to load:', err);
     }
@@ -148,7 +257,7 @@ function SaveHistory() {
   // Delete snapshot
   const handleDelete = async (id) => {
     try {
-      await axios.delete(`${API_BASE}/snapshot/${id}`);
+      await axios.delete(`${getApiBase()}/snapshot/${id}`);
       showNotification('success', 'Snapshot deleted');
       setConfirmDelete(null);
       await fetchSnapshots();
@@ -158,10 +267,68 @@ function SaveHistory() {
     }
   };
 
+  // Edit name and details
+  const handleSaveDetails = async (details) => {
+    try {
+      await axios.patch(`${getApiBase()}/snapshot/${editingSnapshot.id}`, details);
+      showNotification('success', 'Snapshot details saved');
+      setEditingSnapshot(null);
+      await fetchSnapshots();
+    } catch (err) {
+      console.error('Failed to update snapshot:', err);
+      showNotification('error', err.response?.data?.error || 'Failed to update snapshot');
+    }
+  };
+
+  const books = useMemo(
+    () => [...new Set(snapshots.map(snapshot => snapshot.book).filter(Boolean))].sort(compareText),
+    [snapshots]
+  );
+  const knownTags = useMemo(
+    () => [...new Set(snapshots.flatMap(snapshot => snapshot.tags || []))].sort(compareText),
+    [snapshots]
+  );
+
+  // Filtered and sorted list; with grouping on, one group per book in book order
+  const snapshotGroups = useMemo(() => {
+    const query = search.trim().toLowerCase();
+    const shown = snapshots
+      .filter(snapshot => !bookFilter || snapshot.book === bookFilter)
+      .filter(snapshot => !tagFilter || (snapshot.tags || []).includes(tagFilter))
+      .filter(snapshot => !query || [snapshot.name, snapshot.notes, snapshot.inWorldDate, ...(snapshot.tags || [])]
+        .some(text => text && text.toLowerCase().includes(query)))
+      .sort(SNAPSHOT_SORTS[sortBy]);
+
+    if (!groupByBook) return [{ book: null, snapshots: shown }];
+    return [...new Set(shown.map(snapshot => snapshot.book || ''))]
+      .sort(compareText)
+      .map(book => ({ book, snapshots: shown.filter(snapshot => (snapshot.book || '') === book) }));
+  }, [snapshots, search, bookFilter, tagFilter, sortBy, groupByBook]);
+  const shownCount = snapshotGroups.reduce((count, group) => count + group.snapshots.length, 0);
+
+  // Ledger events between the previous save and this one (saves made before the ledger have none)
+  const fetchEventsForSave = async (snapshot) => {
+    if (snapshot.ledgerSeq === null || snapshot.ledgerSeq === undefined) return [];
+
+    const previousSeq = snapshots
+      .map(s => s.ledgerSeq)
+      .filter(seq => seq !== null && seq !== undefined && seq < snapshot.ledgerSeq)
+      .reduce((max, seq) => Math.max(max, seq), 0);
+
+    try {
+      const response = await axios.get(`${getApiBase()}/ledger`);
+      return response.data.events.filter(event => event.seq > previousSeq && event.seq <= snapshot.ledgerSeq);
+    } catch (err) {
+      console.error('Failed to load ledger:', err);
+      return [];
+    }
+  };
+
   // View snapshot details
   const handleView = async (id) => {
     try {
-      const response = await axios.get(`${API_BASE}/snapshot/${id}`);
+      const response = await axios.get(`${getApiBase()}/snapshot/${id}`);
+      setViewingEvents(await fetchEventsForSave(response.data));
       setViewingSnapshot(response.data);
     } catch (err) {
       console.error('Failed to load snapshot details:', err);
@@ -172,7 +339,7 @@ function SaveHistory() {
   // Export snapshot
   const handleExport = async (id, name) => {
     try {
-      const response = await axios.get(`${API_BASE}/snapshot/${id}`);
+      const response = await axios.get(`${getApiBase()}/snapshot/${id}`);
       const blob = new Blob([JSON.stringify(response.data, null, 2)], { type: 'application/json' });
       const url = URL.createObjectURL(blob);
       const a = document.createElement('a');
@@ -190,20 +357,32 @@ function SaveHistory() {
   };
 
   // Import snapshot
+  const closeSpreadsheetImport = useCallback(() => setSpreadsheetFile(null), []);
+
   const handleImport = async (event) => {
     const file = event.target.files?.[0];
     if (!file) return;
 
+    // Spreadsheets need their columns mapped first
+    if (/\.xlsx$/i.test(file.name)) {
+      setSpreadsheetFile(file);
+      event.target.value = '';
+      return;
+    }
+
     try {
       const text = await file.text();
       const data = JSON.parse(text);
       
-      await axios.post(`${API_BASE}/import`, data);
+      await axios.post(`${getApiBase()}/import`, data);
       showNotification('success', 'Snapshot imported');
       await fetchSnapshots();
     } catch (err) {
       console.error('Failed to import:', err);
-      showNotification('error', 'Failed to import snapshot. Make sure the file is valid JSON.');
+      // 400: the server says what doesn't match the data schema
+      showNotification('error', err.response?.status === 400
+        ? `Failed to import snapshot. ${err.response.data.error}`
+        : 'Failed to import snapshot. Make sure the file is valid JSON.');
     }
     
     // Reset file input
@@ -242,15 +421,37 @@ function SaveHistory() {
             {saving ? 'Saving...' : 'Save'}
           </Button>
         </Box>
+        <Box sx={{ mt: 2 }}>
+          <SnapshotDetailsFields details={saveDetails} onChange={setSaveDetails} knownTags={knownTags} disabled={saving} />
+          <Typography variant="caption" color="text.secondary">
+            Leave book and chapter empty to use the chapter set in the Progression Ledger.
+          </Typography>
+        </Box>
       </Paper>
 
       {/* Snapshot History */}
       <Paper sx={{ p: 3 }}>
         <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
           <Typography variant="h5" sx={{ color: 'primary.main' }}>
-            Saved Snapshots ({snapshots.length})
+            Saved Snapshots ({shownCount === snapshots.length ? snapshots.length : `${shownCount} of ${snapshots.length}`})
           </Typography>
           <Box sx={{ display: 'flex', gap: 1 }}>
+            <Button
+              variant={compareMode ? 'contained' : 'outlined'}
+              startIcon={<CompareIcon />}
+              size="small"
+              onClick={() => setCompareMode(!compareMode)}
+            >
+              Compare
+            </Button>
+            <Button
+              variant="outlined"
+              startIcon={<PasteIcon />}
+              size="small"
+              onClick={() => setPasteOpen(true)}
+            >
+              Paste Status
+            </Button>
             <Tooltip title="Refresh list">
               <IconButton onClick={fetchSnapshots} disabled={loading}>
                 <RefreshIcon />
@@ -263,11 +464,39 @@ function SaveHistory() {
               size="small"
             >
               Import
-              <input type="file" hidden accept=".json" onChange={handleImport} />
+              <input type="file" hidden accept=".json,.xlsx" onChange={handleImport} />
             </Button>
           </Box>
         </Box>
 
+        {snapshots.length > 0 && (
+          <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', flexWrap: 'wrap', mb: 2 }}>
+            <TextField
+              size="small"
+              label="Search"
+              placeholder="Name, notes, tags..."
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              sx={{ flex: 1, minWidth: 180 }}
+            />
+            <TextField select size="small" label="Book" value={bookFilter} onChange={(e) => setBookFilter(e.target.value)} sx={{ minWidth: 120 }}>
+              <MenuItem value="">All books</MenuItem>
+              {books.map(book => <MenuItem key={book} value={book}>Book {book}</MenuItem>)}
+            </TextField>
+            <TextField select size="small" label="Tag" value={tagFilter} onChange={(e) => setTagFilter(e.target.value)} sx={{ minWidth: 120 }}>
+              <MenuItem value="">All tags</MenuItem>
+              {knownTags.map(tag => <MenuItem key={tag} value={tag}>{tag}</MenuItem>)}
+            </TextField>
+            <TextField select size="small" label="Sort" value={sortBy} onChange={(e) => setSortBy(e.target.value)} sx={{ minWidth: 180 }}>
+              {Object.entries(SORT_OPTIONS).map(([value, label]) => <MenuItem key={value} value={value}>{label}</MenuItem>)}
+            </TextField>
+            <FormControlLabel
+              control={<Switch checked={groupByBook} onChange={(e) => setGroupByBook(e.target.checked)} size="small" />}
+              label="Group by book"
+            />
+          </Box>
+        )}
+
         {loading ? (
           <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
             <CircularProgress />
@@ -276,90 +505,180 @@ function SaveHistory() {
           <Alert severity="info">
             No snapshots saved yet. Save your first snapshot above!
           </Alert>
+        ) : shownCount === 0 ? (
+          <Alert severity="info">
+            No snapshots match the filters.
+          </Alert>
         ) : (
           <TableContainer>
             <Table>
               <TableHead>
                 <TableRow>
                   <TableCell>Name</TableCell>
+                  <TableCell>Chapter</TableCell>
                   <TableCell>Date</TableCell>
                   <TableCell>Preview</TableCell>
                   <TableCell align="right">Actions</TableCell>
                 </TableRow>
               </TableHead>
               <TableBody>
-                {snapshots.map((snapshot) => (
-                  <TableRow key={snapshot.id} hover>
-                    <TableCell>
-                      <Typography fontWeight={500}>{snapshot.name}</Typography>
-                    </TableCell>
-                    <TableCell>
-                      <Typography variant="body2" color="text.secondary">
-                        {formatDate(snapshot.createdAt)}
-                      </Typography>
-                    </TableCell>
-                    <TableCell>
-                      <Box sx={{ display: 'flex', gap: 1 }}>
-                        <Chip
-                          label={`Lvl ${snapshot.preview?.mainLevel || '?'}`}
-                          size="small"
-                          sx={{ bgcolor: 'primary.dark' }}
-                        />
-                        {snapshot.preview?.mainClass && (
+                {snapshotGroups.flatMap(group => [
+                  group.book !== null && (
+                    <TableRow key={`book-${group.book}`}>
+                      <TableCell colSpan={5} sx={{ bgcolor: 'rgba(0,0,0,0.2)' }}>
+                        <Typography variant="subtitle2" sx={{ color: 'primary.main' }}>
+                          {group.book ? `Book ${group.book}` : 'No book set'} ({group.snapshots.length})
+                        </Typography>
+                      </TableCell>
+                    </TableRow>
+                  ),
+                  ...group.snapshots.map((snapshot) => (
+                    <TableRow key={snapshot.id} hover>
+                      <TableCell>
+                        <Typography fontWeight={500}>{snapshot.name}</Typography>
+                        {snapshot.tags?.length > 0 && (
+                          <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap', mt: 0.5 }}>
+                            {snapshot.tags.map(tag => (
+                              <Chip key={tag} label={tag} size="small" variant="outlined" onClick={() => setTagFilter(tag)} />
+                            ))}
+                          </Box>
+                        )}
+                        {snapshot.notes && (
+                          <Tooltip title={<Box sx={{ whiteSpace: 'pre-wrap' }}>{snapshot.notes}</Box>}>
+                            <Typography variant="caption" color="text.secondary" noWrap sx={{ display: 'block', maxWidth: 320 }}>
+                              {snapshot.notes}
+                            </Typography>
+                          </Tooltip>
+                        )}
+                      </TableCell>
+                      <TableCell>
+                        <Typography variant="body2">
+                          {snapshot.book || snapshot.chapter ? formatChapterLabel(snapshot.book, snapshot.chapter) : '—'}
+                        </Typography>
+                        {snapshot.inWorldDate && (
+                          <Typography variant="caption" color="text.secondary">
+                            {snapshot.inWorldDate}
+                          </Typography>
+                        )}
+                      </TableCell>
+                      <TableCell>
+                        <Typography variant="body2" color="text.secondary">
+                          {formatDate(snapshot.createdAt)}
+                        </Typography>
+                      </TableCell>
+                      <TableCell>
+                        <Box sx={{ display: 'flex', gap: 1 }}>
                           <Chip
-                            label={snapshot.preview.mainClass.split(' ')[0]}
+                            label={`Lvl ${snapshot.preview?.mainLevel || '?'}`}
                             size="small"
-                            variant="outlined"
+                            sx={{ bgcolor: 'primary.dark' }}
                           />
-                        )}
-                      </Box>
-                    </TableCell>
-                    <TableCell align="right">
-                      <Tooltip title="View">
-                        <IconButton size="small" onClick={() => handleView(snapshot.id)}>
-                          <ViewIcon fontSize="small" />
-                        </IconButton>
-                      </Tooltip>
-                      <Tooltip title="Load">
-                        <IconButton
-                          size="small"
-                          color="primary"
-                          onClick={() => handleLoad(snapshot.id)}
-                        >
-                          <LoadIcon fontSize="small" />
-                        </IconButton>
-                      </Tooltip>
-                      <Tooltip title="Export">
-                        <IconButton
-                          size="small"
-                          onClick={() => handleExport(snapshot.id, snapshot.name)}
-                        >
-                          <ExportIcon fontSize="small" />
-                        </IconButton>
-                      </Tooltip>
-                      <Tooltip title="Delete">
-                        <IconButton
-                          size="small"
-                          color="error"
-                          onClick={() => setConfirmDelete(snapshot)}
-                        >
-                          <DeleteIcon fontSize="small" />
-                        </IconButton>
-                      </Tooltip>
-                    </TableCell>
-                  </TableRow>
-                ))}
+                          {snapshot.preview?.mainClass && (
+                            <Chip
+                              label={snapshot.preview.mainClass.split(' ')[0]}
+                              size="small"
+                              variant="outlined"
+                            />
+                          )}
+                        </Box>
+                      </TableCell>
+                      <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                        <Tooltip title="View">
+                          <IconButton size="small" onClick={() => handleView(snapshot.id)}>
+                            <ViewIcon fontSize="small" />
+                          </IconButton>
+                        </Tooltip>
+                        <Tooltip title="Edit details">
+                          <IconButton size="small" onClick={() => setEditingSnapshot(snapshot)}>
+                            <EditIcon fontSize="small" />
+                          </IconButton>
+                        </Tooltip>
+                        <Tooltip title="Load">
+                          <IconButton
+                            size="small"
+                            color="primary"
+                            onClick={() => handleLoad(snapshot.id)}
+                          >
+                            <LoadIcon fontSize="small" />
+                          </IconButton>
+                        </Tooltip>
+                        <Tooltip title="Export">
+                          <IconButton
+                            size="small"
+                            onClick={() => handleExport(snapshot.id, snapshot.name)}
+                          >
+                            <ExportIcon fontSize="small" />
+                          </IconButton>
+                        </Tooltip>
+                        <Tooltip title="Delete">
+                          <IconButton
+                            size="small"
+                            color="error"
+                            onClick={() => setConfirmDelete(snapshot)}
+                          >
+                            <DeleteIcon fontSize="small" />
+                          </IconButton>
+                        </Tooltip>
+                      </TableCell>
+                    </TableRow>
+                  )),
+                ])}
               </TableBody>
             </Table>
           </TableContainer>
         )}
       </Paper>
 
+      {/* Compare two snapshots (saves also add ledger events, so those refresh it too) */}
+      {compareMode && (
+        <SnapshotCompare
+          snapshots={snapshots}
+          refreshKey={`${serverChanges.snapshots}-${serverChanges.ledger}`}
+          showNotification={showNotification}
+        />
+      )}
+
+      {/* Progression Ledger */}
+      <ProgressionLedger
+        key={ledgerVersion}
+        refreshKey={serverChanges.ledger}
+        onViewState={(state) => {
+          setViewingEvents([]);
+          setViewingSnapshot(state);
+        }}
+        showNotification={showNotification}
+      />
+
       {/* View Snapshot Dialog */}
       <SnapshotViewDialog
         open={!!viewingSnapshot}
         onClose={() => setViewingSnapshot(null)}
         snapshot={viewingSnapshot}
+        events={viewingEvents}
+      />
+
+      {/* Edit Snapshot Details Dialog */}
+      <SnapshotDetailsDialog
+        open={!!editingSnapshot}
+        snapshot={editingSnapshot}
+        knownTags={knownTags}
+        onClose={() => setEditingSnapshot(null)}
+        onSave={handleSaveDetails}
+      />
+
+      {/* Paste Status Screen Dialog */}
+      <StatusImportDialog
+        open={pasteOpen}
+        onClose={() => setPasteOpen(false)}
+        onSnapshotSaved={fetchSnapshots}
+      />
+
+      {/* Spreadsheet Import Dialog */}
+      <SpreadsheetImportDialog
+        file={spreadsheetFile}
+        onClose={closeSpreadsheetImport}
+        onImported={fetchSnapshots}
+        showNotification={showNotification}
       />
 
       {/* Confirm Delete Dialog */}
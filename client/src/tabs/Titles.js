@@ -29,10 +29,6 @@ import {
   TableContainer,
   TableHead,
   TableRow,
-  Select,
-  MenuItem,
-  FormControl,
-  InputLabel,
   Chip,
   Dialog,
   DialogTitle,
@@ -55,14 +51,12 @@ import {
   ArrowUpward as UpIcon,
   ArrowDownward as DownIcon,
   ContentCopy as CopyIcon,
+  EmojiEvents as TitleEarnedIcon,
 } from '@mui/icons-material';
 import { useCharacter } from '../context/CharacterContext';
-import { STAT_DISPLAY_NAMES, ALL_STATS } from '../utils/statCalculator';
-
-const STAT_OPTIONS = ALL_STATS.map((key) => ({
-  value: key,
-  label: STAT_DISPLAY_NAMES[key],
-}));
+import { getStatDisplayName } from '../utils/statCalculator';
+import TitleBonusEditor from '../components/TitleBonusEditor';
+import SystemPromptDialog from '../components/SystemPromptDialog';
 
 // Title Hover Panel Component - Slides out when hovering over a title
 function TitleHoverPanel({ anchorEl, title }) {
@@ -84,7 +78,7 @@ function TitleHoverPanel({ anchorEl, title }) {
       return (
         <Chip
           key={i}
-          label={`${STAT_DISPLAY_NAMES[bonus.stat]}: ${parts.join(', ')}`}
+          label={`${getStatDisplayName(bonus.stat)}: ${parts.join(', ')}`}
           size="small"
           sx={{
             bgcolor: multiplier > 0 
@@ -247,103 +241,17 @@ function TitleNameCell({ title }) {
   );
 }
 
-function TitleBonusEditor({ bonuses, onChange }) {
-  const addBonus = () => {
-    onChange([...bonuses, { stat: 'strength', additive: 0, multiplier: 0 }]);
-  };
-
-  const updateBonus = (index, field, value) => {
-    const newBonuses = [...bonuses];
-    newBonuses[index] = { ...newBonuses[index], [field]: value };
-    onChange(newBonuses);
-  };
-
-  const removeBonus = (index) => {
-    onChange(bonuses.filter((_, i) => i !== index));
-  };
-
-  return (
-    <Box sx={{ mt: 2 }}>
-      <Typography variant="subtitle2" sx={{ mb: 1, color: 'text.secondary' }}>
-        Stat Bonuses
-      </Typography>
-      <Typography variant="caption" sx={{ display: 'block', mb: 2, color: 'text.disabled' }}>
-        Additive bonuses add flat values. Multipliers apply as (1 + value), e.g., 0.5 = +50%.
-      </Typography>
-      
-      {bonuses.map((bonus, index) => (
-        <Box key={index} sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1.5, flexWrap: 'wrap' }}>
-          <FormControl size="small" sx={{ minWidth: 130 }}>
-            <InputLabel>Stat</InputLabel>
-            <Select
-              value={bonus.stat}
-              onChange={(e) => updateBonus(index, 'stat', e.target.value)}
-              label="Stat"
-            >
-              {STAT_OPTIONS.map((option) => (
-                <MenuItem key={option.value} value={option.value}>
-                  {option.label}
-                </MenuItem>
-              ))}
-            </Select>
-          </FormControl>
-          
-          <Tooltip title="Flat bonus added to stat" arrow>
-            <TextField
-              type="number"
-              label="Additive (+)"
-              value={bonus.additive || bonus.value || 0}
-              onChange={(e) => updateBonus(index, 'additive', Number(e.target.value) || 0)}
-              size="small"
-              sx={{ width: 110 }}
-              inputProps={{ step: 1 }}
-            />
-          </Tooltip>
-          
-          <Tooltip title="Multiplier bonus (0.5 = +50%)" arrow>
-            <TextField
-              type="number"
-              label="Multiplier (×)"
-              value={bonus.multiplier || 0}
-              onChange={(e) => updateBonus(index, 'multiplier', Number(e.target.value) || 0)}
-              size="small"
-              sx={{ width: 120 }}
-              inputProps={{ step: 0.1, min: 0 }}
-            />
-          </Tooltip>
-          
-          <IconButton
-            onClick={() => removeBonus(index)}
-            size="small"
-            color="error"
-          >
-            <DeleteIcon fontSize="small" />
-          </IconButton>
-        </Box>
-      ))}
-      
-      <Button
-        startIcon={<AddIcon />}
-        onClick={addBonus}
-        size="small"
-        variant="outlined"
-        sx={{ mt: 1 }}
-      >
-        Add Bonus
-      </Button>
-    </Box>
-  );
-}
-
 function TitleDialog({ open, onClose, title, onSave }) {
   const [name, setName] = useState(title?.name || '');
   const [description, setDescription] = useState(title?.description || '');
   const [bonuses, setBonuses] = useState(title?.bonuses || []);
+  const [acquiredLevel, setAcquiredLevel] = useState(title?.acquiredLevel || '');
 
   React.useEffect(() => {
     if (open) {
       setName(title?.name || '');
       setDescription(title?.description || '');
+      setAcquiredLevel(title?.acquiredLevel || '');
       // Convert legacy format if needed
       const convertedBonuses = (title?.bonuses || []).map(b => ({
         stat: b.stat,
@@ -360,6 +268,7 @@ function TitleDialog({ open, onClose, title, onSave }) {
       description,
       bonuses,
       isPrimary: title?.isPrimary || false,
+      acquiredLevel: Number(acquiredLevel) || null,
     });
     onClose();
   };
@@ -388,6 +297,15 @@ function TitleDialog({ open, onClose, title, onSave }) {
           helperText="This description will appear when hovering over the title"
           sx={{ mb: 2 }}
         />
+        <TextField
+          type="number"
+          label="Acquired at Level"
+          value={acquiredLevel}
+          onChange={(e) => setAcquiredLevel(e.target.value)}
+          inputProps={{ min: 1 }}
+          helperText="Optional - the Stat Timeline only applies the title from this level on"
+          sx={{ mb: 2, width: 320 }}
+        />
         <TitleBonusEditor bonuses={bonuses} onChange={setBonuses} />
       </DialogContent>
       <DialogActions>
@@ -406,6 +324,9 @@ function Titles() {
   const [editingTitle, setEditingTitle] = useState(null);
   const [editingIndex, setEditingIndex] = useState(-1);
   const [snackbar, setSnackbar] = useState({ open: false, message: '' });
+  // "Title Earned" prompt dialog and the title it is for
+  const [promptDialogOpen, setPromptDialogOpen] = useState(false);
+  const [promptTitle, setPromptTitle] = useState(null);
 
   const titles = alex?.titles || [];
 
@@ -417,7 +338,7 @@ function Titles() {
       const bonusParts = title.bonuses.map(bonus => {
         const additive = bonus.additive ?? bonus.value ?? 0;
         const multiplier = bonus.multiplier ?? 0;
-        const statName = STAT_DISPLAY_NAMES[bonus.stat];
+        const statName = getStatDisplayName(bonus.stat);
         
         const parts = [];
         if (additive !== 0) parts.push(`+${additive} ${statName}`);
@@ -502,12 +423,12 @@ function Titles() {
   // Calculate total bonuses for display
   const additiveBonusDisplay = Object.entries(alexTitleBonuses || {})
     .filter(([_, value]) => value > 0)
-    .map(([stat, value]) => `${STAT_DISPLAY_NAMES[stat]}: +${value}`)
+    .map(([stat, value]) => `${getStatDisplayName(stat)}: +${value}`)
     .join(', ');
 
   const multiplierBonusDisplay = Object.entries(alexTitleMultipliers || {})
     .filter(([_, value]) => value > 0)
-    .map(([stat, value]) => `${STAT_DISPLAY_NAMES[stat]}: ×${(1 + value).toFixed(2)}`)
+    .map(([stat, value]) => `${getStatDisplayName(stat)}: ×${(1 + value).toFixed(2)}`)
     .join(', ');
 
   return (
@@ -657,6 +578,18 @@ function Titles() {
                           <CopyIcon fontSize="small" />
                         </IconButton>
                       </Tooltip>
+                      <Tooltip title="Title Earned Prompt">
+                        <IconButton
+                          onClick={() => {
+                            setPromptTitle(title);
+                            setPromptDialogOpen(true);
+                          }}
+                          size="small"
+                          sx={{ color: 'success.main' }}
+                        >
+                          <TitleEarnedIcon fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
                     </TableCell>
                   </TableRow>
                 ))}
@@ -674,6 +607,16 @@ function Titles() {
         onSave={handleSaveTitle}
       />
 
+      {/* System Prompt Dialog */}
+      <SystemPromptDialog
+        open={promptDialogOpen}
+        onClose={() => setPromptDialogOpen(false)}
+        type="title_earned"
+        character={alex}
+        subject={{ title: promptTitle }}
+        onCopySuccess={(message) => setSnackbar({ open: true, message })}
+      />
+
       {/* Copy Success Snackbar */}
       <Snackbar
         open={snackbar.open}
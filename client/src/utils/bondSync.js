@@ -0,0 +1,196 @@
+/**
+ * Bond sync engine - evaluates the configured bond sync rules
+ *
+ * ============================================================================
+ * TEMPLATE NOTE FOR DEVELOPERS:
+ * ============================================================================
+ * This utility is FULLY GENERIC. It never assumes which stats are shared or
+ * in which direction; everything comes from the rules in
+ * /config/character.json (each companion's bond.syncRules, or the top-level
+ * bond block for the first companion - see getBondSyncRules()).
+ *
+ * A rule looks like:
+ *   {
+ *     "from": "companion",        // Character key that gives the stat ("main",
+ *                                 // "companion" = the rule's own companion,
+ *                                 // or another companion's id)
+ *     "to": "main",               // Character key that receives it
+ *     "sourceStat": "mana",
+ *     "targetStat": "mana",
+ *     "formula": "half"           // Preset string or formula object
+ *   }
+ *
+ * Formula can be a preset string ("full", "half", "third", "quarter",
+ * "double") or an object:
+ *   { "type": "percent", "value": 25, "rounding": "floor", "cap": 200 }
+ *   { "type": "multiplier", "value": 0.5 }
+ *   { "type": "flat", "value": 10 }   // Fixed amount, ignores the source
+ *
+ * rounding: "round" (default), "floor", "ceil" or "none"
+ * cap / min: optional limits applied after rounding
+ *
+ * Sources are always the partner's final stats WITHOUT bond sync applied, so
+ * rules never chain into each other.
+ * ============================================================================
+ */
+
+import { applyRounding } from './formulaEvaluator.js';
+
+/**
+ * Preset formula names and the multiplier they stand for
+ */
+export const SYNC_FORMULA_PRESETS = {
+  full: 1,
+  half: 0.5,
+  third: 1 / 3,
+  quarter: 0.25,
+  double: 2,
+};
+
+/**
+ * Supported rounding modes for sync formulas
+ */
+export const SYNC_ROUNDING_MODES = ['round', 'floor', 'ceil', 'none'];
+
+// Config mistakes already reported (warn once each, not on every calculation)
+const reportedFormulas = new Set();
+
+function warnUnknownFormula(description, fallback) {
+  if (reportedFormulas.has(description)) return;
+  reportedFormulas.add(description);
+  console.warn(`Unknown bond sync formula ${description} in the config - using ${fallback} instead`);
+}
+
+/**
+ * Normalize a formula (preset string or object) into
+ * { type, value, rounding, cap, min }
+ * An unknown preset (a config typo like "halff") is used as "full", an
+ * unknown type as "multiplier"; both are reported once with console.warn -
+ * check the console if a synced value looks too high.
+ */
+export function normalizeSyncFormula(formula) {
+  if (typeof formula === 'string') {
+    const preset = SYNC_FORMULA_PRESETS[formula.toLowerCase()];
+    if (preset === undefined) warnUnknownFormula(`"${formula}"`, '"full" (the whole stat)');
+    return {
+      type: 'multiplier',
+      value: preset !== undefined ? preset : 1,
+      rounding: 'round',
+      cap: null,
+      min: null,
+    };
+  }
+
+  if (formula && typeof formula === 'object') {
+    const known = ['percent', 'multiplier', 'flat'].includes(formula.type);
+    if (!known && formula.type !== undefined) warnUnknownFormula(`type "${formula.type}"`, 'a multiplier of its value');
+    const type = known ? formula.type : 'multiplier';
+    return {
+      type,
+      value: Number(formula.value) || 0,
+      rounding: SYNC_ROUNDING_MODES.includes(formula.rounding) ? formula.rounding : 'round',
+      cap: formula.cap === undefined || formula.cap === null ? null : Number(formula.cap),
+      min: formula.min === undefined || formula.min === null ? null : Number(formula.min),
+    };
+  }
+
+  return { type: 'multiplier', value: 1, rounding: 'round', cap: null, min: null };
+}
+
+/**
+ * Evaluate a sync formula against a source stat value
+ * @param {number} sourceValue - The giving character's final stat value
+ * @param {string|object} formula - Preset string or formula object
+ * @returns {number} - Amount the receiving character gains
+ */
+export function evaluateSyncFormula(sourceValue, formula) {
+  const normalized = normalizeSyncFormula(formula);
+  const source = Number(sourceValue) || 0;
+
+  let result;
+  switch (normalized.type) {
+    case 'percent':
+      result = source * (normalized.value / 100);
+      break;
+    case 'flat':
+      result = normalized.value;
+      break;
+    default:
+      result = source * normalized.value;
+  }
+
+  result = applyRounding(result, normalized.rounding);
+
+  if (normalized.cap !== null && result > normalized.cap) result = normalized.cap;
+  if (normalized.min !== null && result < normalized.min) result = normalized.min;
+
+  return result;
+}
+
+/**
+ * Describe a formula in plain words for alerts and tooltips
+ * e.g. "half", "25%", "+10", "half (max 200)"
+ */
+export function describeSyncFormula(formula) {
+  const normalized = normalizeSyncFormula(formula);
+  let text;
+
+  if (typeof formula === 'string' && SYNC_FORMULA_PRESETS[formula.toLowerCase()] !== undefined) {
+    text = formula.toLowerCase();
+  } else if (normalized.type === 'percent') {
+    text = `${normalized.value}%`;
+  } else if (normalized.type === 'flat') {
+    text = `+${normalized.value}`;
+  } else {
+    text = `×${normalized.value}`;
+  }
+
+  const limits = [];
+  if (normalized.rounding !== 'round') limits.push(normalized.rounding);
+  if (normalized.cap !== null) limits.push(`max ${normalized.cap}`);
+  if (normalized.min !== null) limits.push(`min ${normalized.min}`);
+
+  return limits.length > 0 ? `${text} (${limits.join(', ')})` : text;
+}
+
+/**
+ * Evaluate every bond sync rule
+ * @param {Array} rules - Sync rules (getBondSyncRules())
+ * @param {object} finalStatsByKey - { main: {...stats}, <companionId>: {...stats} }
+ * @returns {object} - { bonded: { main: { stat: value }, companion: {...} }, details: [...] }
+ *   details holds one entry per applied rule: { rule, from, to, sourceStat, targetStat, sourceValue, value }
+ */
+export function calculateBondSync(rules, finalStatsByKey) {
+  const bonded = {};
+  const details = [];
+
+  Object.keys(finalStatsByKey || {}).forEach(key => {
+    bonded[key] = {};
+  });
+
+  if (!Array.isArray(rules)) return { bonded, details };
+
+  rules.forEach(rule => {
+    if (!rule || !rule.from || !rule.to || !rule.sourceStat) return;
+
+    const sourceStats = finalStatsByKey?.[rule.from];
+    if (!sourceStats || !bonded[rule.to]) return;
+
+    const targetStat = rule.targetStat || rule.sourceStat;
+    const sourceValue = Number(sourceStats[rule.sourceStat]) || 0;
+    const value = evaluateSyncFormula(sourceValue, rule.formula);
+
+    bonded[rule.to][targetStat] = (bonded[rule.to][targetStat] || 0) + value;
+    details.push({
+      rule,
+      from: rule.from,
+      to: rule.to,
+      sourceStat: rule.sourceStat,
+      targetStat,
+      sourceValue,
+      value,
+    });
+  });
+
+  return { bonded, details };
+}
@@ -0,0 +1,86 @@
+/**
+ * Compute final stats for a whole data file ({ main, <companionId>: ... })
+ *
+ * ============================================================================
+ * TEMPLATE NOTE FOR DEVELOPERS:
+ * ============================================================================
+ * One call that runs the full pipeline for every character: calculateAllStats,
+ * bond sync (getBondSyncRules()) and derived resources. It is used by the
+ * snapshot viewer and by server.js for the /computed endpoints, so the app,
+ * the API and scripts always agree on the numbers.
+ *
+ * This directory is loaded by Node as well as by webpack (see package.json
+ * next to this file): keep relative imports fully specified ("./x.js") and
+ * don't import React or browser-only code from calculation modules.
+ * ============================================================================
+ */
+
+import {
+  calculateAllStats,
+  calculateDerivedStats,
+  getCurrentClass,
+  getAllStats,
+} from './statCalculator.js';
+import { calculateBondSync } from './bondSync.js';
+import { hasBond, getBondSyncRules, getCompanionEntries } from '../config/characterConfig.js';
+
+/**
+ * Build the computed view of one character
+ */
+function computeCharacter(character, calculation, bondedStats) {
+  if (!character) return null;
+
+  const totalStats = {};
+  getAllStats().forEach(stat => {
+    totalStats[stat] = (calculation.stats[stat] || 0) + (Number(bondedStats[stat]) || 0);
+  });
+
+  return {
+    name: character.name || '',
+    level: Number(character.level) || 1,
+    currentClass: getCurrentClass(character.classHistory, character.level)?.name || null,
+    finalStats: calculation.stats,      // Without bond
+    bondedStats,                        // Received through the bond
+    totalStats,                         // finalStats + bondedStats (what the tabs display)
+    breakdowns: calculation.breakdowns,
+    derivedStats: calculateDerivedStats(calculation.stats, character, bondedStats),
+  };
+}
+
+/**
+ * Compute every character in a data object
+ * @param {object} data - Contents of current.json or a snapshot's data
+ * @returns {object} - { main, companion, companions, bondSync } where each character is
+ *   { name, level, currentClass, finalStats, bondedStats, totalStats, breakdowns, derivedStats } or null,
+ *   companions maps every configured companion id to its result (companion is the first one)
+ *   and bondSync lists every applied sync rule (see calculateBondSync)
+ */
+export function computeCharacterStats(data) {
+  const main = data?.main || null;
+  const companionEntries = getCompanionEntries(data);
+
+  const empty = { stats: {}, breakdowns: {} };
+  const mainCalculation = main ? calculateAllStats(main) : empty;
+  const companionCalculations = {};
+  companionEntries.forEach(({ id, data: companion }) => {
+    companionCalculations[id] = companion ? calculateAllStats(companion) : empty;
+  });
+
+  const finalStatsByKey = { main: mainCalculation.stats };
+  Object.keys(companionCalculations).forEach(id => {
+    finalStatsByKey[id] = companionCalculations[id].stats;
+  });
+  const bondSync = calculateBondSync(hasBond() ? getBondSyncRules() : [], finalStatsByKey);
+
+  const companions = {};
+  companionEntries.forEach(({ id, data: companion }) => {
+    companions[id] = computeCharacter(companion, companionCalculations[id], bondSync.bonded[id]);
+  });
+
+  return {
+    main: computeCharacter(main, mainCalculation, bondSync.bonded.main),
+    companion: companionEntries.length > 0 ? companions[companionEntries[0].id] : null,
+    companions,
+    bondSync: bondSync.details,
+  };
+}
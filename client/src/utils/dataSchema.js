@@ -0,0 +1,285 @@
+/**
+ * Character data schema, validation and migrations
+ *
+ * ============================================================================
+ * TEMPLATE NOTE FOR DEVELOPERS:
+ * ============================================================================
+ * current.json, every snapshot's data and imported files share one format:
+ *
+ *   { schemaVersion: 2, main: {...}, <companionId>: {...} }
+ *
+ * STATE_SCHEMA describes it as JSON Schema (draft-07 keywords); server.js
+ * rejects updates, snapshots and imports that don't match it. Only the
+ * structure the app relies on is checked - characters may carry extra fields.
+ *
+ * Data written by older versions is upgraded by migrateState() when the
+ * server loads its files and when data comes in, so readers only ever see
+ * the current format. Changing the format:
+ * 1. Bump SCHEMA_VERSION
+ * 2. Add a migration to MIGRATIONS that upgrades the previous version
+ * 3. Update STATE_SCHEMA (and createDefaultCharacter in server.js)
+ * Migrations must be pure and must not depend on config.
+ * ============================================================================
+ */
+
+export const SCHEMA_VERSION = 2;
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+const isObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+// ============================================
+// SCHEMA
+// ============================================
+
+const NUMBER_MAP = { type: 'object', additionalProperties: { type: 'number' } };
+
+const namedList = (properties = {}) => ({
+  type: 'array',
+  items: {
+    type: 'object',
+    required: ['name'],
+    properties: { name: { type: 'string' }, ...properties },
+  },
+});
+
+/**
+ * One character (main or a companion)
+ */
+export const CHARACTER_SCHEMA = {
+  type: 'object',
+  required: ['name', 'level'],
+  properties: {
+    name: { type: 'string' },
+    level: { type: 'number', minimum: 1 },
+    hp: { type: 'object' },
+    mp: { type: 'object' },
+    resources: { type: 'object' },
+    classHistory: namedList({
+      startLevel: { type: 'number' },
+      endLevel: { type: ['number', 'null'] },
+      statsPerLevel: NUMBER_MAP,
+    }),
+    // Keyed by level; stats are the totals at that level, the included*
+    // fields record which bonuses those totals already contain
+    levelSnapshots: {
+      type: 'object',
+      patternProperties: {
+        '^[0-9]+$': {
+          type: 'object',
+          required: ['stats'],
+          properties: { stats: NUMBER_MAP },
+        },
+      },
+      additionalProperties: false,
+    },
+    freePoints: NUMBER_MAP,
+    statDerivations: { type: 'array' },
+    traits: {
+      type: 'object',
+      properties: { items: namedList() },
+    },
+    titles: namedList(),
+    bondSkills: namedList(),
+    activeSkills: namedList(),
+    passiveSkills: namedList(),
+    boundItems: namedList(),
+    statBoosts: {
+      type: 'array',
+      items: { type: 'object', required: ['stat'], properties: { stat: { type: 'string' } } },
+    },
+  },
+};
+
+/**
+ * A whole state; every key other than schemaVersion and main is a companion id
+ */
+export const STATE_SCHEMA = {
+  type: 'object',
+  required: ['schemaVersion', 'main'],
+  properties: {
+    schemaVersion: { type: 'integer', minimum: 1, maximum: SCHEMA_VERSION },
+    main: CHARACTER_SCHEMA,
+  },
+  additionalProperties: { ...CHARACTER_SCHEMA, type: ['object', 'null'] },
+};
+
+/**
+ * Details stored next to a snapshot's data (POST /api/save, PATCH /api/snapshot/:id)
+ * Book and chapter are free text like the ledger's position ("3", "26.5", "Interlude").
+ */
+export const SNAPSHOT_META_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    book: { type: ['string', 'number', 'null'] },
+    chapter: { type: ['string', 'number', 'null'] },
+    inWorldDate: { type: ['string', 'null'] },
+    notes: { type: ['string', 'null'] },
+    tags: { type: ['array', 'null'], items: { type: 'string' } },
+  },
+};
+
+// ============================================
+// VALIDATION
+// ============================================
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeOf(value) === type;
+};
+
+const childPath = (path, key) => (path ? `${path}.${key}` : key);
+
+/**
+ * Check a value against a schema (the keywords used above: type, required,
+ * properties, patternProperties, additionalProperties, items, minimum, maximum)
+ * @returns {Array} - [{ path, message }], empty if the value matches
+ */
+export function validateSchema(value, schema, path = '') {
+  const errors = [];
+  const where = path || 'data';
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      return [{ path: where, message: `must be ${types.join(' or ')} (got ${typeOf(value)})` }];
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path: where, message: `must be at least ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path: where, message: `must be at most ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateSchema(item, schema.items, `${where}[${index}]`));
+    });
+  }
+
+  if (isObject(value)) {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) errors.push({ path: childPath(path, key), message: 'is required' });
+    });
+
+    Object.entries(value).forEach(([key, child]) => {
+      if (schema.properties?.[key]) {
+        errors.push(...validateSchema(child, schema.properties[key], childPath(path, key)));
+        return;
+      }
+      const pattern = Object.keys(schema.patternProperties || {}).find(regex => new RegExp(regex).test(key));
+      if (pattern) {
+        errors.push(...validateSchema(child, schema.patternProperties[pattern], childPath(path, key)));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: childPath(path, key), message: 'is not allowed' });
+      } else if (isObject(schema.additionalProperties)) {
+        errors.push(...validateSchema(child, schema.additionalProperties, childPath(path, key)));
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a whole state ({ schemaVersion, main, <companionId>: ... })
+ * @returns {Array} - [{ path, message }]
+ */
+export function validateState(data) {
+  return validateSchema(data, STATE_SCHEMA);
+}
+
+/**
+ * One line per error, for API responses and logs
+ */
+export function formatSchemaErrors(errors, limit = 5) {
+  const lines = errors.slice(0, limit).map(({ path, message }) => `${path} ${message}`);
+  if (errors.length > limit) lines.push(`...and ${errors.length - limit} more`);
+  return lines.join('; ');
+}
+
+// ============================================
+// MIGRATIONS
+// ============================================
+
+const eachCharacter = (data, update) => {
+  Object.keys(data).forEach(key => {
+    if (key !== 'schemaVersion' && isObject(data[key])) update(data[key]);
+  });
+};
+
+/**
+ * Upgrades, in order. migrate(data) receives a copy of a state at
+ * version - 1 and changes it in place.
+ */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Renamed legacy "alex"/"valtherion" keys to "main"/"companion"',
+    migrate: (data) => {
+      [['alex', 'main'], ['valtherion', 'companion']].forEach(([legacy, key]) => {
+        if (data[legacy] === undefined) return;
+        if (data[key] === undefined) data[key] = data[legacy];
+        delete data[legacy];
+      });
+    },
+  },
+  {
+    version: 2,
+    description: 'Moved flat level snapshot values into "stats"',
+    migrate: (data) => {
+      eachCharacter(data, character => {
+        if (!isObject(character.levelSnapshots)) return;
+        Object.entries(character.levelSnapshots).forEach(([level, snapshot]) => {
+          if (!isObject(snapshot) || isObject(snapshot.stats)) return;
+          character.levelSnapshots[level] = {
+            stats: Object.fromEntries(Object.entries(snapshot).map(([stat, value]) => [stat, Number(value) || 0])),
+          };
+        });
+      });
+    },
+  },
+];
+
+/**
+ * Version a state was written with (0 = before schemaVersion existed)
+ */
+export function getSchemaVersion(data) {
+  return Number(data?.schemaVersion) || 0;
+}
+
+/**
+ * Upgrade a state to SCHEMA_VERSION
+ * Data from a newer version is returned unchanged (validation rejects it).
+ * @returns {object} - { data, fromVersion, applied: [description] }
+ *   data is the given object itself when nothing had to change
+ */
+export function migrateState(data) {
+  const fromVersion = getSchemaVersion(data);
+  if (!isObject(data) || fromVersion >= SCHEMA_VERSION) {
+    return { data, fromVersion, applied: [] };
+  }
+
+  const migrated = clone(data);
+  const pending = MIGRATIONS.filter(migration => migration.version > fromVersion);
+  pending.forEach(migration => migration.migrate(migrated));
+
+  // Keep schemaVersion first, like a freshly written file
+  const { schemaVersion, ...characters } = migrated;
+  return {
+    data: { schemaVersion: SCHEMA_VERSION, ...characters },
+    fromVersion,
+    applied: pending.map(migration => migration.description),
+  };
+}
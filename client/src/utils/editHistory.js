@@ -0,0 +1,254 @@
+/**
+ * Undo/redo history for character edits
+ *
+ * ============================================================================
+ * TEMPLATE NOTE FOR DEVELOPERS:
+ * ============================================================================
+ * CharacterContext records every edit made through the update functions as
+ * an entry holding the old and new value of each top-level field it touched:
+ *
+ *   { id, description, createdAt,
+ *     changes: [{ character: "main", field: "titles", before: [...], after: [...] }] }
+ *
+ * Entries are field patches rather than whole states, so the history still
+ * applies after the state was changed elsewhere (another window, a loaded
+ * snapshot). A patch of a big field (levelSnapshots, classHistory) is still a
+ * full copy of it, so what is kept in localStorage is capped by size too
+ * (trimHistoryForStorage). A missing before or
+ * after means the field (or, with field null, the whole character) did not
+ * exist on that side.
+ *
+ * Descriptions reuse the progression ledger's event descriptions
+ * ("Title earned: ...", "Level 41 → 42"), plus removed list items.
+ * Works for any character key (main and every companion id).
+ * ============================================================================
+ */
+
+import { diffLedgerEvents, describeLedgerEvent } from './progressionLedger.js';
+
+// Entries kept per workspace (oldest dropped first)
+export const HISTORY_LIMIT = 100;
+// Largest stored history in characters of JSON (localStorage allows ~5M per site)
+export const HISTORY_STORAGE_LIMIT = 1000000;
+// Edits to the same fields closer together than this become one entry (typing)
+export const COALESCE_MS = 1500;
+
+export const EMPTY_HISTORY = { past: [], future: [] };
+
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+const isObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+// "levelSnapshots" -> "Level Snapshots"
+const formatFieldName = (field) => field
+  .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+  .replace(/^./, letter => letter.toUpperCase());
+
+const changeKey = (change) => `${change.character}.${change.field ?? ''}`;
+
+/**
+ * List the fields that differ between two states ({ main, <companionId>: ... })
+ * @returns {Array} - [{ character, field, before, after }] (field null = whole character)
+ */
+export function diffEditChanges(before = {}, after = {}) {
+  const changes = [];
+  const characters = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+
+  characters.forEach(character => {
+    const previous = before?.[character];
+    const next = after?.[character];
+    if (sameValue(previous, next)) return;
+
+    if (!isObject(previous) || !isObject(next)) {
+      changes.push({ character, field: null, before: clone(previous), after: clone(next) });
+      return;
+    }
+
+    [...new Set([...Object.keys(previous), ...Object.keys(next)])].forEach(field => {
+      if (sameValue(previous[field], next[field])) return;
+      changes.push({ character, field, before: clone(previous[field]), after: clone(next[field]) });
+    });
+  });
+
+  return changes;
+}
+
+/**
+ * Apply one side of a list of changes to a state
+ * @param {string} side - "before" (undo) or "after" (redo)
+ * @returns {object} - New state; the given state is not modified
+ */
+export function applyEditChanges(state, changes, side) {
+  const result = { ...state };
+
+  changes.forEach(change => {
+    const hasValue = side in change && change[side] !== undefined;
+
+    if (change.field === null) {
+      if (hasValue) result[change.character] = clone(change[side]);
+      else delete result[change.character];
+      return;
+    }
+
+    const character = { ...(result[change.character] || {}) };
+    if (hasValue) character[change.field] = clone(change[side]);
+    else delete character[change.field];
+    result[change.character] = character;
+  });
+
+  return result;
+}
+
+// Names of the items in a list field (titles, skills, traits.items, ...)
+function listItemNames(value) {
+  const items = Array.isArray(value) ? value : value?.items;
+  if (!Array.isArray(items)) return null;
+  return items.map(item => item?.name || item?.description).filter(Boolean);
+}
+
+/**
+ * Describe a list of changes in one line
+ * @param {function} nameOf - Display name for a character key
+ */
+export function describeEditChanges(changes, nameOf = key => key) {
+  const before = {};
+  const after = {};
+  changes.forEach(({ character, field, before: oldValue, after: newValue }) => {
+    if (field === null) {
+      before[character] = oldValue;
+      after[character] = newValue;
+      return;
+    }
+    if (!isObject(before[character])) before[character] = {};
+    if (!isObject(after[character])) after[character] = {};
+    if (oldValue !== undefined) before[character][field] = oldValue;
+    if (newValue !== undefined) after[character][field] = newValue;
+  });
+
+  const parts = [];
+  diffLedgerEvents(before, after).forEach(event => {
+    const name = nameOf(event.character);
+    const classLabel = event.character === 'main' ? 'Class' : 'Evolution';
+
+    if (event.type === 'state_replaced') {
+      parts.push(`${name}: ${event.payload.data === null ? 'removed' : 'replaced'}`);
+      return;
+    }
+    if (event.type !== 'character_edited') {
+      parts.push(`${name}: ${describeLedgerEvent(event, { classLabel })}`);
+      return;
+    }
+
+    // Plain edits: name what was removed from lists, otherwise just the field
+    const { fields = {}, removed = [] } = event.payload;
+    [...Object.keys(fields), ...removed].forEach(field => {
+      const oldNames = listItemNames(before[event.character]?.[field]);
+      const newNames = listItemNames(fields[field]) || [];
+      const gone = oldNames ? oldNames.filter(item => !newNames.includes(item)) : [];
+      parts.push(gone.length > 0
+        ? `${name}: Removed from ${formatFieldName(field)}: ${gone.join(', ')}`
+        : `${name}: Edited ${formatFieldName(field)}`);
+    });
+  });
+
+  if (parts.length === 0) return 'Edit';
+  if (parts.length <= 2) return parts.join('; ');
+  return `${parts.slice(0, 2).join('; ')} (+${parts.length - 2} more)`;
+}
+
+/**
+ * Add an edit to the history (clears the redo list)
+ * An edit touching the same fields as the previous entry within
+ * COALESCE_MS is folded into it, so typing a name is one entry.
+ * @param {object} history - { past, future }
+ * @param {object} before - State before the edit
+ * @param {object} after - State after the edit
+ * @param {object} options - { nameOf, now }
+ * @returns {object} - New history (the same object if nothing changed)
+ */
+export function recordEdit(history, before, after, options = {}) {
+  const { nameOf, now = Date.now() } = options;
+  let changes = diffEditChanges(before, after);
+  if (changes.length === 0) return history;
+
+  let past = history.past;
+  const last = past[past.length - 1];
+  const sameFields = last && sameValue(last.changes.map(changeKey).sort(), changes.map(changeKey).sort());
+
+  if (sameFields && now - Date.parse(last.createdAt) < COALESCE_MS) {
+    changes = changes
+      .map(change => ({ ...change, before: last.changes.find(old => changeKey(old) === changeKey(change)).before }))
+      .filter(change => !sameValue(change.before, change.after));
+    past = past.slice(0, -1);
+    if (changes.length === 0) return { past, future: [] };
+  }
+
+  const entry = {
+    id: `${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    description: describeEditChanges(changes, nameOf),
+    createdAt: new Date(now).toISOString(),
+    changes,
+  };
+
+  return { past: [...past, entry].slice(-HISTORY_LIMIT), future: [] };
+}
+
+/**
+ * The part of a history that fits in limit characters of JSON: the oldest
+ * undo entries are dropped first, then the redo entries furthest ahead
+ * @returns {object} - { history, dropped } (the same history if it fits)
+ */
+export function trimHistoryForStorage(history, limit = HISTORY_STORAGE_LIMIT) {
+  const sizes = [...history.past, ...history.future].map(entry => JSON.stringify(entry).length + 1);
+  let size = JSON.stringify(EMPTY_HISTORY).length + sizes.reduce((sum, entrySize) => sum + entrySize, 0);
+  let start = 0;
+  let end = history.future.length;
+
+  while (size > limit && start < history.past.length) {
+    size -= sizes[start];
+    start += 1;
+  }
+  while (size > limit && end > 0) {
+    end -= 1;
+    size -= sizes[history.past.length + end];
+  }
+
+  const dropped = start + (history.future.length - end);
+  if (dropped === 0) return { history, dropped };
+  return { history: { past: history.past.slice(start), future: history.future.slice(0, end) }, dropped };
+}
+
+/**
+ * Step back through the history
+ * @param {number} count - How many entries to undo
+ * @returns {object} - { history, state } (state unchanged if there is nothing to undo)
+ */
+export function undoEdits(history, state, count = 1) {
+  const steps = Math.min(count, history.past.length);
+  const undone = history.past.slice(history.past.length - steps);
+  return {
+    history: {
+      past: history.past.slice(0, history.past.length - steps),
+      future: [...undone, ...history.future],
+    },
+    // Newest first
+    state: undone.reduceRight((result, entry) => applyEditChanges(result, entry.changes, 'before'), state),
+  };
+}
+
+/**
+ * Step forward again
+ * @param {number} count - How many undone entries to redo
+ * @returns {object} - { history, state }
+ */
+export function redoEdits(history, state, count = 1) {
+  const steps = Math.min(count, history.future.length);
+  const redone = history.future.slice(0, steps);
+  return {
+    history: {
+      past: [...history.past, ...redone].slice(-HISTORY_LIMIT),
+      future: history.future.slice(steps),
+    },
+    state: redone.reduce((result, entry) => applyEditChanges(result, entry.changes, 'after'), state),
+  };
+}
@@ -1,9 +1,25 @@
 /**
  * Formats a character's status screen for copying to Notion
  * Preserves the exact formatting from the original
+ *
+ * buildStatusModel() works out what the screen says; the output format
+ * (utils/outputFormats.js - Markdown, BBCode, HTML, plain text, ...) decides
+ * how it is written, so every format prints the same numbers.
+ *
+ * formatChangesSince() prints a short "what changed" block instead (level-up
+ * summaries), built from the same diff as the History tab's compare mode.
  */
 
-import { calculateAllStats, calculateDerivedStats, getCurrentClass } from './statCalculator';
+import {
+  calculateAllStats,
+  calculateDerivedStats,
+  getCurrentClass,
+  getStatGroups,
+  getStatDisplayName,
+  getResourceDefinitions,
+} from './statCalculator.js';
+import { diffStates } from './snapshotDiff.js';
+import { DEFAULT_OUTPUT_FORMAT, getOutputFormat } from './outputFormats.js';
 
 /**
  * Format a single skill for output
@@ -33,18 +49,26 @@ function formatBoundItem(item) {
   return `${item.rank} Rank ${item.type} - ${item.name}`;
 }
 
+// Fields of a ranked skill a template can print on its own
+const skillFields = (skill) => ({
+  name: skill.name,
+  rank: skill.rank,
+  level: skill.level,
+  advancement: !!skill.advancement,
+});
+
 /**
- * Format the complete status screen for a character
+ * Build the status screen model every output format renders
  * @param {Object} character - Character data object
  * @param {Object} options - Formatting options
  * @param {Object} options.calculatedStats - Pre-calculated final stats (if available)
- * @param {Object} options.derivedStats - Pre-calculated HP/MP (if available)
- * @param {number} options.bondedMana - Additional mana from bond (for MP calculation)
- * @returns {string} - Formatted status screen string
+ * @param {Object} options.derivedStats - Pre-calculated resources (HP/MP/custom, if available)
+ * @param {Object} options.bondedStats - Stats received through the bond (for resource calculation)
+ * @param {number} options.bondedMana - Legacy: additional mana from bond (used if bondedStats is missing)
+ * @returns {Object} - { name, level, className, classAdvancement, resources, traits, titles,
+ *   primaryTitle, statGroups, skillSections, boundItems } (see utils/outputFormats.js)
  */
-export function formatStatusScreen(character, options = {}) {
-  if (!character) return '';
-
+export function buildStatusModel(character, options = {}) {
   // Use pre-calculated stats if provided, otherwise calculate them
   let finalStats = options.calculatedStats;
   let derivedStats = options.derivedStats;
@@ -55,168 +79,229 @@ export function formatStatusScreen(character, options = {}) {
   }
   
   if (!derivedStats) {
-    derivedStats = calculateDerivedStats(finalStats, character, options.bondedMana || 0);
+    const bondedStats = options.bondedStats || { mana: options.bondedMana || 0 };
+    derivedStats = calculateDerivedStats(finalStats, character, bondedStats);
   }
 
   // Get current class name
   const currentClass = getCurrentClass(character.classHistory, character.level);
-  const className = currentClass?.name || character.class || '';
-  
-  // Check for class advancement
-  const classAdvancement = currentClass?.endLevel === null && character.classAdvancement 
-    ? ' + Advancement Offered' 
-    : '';
+  const currentSkills = (key) => character[key]?.filter(s => !s.isOld) || [];
 
-  const lines = [];
+  return {
+    name: character.name,
+    level: character.level,
+    className: currentClass?.name || character.class || '',
+    // Advancement is only offered on the class still in progress
+    classAdvancement: !!(currentClass?.endLevel === null && character.classAdvancement),
 
-  // Header
-  lines.push('***');
-  lines.push('');
+    // Resources (HP, MP and any custom pools from config.resources) - use derived stats
+    // Current values are only printed when the character tracks them (e.g. mid-fight)
+    resources: getResourceDefinitions().map((resource) => {
+      const max = derivedStats[resource.key]?.max || 0;
+      const current = character.trackCurrentResources ? (derivedStats[resource.key]?.current ?? max) : max;
+      return { key: resource.key, name: resource.name, current, max };
+    }),
 
-  // Status section
-  lines.push('**Status**');
-  lines.push('');
-  
-  // Name and Level
-  lines.push(`Name: ${character.name} - Level ${character.level}`);
-  lines.push('');
-  
-  // Class
-  if (className) {
-    lines.push(`Class: ${className}${classAdvancement}`);
-    lines.push('');
-  }
+    traits: character.traits ? {
+      current: character.traits.current || character.traits.items?.length || 0,
+      max: character.traits.max,
+      items: (character.traits.items || []).map(trait => trait.name),
+    } : null,
 
-  // HP/MP - use derived stats
-  lines.push(`HP: ${derivedStats.hp?.max || 0}/${derivedStats.hp?.max || 0}`);
-  lines.push('');
-  lines.push(`MP: ${derivedStats.mp?.max || 0}/${derivedStats.mp?.max || 0}`);
-  lines.push('');
-
-  // Traits
-  if (character.traits) {
-    lines.push(`**Traits: (${character.traits.current || character.traits.items?.length || 0}/${character.traits.max})** `);
-    lines.push('');
-    if (character.traits.items && character.traits.items.length > 0) {
-      character.traits.items.forEach((trait) => {
-        lines.push(`{${trait.name}}`);
-        lines.push('');
-      });
-    }
-  }
+    titles: (character.titles || []).map(title => ({ name: title.name, isPrimary: !!title.isPrimary })),
+    primaryTitle: character.titles?.find((t) => t.isPrimary)?.name || null,
 
-  // Titles
-  if (character.titles && character.titles.length > 0) {
-    const primaryTitle = character.titles.find((t) => t.isPrimary);
-    const primaryDisplay = primaryTitle ? ` < ${primaryTitle.name} >` : '';
-    lines.push(`**Titles:${primaryDisplay}**`);
-    lines.push('');
-    character.titles.forEach((title) => {
-      lines.push(title.name);
-      lines.push('');
-    });
-  }
+    // Stat groups (e.g. Physical / Magical) - order and names come from config.stats
+    statGroups: getStatGroups().map((group) => ({
+      id: group.id,
+      label: group.label,
+      stats: group.stats.map(({ key }) => ({ key, name: getStatDisplayName(key), value: finalStats[key] || 0 })),
+    })),
 
-  // Physical Stats - use calculated final stats
-  lines.push('**Physical Stats:** ');
-  lines.push('');
-  lines.push(`Strength: ${finalStats.strength || 0}`);
-  lines.push('');
-  lines.push(`Agility: ${finalStats.agility || 0}`);
-  lines.push('');
-  lines.push(`Constitution: ${finalStats.constitution || 0}`);
-  lines.push('');
-  lines.push(`Vitality: ${finalStats.vitality || 0}`);
-  lines.push('');
-
-  // Magical Stats - use calculated final stats
-  lines.push('**Magical Stats:** ');
-  lines.push('');
-  lines.push(`Intellect: ${finalStats.intellect || 0}`);
-  lines.push('');
-  lines.push(`Willpower: ${finalStats.willpower || 0}`);
-  lines.push('');
-  lines.push(`Mana: ${finalStats.mana || 0}`);
-  lines.push('');
-  lines.push(`Wisdom: ${finalStats.wisdom || 0}`);
-  lines.push('');
-
-  // Bond Skills (filter out old skills)
-  const currentBondSkills = character.bondSkills?.filter(s => !s.isOld) || [];
-  if (currentBondSkills.length > 0) {
-    lines.push('**Bond Skills:**');
-    lines.push('');
-    currentBondSkills.forEach((skill) => {
-      lines.push(formatSkill(skill));
-      lines.push('');
-      if (skill.primaryStatShared) {
-        lines.push(`Primary Stat Shared - ${skill.primaryStatShared}`);
-        lines.push('');
-      }
-    });
-  }
+    // Skill sections with current (non-old) skills only, in print order.
+    // text is the standard "[Name] (Rank - Level N)" line; the raw fields
+    // are there for status screen templates (utils/statusTemplates.js)
+    skillSections: [
+      {
+        key: 'bondSkills',
+        label: 'Bond Skills',
+        items: currentSkills('bondSkills').map(skill => ({
+          ...skillFields(skill),
+          text: formatSkill(skill),
+          primaryStatShared: skill.primaryStatShared || null,
+        })),
+      },
+      {
+        key: 'activeSkills',
+        label: 'Active Skills',
+        items: currentSkills('activeSkills').map(skill => ({ ...skillFields(skill), text: formatSkill(skill) })),
+      },
+      {
+        key: 'passiveSkills',
+        label: 'Passive Skills',
+        items: currentSkills('passiveSkills').map(skill => ({
+          name: skill.name,
+          tier: skill.tier,
+          text: formatPassiveSkill(skill),
+        })),
+      },
+    ].filter(section => section.items.length > 0),
 
-  // Active Skills (filter out old skills)
-  const currentActiveSkills = character.activeSkills?.filter(s => !s.isOld) || [];
-  if (currentActiveSkills.length > 0) {
-    lines.push('**Active Skills:** ');
-    lines.push('');
-    currentActiveSkills.forEach((skill) => {
-      lines.push(formatSkill(skill));
-      lines.push('');
-    });
-  }
+    boundItems: (character.boundItems || []).map(item => ({
+      name: item.name,
+      rank: item.rank,
+      type: item.type,
+      text: formatBoundItem(item),
+    })),
+  };
+}
 
-  // Passive Skills (filter out old skills)
-  const currentPassiveSkills = character.passiveSkills?.filter(s => !s.isOld) || [];
-  if (currentPassiveSkills.length > 0) {
-    lines.push('**Passive Skills:** ');
-    lines.push('');
-    currentPassiveSkills.forEach((skill) => {
-      lines.push(formatPassiveSkill(skill));
-      lines.push('');
-    });
-  }
+/**
+ * Format the complete status screen for a character
+ * @param {Object} character - Character data object
+ * @param {Object} options - As for buildStatusModel, plus options.format
+ *   (an output format id or object, default "markdown" - see utils/outputFormats.js)
+ * @returns {string} - Formatted status screen string
+ */
+export function formatStatusScreen(character, options = {}) {
+  if (!character) return '';
+  return getOutputFormat(options.format).renderStatus(buildStatusModel(character, options));
+}
+
+// Labels for the skill fields a "levelled" change can touch
+const SKILL_FIELD_LABELS = {
+  rank: 'Rank',
+  level: 'Level',
+  tier: 'Tier',
+};
 
-  // Bound Items
-  if (character.boundItems && character.boundItems.length > 0) {
-    lines.push('**Bound Items:**');
-    lines.push('');
-    character.boundItems.forEach((item) => {
-      lines.push(formatBoundItem(item));
-      lines.push('');
-    });
+// "+45 Willpower" / "-3 Agility"
+function formatGain(change, label) {
+  return `${change > 0 ? '+' : ''}${change} ${label}`;
+}
+
+/**
+ * Format a levelled skill, e.g. "[Mana Bolt] Level 3 → 4" or
+ * "[Mana Bolt] Rank C → B, Advancement Offered"
+ */
+function formatSkillProgress({ name, changes }) {
+  const parts = Object.entries(changes)
+    .filter(([field]) => SKILL_FIELD_LABELS[field])
+    .map(([field, { before, after }]) => `${SKILL_FIELD_LABELS[field]} ${before ?? '?'} → ${after ?? '?'}`);
+  if (changes.advancement?.after) parts.push('Advancement Offered');
+  return parts.length > 0 ? `[${name}] ${parts.join(', ')}` : null;
+}
+
+/**
+ * Build the changes model for one character since an earlier state
+ * @param {Object} characterDiff - One entry of diffStates().characters (utils/snapshotDiff.js)
+ * @param {Object} options - { heading } (default "Status Update")
+ * @returns {Object|null} - { heading, name, lines }, or null if nothing worth printing changed
+ *
+ * Only gains are printed (new skills, titles, traits, ...): it's meant for
+ * level-up summaries in the story, not as a complete change log - use the
+ * History tab's compare mode for that.
+ */
+export function buildChangesModel(characterDiff, options = {}) {
+  if (!characterDiff || characterDiff.status === 'removed') return null;
+  const { heading = 'Status Update' } = options;
+  const { level, skills } = characterDiff;
+  const changes = [];
+
+  if (level.before !== null && level.after !== level.before) {
+    changes.push(`Level ${level.before} → ${level.after}`);
+  }
+  if (characterDiff.class.before && characterDiff.class.after && characterDiff.class.before !== characterDiff.class.after) {
+    changes.push(`Class: ${characterDiff.class.before} → ${characterDiff.class.after}`);
   }
+  characterDiff.resources
+    .filter(resource => resource.change !== 0)
+    .forEach(resource => changes.push(formatGain(resource.change, resource.name)));
+  characterDiff.stats
+    .filter(stat => stat.change !== 0)
+    .forEach(stat => changes.push(formatGain(stat.change, getStatDisplayName(stat.stat))));
+
+  characterDiff.traits.added.forEach(name => changes.push(`New Trait: {${name}}`));
+  characterDiff.titles.added.forEach(name => changes.push(`Title earned: ${name}`));
+  skills.added.forEach(skill => changes.push(`New Skill: [${skill.name}]`));
+  skills.evolved.forEach(skill => changes.push(`Skill Evolved: [${skill.from}] → [${skill.to}]`));
+  skills.levelled.map(formatSkillProgress).filter(Boolean).forEach(line => changes.push(line));
+  characterDiff.boundItems.added.forEach(name => changes.push(`Item Bound: ${name}`));
 
-  // Footer
-  lines.push('***');
+  if (changes.length === 0) return null;
+  return { heading, name: characterDiff.name, lines: changes };
+}
 
-  return lines.join('\n');
+/**
+ * Format what changed for one character since an earlier state
+ * @param {Object} characterDiff - One entry of diffStates().characters (utils/snapshotDiff.js)
+ * @param {Object} options - { heading, format } (default "Status Update", "markdown")
+ * @returns {string} - Formatted block, or '' if nothing worth printing changed
+ */
+export function formatCharacterChanges(characterDiff, options = {}) {
+  const model = buildChangesModel(characterDiff, options);
+  return model ? getOutputFormat(options.format).renderChanges(model) : '';
+}
+
+/**
+ * Format what changed between two states for several characters
+ * @param {Object} before - Earlier state, e.g. a snapshot's data ({ main, <companionId>: ... })
+ * @param {Object} after - Later state, usually the current one
+ * @param {Array} keys - Character keys to print, in order (default: every character)
+ * @param {Object} options - As for formatCharacterChanges
+ * @returns {string} - Combined blocks ('' if none of them changed)
+ */
+export function formatChangesSince(before, after, keys = null, options = {}) {
+  const { characters } = diffStates(before, after);
+  return characters
+    .filter(character => !keys || keys.includes(character.key))
+    .sort((a, b) => (keys ? keys.indexOf(a.key) - keys.indexOf(b.key) : 0))
+    .map(character => formatCharacterChanges(character, options))
+    .filter(Boolean)
+    .join(getOutputFormat(options.format).separator);
+}
+
+/**
+ * Format several characters' status screens one after another (party view)
+ * @param {Array} members - [{ character, options }] in print order; options as for formatStatusScreen
+ * @param {string|Object} format - Output format (id or object) for every member (default "markdown")
+ * @returns {string} - Combined formatted status screens
+ */
+export function formatPartyStatusScreens(members = [], format = DEFAULT_OUTPUT_FORMAT) {
+  return members
+    .filter(member => member?.character)
+    .map(member => formatStatusScreen(member.character, { ...member.options, format }))
+    .join(getOutputFormat(format).separator);
 }
 
 /**
  * Format both characters' status screens
+ * Legacy two-character form of formatPartyStatusScreens
  * @param {Object} alex - Alex's character data
  * @param {Object} valtherion - Valtherion's character data
  * @param {Object} options - Additional options with pre-calculated stats
  * @returns {string} - Combined formatted status screens
  */
 export function formatBothStatusScreens(alex, valtherion, options = {}) {
-  const alexScreen = formatStatusScreen(alex, {
-    calculatedStats: options.alexStats,
-    derivedStats: options.alexDerived,
-    bondedMana: options.alexBondedMana,
-  });
-  
-  const valScreen = valtherion?.name ? formatStatusScreen(valtherion, {
-    calculatedStats: options.valStats,
-    derivedStats: options.valDerived,
-  }) : '';
-  
-  if (valScreen) {
-    return `${alexScreen}\n\n${valScreen}`;
-  }
-  return alexScreen;
+  return formatPartyStatusScreens([
+    {
+      character: alex,
+      options: {
+        calculatedStats: options.alexStats,
+        derivedStats: options.alexDerived,
+        bondedStats: options.alexBonded,
+        bondedMana: options.alexBondedMana,
+      },
+    },
+    {
+      character: valtherion?.name ? valtherion : null,
+      options: {
+        calculatedStats: options.valStats,
+        derivedStats: options.valDerived,
+        bondedStats: options.valBonded,
+      },
+    },
+  ]);
 }
 
 export default formatStatusScreen;
@@ -0,0 +1,275 @@
+/**
+ * Small arithmetic formula evaluator for config-driven values
+ *
+ * ============================================================================
+ * TEMPLATE NOTE FOR DEVELOPERS:
+ * ============================================================================
+ * Used by derived resources (config.resources) so that formulas such as
+ *   "constitution * 10"
+ *   "vitality*5 + constitution*2"
+ *   "floor((mana + wisdom) / 2) * 10"
+ * can be written in config without any code changes.
+ *
+ * Supported syntax:
+ * - Numbers (integers and decimals)
+ * - Variables: any name passed in `variables` (stat keys, level, ...)
+ * - Operators: + - * / % and parentheses, unary minus
+ * - Functions: floor, ceil, round, min, max, abs
+ *
+ * Formulas are parsed by hand - never eval()'d - so a config file can't run
+ * arbitrary code.
+ * ============================================================================
+ */
+
+const FUNCTIONS = {
+  floor: Math.floor,
+  ceil: Math.ceil,
+  round: Math.round,
+  min: Math.min,
+  max: Math.max,
+  abs: Math.abs,
+};
+
+/**
+ * Split a formula string into tokens
+ */
+function tokenize(formula) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < formula.length) {
+    const char = formula[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (/[0-9.]/.test(char)) {
+      let number = '';
+      while (i < formula.length && /[0-9.]/.test(formula[i])) {
+        number += formula[i++];
+      }
+      if (Number.isNaN(Number(number))) {
+        throw new Error(`Invalid number "${number}"`);
+      }
+      tokens.push({ type: 'number', value: Number(number) });
+    } else if (/[A-Za-z_]/.test(char)) {
+      let name = '';
+      while (i < formula.length && /[A-Za-z0-9_]/.test(formula[i])) {
+        name += formula[i++];
+      }
+      tokens.push({ type: 'name', value: name });
+    } else if ('+-*/%(),'.includes(char)) {
+      tokens.push({ type: 'op', value: char });
+      i++;
+    } else {
+      throw new Error(`Unexpected character "${char}"`);
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse tokens into an expression tree (recursive descent)
+ *
+ * expression := term (('+' | '-') term)*
+ * term       := unary (('*' | '/' | '%') unary)*
+ * unary      := '-' unary | primary
+ * primary    := number | name | name '(' args ')' | '(' expression ')'
+ */
+function parse(tokens) {
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const isOp = (value) => peek()?.type === 'op' && peek().value === value;
+  const expect = (value) => {
+    if (!isOp(value)) {
+      throw new Error(`Expected "${value}"`);
+    }
+    position++;
+  };
+
+  function parseExpression() {
+    let node = parseTerm();
+    while (isOp('+') || isOp('-')) {
+      const op = tokens[position++].value;
+      node = { type: 'binary', op, left: node, right: parseTerm() };
+    }
+    return node;
+  }
+
+  function parseTerm() {
+    let node = parseUnary();
+    while (isOp('*') || isOp('/') || isOp('%')) {
+      const op = tokens[position++].value;
+      node = { type: 'binary', op, left: node, right: parseUnary() };
+    }
+    return node;
+  }
+
+  function parseUnary() {
+    if (isOp('-')) {
+      position++;
+      return { type: 'negate', operand: parseUnary() };
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const token = peek();
+    if (!token) throw new Error('Unexpected end of formula');
+
+    if (token.type === 'number') {
+      position++;
+      return { type: 'number', value: token.value };
+    }
+
+    if (token.type === 'name') {
+      position++;
+      if (isOp('(')) {
+        if (!FUNCTIONS[token.value]) {
+          throw new Error(`Unknown function "${token.value}"`);
+        }
+        position++;
+        const args = [];
+        if (!isOp(')')) {
+          args.push(parseExpression());
+          while (isOp(',')) {
+            position++;
+            args.push(parseExpression());
+          }
+        }
+        expect(')');
+        return { type: 'call', name: token.value, args };
+      }
+      return { type: 'variable', name: token.value };
+    }
+
+    if (isOp('(')) {
+      position++;
+      const node = parseExpression();
+      expect(')');
+      return node;
+    }
+
+    throw new Error(`Unexpected "${token.value}"`);
+  }
+
+  const tree = parseExpression();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected "${tokens[position].value}"`);
+  }
+  return tree;
+}
+
+/**
+ * Evaluate an expression tree against a set of variables
+ * Unknown variables count as 0 so a formula keeps working when a stat is missing
+ */
+function evaluateNode(node, variables) {
+  switch (node.type) {
+    case 'number':
+      return node.value;
+    case 'variable':
+      return Number(variables[node.name]) || 0;
+    case 'negate':
+      return -evaluateNode(node.operand, variables);
+    case 'call':
+      return FUNCTIONS[node.name](...node.args.map(arg => evaluateNode(arg, variables)));
+    case 'binary': {
+      const left = evaluateNode(node.left, variables);
+      const right = evaluateNode(node.right, variables);
+      switch (node.op) {
+        case '+': return left + right;
+        case '-': return left - right;
+        case '*': return left * right;
+        case '/': return right === 0 ? 0 : left / right;
+        case '%': return right === 0 ? 0 : left % right;
+        default: return 0;
+      }
+    }
+    default:
+      return 0;
+  }
+}
+
+// Parsed formulas are cached - the same few formulas are evaluated on every render
+const parseCache = new Map();
+
+/**
+ * Parse a formula string, throwing an Error with a readable message if invalid
+ * @param {string} formula - e.g. "vitality*5 + constitution*2"
+ * @returns {object} - Expression tree
+ */
+export function parseFormula(formula) {
+  const source = String(formula ?? '');
+  if (parseCache.has(source)) return parseCache.get(source);
+
+  const tokens = tokenize(source);
+  if (tokens.length === 0) throw new Error('Formula is empty');
+
+  const tree = parse(tokens);
+  parseCache.set(source, tree);
+  return tree;
+}
+
+/**
+ * Evaluate a formula string
+ * @param {string} formula - e.g. "vitality*5 + constitution*2"
+ * @param {object} variables - { strength: 10, level: 5, ... }
+ * @returns {number}
+ */
+export function evaluateFormula(formula, variables = {}) {
+  const result = evaluateNode(parseFormula(formula), variables);
+  return Number.isFinite(result) ? result : 0;
+}
+
+/**
+ * Check a formula without evaluating it
+ * @returns {string|null} - Error message, or null if the formula is valid
+ */
+export function validateFormula(formula) {
+  try {
+    parseFormula(formula);
+    return null;
+  } catch (err) {
+    return err.message;
+  }
+}
+
+/**
+ * Apply a rounding mode shared by config-driven values
+ * @param {number} value
+ * @param {string} rounding - "round" (default), "floor", "ceil" or "none"
+ */
+export function applyRounding(value, rounding) {
+  switch (rounding) {
+    case 'floor': return Math.floor(value);
+    case 'ceil': return Math.ceil(value);
+    case 'none': return value;
+    default: return Math.round(value);
+  }
+}
+
+/**
+ * List the variable names a formula refers to (e.g. for "vitality*5" -> ["vitality"])
+ */
+export function getFormulaVariables(formula) {
+  const names = new Set();
+  const walk = (node) => {
+    if (!node) return;
+    if (node.type === 'variable') names.add(node.name);
+    if (node.type === 'negate') walk(node.operand);
+    if (node.type === 'binary') {
+      walk(node.left);
+      walk(node.right);
+    }
+    if (node.type === 'call') node.args.forEach(walk);
+  };
+
+  try {
+    walk(parseFormula(formula));
+  } catch (err) {
+    return [];
+  }
+  return [...names];
+}
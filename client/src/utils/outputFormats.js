@@ -0,0 +1,241 @@
+/**
+ * Output formats for status screens
+ *
+ * ============================================================================
+ * TEMPLATE NOTE FOR DEVELOPERS:
+ * ============================================================================
+ * formatter.js builds one model per status screen (buildStatusModel) and
+ * per changes block (buildChangesModel); a format only decides how that
+ * model is written out. The same chapter can then go to Notion, Royal Road,
+ * a forum, Discord or an EPUB draft without the numbers ever differing.
+ *
+ * Every format is { id, label, description, contentType, separator,
+ * renderStatus(model), renderChanges(model) }:
+ * - separator joins several blocks (party screens, changes + full screen)
+ * - contentType is what GET /api/current/render answers with
+ *
+ * To add a format, call registerOutputFormat() - the Output tab and the API
+ * pick it up from getOutputFormats(). "markdown" is the original Notion
+ * layout; keep it byte for byte, the paste parser (statusParser.js) reads it.
+ * ============================================================================
+ */
+
+export const DEFAULT_OUTPUT_FORMAT = 'markdown';
+
+const formats = {};
+
+/**
+ * Add (or replace) an output format
+ */
+export function registerOutputFormat(format) {
+  formats[format.id] = format;
+}
+
+/**
+ * Get a format by id (the default format for unknown ids)
+ * A format object is returned as is, so callers can pass formats that aren't
+ * registered (status screen templates - utils/statusTemplates.js).
+ */
+export function getOutputFormat(id) {
+  if (id && typeof id === 'object') return id;
+  return formats[id] || formats[DEFAULT_OUTPUT_FORMAT];
+}
+
+export function hasOutputFormat(id) {
+  return !!formats[id];
+}
+
+/**
+ * Every registered format, in registration order
+ * @returns {Array} - [{ id, label, description }]
+ */
+export function getOutputFormats() {
+  return Object.values(formats).map(({ id, label, description }) => ({ id, label, description }));
+}
+
+// Shared pieces ---------------------------------------------------------------
+
+const withAdvancement = (model) => `${model.className}${model.classAdvancement ? ' + Advancement Offered' : ''}`;
+const primaryTitleLabel = (model) => (model.primaryTitle ? ` < ${model.primaryTitle} >` : '');
+
+/**
+ * The status screen as [heading, [lines]] sections, for formats that only
+ * differ in how a heading or line is marked up
+ */
+function statusSections(model) {
+  const sections = [
+    [null, [
+      `Name: ${model.name} - Level ${model.level}`,
+      ...(model.className ? [`Class: ${withAdvancement(model)}`] : []),
+      ...model.resources.map(resource => `${resource.name}: ${resource.current}/${resource.max}`),
+    ]],
+  ];
+  if (model.traits) {
+    sections.push([`Traits: (${model.traits.current}/${model.traits.max})`, model.traits.items.map(name => `{${name}}`)]);
+  }
+  if (model.titles.length > 0) {
+    sections.push([`Titles:${primaryTitleLabel(model)}`, model.titles.map(title => title.name)]);
+  }
+  model.statGroups.forEach(group => {
+    sections.push([`${group.label}:`, group.stats.map(stat => `${stat.name}: ${stat.value}`)]);
+  });
+  model.skillSections.forEach(section => {
+    sections.push([`${section.label}:`, section.items.flatMap(skill => [
+      skill.text,
+      ...(skill.primaryStatShared ? [`Primary Stat Shared - ${skill.primaryStatShared}`] : []),
+    ])]);
+  });
+  if (model.boundItems.length > 0) {
+    sections.push(['Bound Items:', model.boundItems.map(item => item.text)]);
+  }
+  return sections;
+}
+
+// Markdown (Notion) -----------------------------------------------------------
+
+// Headings as the original formatter printed them (some with a trailing space)
+const MARKDOWN_SKILL_HEADINGS = {
+  bondSkills: '**Bond Skills:**',
+  activeSkills: '**Active Skills:** ',
+  passiveSkills: '**Passive Skills:** ',
+};
+
+registerOutputFormat({
+  id: 'markdown',
+  label: 'Markdown (Notion)',
+  description: '*** separators and **bold** headings, a blank line between lines',
+  contentType: 'text/markdown',
+  separator: '\n\n',
+  renderStatus(model) {
+    const lines = ['***', '', '**Status**', ''];
+    const push = (line) => lines.push(line, '');
+
+    push(`Name: ${model.name} - Level ${model.level}`);
+    if (model.className) push(`Class: ${withAdvancement(model)}`);
+    model.resources.forEach(resource => push(`${resource.name}: ${resource.current}/${resource.max}`));
+
+    if (model.traits) {
+      push(`**Traits: (${model.traits.current}/${model.traits.max})** `);
+      model.traits.items.forEach(name => push(`{${name}}`));
+    }
+    if (model.titles.length > 0) {
+      push(`**Titles:${primaryTitleLabel(model)}**`);
+      model.titles.forEach(title => push(title.name));
+    }
+    model.statGroups.forEach(group => {
+      push(`**${group.label}:** `);
+      group.stats.forEach(stat => push(`${stat.name}: ${stat.value}`));
+    });
+    model.skillSections.forEach(section => {
+      push(MARKDOWN_SKILL_HEADINGS[section.key] || `**${section.label}:** `);
+      section.items.forEach(skill => {
+        push(skill.text);
+        if (skill.primaryStatShared) push(`Primary Stat Shared - ${skill.primaryStatShared}`);
+      });
+    });
+    if (model.boundItems.length > 0) {
+      push('**Bound Items:**');
+      model.boundItems.forEach(item => push(item.text));
+    }
+
+    lines.push('***');
+    return lines.join('\n');
+  },
+  renderChanges(model) {
+    const lines = ['***', '', `**${model.heading}**`, '', `Name: ${model.name}`, ''];
+    model.lines.forEach(line => lines.push(line, ''));
+    lines.push('***');
+    return lines.join('\n');
+  },
+});
+
+// BBCode (forums) -------------------------------------------------------------
+
+registerOutputFormat({
+  id: 'bbcode',
+  label: 'BBCode (forums)',
+  description: 'A [quote] box with [b] headings',
+  contentType: 'text/plain',
+  separator: '\n\n',
+  renderStatus(model) {
+    const body = statusSections(model).map(([heading, lines]) => [
+      ...(heading ? [`[b]${heading}[/b]`] : []),
+      ...lines,
+    ].join('\n'));
+    return `[quote][b]Status[/b]\n\n${body.join('\n\n')}[/quote]`;
+  },
+  renderChanges(model) {
+    return `[quote][b]${model.heading}[/b]\n\nName: ${model.name}\n${model.lines.join('\n')}[/quote]`;
+  },
+});
+
+// HTML (Royal Road) -----------------------------------------------------------
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const HTML_TABLE_OPEN = '<table style="border: 1px solid; border-collapse: collapse; width: 100%;"><tbody>';
+const HTML_TABLE_CLOSE = '</tbody></table>';
+
+// "Strength: 29" becomes a label and a value cell; anything else spans both
+function htmlRow(line) {
+  const match = line.match(/^([^:[{]+):\s(.+)$/);
+  if (match) return `<tr><td>${escapeHtml(match[1])}:</td><td>${escapeHtml(match[2])}</td></tr>`;
+  return `<tr><td colspan="2">${escapeHtml(line)}</td></tr>`;
+}
+
+const htmlHeading = (text) => `<tr><td colspan="2"><strong>${escapeHtml(text)}</strong></td></tr>`;
+
+registerOutputFormat({
+  id: 'html',
+  label: 'HTML table (Royal Road)',
+  description: 'A bordered table, labels and values in two columns',
+  contentType: 'text/html',
+  separator: '\n<p></p>\n',
+  renderStatus(model) {
+    const rows = [htmlHeading('Status')];
+    statusSections(model).forEach(([heading, lines]) => {
+      if (heading) rows.push(htmlHeading(heading));
+      lines.forEach(line => rows.push(htmlRow(line)));
+    });
+    return [HTML_TABLE_OPEN, ...rows, HTML_TABLE_CLOSE].join('\n');
+  },
+  renderChanges(model) {
+    const rows = [htmlHeading(model.heading), htmlRow(`Name: ${model.name}`), ...model.lines.map(htmlRow)];
+    return [HTML_TABLE_OPEN, ...rows, HTML_TABLE_CLOSE].join('\n');
+  },
+});
+
+// Plain text (EPUB drafts) and Discord ----------------------------------------
+
+function renderPlainStatus(model) {
+  return ['Status', ...statusSections(model).map(([heading, lines]) => [
+    ...(heading ? [heading] : []),
+    ...lines,
+  ].join('\n'))].join('\n\n');
+}
+
+const renderPlainChanges = (model) => [model.heading, `Name: ${model.name}`, ...model.lines].join('\n');
+
+registerOutputFormat({
+  id: 'plain',
+  label: 'Plain text (EPUB)',
+  description: 'No markup, a blank line between sections',
+  contentType: 'text/plain',
+  separator: '\n\n\n',
+  renderStatus: renderPlainStatus,
+  renderChanges: renderPlainChanges,
+});
+
+registerOutputFormat({
+  id: 'discord',
+  label: 'Discord',
+  description: 'Plain text in a code block, so the layout survives',
+  contentType: 'text/plain',
+  separator: '\n',
+  renderStatus: (model) => `\`\`\`\n${renderPlainStatus(model)}\n\`\`\``,
+  renderChanges: (model) => `\`\`\`\n${renderPlainChanges(model)}\n\`\`\``,
+});
@@ -0,0 +1,364 @@
+/**
+ * Progression ledger - typed, append-only record of what changed and when
+ *
+ * ============================================================================
+ * TEMPLATE NOTE FOR DEVELOPERS:
+ * ============================================================================
+ * The server keeps data/ledger.json: { baseline, position, events }.
+ * - baseline: the full state when the ledger was started
+ * - position: the book/chapter currently being written (stamped on new events)
+ * - events:   [{ id, seq, type, character, book, chapter, createdAt, payload }]
+ *
+ * Replaying every event over the baseline gives current.json. The tabs still
+ * save the whole state through POST /api/update; the server turns each save
+ * into typed events with diffLedgerEvents(). Anything that doesn't fit a
+ * typed event (deleting a title, editing a description, ...) is recorded as
+ * a "character_edited" event holding the new value of each changed field, so
+ * replay stays exact.
+ *
+ * Adding an event type: add it to LEDGER_EVENT_TYPES with apply() and
+ * describe(), and detect it in diffCharacter(). Keep apply() pure - it is
+ * used by the server and the History tab alike.
+ * ============================================================================
+ */
+
+import { getStatDisplayName } from './statCalculator.js';
+
+/**
+ * Skill lists and how they are labelled in event descriptions
+ */
+export const SKILL_LISTS = {
+  activeSkills: 'Active',
+  passiveSkills: 'Passive',
+  bondSkills: 'Bond',
+};
+
+// Skill fields whose change counts as "levelled" rather than a plain edit
+export const SKILL_PROGRESS_FIELDS = ['rank', 'level', 'tier', 'advancement'];
+
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const classKey = (cls) => `${cls?.name}@${cls?.startLevel}`;
+const boostKey = (boost) => `${boost?.description}|${boost?.stat}`;
+const byName = (item) => item?.name;
+
+/**
+ * Update one character of a state object without touching the rest
+ */
+function updateCharacter(state, key, update) {
+  const character = clone(state[key]) || {};
+  update(character);
+  return { ...state, [key]: character };
+}
+
+function formatStatChanges(points) {
+  return Object.entries(points || {})
+    .map(([stat, value]) => `${value > 0 ? '+' : ''}${value} ${getStatDisplayName(stat)}`)
+    .join(', ');
+}
+
+/**
+ * Event types: label (for lists and filters), apply(character, payload) and describe(payload, options)
+ * apply() receives a cloned character and changes it in place.
+ */
+export const LEDGER_EVENT_TYPES = {
+  level_up: {
+    label: 'Level up',
+    apply: (character, { to }) => {
+      character.level = to;
+    },
+    describe: ({ from, to }) => `Level ${from} → ${to}`,
+  },
+  free_points_spent: {
+    label: 'Free points spent',
+    apply: (character, { points }) => {
+      character.freePoints = { ...(character.freePoints || {}) };
+      Object.entries(points || {}).forEach(([stat, value]) => {
+        character.freePoints[stat] = (Number(character.freePoints[stat]) || 0) + value;
+      });
+    },
+    describe: ({ points }) => `Free points: ${formatStatChanges(points)}`,
+  },
+  class_gained: {
+    label: 'Class gained',
+    apply: (character, payload) => {
+      const history = (character.classHistory || []).map(cls =>
+        cls.endLevel === null || cls.endLevel === undefined ? { ...cls, endLevel: payload.class.startLevel } : cls
+      );
+      character.classHistory = [...history, clone(payload.class)];
+    },
+    describe: (payload, { classLabel = 'Class' } = {}) =>
+      `${classLabel} gained: ${payload.class.name} (from level ${payload.class.startLevel})`,
+  },
+  skill_learned: {
+    label: 'Skill learned',
+    apply: (character, { list, skill }) => {
+      character[list] = [...(character[list] || []), clone(skill)];
+    },
+    describe: ({ list, skill }) => `Learned ${SKILL_LISTS[list] || ''} skill: ${skill.name}`,
+  },
+  skill_levelled: {
+    label: 'Skill levelled',
+    apply: (character, { list, name, changes }) => {
+      character[list] = (character[list] || []).map(skill =>
+        skill.name === name ? { ...skill, ...clone(changes) } : skill
+      );
+    },
+    describe: ({ name, previous, changes }) =>
+      `${name}: ${Object.keys(changes)
+        .map(field => `${field} ${previous?.[field] ?? '-'} → ${changes[field]}`)
+        .join(', ')}`,
+  },
+  skill_evolved: {
+    label: 'Skill evolved',
+    apply: (character, { list, from, skill }) => {
+      character[list] = (character[list] || []).map(existing => (existing.name === from ? clone(skill) : existing));
+    },
+    describe: ({ from, skill }) => `${from} evolved into ${skill.name}`,
+  },
+  title_earned: {
+    label: 'Title earned',
+    apply: (character, { title }) => {
+      character.titles = [...(character.titles || []), clone(title)];
+    },
+    describe: ({ title }) => `Title earned: ${title.name}`,
+  },
+  trait_acquired: {
+    label: 'Trait acquired',
+    apply: (character, { trait }) => {
+      const traits = character.traits || { current: 0, max: 3, items: [] };
+      character.traits = { ...traits, items: [...(traits.items || []), clone(trait)] };
+    },
+    describe: ({ trait }) => `Trait acquired: ${trait.name}`,
+  },
+  item_bound: {
+    label: 'Item bound',
+    apply: (character, { item }) => {
+      character.boundItems = [...(character.boundItems || []), clone(item)];
+    },
+    describe: ({ item }) => `Item bound: ${item.name}`,
+  },
+  stat_boost_consumed: {
+    label: 'Stat boost consumed',
+    apply: (character, { boost }) => {
+      character.statBoosts = [...(character.statBoosts || []), clone(boost)];
+    },
+    describe: ({ boost }) => {
+      const amount = boost.multiplier
+        ? `+${Math.round(boost.multiplier * 100)}%`
+        : `+${boost.additive || 0}`;
+      return `Stat boost: ${boost.description || 'Boost'} (${amount} ${getStatDisplayName(boost.stat)})`;
+    },
+  },
+  character_edited: {
+    label: 'Edited',
+    apply: (character, { fields = {}, removed = [] }) => {
+      Object.entries(fields).forEach(([field, value]) => {
+        character[field] = clone(value);
+      });
+      removed.forEach(field => {
+        delete character[field];
+      });
+    },
+    describe: ({ fields = {}, removed = [] }) => `Edited: ${[...Object.keys(fields), ...removed].join(', ')}`,
+  },
+  state_replaced: {
+    label: 'State replaced',
+    // Applied to the whole state, see applyLedgerEvent
+    apply: () => {},
+    describe: ({ source }) => `State replaced${source ? ` (${source})` : ''}`,
+  },
+};
+
+/**
+ * Apply one event to a state object ({ main, companion })
+ * @returns {object} - New state; the given state is not modified
+ */
+export function applyLedgerEvent(state, event) {
+  const type = LEDGER_EVENT_TYPES[event.type];
+  if (!type) return state;
+
+  if (event.type === 'state_replaced') {
+    if (!event.character) return clone(event.payload.data) || {};
+    if (event.payload.data === null) {
+      const { [event.character]: removed, ...rest } = state;
+      return rest;
+    }
+    return { ...state, [event.character]: clone(event.payload.data) };
+  }
+
+  return updateCharacter(state, event.character, character => type.apply(character, event.payload || {}));
+}
+
+/**
+ * Rebuild the state from the ledger
+ * @param {object} ledger - { baseline, events }
+ * @param {object} options - { until: seq } to stop after an event (inclusive)
+ */
+export function replayLedger(ledger, options = {}) {
+  const { until = Infinity } = options;
+  return (ledger?.events || [])
+    .filter(event => event.seq <= until)
+    .reduce(applyLedgerEvent, clone(ledger?.baseline) || {});
+}
+
+/**
+ * Describe an event in one line
+ * @param {object} options - { classLabel } ("Evolution" for the companion)
+ */
+export function describeLedgerEvent(event, options = {}) {
+  const type = LEDGER_EVENT_TYPES[event.type];
+  if (!type) return event.type;
+  return type.describe(event.payload || {}, options);
+}
+
+/**
+ * Find items added to a list (by key)
+ */
+function addedItems(before = [], after = [], keyOf = byName) {
+  const existing = new Set(before.map(keyOf));
+  return after.filter(item => !existing.has(keyOf(item)));
+}
+
+/**
+ * Turn the difference between two versions of one character into typed events
+ */
+function diffCharacter(before, after) {
+  const events = [];
+
+  if ((Number(after.level) || 1) > (Number(before.level) || 1)) {
+    events.push({ type: 'level_up', payload: { from: Number(before.level) || 1, to: Number(after.level) || 1 } });
+  }
+
+  const points = {};
+  Object.keys(after.freePoints || {}).forEach(stat => {
+    const change = (Number(after.freePoints[stat]) || 0) - (Number(before.freePoints?.[stat]) || 0);
+    if (change !== 0) points[stat] = change;
+  });
+  if (Object.keys(points).length > 0 && Object.values(points).every(value => value > 0)) {
+    events.push({ type: 'free_points_spent', payload: { points } });
+  }
+
+  addedItems(before.classHistory, after.classHistory, classKey).forEach(cls => {
+    events.push({ type: 'class_gained', payload: { class: cls } });
+  });
+
+  Object.keys(SKILL_LISTS).forEach(list => {
+    const beforeSkills = before[list] || [];
+    const afterSkills = after[list] || [];
+    const afterNames = new Set(afterSkills.map(byName));
+
+    afterSkills.forEach((skill, index) => {
+      const previous = beforeSkills.find(s => s.name === skill.name);
+      if (previous) {
+        const changes = {};
+        const previousValues = {};
+        SKILL_PROGRESS_FIELDS.forEach(field => {
+          if (!sameValue(previous[field], skill[field]) && skill[field] !== undefined) {
+            changes[field] = skill[field];
+            previousValues[field] = previous[field];
+          }
+        });
+        if (Object.keys(changes).length > 0) {
+          events.push({ type: 'skill_levelled', payload: { list, name: skill.name, previous: previousValues, changes } });
+        }
+        return;
+      }
+
+      // A new skill in the slot of one that disappeared is an evolution
+      const replaced = beforeSkills[index];
+      if (replaced && !afterNames.has(replaced.name)) {
+        events.push({ type: 'skill_evolved', payload: { list, from: replaced.name, skill } });
+      } else {
+        events.push({ type: 'skill_learned', payload: { list, skill } });
+      }
+    });
+  });
+
+  addedItems(before.titles, after.titles).forEach(title => {
+    events.push({ type: 'title_earned', payload: { title } });
+  });
+  addedItems(before.traits?.items, after.traits?.items).forEach(trait => {
+    events.push({ type: 'trait_acquired', payload: { trait } });
+  });
+  addedItems(before.boundItems, after.boundItems).forEach(item => {
+    events.push({ type: 'item_bound', payload: { item } });
+  });
+  addedItems(before.statBoosts, after.statBoosts, boostKey).forEach(boost => {
+    events.push({ type: 'stat_boost_consumed', payload: { boost } });
+  });
+
+  return events;
+}
+
+/**
+ * Work out the events that turn one state into another
+ * Typed events come first; whatever they don't explain is recorded as a
+ * character_edited event so that applying the result to `before` gives `after`.
+ * @param {object} before - Previous state ({ main, companion })
+ * @param {object} after - New state
+ * @returns {Array} - [{ type, character, payload }] (no ids or book/chapter yet)
+ */
+export function diffLedgerEvents(before = {}, after = {}) {
+  const events = [];
+  const keys = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+
+  keys.forEach(key => {
+    const previous = before?.[key];
+    const next = after?.[key];
+    if (sameValue(previous, next)) return;
+
+    if (!previous || !next || typeof previous !== 'object' || typeof next !== 'object') {
+      events.push({ type: 'state_replaced', character: key, payload: { data: next ?? null } });
+      return;
+    }
+
+    const typed = diffCharacter(previous, next).map(event => ({ ...event, character: key }));
+    const applied = typed.reduce(applyLedgerEvent, { [key]: previous })[key];
+
+    const fields = {};
+    Object.keys(next).forEach(field => {
+      if (!sameValue(applied[field], next[field])) fields[field] = next[field];
+    });
+    const removed = Object.keys(applied).filter(field => !(field in next));
+
+    events.push(...typed);
+    if (Object.keys(fields).length > 0 || removed.length > 0) {
+      events.push({ type: 'character_edited', character: key, payload: { fields, removed } });
+    }
+  });
+
+  return events;
+}
+
+/**
+ * Group events by book and chapter, in the order each chapter first appears
+ * @returns {Array} - [{ book, chapter, events, lastSeq }]
+ */
+export function groupLedgerByChapter(events = []) {
+  const groups = [];
+  const byKey = {};
+
+  events.forEach(event => {
+    const key = `${event.book || ''}\u0000${event.chapter || ''}`;
+    if (!byKey[key]) {
+      byKey[key] = { book: event.book || '', chapter: event.chapter || '', events: [], lastSeq: 0 };
+      groups.push(byKey[key]);
+    }
+    byKey[key].events.push(event);
+    byKey[key].lastSeq = Math.max(byKey[key].lastSeq, event.seq);
+  });
+
+  return groups;
+}
+
+/**
+ * Label for a book/chapter pair ("Book 2, Chapter 14")
+ */
+export function formatChapterLabel(book, chapter) {
+  const parts = [];
+  if (book) parts.push(`Book ${book}`);
+  if (chapter) parts.push(`Chapter ${chapter}`);
+  return parts.length > 0 ? parts.join(', ') : 'No chapter set';
+}
@@ -0,0 +1,148 @@
+/**
+ * Level projection / what-if simulator
+ *
+ * ============================================================================
+ * TEMPLATE NOTE FOR DEVELOPERS:
+ * ============================================================================
+ * This utility is FULLY GENERIC and works with any character object (main or
+ * companion). It never writes anything - it builds a hypothetical copy of the
+ * character and runs it through the normal stat pipeline (calculateAllStats,
+ * which uses the same class scaling, trait and title rules as the live tabs).
+ *
+ * A plan looks like:
+ *   {
+ *     targetLevel: 90,
+ *     hypotheticalClass: {              // Optional - null keeps the current class
+ *       name: "Spell Weaver (Adept)",
+ *       startLevel: 60,                 // Level the class is received (no gains on that level)
+ *       statsPerLevel: { willpower: 8 }
+ *     },
+ *     plannedTitles: [ { name, bonuses: [{ stat, additive, multiplier }] } ],
+ *     freePoints: { strength: 3 },      // Added on top of already allocated points
+ *     disabledTraits: ["Primordial Will"]
+ *   }
+ * ============================================================================
+ */
+
+import { calculateAllStats, calculateDerivedStats, getAllStats } from './statCalculator.js';
+
+/**
+ * Create an empty plan for a character (target = current level, nothing changed)
+ */
+export function createProjectionPlan(character) {
+  const level = Number(character?.level) || 1;
+  return {
+    targetLevel: level,
+    hypotheticalClass: null,
+    plannedTitles: [],
+    freePoints: {},
+    disabledTraits: [],
+  };
+}
+
+/**
+ * Replace the class history from the hypothetical class's start level onward.
+ * Earlier classes are closed at that level (they still give stats ON that level),
+ * classes that would start after it are dropped.
+ */
+function applyHypotheticalClass(classHistory, hypotheticalClass) {
+  const history = Array.isArray(classHistory) ? classHistory : [];
+  if (!hypotheticalClass) return history;
+
+  const changeLevel = Number(hypotheticalClass.startLevel) || 1;
+  const closed = history
+    .filter(cls => (cls.startLevel || 1) <= changeLevel)
+    .map(cls => {
+      const end = cls.endLevel === null || cls.endLevel === undefined ? Infinity : cls.endLevel;
+      return end > changeLevel ? { ...cls, endLevel: changeLevel } : cls;
+    });
+
+  return [
+    ...closed,
+    {
+      name: hypotheticalClass.name || 'Hypothetical Class',
+      startLevel: changeLevel,
+      endLevel: null,
+      statsPerLevel: { ...(hypotheticalClass.statsPerLevel || {}) },
+      hypothetical: true,
+    },
+  ];
+}
+
+/**
+ * Build the hypothetical character described by a plan
+ * The original character object is never modified.
+ * @param {object} character - Character data object
+ * @param {object} plan - See createProjectionPlan()
+ * @returns {object} - A new character object
+ */
+export function buildProjectedCharacter(character, plan = {}) {
+  if (!character) return null;
+
+  const disabledTraits = plan.disabledTraits || [];
+  const freePoints = { ...(character.freePoints || {}) };
+  getAllStats().forEach(stat => {
+    const extra = Number(plan.freePoints?.[stat]) || 0;
+    if (extra !== 0) {
+      freePoints[stat] = (Number(freePoints[stat]) || 0) + extra;
+    }
+  });
+
+  return {
+    ...character,
+    level: Math.max(1, Number(plan.targetLevel) || Number(character.level) || 1),
+    classHistory: applyHypotheticalClass(character.classHistory, plan.hypotheticalClass),
+    freePoints,
+    traits: {
+      ...(character.traits || {}),
+      items: (character.traits?.items || []).filter(trait => !disabledTraits.includes(trait.name)),
+    },
+    titles: [
+      ...(character.titles || []),
+      ...(plan.plannedTitles || []).map(title => ({ ...title, enabled: true, planned: true })),
+    ],
+  };
+}
+
+/**
+ * Run a plan through the stat pipeline and compare it with the character as-is
+ * @param {object} character - Character data object
+ * @param {object} plan - See createProjectionPlan()
+ * @param {object} bondedStats - Stats received through the bond (partner's CURRENT stats)
+ * @returns {object} - {
+ *   character,                                   // The hypothetical character
+ *   current: { stats, breakdowns, derived },     // Character as it is now
+ *   projected: { stats, breakdowns, derived },   // Character under the plan
+ *   deltas: { stat: number },                    // projected - current
+ *   resourceDeltas: { resourceKey: number }      // Change in max
+ * }
+ */
+export function projectCharacter(character, plan, bondedStats = {}) {
+  const projectedCharacter = buildProjectedCharacter(character, plan);
+  if (!projectedCharacter) return null;
+
+  const bonded = bondedStats || {};
+  const current = calculateAllStats(character);
+  const projected = calculateAllStats(projectedCharacter);
+
+  current.derived = calculateDerivedStats(current.stats, character, bonded);
+  projected.derived = calculateDerivedStats(projected.stats, projectedCharacter, bonded);
+
+  const deltas = {};
+  getAllStats().forEach(stat => {
+    deltas[stat] = (projected.stats[stat] || 0) - (current.stats[stat] || 0);
+  });
+
+  const resourceDeltas = {};
+  Object.keys(projected.derived).forEach(key => {
+    resourceDeltas[key] = (projected.derived[key]?.max || 0) - (current.derived[key]?.max || 0);
+  });
+
+  return {
+    character: projectedCharacter,
+    current,
+    projected,
+    deltas,
+    resourceDeltas,
+  };
+}
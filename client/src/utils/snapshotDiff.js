@@ -0,0 +1,163 @@
+/**
+ * Structured diff between two saved states
+ *
+ * ============================================================================
+ * TEMPLATE NOTE FOR DEVELOPERS:
+ * ============================================================================
+ * Compares two states ({ main, <companionId>: ... }) - two snapshots, or a
+ * snapshot and current.json - the way a reader of the story would: final
+ * stats after the full pipeline (computeCharacterStats, bond included),
+ * level, class, and what was gained or lost in each list. Used by
+ * GET /api/snapshots/diff and the compare mode of the History tab.
+ *
+ * Skills use the ledger's rules (see progressionLedger.js): a skill whose
+ * rank/level/tier/advancement changed was "levelled", and a new skill in
+ * the slot of one that disappeared "evolved" from it.
+ *
+ * Works for main and every configured companion; a companion that exists on
+ * one side only is reported as added or removed.
+ * ============================================================================
+ */
+
+import { computeCharacterStats } from './computeStats.js';
+import { SKILL_LISTS, SKILL_PROGRESS_FIELDS } from './progressionLedger.js';
+import { getAllStats, getResourceDefinitions, getCompanionEntries } from '../config/characterConfig.js';
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+const byName = (item) => item?.name;
+
+/**
+ * Items of a list that exist on one side only (by key)
+ * @returns {object} - { added: [key], removed: [key] }
+ */
+function diffList(before = [], after = [], keyOf = byName) {
+  const beforeKeys = before.map(keyOf).filter(Boolean);
+  const afterKeys = after.map(keyOf).filter(Boolean);
+  return {
+    added: afterKeys.filter(key => !beforeKeys.includes(key)),
+    removed: beforeKeys.filter(key => !afterKeys.includes(key)),
+  };
+}
+
+/**
+ * Skills added, removed, levelled or evolved across every skill list
+ * @returns {object} - { added, removed, levelled, evolved }, each a list of
+ *   { list, name } ({ list, name, changes: { field: { before, after } } } for
+ *   levelled, { list, from, to } for evolved)
+ */
+function diffSkills(before, after) {
+  const result = { added: [], removed: [], levelled: [], evolved: [] };
+
+  Object.keys(SKILL_LISTS).forEach(list => {
+    const beforeSkills = before?.[list] || [];
+    const afterSkills = after?.[list] || [];
+    const afterNames = new Set(afterSkills.map(byName));
+    const evolvedFrom = new Set();
+
+    afterSkills.forEach((skill, index) => {
+      const previous = beforeSkills.find(s => s.name === skill.name);
+      if (previous) {
+        const changes = {};
+        SKILL_PROGRESS_FIELDS.forEach(field => {
+          if (!sameValue(previous[field], skill[field])) {
+            changes[field] = { before: previous[field] ?? null, after: skill[field] ?? null };
+          }
+        });
+        if (Object.keys(changes).length > 0) result.levelled.push({ list, name: skill.name, changes });
+        return;
+      }
+
+      const replaced = beforeSkills[index];
+      if (replaced && !afterNames.has(replaced.name) && !evolvedFrom.has(replaced.name)) {
+        evolvedFrom.add(replaced.name);
+        result.evolved.push({ list, from: replaced.name, to: skill.name });
+      } else {
+        result.added.push({ list, name: skill.name });
+      }
+    });
+
+    beforeSkills.forEach(skill => {
+      if (!afterNames.has(skill.name) && !evolvedFrom.has(skill.name)) {
+        result.removed.push({ list, name: skill.name });
+      }
+    });
+  });
+
+  return result;
+}
+
+/**
+ * Compare one character on both sides
+ * @param {object} computedBefore - computeCharacterStats() result for the character (or null)
+ */
+function diffCharacter(key, name, before, after, computedBefore, computedAfter) {
+  const status = !before ? 'added' : !after ? 'removed' : sameValue(before, after) ? 'unchanged' : 'changed';
+
+  const stats = getAllStats().map(stat => {
+    const from = computedBefore?.totalStats?.[stat] ?? null;
+    const to = computedAfter?.totalStats?.[stat] ?? null;
+    return { stat, before: from, after: to, change: (to || 0) - (from || 0) };
+  });
+
+  const resources = getResourceDefinitions().map(resource => {
+    const from = computedBefore?.derivedStats?.[resource.key]?.max ?? null;
+    const to = computedAfter?.derivedStats?.[resource.key]?.max ?? null;
+    return { key: resource.key, name: resource.name, before: from, after: to, change: (to || 0) - (from || 0) };
+  });
+
+  return {
+    key,
+    name: after?.name || before?.name || name,
+    status,
+    level: { before: computedBefore?.level ?? null, after: computedAfter?.level ?? null },
+    class: { before: computedBefore?.currentClass ?? null, after: computedAfter?.currentClass ?? null },
+    stats,
+    resources,
+    classes: diffList(before?.classHistory, after?.classHistory),
+    skills: diffSkills(before, after),
+    titles: diffList(before?.titles, after?.titles),
+    traits: diffList(before?.traits?.items, after?.traits?.items),
+    boundItems: diffList(before?.boundItems, after?.boundItems),
+    statBoosts: diffList(before?.statBoosts, after?.statBoosts, boost => boost?.description),
+  };
+}
+
+/**
+ * Diff two states
+ * @param {object} before - Older state (e.g. "V3 Ch 20")
+ * @param {object} after - Newer state (e.g. "V3 Ch 26" or current.json)
+ * @returns {object} - { changed, characters: [{ key, name, status, level, class,
+ *   stats, resources, classes, skills, titles, traits, boundItems, statBoosts }] }
+ *   main first, then every companion in tab order. level and class are
+ *   { before, after }; stats and resources list every configured entry as
+ *   { before, after, change }; the other lists are { added, removed }.
+ */
+export function diffStates(before, after) {
+  const computedBefore = computeCharacterStats(before);
+  const computedAfter = computeCharacterStats(after);
+  const beforeCompanions = getCompanionEntries(before);
+  const afterCompanions = getCompanionEntries(after);
+
+  const entries = [
+    { key: 'main', name: 'Main', before: before?.main || null, after: after?.main || null },
+    ...afterCompanions.map(({ id, name, data }, index) => ({
+      key: id, name, before: beforeCompanions[index].data, after: data,
+    })),
+  ];
+
+  // Companions that exist on neither side are left out
+  const characters = entries
+    .filter(entry => entry.before || entry.after)
+    .map(entry => {
+      const computedOf = (computed) => (entry.key === 'main' ? computed.main : computed.companions[entry.key]);
+      return diffCharacter(
+        entry.key, entry.name, entry.before, entry.after,
+        computedOf(computedBefore), computedOf(computedAfter),
+      );
+    });
+
+  return {
+    changed: characters.some(character => character.status !== 'unchanged'),
+    characters,
+  };
+}
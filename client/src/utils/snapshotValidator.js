@@ -0,0 +1,308 @@
+/**
+ * Consistency checker for level snapshots and class history
+ *
+ * ============================================================================
+ * TEMPLATE NOTE FOR DEVELOPERS:
+ * ============================================================================
+ * This utility is FULLY GENERIC. It never changes data - it returns a list of
+ * issues for the Basic Stats report and GET /api/validate.
+ *
+ * Checks:
+ * - Each snapshot is recomputed from the previous one plus class gains,
+ *   redirected free points and trait multipliers (the same pipeline as
+ *   calculateStatWithBreakdown), adjusted for the title/derivation/boost
+ *   bonuses each snapshot says it includes. Differences are flagged.
+ * - Class ranges: gaps, overlaps, more than one open class, end < start.
+ * - Snapshots above the current level, class changes without a snapshot,
+ *   old-format snapshots and stats missing from a snapshot.
+ * - includedTitleBonuses / rawTitleBonuses that no existing title can
+ *   account for (a title was removed or edited after the snapshot).
+ *
+ * Severity: "error" breaks calculations, "warning" is probably wrong,
+ * "info" is worth a look.
+ * ============================================================================
+ */
+
+import {
+  calculateStatWithBreakdown,
+  getAllStats,
+  getStatDisplayName,
+  getSnapshotStatValue,
+  getSnapshotIncludedTitleBonuses,
+  getSnapshotIncludedDerivation,
+  getSnapshotIncludedStatBoosts,
+  getTitleAdditiveBonuses,
+  getTitleMultiplierBonuses,
+  getTraitMultiplier,
+} from './statCalculator.js';
+import { getCompanionEntries } from '../config/characterConfig.js';
+
+// Rounding in snapshots can leave a difference of 1 per stat
+const TOLERANCE = 1;
+
+// Free points earned per level (same rule as the Basic Stats tab)
+const FREE_POINTS_PER_LEVEL = 3;
+
+function issue(severity, type, message, level = null) {
+  return { severity, type, message, level };
+}
+
+/**
+ * Check whether a snapshot records which bonuses its stats include ("Take Snapshot"),
+ * as opposed to stats typed in by hand or saved before that was tracked
+ */
+function tracksIncludedBonuses(snapshot) {
+  return !!(snapshot && snapshot.includedTitleBonuses && typeof snapshot.includedTitleBonuses === 'object');
+}
+
+/**
+ * Check class history ranges
+ */
+function checkClassHistory(character, classLabel) {
+  const issues = [];
+  const classes = [...(character.classHistory || [])]
+    .sort((a, b) => (a.startLevel || 1) - (b.startLevel || 1));
+  const currentLevel = Number(character.level) || 1;
+
+  classes.forEach(cls => {
+    if (cls.endLevel !== null && cls.endLevel !== undefined && cls.endLevel < (cls.startLevel || 1)) {
+      issues.push(issue('error', 'invalid_class_range',
+        `${classLabel} "${cls.name}" ends (${cls.endLevel}) before it starts (${cls.startLevel}).`, cls.startLevel));
+    }
+  });
+
+  const openClasses = classes.filter(cls => cls.endLevel === null || cls.endLevel === undefined);
+  if (openClasses.length > 1) {
+    issues.push(issue('error', 'multiple_open_classes',
+      `${openClasses.length} ${classLabel.toLowerCase()} entries have no end level (${openClasses.map(c => c.name).join(', ')}). Only the current one should be open.`));
+  }
+
+  for (let i = 1; i < classes.length; i++) {
+    const previous = classes[i - 1];
+    const next = classes[i];
+    const previousEnd = previous.endLevel === null || previous.endLevel === undefined ? Infinity : previous.endLevel;
+    const nextStart = next.startLevel || 1;
+
+    // A class ending at N and the next starting at N is the normal hand-off
+    if (nextStart > previousEnd) {
+      issues.push(issue('warning', 'class_gap',
+        `No ${classLabel.toLowerCase()} gains between level ${previousEnd} and ${nextStart} ("${previous.name}" → "${next.name}").`, previousEnd));
+    } else if (nextStart < previousEnd) {
+      issues.push(issue('warning', 'class_overlap',
+        `"${previous.name}" (${previous.startLevel}-${previous.endLevel ?? 'now'}) overlaps "${next.name}" (from ${nextStart}) - levels in both get gains from both.`, nextStart));
+    }
+  }
+
+  const last = classes[classes.length - 1];
+  if (last && last.endLevel !== null && last.endLevel !== undefined && last.endLevel < currentLevel) {
+    issues.push(issue('warning', 'class_gap',
+      `No ${classLabel.toLowerCase()} covers levels ${last.endLevel + 1}-${currentLevel}.`, last.endLevel + 1));
+  }
+
+  return issues;
+}
+
+/**
+ * Check snapshots on their own (position, format, missing stats, stale title bonuses)
+ */
+function checkSnapshots(character, classLabel) {
+  const issues = [];
+  const snapshots = character.levelSnapshots || {};
+  const levels = Object.keys(snapshots).map(Number).sort((a, b) => a - b);
+  const currentLevel = Number(character.level) || 1;
+  const stats = getAllStats();
+
+  // What all titles together could contribute (enabled or not)
+  const allTitles = (character.titles || []).map(title => ({ ...title, enabled: true }));
+  const possibleAdditive = getTitleAdditiveBonuses(allTitles);
+  const possibleMultiplier = getTitleMultiplierBonuses(allTitles);
+
+  levels.forEach(level => {
+    const snapshot = snapshots[level];
+
+    if (level > currentLevel) {
+      issues.push(issue('warning', 'snapshot_above_level',
+        `Snapshot at level ${level} is above the current level (${currentLevel}) and is ignored.`, level));
+    }
+
+    const missing = stats.filter(stat => snapshot?.stats?.[stat] === undefined);
+    if (missing.length > 0) {
+      issues.push(issue('warning', 'missing_stat',
+        `Snapshot at level ${level} has no value for ${missing.map(getStatDisplayName).join(', ')} (treated as 0).`, level));
+    }
+
+    if (!tracksIncludedBonuses(snapshot) && level > 1) {
+      issues.push(issue('info', 'old_snapshot_format',
+        `Snapshot at level ${level} doesn't record which title bonuses it includes, so titles may be counted twice.`, level));
+    }
+
+    const staleAdditive = stats.filter(stat => {
+      const { rawAdditive, additive, traitMultiplier } = getSnapshotIncludedTitleBonuses(snapshot, stat);
+      const raw = rawAdditive || (traitMultiplier ? additive / traitMultiplier : additive);
+      return raw > (possibleAdditive[stat] || 0) + TOLERANCE;
+    });
+    const staleMultiplier = stats.filter(stat =>
+      getSnapshotIncludedTitleBonuses(snapshot, stat).multiplier > (possibleMultiplier[stat] || 0) + 0.0001
+    );
+    if (staleAdditive.length > 0 || staleMultiplier.length > 0) {
+      const names = [...new Set([...staleAdditive, ...staleMultiplier])].map(getStatDisplayName).join(', ');
+      issues.push(issue('warning', 'stale_title_bonus',
+        `Snapshot at level ${level} includes title bonuses to ${names} that no current title provides (a title was removed or edited). Live stats will subtract bonuses that no longer exist.`, level));
+    }
+  });
+
+  (character.classHistory || []).forEach(cls => {
+    const start = cls.startLevel || 1;
+    if (start > 1 && start <= currentLevel && levels.length > 0 && !levels.includes(start)) {
+      issues.push(issue('info', 'missing_snapshot',
+        `${classLabel} "${cls.name}" starts at level ${start} without a snapshot there.`, start));
+    }
+  });
+
+  return issues;
+}
+
+/**
+ * Recompute a snapshot from the one before it
+ * @returns {object} - { fromLevel, toLevel, stats: [{ stat, expected, actual, difference }], unexplained, issues }
+ */
+function checkSnapshotPair(character, fromLevel, toLevel) {
+  const snapshots = character.levelSnapshots;
+  const from = snapshots[fromLevel];
+  const to = snapshots[toLevel];
+
+  // Replay only the previous snapshot up to the later level, without titles or manual points
+  const replay = {
+    ...character,
+    level: toLevel,
+    levelSnapshots: { [fromLevel]: from },
+    titles: [],
+    statBoosts: [],
+    freePoints: {},
+  };
+
+  let redirects = false;
+  let unexplainedPositive = 0;
+  const rows = getAllStats().map(stat => {
+    const { breakdown } = calculateStatWithBreakdown(stat, replay);
+    if (breakdown.redirectedFreePoints > 0) redirects = true;
+
+    const traitMultiplier = to.includedTraitMultipliers?.[stat] || getTraitMultiplier(character.traits, stat);
+    const gains = (breakdown.redirectedFreePoints + breakdown.classScaling) * traitMultiplier;
+
+    const fromTitles = getSnapshotIncludedTitleBonuses(from, stat);
+    const toTitles = getSnapshotIncludedTitleBonuses(to, stat);
+    const fromBoosts = getSnapshotIncludedStatBoosts(from, stat);
+    const toBoosts = getSnapshotIncludedStatBoosts(to, stat);
+    const additiveChange = (toTitles.additive - fromTitles.additive) + (toBoosts.additive - fromBoosts.additive);
+    // Derivations are added after multipliers (see calculateAllStats)
+    const derivationChange = getSnapshotIncludedDerivation(to, stat) - getSnapshotIncludedDerivation(from, stat);
+
+    // Same rule as the live pipeline: only multipliers added since the earlier snapshot apply,
+    // and from level 30 a trait multiplier also multiplies new title multipliers
+    let titleMultiplierChange = toTitles.multiplier - fromTitles.multiplier;
+    if (toLevel >= 30 && traitMultiplier > 1 && titleMultiplierChange > 0) {
+      titleMultiplierChange *= traitMultiplier;
+    }
+    const multiplierChange = titleMultiplierChange + (toBoosts.multiplier - fromBoosts.multiplier);
+
+    const fromValue = getSnapshotStatValue(from, stat);
+    const preMultiplier = fromValue + gains + additiveChange;
+    const expected = Math.round(
+      (multiplierChange > 0 ? preMultiplier * (1 + multiplierChange) : preMultiplier) + derivationChange
+    );
+    const actual = getSnapshotStatValue(to, stat);
+    const difference = actual - expected;
+
+    if (difference > TOLERANCE) {
+      unexplainedPositive += difference / (traitMultiplier || 1);
+    }
+    return { stat, expected, actual, difference };
+  });
+
+  const mismatched = rows.filter(row => Math.abs(row.difference) > TOLERANCE);
+  const issues = [];
+
+  if (mismatched.length > 0) {
+    const summary = mismatched
+      .map(row => `${getStatDisplayName(row.stat)} ${row.actual} (expected ${row.expected}, ${row.difference > 0 ? '+' : ''}${row.difference})`)
+      .join(', ');
+    const freePointsAvailable = FREE_POINTS_PER_LEVEL * (toLevel - fromLevel);
+    const explainedByFreePoints = !redirects
+      && mismatched.every(row => row.difference > 0)
+      && unexplainedPositive <= freePointsAvailable + TOLERANCE;
+
+    issues.push(explainedByFreePoints
+      ? issue('info', 'snapshot_mismatch',
+        `Snapshot at level ${toLevel} is higher than level ${fromLevel} + class gains: ${summary}. This fits ${Math.round(unexplainedPositive)} manual free points (${freePointsAvailable} earned).`, toLevel)
+      : issue('warning', 'snapshot_mismatch',
+        `Snapshot at level ${toLevel} doesn't follow from level ${fromLevel}: ${summary}.`, toLevel));
+  }
+
+  return { fromLevel, toLevel, stats: rows, issues };
+}
+
+/**
+ * Validate one character
+ * @param {object} character - Character data object
+ * @param {object} options - { classLabel: "Class" | "Evolution" }
+ * @returns {object} - { name, issues: [{ severity, type, message, level }], snapshotChecks: [...] }
+ */
+export function validateCharacter(character, options = {}) {
+  if (!character) return { name: '', issues: [], snapshotChecks: [] };
+
+  const classLabel = options.classLabel || 'Class';
+  const currentLevel = Number(character.level) || 1;
+  const levels = Object.keys(character.levelSnapshots || {})
+    .map(Number)
+    .filter(level => level <= currentLevel)
+    .sort((a, b) => a - b);
+
+  const snapshotChecks = [];
+  for (let i = 1; i < levels.length; i++) {
+    snapshotChecks.push(checkSnapshotPair(character, levels[i - 1], levels[i]));
+  }
+
+  const issues = [
+    ...checkClassHistory(character, classLabel),
+    ...checkSnapshots(character, classLabel),
+    ...snapshotChecks.flatMap(check => check.issues),
+  ];
+
+  const severityOrder = ['error', 'warning', 'info'];
+  issues.sort((a, b) =>
+    severityOrder.indexOf(a.severity) - severityOrder.indexOf(b.severity) || (a.level || 0) - (b.level || 0)
+  );
+
+  return { name: character.name || '', issues, snapshotChecks };
+}
+
+/**
+ * Validate a whole data object ({ main, <companionId>: ... })
+ * @returns {object} - { main, companion, companions, summary: { error, warning, info } }
+ *   companions maps every configured companion id to its report (companion is the first one)
+ */
+export function validateCharacterData(data) {
+  const main = data?.main || null;
+  const companionEntries = getCompanionEntries(data);
+
+  const companions = {};
+  companionEntries.forEach(({ id, data: companion }) => {
+    companions[id] = companion ? validateCharacter(companion, { classLabel: 'Evolution' }) : null;
+  });
+
+  const result = {
+    main: main ? validateCharacter(main, { classLabel: 'Class' }) : null,
+    companion: companionEntries.length > 0 ? companions[companionEntries[0].id] : null,
+    companions,
+  };
+
+  const summary = { error: 0, warning: 0, info: 0 };
+  [result.main, ...Object.values(companions)].forEach(report => {
+    (report?.issues || []).forEach(item => {
+      summary[item.severity] += 1;
+    });
+  });
+
+  return { ...result, summary };
+}
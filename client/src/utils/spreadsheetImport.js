@@ -0,0 +1,338 @@
+/**
+ * Import progression from a spreadsheet
+ *
+ * ============================================================================
+ * TEMPLATE NOTE FOR DEVELOPERS:
+ * ============================================================================
+ * Turns the rows of a spreadsheet (read by POST /api/import/spreadsheet/preview,
+ * one { name, rows } per sheet) into level snapshots, class history entries
+ * and named snapshots. Shared with server.js, which does the actual import.
+ *
+ * Two sheet layouts are understood, and every sheet gets a mapping the user
+ * can correct before importing:
+ * - "table": a header row, then one row per level. Fields map to column
+ *   letters ({ level: 'A', class: 'B', strength: 'C', ... }).
+ * - "card":  one character sheet per tab, a label with its value to the
+ *   right ("Level | 60", "Strength | 29"). Fields map to the value's cell
+ *   ({ level: 'B2', strength: 'B9', ... }) - the layout of the old
+ *   "Alex and Val Spreadsheet.xlsx".
+ *
+ * Stat fields come from config, so any template's spreadsheet maps.
+ * Values are totals (all bonuses included), like a snapshot taken in Basic
+ * Stats: the title and trait bonuses the character had at that level
+ * (getCharacterAtLevel - acquiredLevel decides) are recorded as included.
+ * ============================================================================
+ */
+
+import {
+  calculateAllStats,
+  buildLevelSnapshot,
+  getAllStats,
+  getStatDisplayName,
+  getStatAbbreviation,
+} from './statCalculator.js';
+import { getCharacterAtLevel } from './statTimeline.js';
+import { getCompanionEntries } from '../config/characterConfig.js';
+
+export const SHEET_LAYOUTS = {
+  table: 'One row per level',
+  card: 'One character sheet',
+};
+
+// Rows searched for a table header or card labels
+const HEADER_SEARCH_ROWS = 20;
+
+const COLUMN_PATTERN = /^[A-Z]{1,3}$/;
+const CELL_PATTERN = /^([A-Z]{1,3})(\d+)$/;
+
+const normalize = (value) => String(value ?? '').trim().toLowerCase();
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+/**
+ * Fields a sheet can map, in display order
+ * @returns {Array} - [{ key, label, aliases }]; every stat from config is a field
+ */
+export function getSpreadsheetFields() {
+  return [
+    { key: 'level', label: 'Level', aliases: ['level', 'lvl'] },
+    { key: 'class', label: 'Class / Evolution', aliases: ['class', 'evolution'] },
+    { key: 'snapshotName', label: 'Snapshot name', aliases: ['snapshot', 'chapter', 'label'] },
+    ...getAllStats().map(stat => ({
+      key: stat,
+      label: getStatDisplayName(stat),
+      aliases: [stat, getStatDisplayName(stat), getStatAbbreviation(stat)].map(normalize),
+    })),
+  ];
+}
+
+// 0 -> "A", 27 -> "AB"
+export function columnLetter(index) {
+  let letters = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return letters;
+}
+
+// "A" -> 0, "AB" -> 27
+function columnIndex(letters) {
+  return letters.split('').reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+/**
+ * Value of a cell by address ("B9"), or null
+ */
+export function getCellValue(sheet, address) {
+  const match = String(address || '').match(CELL_PATTERN);
+  if (!match) return null;
+  return sheet.rows[Number(match[2]) - 1]?.[columnIndex(match[1])] ?? null;
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(String(value).replace(/,/g, ''));
+  return Number.isFinite(number) ? number : null;
+}
+
+// "None" and blanks mean no class (the old spreadsheet writes "None" before level 10)
+function toClassName(value) {
+  const text = String(value ?? '').trim();
+  return text && normalize(text) !== 'none' ? text : '';
+}
+
+/**
+ * Guess which character a sheet belongs to from a name in the sheet's title
+ * ("Valtherion - Tier 2", first names count), else null. Names written in
+ * the sheet don't count: a copied sheet keeps them ("Jonathan No Class"
+ * still says "Alex Moore" in A1), and a wrong guess would land on main.
+ */
+function guessTarget(sheet, characters) {
+  const words = normalize(sheet.name).split(/[^a-z0-9]+/);
+  const byTitle = characters.find(character => normalize(character.name)
+    .split(/\s+/)
+    .some(part => part.length > 2 && words.includes(part)));
+  return byTitle ? byTitle.key : null;
+}
+
+function findField(fields, text) {
+  const label = normalize(text).replace(/:$/, '');
+  return label ? fields.find(field => field.aliases.includes(label)) : null;
+}
+
+/**
+ * Suggest a mapping for a sheet
+ * @param {object} sheet - { name, rows: [[value]] }
+ * @param {Array} characters - [{ key, name }] to match the sheet against (main first)
+ * @returns {object} - { sheet, include, layout, target, headerRow, fields: { fieldKey: column or cell } }
+ *   target is null when no character matched; include is only suggested when
+ *   the sheet has a target, a level and at least one stat
+ */
+export function suggestSheetMapping(sheet, characters = []) {
+  const fields = getSpreadsheetFields();
+  const statKeys = getAllStats();
+  const rows = sheet.rows.slice(0, HEADER_SEARCH_ROWS);
+  const mapping = { sheet: sheet.name, include: false, layout: 'card', target: guessTarget(sheet, characters), headerRow: 1, fields: {} };
+
+  // Table: a row with a Level header and stat headers, and a number under Level in the row below
+  const headerIndex = rows.findIndex((row, index) => {
+    const found = (row || []).map(cell => findField(fields, cell)?.key);
+    const levelColumn = found.indexOf('level');
+    return levelColumn !== -1
+      && found.some(key => statKeys.includes(key))
+      && toNumber(sheet.rows[index + 1]?.[levelColumn]) !== null;
+  });
+
+  if (headerIndex !== -1) {
+    mapping.layout = 'table';
+    mapping.headerRow = headerIndex + 1;
+    sheet.rows[headerIndex].forEach((cell, column) => {
+      const field = findField(fields, cell);
+      if (field && !mapping.fields[field.key]) mapping.fields[field.key] = columnLetter(column);
+    });
+  } else {
+    // Card: a label with a value in the next cell
+    rows.forEach((row, rowIndex) => (row || []).forEach((cell, column) => {
+      const field = findField(fields, cell);
+      const value = row[column + 1];
+      if (!field || mapping.fields[field.key] || value === null || value === undefined || value === '') return;
+      if (field.key !== 'class' && field.key !== 'snapshotName' && toNumber(value) === null) return;
+      mapping.fields[field.key] = `${columnLetter(column + 1)}${rowIndex + 1}`;
+    }));
+  }
+
+  mapping.include = !!mapping.target && !!mapping.fields.level && statKeys.some(stat => mapping.fields[stat]);
+  return mapping;
+}
+
+/**
+ * Read the entries (one per level) a mapping describes
+ * @returns {object} - { entries: [{ sheet, row, target, level, className, snapshotName, stats }], errors: [message] }
+ */
+export function readSpreadsheetEntries(sheet, mapping) {
+  const errors = [];
+  const statKeys = getAllStats();
+  const pattern = mapping.layout === 'table' ? COLUMN_PATTERN : CELL_PATTERN;
+  const fields = {};
+
+  Object.entries(mapping.fields || {}).forEach(([key, source]) => {
+    if (!source) return;
+    if (!pattern.test(source)) {
+      errors.push(`Sheet "${sheet.name}": ${key} must be a ${mapping.layout === 'table' ? 'column letter (e.g. "C")' : 'cell (e.g. "B9")'}, got "${source}"`);
+      return;
+    }
+    fields[key] = source;
+  });
+  if (!mapping.target) errors.push(`Sheet "${sheet.name}": pick the character it belongs to`);
+  if (!mapping.fields?.level) errors.push(`Sheet "${sheet.name}": no level mapped`);
+  if (errors.length > 0) return { entries: [], errors };
+
+  const readEntry = (valueOf, row) => {
+    const level = toNumber(valueOf(fields.level));
+    if (level === null || level < 1) return null;
+    const stats = {};
+    statKeys.forEach(stat => {
+      const value = fields[stat] ? toNumber(valueOf(fields[stat])) : null;
+      if (value !== null) stats[stat] = Math.round(value);
+    });
+    return {
+      sheet: sheet.name,
+      row,
+      target: mapping.target,
+      level: Math.round(level),
+      className: fields.class ? toClassName(valueOf(fields.class)) : '',
+      snapshotName: fields.snapshotName ? String(valueOf(fields.snapshotName) ?? '').trim() : '',
+      stats,
+    };
+  };
+
+  let entries;
+  if (mapping.layout === 'table') {
+    const headerRow = Math.max(1, Number(mapping.headerRow) || 1);
+    entries = sheet.rows.slice(headerRow).map((row, index) => readEntry(
+      column => row?.[columnIndex(column)] ?? null,
+      headerRow + index + 1
+    ));
+  } else {
+    entries = [readEntry(address => getCellValue(sheet, address), null)];
+  }
+
+  return { entries: entries.filter(Boolean), errors };
+}
+
+/**
+ * Whether a class from the sheet is already in the history: "Spell Weaver"
+ * matches "Spell Weaver" and its ranked entries ("Spell Weaver (Novice)")
+ */
+function findClass(classHistory, name) {
+  const wanted = normalize(name);
+  return classHistory.find(cls => normalize(cls.name) === wanted || normalize(cls.name).startsWith(`${wanted} (`));
+}
+
+/**
+ * Add classes seen in the entries to a class history
+ * A new class runs from the first level it was seen at to the next class's
+ * start; classes whose range would overlap an existing one are skipped.
+ * @returns {object} - { classHistory, added: [name], skipped: [{ name, reason }] }
+ */
+function mergeClasses(classHistory, entries) {
+  const history = [...classHistory];
+  const added = [];
+  const skipped = [];
+  const firstSeen = [];
+  entries.forEach(entry => {
+    if (entry.className && !firstSeen.some(seen => normalize(seen.name) === normalize(entry.className))) {
+      firstSeen.push({ name: entry.className, level: entry.level });
+    }
+  });
+
+  firstSeen.forEach(({ name, level }) => {
+    if (findClass(history, name)) return;
+    const next = [...history.map(cls => cls.startLevel), ...firstSeen.map(seen => seen.level)]
+      .filter(start => start > level);
+    const endLevel = next.length > 0 ? Math.min(...next) : null;
+    const overlaps = history.some(cls => {
+      const start = cls.startLevel || 0;
+      const end = cls.endLevel ?? Infinity;
+      return level < end && (endLevel ?? Infinity) > start;
+    });
+    if (overlaps) {
+      skipped.push({ name, reason: `overlaps an existing class around level ${level}` });
+      return;
+    }
+    history.push({ name, startLevel: level, endLevel, statsPerLevel: {} });
+    added.push(name);
+  });
+
+  history.sort((a, b) => (a.startLevel || 0) - (b.startLevel || 0));
+  return { classHistory: history, added, skipped };
+}
+
+/**
+ * Apply spreadsheet entries to a state
+ * @param {object} state - { main, <companionId>: ... } (not modified)
+ * @param {Array} entries - From readSpreadsheetEntries()
+ * @param {object} options - { replaceExisting: overwrite level snapshots that exist,
+ *   createSnapshots: also return a named snapshot per entry }
+ * @returns {object} - { data, snapshots: [{ name, data }], summary: [{ target, name,
+ *   levels: [level], classes: [name], skipped: [message] }] }
+ *
+ * Entries above a character's level raise it (the sheet is newer than the
+ * app's data). A named snapshot holds its character as at that level
+ * (getCharacterAtLevel) and everyone else as they are now.
+ */
+export function buildSpreadsheetImport(state, entries, options = {}) {
+  const { replaceExisting = false, createSnapshots = true } = options;
+  const data = clone(state);
+  const summary = [];
+  const snapshotEntries = [];
+
+  const targets = ['main', ...getCompanionEntries(data).map(entry => entry.id)];
+
+  targets.forEach(key => {
+    const own = entries
+      .filter(entry => entry.target === key)
+      .sort((a, b) => a.level - b.level);
+    const character = data[key];
+    if (own.length === 0 || !character) return;
+
+    const result = { target: key, name: character.name, levels: [], classes: [], skipped: [] };
+    const classes = mergeClasses(character.classHistory || [], own);
+    character.classHistory = classes.classHistory;
+    result.classes = classes.added;
+    classes.skipped.forEach(({ name, reason }) => result.skipped.push(`Class "${name}": ${reason}`));
+
+    character.levelSnapshots = { ...(character.levelSnapshots || {}) };
+    own.forEach(entry => {
+      const where = entry.row ? `${entry.sheet} row ${entry.row}` : entry.sheet;
+      if (Object.keys(entry.stats).length === 0) {
+        result.skipped.push(`${where}: no stats`);
+        return;
+      }
+      if (character.levelSnapshots[entry.level] && !replaceExisting) {
+        result.skipped.push(`${where}: level ${entry.level} already has a snapshot`);
+        return;
+      }
+      if (entry.level > (Number(character.level) || 1)) character.level = entry.level;
+
+      const atLevel = getCharacterAtLevel(character, entry.level);
+      const calculation = calculateAllStats(atLevel);
+      character.levelSnapshots[entry.level] = buildLevelSnapshot(atLevel, {
+        ...calculation,
+        stats: { ...calculation.stats, ...entry.stats },
+      });
+      result.levels.push(entry.level);
+      snapshotEntries.push({ key, entry });
+    });
+
+    summary.push(result);
+  });
+
+  const snapshots = createSnapshots
+    ? snapshotEntries.map(({ key, entry }) => ({
+      name: entry.snapshotName || `${entry.sheet} - Level ${entry.level}`,
+      data: { ...data, [key]: getCharacterAtLevel(data[key], entry.level) },
+    }))
+    : [];
+
+  return { data, snapshots, summary };
+}
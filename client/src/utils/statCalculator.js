@@ -11,37 +11,25 @@
  * 
  * All functions expect a character object with structure matching the schema
  * defined in data/current.json (under "main" or "companion" keys).
+ * The list of stats is NOT hardcoded - it comes from config.stats via
+ * getAllStats().
  * ============================================================================
  */
 
-/**
- * Physical stat names for grouping
- */
-export const PHYSICAL_STATS = ['strength', 'agility', 'constitution', 'vitality'];
+import { getAllStats, getStatDisplayName, getResourceDefinitions } from '../config/characterConfig.js';
+import { evaluateFormula, applyRounding, getFormulaVariables } from './formulaEvaluator.js';
 
 /**
- * Magical stat names for grouping
+ * Stat names, groups and display names come from config (config.stats).
+ * Re-exported here so calculation code and tabs can import them from one place.
  */
-export const MAGICAL_STATS = ['intellect', 'willpower', 'mana', 'wisdom'];
-
-/**
- * All stat names
- */
-export const ALL_STATS = [...PHYSICAL_STATS, ...MAGICAL_STATS];
-
-/**
- * Display names for stats
- */
-export const STAT_DISPLAY_NAMES = {
-  strength: 'Strength',
-  agility: 'Agility',
-  constitution: 'Constitution',
-  vitality: 'Vitality',
-  intellect: 'Intellect',
-  willpower: 'Willpower',
-  mana: 'Mana',
-  wisdom: 'Wisdom',
-};
+export {
+  getStatGroups,
+  getAllStats,
+  getStatDisplayName,
+  getStatAbbreviation,
+  getResourceDefinitions,
+} from '../config/characterConfig.js';
 
 /**
  * Skill rank order for sorting and comparison
@@ -77,20 +65,12 @@ export function getMostRecentSnapshotLevel(levelSnapshots, currentLevel) {
 }
 
 /**
- * Get the stat value from a snapshot, handling both old format (direct values) and new format (nested stats)
- * Old format: { strength: 10, agility: 15, ... }
- * New format: { stats: { strength: 10, ... }, includedTitleBonuses: { ... }, ... }
+ * Get the stat value from a snapshot
+ * Format: { stats: { strength: 10, ... }, includedTitleBonuses: { ... }, ... }
+ * (snapshots saved as flat { strength: 10, ... } are upgraded on load - see utils/dataSchema.js)
  */
 export function getSnapshotStatValue(snapshot, statName) {
-  if (!snapshot) return 0;
-  
-  // New format with nested stats object
-  if (snapshot.stats && typeof snapshot.stats === 'object') {
-    return Number(snapshot.stats[statName]) || 0;
-  }
-  
-  // Old format with direct values
-  return Number(snapshot[statName]) || 0;
+  return Number(snapshot?.stats?.[statName]) || 0;
 }
 
 /**
@@ -234,7 +214,7 @@ export function getRedirectedFreePoints(traits, level, fromLevel = 1) {
  */
 export function getTitleAdditiveBonuses(titles) {
   const bonuses = {};
-  ALL_STATS.forEach(stat => bonuses[stat] = 0);
+  getAllStats().forEach(stat => bonuses[stat] = 0);
   
   if (!titles || !Array.isArray(titles)) return bonuses;
   
@@ -261,7 +241,7 @@ export function getTitleAdditiveBonuses(titles) {
  */
 export function getTitleMultiplierBonuses(titles) {
   const multipliers = {};
-  ALL_STATS.forEach(stat => multipliers[stat] = 0);
+  getAllStats().forEach(stat => multipliers[stat] = 0);
   
   if (!titles || !Array.isArray(titles)) return multipliers;
   
@@ -287,7 +267,7 @@ export function getTitleMultiplierBonuses(titles) {
  */
 export function getStatBoostAdditiveBonuses(statBoosts) {
   const bonuses = {};
-  ALL_STATS.forEach(stat => bonuses[stat] = 0);
+  getAllStats().forEach(stat => bonuses[stat] = 0);
   
   if (!statBoosts || !Array.isArray(statBoosts)) return bonuses;
   
@@ -309,7 +289,7 @@ export function getStatBoostAdditiveBonuses(statBoosts) {
  */
 export function getStatBoostMultiplierBonuses(statBoosts) {
   const multipliers = {};
-  ALL_STATS.forEach(stat => multipliers[stat] = 0);
+  getAllStats().forEach(stat => multipliers[stat] = 0);
   
   if (!statBoosts || !Array.isArray(statBoosts)) return multipliers;
   
@@ -531,7 +511,7 @@ export function calculateAllStats(character) {
   const breakdowns = {};
 
   // First pass: calculate all base stats
-  ALL_STATS.forEach(statName => {
+  getAllStats().forEach(statName => {
     const result = calculateStatWithBreakdown(statName, character);
     stats[statName] = result.value;
     breakdowns[statName] = result.breakdown;
@@ -560,7 +540,7 @@ export function calculateAllStats(character) {
       breakdowns[targetStat].derivationBonus = bonus;
       breakdowns[targetStat].snapshotDerivation = snapshotDerivation;
       breakdowns[targetStat].netDerivation = netBonus;
-      breakdowns[targetStat].derivationDetail = `${percent}% of ${STAT_DISPLAY_NAMES[sourceStat]}`;
+      breakdowns[targetStat].derivationDetail = `${percent}% of ${getStatDisplayName(sourceStat)}`;
       breakdowns[targetStat].final = stats[targetStat];
     }
   });
@@ -584,7 +564,7 @@ export function calculateAllStats(character) {
         breakdowns[targetStat].derivationBonus = (breakdowns[targetStat].derivationBonus || 0) + bonus;
         breakdowns[targetStat].snapshotDerivation = snapshotDerivation;
         breakdowns[targetStat].netDerivation = (breakdowns[targetStat].netDerivation || 0) + netBonus;
-        breakdowns[targetStat].derivationDetail = `${percent}% of ${STAT_DISPLAY_NAMES[sourceStat]}`;
+        breakdowns[targetStat].derivationDetail = `${percent}% of ${getStatDisplayName(sourceStat)}`;
         breakdowns[targetStat].final = stats[targetStat];
       }
     });
@@ -594,29 +574,79 @@ export function calculateAllStats(character) {
 }
 
 /**
- * Calculate derived stats (HP, MP)
+ * Build the variables a resource formula can use: every final stat plus level.
+ * Bonded stats are added on top when the resource has includeBond set.
+ */
+function getResourceVariables(resource, finalStats, character, bonded) {
+  const variables = { level: Number(character?.level) || 0 };
+  
+  getAllStats().forEach(stat => {
+    variables[stat] = (Number(finalStats?.[stat]) || 0)
+      + (resource.includeBond ? (Number(bonded[stat]) || 0) : 0);
+  });
+  
+  return variables;
+}
+
+/**
+ * Get a resource's stored current value, clamped to [0, max]
+ * Current values live in character.resources[key] (legacy hp/mp at the top level).
+ * A stored 0 is a real value (e.g. out of mana) - only a missing value falls back to max.
+ */
+export function getResourceCurrent(character, resourceKey, max) {
+  const stored = character?.resources?.[resourceKey] || character?.[resourceKey];
+  const current = stored?.current;
+  
+  if (current === undefined || current === null || current === '' || Number.isNaN(Number(current))) {
+    return max;
+  }
+  return Math.max(0, Math.min(Number(current), max));
+}
+
+/**
+ * Calculate derived resources (HP, MP and any custom pools from config.resources)
  * @param {object} finalStats - Calculated final stats
  * @param {object} character - Character data
- * @param {number} bondedMana - Additional mana from bond (half of partner's mana)
- * @returns {object} - { hp: { current, max }, mp: { current, max } }
+ * @param {object|number} bondedStats - Stats received through the bond ({ stat: value }).
+ *   A plain number is treated as bonded Mana for backwards compatibility.
+ * @returns {object} - { [resourceKey]: { current, max } }, e.g. { hp: {...}, mp: {...}, stamina: {...} }
  */
-export function calculateDerivedStats(finalStats, character, bondedMana = 0) {
-  // HP = Constitution × 10
-  const maxHp = (finalStats.constitution || 0) * 10;
-  
-  // MP = (Mana + Bonded Mana) × 10
-  const maxMp = ((finalStats.mana || 0) + bondedMana) * 10;
+export function calculateDerivedStats(finalStats, character, bondedStats = {}) {
+  const bonded = typeof bondedStats === 'number' ? { mana: bondedStats } : (bondedStats || {});
+  const derived = {};
+
+  getResourceDefinitions().forEach(resource => {
+    let max = 0;
+    try {
+      const variables = getResourceVariables(resource, finalStats, character, bonded);
+      max = applyRounding(evaluateFormula(resource.formula, variables), resource.rounding);
+    } catch (err) {
+      // Invalid formula in config - show 0 rather than breaking every tab
+      console.warn(`Invalid formula for resource "${resource.key}":`, err.message);
+    }
 
-  return {
-    hp: {
-      current: Math.min(character.hp?.current || maxHp, maxHp),
-      max: maxHp,
-    },
-    mp: {
-      current: Math.min(character.mp?.current || maxMp, maxMp),
-      max: maxMp,
-    },
-  };
+    derived[resource.key] = {
+      current: getResourceCurrent(character, resource.key, max),
+      max,
+    };
+  });
+
+  return derived;
+}
+
+/**
+ * Get a readable formula line for a resource, e.g. "HP = constitution * 10 (+ bond)"
+ */
+export function getResourceFormulaText(resource) {
+  return `${resource.name} = ${resource.formula}${resource.includeBond ? ' (+ bond)' : ''}`;
+}
+
+/**
+ * Check whether a resource's value currently includes stats received through the bond
+ */
+export function resourceIncludesBond(resource, bondedStats) {
+  if (!resource.includeBond || !bondedStats) return false;
+  return getFormulaVariables(resource.formula).some(name => (Number(bondedStats[name]) || 0) > 0);
 }
 
 /**
@@ -628,7 +658,11 @@ export function getBreakdownText(breakdown, statName) {
   if (breakdown.snapshotLevel !== null) {
     parts.push(`Base (Lvl ${breakdown.snapshotLevel}): ${breakdown.snapshotBase}`);
   }
-  
+
+  if (breakdown.redirectedFreePoints > 0) {
+    parts.push(`Auto Free Points: +${breakdown.redirectedFreePoints}`);
+  }
+
   if (breakdown.classScaling > 0) {
     parts.push(`Class: +${breakdown.classScaling} (${breakdown.classScalingDetail})`);
   }
@@ -658,6 +692,42 @@ export function getBreakdownText(breakdown, statName) {
   return parts.join('\n');
 }
 
+/**
+ * Build a level snapshot of a character's current TOTAL stats (all bonuses
+ * included), recording the title, stat boost, trait and derivation bonuses
+ * baked into them so they aren't counted again later
+ * @param {object} character - Character data object
+ * @param {object} calculation - calculateAllStats(character) result, if already computed
+ * @returns {object} - Snapshot to store in character.levelSnapshots[character.level]
+ */
+export function buildLevelSnapshot(character, calculation = calculateAllStats(character)) {
+  // Raw title bonuses (before trait multiplication)
+  const rawTitleBonuses = getTitleAdditiveBonuses(character.titles);
+
+  const traitMultipliers = {};
+  const includedTitleBonuses = {};
+  const includedDerivationBonuses = {};
+  getAllStats().forEach(stat => {
+    const traitMult = calculation.breakdowns[stat]?.traitMultiplier || 1;
+    traitMultipliers[stat] = traitMult;
+    // Also store the effective (trait-multiplied) value for backwards compatibility
+    includedTitleBonuses[stat] = (rawTitleBonuses[stat] || 0) * traitMult;
+    // Derivation bonuses (e.g., 25% of Willpower → Intellect)
+    includedDerivationBonuses[stat] = calculation.breakdowns[stat]?.derivationBonus || 0;
+  });
+
+  return {
+    stats: { ...calculation.stats },
+    rawTitleBonuses: { ...rawTitleBonuses },           // Raw title bonuses (before trait)
+    includedTraitMultipliers: traitMultipliers,        // Trait multipliers at snapshot time
+    includedTitleBonuses,                              // Effective title bonuses (for backwards compat)
+    includedTitleMultipliers: getTitleMultiplierBonuses(character.titles),
+    includedStatBoostBonuses: getStatBoostAdditiveBonuses(character.statBoosts),
+    includedStatBoostMultipliers: getStatBoostMultiplierBonuses(character.statBoosts),
+    includedDerivationBonuses,                         // Derivation bonuses baked into stats
+  };
+}
+
 /**
  * Calculate stats suitable for snapshotting (without titles/derivations)
  * This captures: base + (redirectedFreePoints + classScaling + manualFreePoints) × trait
@@ -674,11 +744,11 @@ export function calculateSnapshotStats(character) {
   // Calculate redirected free points from snapshot level, not level 1
   const redirected = getRedirectedFreePoints(character.traits, character.level, snapshotLevel || 1);
 
-  ALL_STATS.forEach(statName => {
+  getAllStats().forEach(statName => {
     // 1. Get base from most recent snapshot
     let snapshotBase = 0;
     if (snapshotLevel !== null && character.levelSnapshots[snapshotLevel]) {
-      snapshotBase = Number(character.levelSnapshots[snapshotLevel][statName]) || 0;
+      snapshotBase = getSnapshotStatValue(character.levelSnapshots[snapshotLevel], statName);
     }
 
     // 2. Get redirected free points (if this is the target stat)
@@ -718,7 +788,7 @@ export function calculateTitleBonuses(titles) {
 
 export function calculateTotalStats(baseStats, titleBonuses) {
   const total = {};
-  ALL_STATS.forEach(stat => {
+  getAllStats().forEach(stat => {
     const base = Number(baseStats?.[stat]) || 0;
     const bonus = Number(titleBonuses?.[stat]) || 0;
     total[stat] = base + bonus;
@@ -1,5 +1,10 @@
 /**
  * Stat icons for visual representation
+ *
+ * TEMPLATE NOTE: Which icon a stat or resource uses is set in config
+ * (config.stats.groups[].stats[].icon, config.resources[].icon) by name from
+ * STAT_ICON_REGISTRY. Add an entry to the registry to make a new icon
+ * available to configs.
  */
 import React from 'react';
 import { SvgIcon } from '@mui/material';
@@ -14,9 +19,34 @@ import {
   MenuBook,
   LocalHospital,
   Science,
+  Visibility,
+  Casino,
+  RecordVoiceOver,
+  Speed,
+  Star,
 } from '@mui/icons-material';
+import { getStatDefinition, getResourceDefinitions } from '../config/characterConfig.js';
 
-// Stat icons mapping
+// Icons that config can refer to by name
+export const STAT_ICON_REGISTRY = {
+  FitnessCenter,                 // Dumbbell/weight icon
+  Bolt,                          // Lightning bolt
+  Shield,                        // Shield
+  Favorite,                      // Heart
+  Psychology,                    // Brain icon
+  Whatshot,                      // Fire/flame
+  AutoAwesome,                   // Sparkles/magic
+  MenuBook,                      // Book
+  Visibility,                    // Eye (e.g. Perception)
+  Casino,                        // Dice (e.g. Luck)
+  RecordVoiceOver,               // Speaking head (e.g. Charisma)
+  Speed,                         // Gauge (e.g. Dexterity)
+  Star,                          // Generic
+  LocalHospital,                 // Medical cross (e.g. HP)
+  Science,                       // Potion/flask (e.g. MP)
+};
+
+// Default stat icons mapping (used when config doesn't name an icon)
 export const STAT_ICONS = {
   strength: FitnessCenter,      // Dumbbell/weight icon
   agility: Bolt,                 // Lightning bolt
@@ -43,14 +73,15 @@ export function ManaIcon(props) {
   );
 }
 
-// Get icon component for a stat
+// Get icon component for a stat (config icon first, then defaults)
 export function getStatIcon(statName) {
-  return STAT_ICONS[statName] || AutoAwesome;
+  const configuredIcon = getStatDefinition(statName).icon;
+  return STAT_ICON_REGISTRY[configuredIcon] || STAT_ICONS[statName] || AutoAwesome;
 }
 
-// Get icon component for a resource
+// Get icon component for a resource (config icon first, then defaults)
 export function getResourceIcon(resourceName) {
-  return RESOURCE_ICONS[resourceName] || Favorite;
+  const configuredIcon = getResourceDefinitions().find(r => r.key === resourceName)?.icon;
+  return STAT_ICON_REGISTRY[configuredIcon] || RESOURCE_ICONS[resourceName] || Favorite;
 }
 
-
@@ -0,0 +1,244 @@
+/**
+ * Reverse stat solver - what is needed to reach target stat values
+ *
+ * ============================================================================
+ * TEMPLATE NOTE FOR DEVELOPERS:
+ * ============================================================================
+ * This utility is FULLY GENERIC. It never re-implements the stat rules: every
+ * candidate is run through the normal pipeline (buildProjectedCharacter +
+ * calculateAllStats), so trait multipliers, redirect_free_points, the level-30
+ * title-multiplier enhancement and stat derivations are always respected.
+ *
+ * Targets look like:
+ *   [{ stat: "intellect", value: 700 }]       // Final value >= 700
+ *
+ * For each target the solver searches for the smallest:
+ * - extra free points in the stat (or in the source stat of a derivation)
+ * - additive title bonus on the stat
+ * - title multiplier on the stat (to 0.01)
+ * and, for all targets together, the lowest level that reaches them with no
+ * other change. All searches assume more of something never lowers a stat.
+ * ============================================================================
+ */
+
+import {
+  calculateAllStats,
+  getAllStats,
+  getStatDerivations,
+  getRedirectedFreePoints,
+} from './statCalculator.js';
+import { buildProjectedCharacter } from './projection.js';
+
+// Search limits - a target beyond these is reported as unreachable
+const MAX_POINTS = 1000000;
+const MAX_MULTIPLIER_HUNDREDTHS = 100000; // ×1000
+const DEFAULT_LEVEL_RANGE = 300;
+
+/**
+ * Find the smallest integer n in [0, max] for which isEnough(n) is true
+ * Doubles an upper bound first, then binary searches. Returns null if max isn't enough.
+ */
+function findMinimum(isEnough, max) {
+  if (isEnough(0)) return 0;
+
+  let high = 1;
+  while (high < max && !isEnough(high)) {
+    high *= 2;
+  }
+  if (high >= max) {
+    if (!isEnough(max)) return null;
+    high = max;
+  }
+
+  let low = Math.floor(high / 2);
+  while (high - low > 1) {
+    const middle = Math.floor((low + high) / 2);
+    if (isEnough(middle)) {
+      high = middle;
+    } else {
+      low = middle;
+    }
+  }
+  return high;
+}
+
+/**
+ * Final stats (bond included) for a character under a plan
+ */
+function evaluatePlan(character, plan, bondedStats) {
+  const { stats } = calculateAllStats(buildProjectedCharacter(character, plan));
+  const totals = {};
+  getAllStats().forEach(stat => {
+    totals[stat] = (stats[stat] || 0) + (Number(bondedStats?.[stat]) || 0);
+  });
+  return totals;
+}
+
+/**
+ * Check whether a set of final stats meets every target
+ */
+export function meetsTargets(stats, targets) {
+  return (targets || []).every(target => (stats[target.stat] || 0) >= (Number(target.value) || 0));
+}
+
+/**
+ * Get the stats whose value feeds a stat through derivations (traits and statDerivations)
+ * e.g. The Tempered Mind (25% of Willpower -> Intellect) gives ["willpower"] for "intellect"
+ */
+function getDerivationSources(character, statName) {
+  const derivations = [
+    ...getStatDerivations(character.traits),
+    ...(character.statDerivations || []),
+  ];
+  return [...new Set(
+    derivations
+      .filter(d => d.targetStat === statName && d.sourceStat && d.sourceStat !== statName && (d.percent || 0) > 0)
+      .map(d => d.sourceStat)
+  )];
+}
+
+/**
+ * Add a hypothetical solver title with one bonus to a plan
+ */
+function withSolverTitle(plan, bonus) {
+  return {
+    ...plan,
+    plannedTitles: [...(plan.plannedTitles || []), { name: 'Solver', bonuses: [bonus] }],
+  };
+}
+
+/**
+ * Add extra free points in one stat to a plan
+ */
+function withFreePoints(plan, stat, points) {
+  return {
+    ...plan,
+    freePoints: {
+      ...(plan.freePoints || {}),
+      [stat]: (Number(plan.freePoints?.[stat]) || 0) + points,
+    },
+  };
+}
+
+/**
+ * Solve target stat values for a character
+ * @param {object} character - Character data object
+ * @param {Array} targets - [{ stat, value }]
+ * @param {object} options
+ * @param {object} options.plan - Projection plan to solve on top of (target level, class, titles...)
+ * @param {object} options.bondedStats - Stats received through the bond (added to finals)
+ * @param {number} options.maxLevel - Highest level to try for levelNeeded
+ * @returns {object} - {
+ *   level,                      // Level the targets are solved at (plan.targetLevel)
+ *   stats,                      // Final stats under the plan, bond included
+ *   targets: [{
+ *     stat, value, projected, shortfall, met,
+ *     freePoints: [{ stat, points }],   // Each option alone reaches the target
+ *     freePointsBlockedBy,              // Stat a trait redirects free points to, if that blocks this stat
+ *     titleAdditive,                    // Raw additive title bonus needed, or null
+ *     titleMultiplier,                  // Title multiplier needed (e.g. 0.35), or null
+ *   }],
+ *   levelNeeded,                // Lowest level meeting every target with no other change, or null
+ *   combined: { freePoints, total, available, stats, meetsAll }
+ * }
+ */
+export function solveStatTargets(character, targets, options = {}) {
+  const plan = options.plan || {};
+  const bondedStats = options.bondedStats || {};
+  const level = Math.max(1, Number(plan.targetLevel) || Number(character.level) || 1);
+  const basePlan = { ...plan, targetLevel: level };
+  const validTargets = (targets || []).filter(t => t && t.stat && getAllStats().includes(t.stat));
+
+  const stats = evaluatePlan(character, basePlan, bondedStats);
+  const projectedCharacter = buildProjectedCharacter(character, basePlan);
+  const redirected = getRedirectedFreePoints(projectedCharacter.traits, level);
+
+  const statReaches = (candidatePlan, target) =>
+    (evaluatePlan(character, candidatePlan, bondedStats)[target.stat] || 0) >= (Number(target.value) || 0);
+
+  const results = validTargets.map(target => {
+    const value = Number(target.value) || 0;
+    const projected = stats[target.stat] || 0;
+    const met = projected >= value;
+
+    // Free points: directly in the stat, or in any stat it derives from.
+    // With redirect_free_points only the redirect target accepts manual points.
+    const candidates = [target.stat, ...getDerivationSources(projectedCharacter, target.stat)]
+      .filter(stat => redirected.targetStat === null || redirected.targetStat === stat);
+    const freePoints = met ? [] : candidates
+      .map(stat => ({
+        stat,
+        points: findMinimum(points => statReaches(withFreePoints(basePlan, stat, points), target), MAX_POINTS),
+      }))
+      .filter(option => option.points !== null);
+
+    const titleAdditive = met ? 0 : findMinimum(
+      additive => statReaches(withSolverTitle(basePlan, { stat: target.stat, additive, multiplier: 0 }), target),
+      MAX_POINTS
+    );
+    const multiplierHundredths = met ? 0 : findMinimum(
+      hundredths => statReaches(
+        withSolverTitle(basePlan, { stat: target.stat, additive: 0, multiplier: hundredths / 100 }),
+        target
+      ),
+      MAX_MULTIPLIER_HUNDREDTHS
+    );
+
+    return {
+      stat: target.stat,
+      value,
+      projected,
+      shortfall: Math.max(0, value - projected),
+      met,
+      freePoints,
+      freePointsBlockedBy: redirected.targetStat && redirected.targetStat !== target.stat
+        ? redirected.targetStat
+        : null,
+      titleAdditive,
+      titleMultiplier: multiplierHundredths === null ? null : multiplierHundredths / 100,
+    };
+  });
+
+  // Lowest level that reaches every target (scanning upward from the current level)
+  const startLevel = Math.max(1, Number(character.level) || 1);
+  const maxLevel = Math.max(startLevel, Number(options.maxLevel) || startLevel + DEFAULT_LEVEL_RANGE);
+  let levelNeeded = null;
+  if (validTargets.length > 0) {
+    for (let candidate = startLevel; candidate <= maxLevel; candidate++) {
+      if (meetsTargets(evaluatePlan(character, { ...plan, targetLevel: candidate }, bondedStats), validTargets)) {
+        levelNeeded = candidate;
+        break;
+      }
+    }
+  }
+
+  // Combine the direct free-point option of every target and check them together
+  // (a derivation can make one allocation help another target)
+  const combinedPoints = {};
+  results.forEach(result => {
+    const direct = result.freePoints.find(option => option.stat === result.stat) || result.freePoints[0];
+    if (direct && direct.points > 0) {
+      combinedPoints[direct.stat] = Math.max(combinedPoints[direct.stat] || 0, direct.points);
+    }
+  });
+  const combinedPlan = Object.entries(combinedPoints)
+    .reduce((acc, [stat, points]) => withFreePoints(acc, stat, points), basePlan);
+  const combinedStats = evaluatePlan(character, combinedPlan, bondedStats);
+  const spent = getAllStats().reduce((sum, stat) => sum + (Number(projectedCharacter.freePoints?.[stat]) || 0), 0);
+  const total = Object.values(combinedPoints).reduce((sum, points) => sum + points, 0);
+
+  return {
+    level,
+    stats,
+    targets: results,
+    levelNeeded,
+    combined: {
+      freePoints: combinedPoints,
+      total,
+      // Characters earn 3 free points per level (same rule as the Basic Stats tab)
+      available: redirected.targetStat ? null : level * 3 - spent,
+      stats: combinedStats,
+      meetsAll: meetsTargets(combinedStats, validTargets),
+    },
+  };
+}
@@ -0,0 +1,147 @@
+/**
+ * Per-level stat timeline
+ *
+ * ============================================================================
+ * TEMPLATE NOTE FOR DEVELOPERS:
+ * ============================================================================
+ * This utility is FULLY GENERIC. It rebuilds a character as they were at each
+ * level from 1 to their current level and runs every one through
+ * calculateAllStats, so snapshots, class/evolution scaling, traits and titles
+ * are handled exactly as in the live tabs.
+ *
+ * What "as they were" means:
+ * - Traits, titles and stat boosts with an `acquiredLevel` only count from
+ *   that level on. Items without one only count from the most recent snapshot
+ *   on (when they are known to be held), so a row at a snapshot level shows
+ *   what that snapshot recorded.
+ * - Manual free points only count after the most recent snapshot (they are
+ *   allocated on top of it), never before it.
+ * - Bond-synced values are NOT included - they depend on the partner's level
+ *   at the time.
+ * ============================================================================
+ */
+
+import { calculateAllStats, getAllStats } from './statCalculator.js';
+
+/**
+ * Marker types shown on the timeline, in the order they are listed
+ */
+export const TIMELINE_MARKER_TYPES = {
+  snapshot: { label: 'Snapshot', color: '#4FC3F7' },
+  class: { label: 'Class change', color: '#C9A227' },
+  trait: { label: 'Trait', color: '#BA68C8' },
+  title: { label: 'Title', color: '#81C784' },
+  boost: { label: 'Stat boost', color: '#FF8A65' },
+};
+
+/**
+ * Check whether an item with an optional acquiredLevel counts at a level
+ * (items without one count from untimedFrom on)
+ */
+function isAcquiredBy(item, level, untimedFrom) {
+  const acquired = Number(item?.acquiredLevel) || untimedFrom;
+  return acquired <= level;
+}
+
+/**
+ * Rebuild a character as they were at a given level (see the note above)
+ * The original character object is never modified.
+ */
+export function getCharacterAtLevel(character, level) {
+  const snapshotLevels = Object.keys(character.levelSnapshots || {}).map(Number);
+  const latestSnapshot = snapshotLevels.length > 0 ? Math.max(...snapshotLevels) : 0;
+  const isHeld = (item) => isAcquiredBy(item, level, latestSnapshot);
+
+  return {
+    ...character,
+    level,
+    traits: {
+      ...(character.traits || {}),
+      items: (character.traits?.items || []).filter(isHeld),
+    },
+    titles: (character.titles || []).filter(isHeld),
+    statBoosts: (character.statBoosts || []).filter(isHeld),
+    freePoints: level > latestSnapshot || snapshotLevels.length === 0 ? character.freePoints : {},
+  };
+}
+
+/**
+ * Collect the events to mark on the timeline
+ * @returns {Array} - [{ level, type, label }] sorted by level
+ */
+export function getTimelineMarkers(character) {
+  const markers = [];
+
+  Object.keys(character.levelSnapshots || {}).forEach(level => {
+    markers.push({ level: Number(level), type: 'snapshot', label: `Snapshot (Lvl ${level})` });
+  });
+
+  (character.classHistory || []).forEach(cls => {
+    markers.push({ level: Number(cls.startLevel) || 1, type: 'class', label: cls.name });
+  });
+
+  (character.traits?.items || []).forEach(trait => {
+    if (trait.acquiredLevel) {
+      markers.push({ level: Number(trait.acquiredLevel), type: 'trait', label: trait.name });
+    }
+  });
+
+  (character.titles || []).forEach(title => {
+    if (title.acquiredLevel && title.enabled !== false) {
+      markers.push({ level: Number(title.acquiredLevel), type: 'title', label: title.name });
+    }
+  });
+
+  (character.statBoosts || []).forEach(boost => {
+    if (boost.acquiredLevel && boost.enabled !== false) {
+      markers.push({ level: Number(boost.acquiredLevel), type: 'boost', label: boost.description || 'Stat boost' });
+    }
+  });
+
+  const typeOrder = Object.keys(TIMELINE_MARKER_TYPES);
+  return markers.sort((a, b) => a.level - b.level || typeOrder.indexOf(a.type) - typeOrder.indexOf(b.type));
+}
+
+/**
+ * Calculate every stat at every level from 1 to the character's current level
+ * @param {object} character - Character data object
+ * @returns {object} - {
+ *   rows: [{ level, stats: { stat: value }, markers: [...] }],  // One per level, ascending
+ *   markers: [{ level, type, label }],
+ *   untimedItems: number                                         // Traits/titles/boosts without acquiredLevel
+ * }
+ */
+export function calculateStatTimeline(character) {
+  if (!character) return { rows: [], markers: [], untimedItems: 0 };
+
+  const currentLevel = Math.max(1, Number(character.level) || 1);
+  const markers = getTimelineMarkers(character);
+  const rows = [];
+
+  for (let level = 1; level <= currentLevel; level++) {
+    const { stats } = calculateAllStats(getCharacterAtLevel(character, level));
+    rows.push({
+      level,
+      stats,
+      markers: markers.filter(marker => marker.level === level),
+    });
+  }
+
+  const untimedItems = [
+    ...(character.traits?.items || []),
+    ...(character.titles || []),
+    ...(character.statBoosts || []),
+  ].filter(item => !item.acquiredLevel).length;
+
+  return { rows, markers, untimedItems };
+}
+
+/**
+ * Get the highest value of a set of stats across a timeline (for chart scaling)
+ */
+export function getTimelineMax(rows, stats = getAllStats()) {
+  return rows.reduce(
+    (max, row) => Math.max(max, ...stats.map(stat => row.stats[stat] || 0)),
+    0
+  );
+}
@@ -0,0 +1,105 @@
+/**
+ * Field-by-field merge of two versions of the character data
+ *
+ * ============================================================================
+ * TEMPLATE NOTE FOR DEVELOPERS:
+ * ============================================================================
+ * Used when an autosave is rejected because current.json changed in another
+ * window (POST /api/update answered 409). Each character's top-level fields
+ * (name, level, titles, activeSkills, ...) are compared between this window
+ * and the server; the user picks a side for every field that differs.
+ *
+ * The last state both windows agreed on (the base) tells who changed what:
+ * a field only the other window changed defaults to theirs, anything this
+ * window changed defaults to ours. Works for any character key
+ * (main and every companion id) without knowing what the fields mean.
+ * ============================================================================
+ */
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const isObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * List every field that differs between this window and the server
+ * @param {object} base - Last state known to be on the server (may be null)
+ * @param {object} local - This window's state ({ main, <companionId>: ... })
+ * @param {object} server - The state on the server
+ * @returns {Array} - [{ key, character, field, local, server, changedLocally, changedOnServer }]
+ *   field is null when a whole character differs (added, removed or not an object)
+ */
+export function listFieldDifferences(base, local, server) {
+  const rows = [];
+  const characters = [...new Set([...Object.keys(local || {}), ...Object.keys(server || {})])];
+
+  characters.forEach(character => {
+    const mine = local?.[character];
+    const theirs = server?.[character];
+    const original = base?.[character];
+    if (sameValue(mine, theirs)) return;
+
+    if (!isObject(mine) || !isObject(theirs)) {
+      rows.push({
+        key: character,
+        character,
+        field: null,
+        local: mine,
+        server: theirs,
+        changedLocally: !base || !sameValue(original, mine),
+        changedOnServer: !base || !sameValue(original, theirs),
+      });
+      return;
+    }
+
+    const fields = [...new Set([...Object.keys(mine), ...Object.keys(theirs)])];
+    fields.forEach(field => {
+      if (sameValue(mine[field], theirs[field])) return;
+      rows.push({
+        key: `${character}.${field}`,
+        character,
+        field,
+        local: mine[field],
+        server: theirs[field],
+        changedLocally: !base || !sameValue(original?.[field], mine[field]),
+        changedOnServer: !base || !sameValue(original?.[field], theirs[field]),
+      });
+    });
+  });
+
+  return rows;
+}
+
+/**
+ * Suggested side for a difference: theirs if only the other window changed it
+ * @returns {string} - "local" or "server"
+ */
+export function defaultMergeChoice(row) {
+  return row.changedOnServer && !row.changedLocally ? 'server' : 'local';
+}
+
+/**
+ * Build the merged state
+ * @param {object} local - This window's state
+ * @param {object} server - The state on the server
+ * @param {Array} rows - From listFieldDifferences
+ * @param {object} choices - { [row.key]: "local" | "server" } (missing = defaultMergeChoice)
+ */
+export function mergeFieldChoices(local, server, rows, choices = {}) {
+  const merged = JSON.parse(JSON.stringify(local || {}));
+
+  rows.forEach(row => {
+    if ((choices[row.key] || defaultMergeChoice(row)) !== 'server') return;
+
+    if (row.field === null) {
+      if (row.server === undefined) delete merged[row.character];
+      else merged[row.character] = JSON.parse(JSON.stringify(row.server));
+      return;
+    }
+
+    if (!merged[row.character]) merged[row.character] = {};
+    if (row.server === undefined) delete merged[row.character][row.field];
+    else merged[row.character][row.field] = JSON.parse(JSON.stringify(row.server));
+  });
+
+  return merged;
+}
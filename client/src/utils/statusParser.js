@@ -0,0 +1,462 @@
+/**
+ * Read pasted status screens back into character data
+ *
+ * ============================================================================
+ * TEMPLATE NOTE FOR DEVELOPERS:
+ * ============================================================================
+ * The inverse of formatStatusScreen() (utils/formatter.js), for back-filling
+ * status screens written before the app existed:
+ *
+ * 1. parseStatusScreens(text)        - every ***-delimited block in the text
+ * 2. diffStatusScreen(character, ..) - what differs from a character, as a
+ *                                      list of changes the user can pick from
+ * 3. applyStatusChanges(character, changes) - the character with the picked
+ *                                      changes applied
+ *
+ * Stat, resource and stat group names come from config, so screens from any
+ * template parse. Bold markers are optional (Notion drops them on copy).
+ *
+ * Stats on a status screen are totals, so they can't be set directly. When
+ * applied changes move any stat, a level snapshot at the character's level is
+ * written, its values solved with the real pipeline (calculateAllStats), so
+ * the app shows exactly the pasted numbers. Titles and traits added from a screen
+ * have a name only - their bonuses and effects still need to be filled in.
+ * ============================================================================
+ */
+
+import {
+  calculateAllStats,
+  buildLevelSnapshot,
+  getCurrentClass,
+  getAllStats,
+  getStatDisplayName,
+  getStatAbbreviation,
+  getStatGroups,
+  getResourceDefinitions,
+} from './statCalculator.js';
+import { SKILL_LISTS } from './progressionLedger.js';
+
+const ADVANCEMENT = /\s*\+\s*Advancement Offered\s*$/i;
+const NAME_LINE = /^Name:\s*(.+?)\s+-\s+Level\s+(\d+)$/i;
+
+const normalize = (text) => String(text || '').trim().toLowerCase();
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+// Skill list headings as printed by the formatter
+const SKILL_HEADINGS = {
+  'bond skills': 'bondSkills',
+  'active skills': 'activeSkills',
+  'passive skills': 'passiveSkills',
+};
+
+// Display name, abbreviation or key -> stat key
+function buildStatLookup() {
+  const lookup = {};
+  getAllStats().forEach(stat => {
+    [stat, getStatDisplayName(stat), getStatAbbreviation(stat)].forEach(label => {
+      if (label) lookup[normalize(label)] = stat;
+    });
+  });
+  return lookup;
+}
+
+function parseNumber(value) {
+  const number = Number(String(value).replace(/,/g, ''));
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Parse one skill line: "[Name] (Rank - Level 6) + Advancement Offered" or "[Name] (Tier III)"
+ */
+function parseSkillLine(line) {
+  const advancement = ADVANCEMENT.test(line);
+  const text = line.replace(ADVANCEMENT, '');
+
+  const ranked = text.match(/^\[(.+?)\]\s*\((.+?)\s*-\s*Level\s*(\d+)\)$/i);
+  if (ranked) {
+    return { name: ranked[1].trim(), rank: ranked[2].trim(), level: Number(ranked[3]), advancement };
+  }
+  const tiered = text.match(/^\[(.+?)\]\s*\(Tier\s*(.+?)\)$/i);
+  if (tiered) {
+    return { name: tiered[1].trim(), tier: tiered[2].trim() };
+  }
+  const plain = text.match(/^\[(.+?)\]$/);
+  return plain ? { name: plain[1].trim() } : null;
+}
+
+/**
+ * Parse one status block (the lines between two *** markers)
+ */
+function parseBlock(lines) {
+  const statLookup = buildStatLookup();
+  const resourceLookup = {};
+  getResourceDefinitions().forEach(resource => {
+    resourceLookup[normalize(resource.name)] = resource.key;
+    resourceLookup[normalize(resource.key)] = resource.key;
+  });
+  // "Physical Stats:", "Physical:" and the group id all start a stat group
+  const groupLabels = new Set(getStatGroups().flatMap(group => [
+    normalize(group.label), normalize(group.label).replace(/\s+stats$/, ''), normalize(group.id),
+  ]));
+
+  const screen = {
+    name: null,
+    level: null,
+    className: null,
+    classAdvancement: false,
+    resources: {},
+    traits: null,
+    titles: null,
+    primaryTitle: null,
+    stats: {},
+    bondSkills: null,
+    activeSkills: null,
+    passiveSkills: null,
+    boundItems: null,
+    warnings: [],
+  };
+  let section = null;
+
+  lines.forEach(rawLine => {
+    const line = rawLine.replace(/\*\*/g, '').trim();
+    if (!line || normalize(line) === 'status') return;
+    const heading = normalize(line.replace(/:\s*$/, ''));
+    let match;
+
+    if ((match = line.match(NAME_LINE))) {
+      screen.name = match[1].trim();
+      screen.level = Number(match[2]);
+    } else if ((match = line.match(/^Class:\s*(.+)$/i))) {
+      screen.classAdvancement = ADVANCEMENT.test(match[1]);
+      screen.className = match[1].replace(ADVANCEMENT, '').trim();
+    } else if ((match = line.match(/^Traits:\s*(?:\((\d+)\s*\/\s*(\d+)\))?$/i))) {
+      section = 'traits';
+      screen.traits = {
+        current: match[1] !== undefined ? Number(match[1]) : null,
+        max: match[2] !== undefined ? Number(match[2]) : null,
+        items: [],
+      };
+    } else if ((match = line.match(/^Titles:\s*(?:<\s*(.+?)\s*>)?$/i))) {
+      section = 'titles';
+      screen.titles = [];
+      screen.primaryTitle = match[1] ? match[1].trim() : null;
+    } else if (SKILL_HEADINGS[heading]) {
+      section = SKILL_HEADINGS[heading];
+      screen[section] = [];
+    } else if (heading === 'bound items') {
+      section = 'boundItems';
+      screen.boundItems = [];
+    } else if (groupLabels.has(heading)) {
+      section = 'stats';
+    } else if ((match = line.match(/^(.+?):\s*([\d,]+)\s*\/\s*([\d,]+)$/)) && resourceLookup[normalize(match[1])]) {
+      screen.resources[resourceLookup[normalize(match[1])]] = {
+        current: parseNumber(match[2]),
+        max: parseNumber(match[3]),
+      };
+    } else if ((match = line.match(/^(.+?):\s*(-?[\d,]+(?:\.\d+)?)$/)) && statLookup[normalize(match[1])]) {
+      screen.stats[statLookup[normalize(match[1])]] = parseNumber(match[2]);
+    } else if (section === 'traits' && (match = line.match(/^\{(.+)\}$/))) {
+      screen.traits.items.push(match[1].trim());
+    } else if (section === 'titles') {
+      screen.titles.push(line);
+    } else if (SKILL_LISTS[section] && (match = line.match(/^Primary Stat Shared\s*-\s*(.+)$/i))) {
+      const last = screen[section][screen[section].length - 1];
+      if (last) last.primaryStatShared = match[1].trim();
+    } else if (SKILL_LISTS[section] && parseSkillLine(line)) {
+      screen[section].push(parseSkillLine(line));
+    } else if (section === 'boundItems' && (match = line.match(/^(.+?)\s+Rank\s+(.+?)\s+-\s+(.+)$/i))) {
+      screen.boundItems.push({ rank: match[1].trim(), type: match[2].trim(), name: match[3].trim() });
+    } else {
+      screen.warnings.push(`Line not recognized: "${line}"`);
+    }
+  });
+
+  return screen;
+}
+
+/**
+ * Parse every status screen in a piece of text
+ * Blocks are separated by *** lines (as formatPartyStatusScreens prints
+ * them); text without *** markers is read as one block.
+ * @returns {Array} - [{ name, level, className, classAdvancement, resources, traits,
+ *   titles, primaryTitle, stats, bondSkills, activeSkills, passiveSkills, boundItems, warnings }]
+ *   Sections missing from the screen are null (not compared), stats only lists
+ *   the stats that were printed.
+ */
+export function parseStatusScreens(text) {
+  const blocks = [[]];
+  String(text || '').split(/\r?\n/).forEach(line => {
+    if (/^\s*\*{3,}\s*$/.test(line)) blocks.push([]);
+    else blocks[blocks.length - 1].push(line);
+  });
+
+  return blocks
+    .filter(lines => lines.some(line => NAME_LINE.test(line.replace(/\*\*/g, '').trim())))
+    .map(parseBlock);
+}
+
+// ============================================
+// DIFF
+// ============================================
+
+const byName = (name) => (item) => normalize(item?.name) === normalize(name);
+
+/**
+ * Compare a parsed screen with a character
+ * @param {object} character - Current character data
+ * @param {object} screen - One result of parseStatusScreens()
+ * @param {object} computed - { finalStats, derivedStats } the tabs show for the character
+ * @param {object} options - { classLabel } ("Class" or "Evolution")
+ * @returns {Array} - [{ id, section, label, before, after, type, ...payload }]
+ *   in display order; pass the ones the user keeps to applyStatusChanges()
+ */
+export function diffStatusScreen(character, screen, computed = {}, options = {}) {
+  const { classLabel = 'Class' } = options;
+  const changes = [];
+  const add = (change) => changes.push({ id: `${change.type}:${change.key ?? ''}:${changes.length}`, ...change });
+  const current = character || {};
+
+  if (screen.name && screen.name !== current.name) {
+    add({ type: 'name', section: 'Character', label: 'Name', before: current.name || '', after: screen.name, value: screen.name });
+  }
+  if (screen.level !== null && screen.level !== Number(current.level)) {
+    add({ type: 'level', section: 'Character', label: 'Level', before: current.level, after: screen.level, value: screen.level });
+  }
+
+  // Compared with what the formatter prints for the character right now
+  const openClass = getCurrentClass(current.classHistory, current.level);
+  const currentClass = openClass?.name || current.class || '';
+  const shownAdvancement = openClass?.endLevel === null && !!current.classAdvancement;
+  if (screen.className && screen.className !== currentClass) {
+    add({ type: 'class', section: 'Character', label: classLabel, before: currentClass || '—', after: screen.className, value: screen.className });
+  }
+  if (screen.className && screen.classAdvancement !== shownAdvancement) {
+    add({
+      type: 'classAdvancement', section: 'Character', label: `${classLabel} advancement offered`,
+      before: shownAdvancement ? 'Yes' : 'No', after: screen.classAdvancement ? 'Yes' : 'No', value: screen.classAdvancement,
+    });
+  }
+
+  getResourceDefinitions().forEach(resource => {
+    const parsed = screen.resources[resource.key];
+    const shown = computed.derivedStats?.[resource.key];
+    if (!parsed || parsed.current === null) return;
+    const shownCurrent = current.trackCurrentResources ? shown?.current : shown?.max;
+    if (parsed.current === shownCurrent) return;
+    add({
+      type: 'resource', key: resource.key, section: 'Resources', label: `Current ${resource.name}`,
+      before: shownCurrent ?? '—', after: parsed.current, value: parsed.current, max: parsed.max,
+    });
+  });
+
+  getAllStats().forEach(stat => {
+    const value = screen.stats[stat];
+    const shown = computed.finalStats?.[stat];
+    if (value === undefined || value === null || value === shown) return;
+    add({ type: 'stat', key: stat, section: 'Stats', label: getStatDisplayName(stat), before: shown ?? '—', after: value, value });
+  });
+
+  if (screen.traits) {
+    const items = current.traits?.items || [];
+    if (screen.traits.max !== null && screen.traits.max !== Number(current.traits?.max)) {
+      add({ type: 'traitsMax', section: 'Traits', label: 'Trait slots', before: current.traits?.max ?? '—', after: screen.traits.max, value: screen.traits.max });
+    }
+    screen.traits.items.filter(name => !items.some(byName(name))).forEach(name => {
+      add({ type: 'traitAdded', key: name, section: 'Traits', label: `Add {${name}}`, name });
+    });
+    items.filter(item => !screen.traits.items.some(name => normalize(name) === normalize(item.name))).forEach(item => {
+      add({ type: 'traitRemoved', key: item.name, section: 'Traits', label: `Remove {${item.name}}`, name: item.name });
+    });
+  }
+
+  if (screen.titles) {
+    const titles = current.titles || [];
+    screen.titles.filter(name => !titles.some(byName(name))).forEach(name => {
+      add({ type: 'titleAdded', key: name, section: 'Titles', label: `Add ${name}`, name });
+    });
+    titles.filter(title => !screen.titles.some(name => normalize(name) === normalize(title.name))).forEach(title => {
+      add({ type: 'titleRemoved', key: title.name, section: 'Titles', label: `Remove ${title.name}`, name: title.name });
+    });
+    const currentPrimary = titles.find(title => title.isPrimary)?.name || null;
+    if (normalize(screen.primaryTitle) !== normalize(currentPrimary)) {
+      add({
+        type: 'primaryTitle', section: 'Titles', label: 'Primary title',
+        before: currentPrimary || '—', after: screen.primaryTitle || '—', name: screen.primaryTitle,
+      });
+    }
+  }
+
+  Object.entries(SKILL_LISTS).forEach(([list, listLabel]) => {
+    if (!screen[list]) return;
+    const section = `${listLabel} Skills`;
+    // Old (evolved) skills aren't printed, so they are left alone
+    const skills = (current[list] || []).filter(skill => !skill.isOld);
+
+    screen[list].forEach(parsed => {
+      const existing = skills.find(byName(parsed.name));
+      if (!existing) {
+        add({ type: 'skillAdded', key: parsed.name, list, section, label: `Add [${parsed.name}]`, skill: parsed });
+        return;
+      }
+      const fields = {};
+      ['rank', 'level', 'tier', 'advancement', 'primaryStatShared'].forEach(field => {
+        if (parsed[field] !== undefined && String(parsed[field]) !== String(existing[field] ?? (field === 'advancement' ? false : ''))) {
+          fields[field] = parsed[field];
+        }
+      });
+      if (Object.keys(fields).length > 0) {
+        add({
+          type: 'skillChanged', key: parsed.name, list, section, label: `[${parsed.name}]`,
+          before: Object.keys(fields).map(field => `${field} ${existing[field] ?? '—'}`).join(', '),
+          after: Object.entries(fields).map(([field, value]) => `${field} ${value}`).join(', '),
+          name: existing.name, fields,
+        });
+      }
+    });
+    skills.filter(skill => !screen[list].some(byName(skill.name))).forEach(skill => {
+      add({ type: 'skillRemoved', key: skill.name, list, section, label: `Remove [${skill.name}]`, name: skill.name });
+    });
+  });
+
+  if (screen.boundItems) {
+    const items = current.boundItems || [];
+    screen.boundItems.forEach(parsed => {
+      const existing = items.find(byName(parsed.name));
+      if (!existing) {
+        add({ type: 'itemAdded', key: parsed.name, section: 'Bound Items', label: `Add ${parsed.name}`, item: parsed });
+      } else if (existing.rank !== parsed.rank || existing.type !== parsed.type) {
+        add({
+          type: 'itemChanged', key: parsed.name, section: 'Bound Items', label: parsed.name,
+          before: `${existing.rank} Rank ${existing.type}`, after: `${parsed.rank} Rank ${parsed.type}`,
+          name: existing.name, fields: { rank: parsed.rank, type: parsed.type },
+        });
+      }
+    });
+    items.filter(item => !screen.boundItems.some(byName(item.name))).forEach(item => {
+      add({ type: 'itemRemoved', key: item.name, section: 'Bound Items', label: `Remove ${item.name}`, name: item.name });
+    });
+  }
+
+  return changes;
+}
+
+// ============================================
+// APPLY
+// ============================================
+
+// Largest number of passes when solving snapshot stats (derivations feed into each other)
+const SOLVE_PASSES = 10;
+
+/**
+ * Write a level snapshot at the character's level so calculateAllStats
+ * gives exactly the wanted stats
+ */
+function solveStats(character, wanted) {
+  const calculation = calculateAllStats(character);
+  if (Object.keys(wanted).every(stat => wanted[stat] === calculation.stats[stat])) return character;
+
+  const level = Number(character.level) || 1;
+  const snapshot = buildLevelSnapshot(character, calculation);
+  snapshot.stats = { ...calculation.stats, ...wanted };
+  let solved = { ...character, levelSnapshots: { ...(character.levelSnapshots || {}), [level]: snapshot } };
+
+  for (let pass = 0; pass < SOLVE_PASSES; pass++) {
+    const result = calculateAllStats(solved).stats;
+    const off = Object.keys(wanted).filter(stat => result[stat] !== wanted[stat]);
+    if (off.length === 0) break;
+
+    const stats = { ...snapshot.stats };
+    off.forEach(stat => {
+      stats[stat] -= result[stat] - wanted[stat];
+    });
+    snapshot.stats = stats;
+    solved = { ...solved, levelSnapshots: { ...solved.levelSnapshots, [level]: { ...snapshot } } };
+  }
+
+  return solved;
+}
+
+/**
+ * Apply picked changes from diffStatusScreen() to a character
+ * Stats end up as picked, every other stat keeps the value it had before -
+ * a new level or class must not move stats the screen didn't change.
+ * @returns {object} - New character; the given one is not modified
+ */
+export function applyStatusChanges(character, changes) {
+  const next = clone(character || {});
+  const before = calculateAllStats(next).stats;
+  const ofType = (type) => changes.filter(change => change.type === type);
+  const listOf = (key) => {
+    if (!Array.isArray(next[key])) next[key] = [];
+    return next[key];
+  };
+
+  ofType('name').forEach(change => { next.name = change.value; });
+  ofType('level').forEach(change => { next.level = change.value; });
+
+  // A class that isn't in the history starts at the screen's level; the class held
+  // at that level ends there. Classes starting later are left alone - the new class
+  // ends where the first of them starts.
+  ofType('class').forEach(change => {
+    const history = listOf('classHistory');
+    if (history.some(byName(change.value))) return;
+    const level = Number(next.level) || 1;
+    const laterStarts = [];
+    history.forEach(cls => {
+      if ((Number(cls.startLevel) || 1) > level) {
+        laterStarts.push(Number(cls.startLevel));
+      } else if (cls.endLevel === null || cls.endLevel === undefined || cls.endLevel > level) {
+        cls.endLevel = level;
+      }
+    });
+    const endLevel = laterStarts.length > 0 ? Math.min(...laterStarts) : null;
+    history.push({ name: change.value, startLevel: level, endLevel, statsPerLevel: {} });
+    history.sort((a, b) => (a.startLevel || 0) - (b.startLevel || 0));
+  });
+  ofType('classAdvancement').forEach(change => { next.classAdvancement = change.value; });
+
+  ofType('resource').forEach(change => {
+    next.resources = { ...(next.resources || {}), [change.key]: { ...(next.resources?.[change.key] || {}), current: change.value } };
+    if (change.max !== null && change.value < change.max) next.trackCurrentResources = true;
+  });
+
+  const traitChanges = [...ofType('traitsMax'), ...ofType('traitAdded'), ...ofType('traitRemoved')];
+  if (traitChanges.length > 0) {
+    next.traits = { max: 0, ...(next.traits || {}), items: [...(next.traits?.items || [])] };
+    ofType('traitsMax').forEach(change => { next.traits.max = change.value; });
+    ofType('traitAdded').forEach(change => next.traits.items.push({ name: change.name, effects: [] }));
+    ofType('traitRemoved').forEach(change => {
+      next.traits.items = next.traits.items.filter(item => !byName(change.name)(item));
+    });
+    next.traits.current = next.traits.items.length;
+  }
+
+  ofType('titleAdded').forEach(change => listOf('titles').push({ name: change.name, isPrimary: false, bonuses: [] }));
+  ofType('titleRemoved').forEach(change => {
+    next.titles = listOf('titles').filter(title => !byName(change.name)(title));
+  });
+  ofType('primaryTitle').forEach(change => {
+    next.titles = listOf('titles').map(title => ({ ...title, isPrimary: !!change.name && byName(change.name)(title) }));
+  });
+
+  ofType('skillAdded').forEach(change => listOf(change.list).push({ ...change.skill }));
+  ofType('skillChanged').forEach(change => {
+    next[change.list] = listOf(change.list).map(skill => (byName(change.name)(skill) && !skill.isOld ? { ...skill, ...change.fields } : skill));
+  });
+  ofType('skillRemoved').forEach(change => {
+    next[change.list] = listOf(change.list).filter(skill => skill.isOld || !byName(change.name)(skill));
+  });
+
+  ofType('itemAdded').forEach(change => listOf('boundItems').push({ ...change.item, description: '' }));
+  ofType('itemChanged').forEach(change => {
+    next.boundItems = listOf('boundItems').map(item => (byName(change.name)(item) ? { ...item, ...change.fields } : item));
+  });
+  ofType('itemRemoved').forEach(change => {
+    next.boundItems = listOf('boundItems').filter(item => !byName(change.name)(item));
+  });
+
+  // Stats last, so the solved snapshot accounts for everything above
+  const wanted = { ...before };
+  ofType('stat').forEach(change => { wanted[change.key] = change.value; });
+  return solveStats(next, wanted);
+}
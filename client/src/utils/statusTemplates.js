@@ -0,0 +1,374 @@
+/**
+ * User-editable status screen templates
+ *
+ * ============================================================================
+ * TEMPLATE NOTE FOR DEVELOPERS:
+ * ============================================================================
+ * A template is plain text with {{tags}}, rendered over the status model from
+ * buildStatusModel() (utils/formatter.js), so section order, headings,
+ * bracket styles and spacing can change per book without code changes.
+ * Templates live in <dataDir>/templates/<id>.json ({ name, body }) and are
+ * edited with a live preview in the Output tab.
+ *
+ * Supported syntax:
+ * - {{name}}, {{traits.max}}, {{stats.willpower}}, {{resource.hp.max}}
+ * - {{#each activeSkills}} ... {{/each}} - inside, {{name}} is the item's
+ *   field ({{this}} the item itself, {{@number}} counts from 1, {{@index}}
+ *   from 0, {{@first}} / {{@last}}); names not on the item are looked up
+ *   outside the loop
+ * - {{#if advancement}} ... {{else}} ... {{/if}}, {{#unless ...}} -
+ *   empty lists, 0, '' and missing values are false
+ * - {{! comment }}
+ * A block tag alone on its line removes the whole line, so templates can be
+ * laid out one tag per line. "{{{this}}}" prints a value in braces.
+ *
+ * Templates are parsed by hand - never eval()'d - like config formulas
+ * (utils/formulaEvaluator.js).
+ * ============================================================================
+ */
+
+import { getOutputFormat } from './outputFormats.js';
+
+// Output format ids of templates: "template:<id>"
+export const TEMPLATE_FORMAT_PREFIX = 'template:';
+
+// "{{" not followed by another "{", so "{{{this}}}" is "{" + {{this}} + "}"
+const TAG_PATTERN = /\{\{(?!\{)\s*(.*?)\s*\}\}/g;
+const PATH_PATTERN = /^(this|@index|@number|@first|@last|[A-Za-z_]\w*)(\.\w+)*$/;
+const BLOCKS = ['if', 'unless', 'each'];
+
+/**
+ * The built-in template: the original Notion layout, line for line (the
+ * "markdown" format, minus the trailing spaces after some of its headings).
+ * New templates start from it.
+ */
+export const DEFAULT_STATUS_TEMPLATE = `***
+
+**Status**
+
+Name: {{name}} - Level {{level}}
+
+{{#if className}}
+Class: {{className}}{{#if classAdvancement}} + Advancement Offered{{/if}}
+
+{{/if}}
+{{#each resources}}
+{{name}}: {{current}}/{{max}}
+
+{{/each}}
+{{#if traits}}
+**Traits: ({{traits.current}}/{{traits.max}})**
+
+{{#each traits.items}}
+{{{this}}}
+
+{{/each}}
+{{/if}}
+{{#if titles}}
+**Titles:{{#if primaryTitle}} < {{primaryTitle}} >{{/if}}**
+
+{{#each titles}}
+{{name}}
+
+{{/each}}
+{{/if}}
+{{#each statGroups}}
+**{{label}}:**
+
+{{#each stats}}
+{{name}}: {{value}}
+
+{{/each}}
+{{/each}}
+{{#if bondSkills}}
+**Bond Skills:**
+
+{{#each bondSkills}}
+[{{name}}] ({{rank}} - Level {{level}}){{#if advancement}} + Advancement Offered{{/if}}
+
+{{#if primaryStatShared}}
+Primary Stat Shared - {{primaryStatShared}}
+
+{{/if}}
+{{/each}}
+{{/if}}
+{{#if activeSkills}}
+**Active Skills:**
+
+{{#each activeSkills}}
+[{{name}}] ({{rank}} - Level {{level}}){{#if advancement}} + Advancement Offered{{/if}}
+
+{{/each}}
+{{/if}}
+{{#if passiveSkills}}
+**Passive Skills:**
+
+{{#each passiveSkills}}
+[{{name}}] (Tier {{tier}})
+
+{{/each}}
+{{/if}}
+{{#if boundItems}}
+**Bound Items:**
+
+{{#each boundItems}}
+{{rank}} Rank {{type}} - {{name}}
+
+{{/each}}
+{{/if}}
+***`;
+
+/**
+ * Names a template can use, for the editor's reference list
+ */
+export const TEMPLATE_VARIABLES = [
+  { name: 'name, level', description: 'Character name and level' },
+  { name: 'className, classAdvancement', description: 'Current class; true if advancement is offered' },
+  { name: 'resources', description: 'List of { key, name, current, max } (HP, MP, custom pools)' },
+  { name: 'resource.<key>', description: 'One resource, e.g. {{resource.hp.max}}' },
+  { name: 'stats.<key>', description: 'Final stat value, e.g. {{stats.willpower}}' },
+  { name: 'statGroups', description: 'List of { id, label, stats: [{ key, name, value }] }' },
+  { name: 'traits', description: '{ current, max, items: [name] } (missing if traits are off)' },
+  { name: 'titles, primaryTitle', description: 'List of { name, isPrimary }; the primary title\'s name' },
+  { name: 'bondSkills, activeSkills', description: 'List of { name, rank, level, advancement } (bond: + primaryStatShared)' },
+  { name: 'passiveSkills', description: 'List of { name, tier }' },
+  { name: 'boundItems', description: 'List of { name, rank, type }' },
+];
+
+const lineAt = (source, offset) => source.slice(0, offset).split('\n').length;
+
+/**
+ * Split a template into text and tag tokens, dropping the lines of
+ * standalone block tags
+ */
+function tokenize(source) {
+  const tokens = [];
+  let last = 0;
+  for (const match of source.matchAll(TAG_PATTERN)) {
+    if (match.index > last) tokens.push({ type: 'text', value: source.slice(last, match.index) });
+    tokens.push({ type: 'tag', value: match[1], line: lineAt(source, match.index) });
+    last = match.index + match[0].length;
+  }
+  if (last < source.length) tokens.push({ type: 'text', value: source.slice(last) });
+
+  // Decide on the untouched text first: neighbouring standalone tags share it
+  const isBlockTag = (token) => token.type === 'tag' && /^(#|\/|!|else$)/.test(token.value);
+  const standalone = tokens.map((token, i) => {
+    if (!isBlockTag(token)) return false;
+    const prev = tokens[i - 1];
+    const next = tokens[i + 1];
+    const startsLine = !prev || (prev.type === 'text'
+      && (/\n[ \t]*$/.test(prev.value) || (i === 1 && /^[ \t]*$/.test(prev.value))));
+    const endsLine = !next || (next.type === 'text'
+      && (/^[ \t]*\r?\n/.test(next.value) || (i === tokens.length - 2 && /^[ \t]*$/.test(next.value))));
+    return startsLine && endsLine;
+  });
+  standalone.forEach((isStandalone, i) => {
+    if (!isStandalone) return;
+    if (tokens[i - 1]) tokens[i - 1].value = tokens[i - 1].value.replace(/[ \t]*$/, '');
+    if (tokens[i + 1]) tokens[i + 1].value = tokens[i + 1].value.replace(/^[ \t]*\r?\n?/, '');
+  });
+
+  return tokens;
+}
+
+// Parsed templates are cached - the preview re-renders on every edit. The
+// editor parses a new text per keystroke, so the cache is kept small.
+const PARSE_CACHE_LIMIT = 50;
+const parseCache = new Map();
+
+/**
+ * Parse a template, throwing an Error with a readable message if invalid
+ * @param {string} source - Template text
+ * @returns {Array} - Node tree
+ */
+export function parseTemplate(source) {
+  const text = String(source ?? '');
+  if (parseCache.has(text)) return parseCache.get(text);
+
+  const root = { children: [] };
+  const stack = [root];
+  const current = () => stack[stack.length - 1];
+  const target = () => (current().inverse || current().children);
+
+  tokenize(text).forEach(token => {
+    if (token.type === 'text') {
+      if (token.value) target().push({ type: 'text', value: token.value });
+      return;
+    }
+
+    const tag = token.value;
+    if (tag.startsWith('!')) return;
+
+    if (tag.startsWith('#')) {
+      const [block, path, ...rest] = tag.slice(1).trim().split(/\s+/);
+      if (!BLOCKS.includes(block)) {
+        throw new Error(`Unknown block "{{#${block}}}" on line ${token.line} (use #if, #unless or #each)`);
+      }
+      if (!path || rest.length > 0 || !PATH_PATTERN.test(path)) {
+        throw new Error(`"{{#${block}}}" on line ${token.line} needs one name, e.g. {{#${block} activeSkills}}`);
+      }
+      const node = { type: block, path, children: [], inverse: null, line: token.line };
+      target().push(node);
+      stack.push(node);
+      return;
+    }
+
+    if (tag === 'else') {
+      const block = current();
+      if (block === root || block.inverse) throw new Error(`Unexpected {{else}} on line ${token.line}`);
+      block.inverse = [];
+      return;
+    }
+
+    if (tag.startsWith('/')) {
+      const block = current();
+      const closing = tag.slice(1).trim();
+      if (block === root) throw new Error(`Unexpected {{/${closing}}} on line ${token.line}`);
+      if (closing !== block.type) {
+        throw new Error(`Expected {{/${block.type}}} on line ${token.line} (for {{#${block.type}}} on line ${block.line})`);
+      }
+      stack.pop();
+      return;
+    }
+
+    if (!PATH_PATTERN.test(tag)) throw new Error(`Unknown tag "{{${tag}}}" on line ${token.line}`);
+    target().push({ type: 'value', path: tag });
+  });
+
+  if (stack.length > 1) {
+    const block = current();
+    throw new Error(`{{#${block.type} ${block.path}}} on line ${block.line} is never closed`);
+  }
+
+  if (parseCache.size >= PARSE_CACHE_LIMIT) parseCache.clear();
+  parseCache.set(text, root.children);
+  return root.children;
+}
+
+/**
+ * Check a template without rendering it
+ * @returns {string|null} - Error message, or null if the template is valid
+ */
+export function validateTemplate(source) {
+  try {
+    parseTemplate(source);
+    return null;
+  } catch (err) {
+    return err.message;
+  }
+}
+
+const isObject = (value) => value !== null && typeof value === 'object';
+// Own properties only - {{constructor}} or {{toString}} must not reach Object.prototype
+const hasOwn = (value, key) => isObject(value) && Object.prototype.hasOwnProperty.call(value, key);
+const isTruthy = (value) => (Array.isArray(value) ? value.length > 0 : !!value);
+
+/**
+ * Resolve a dotted name against the loop scopes, innermost first
+ * @param {Array} scopes - [{ value, index, count }] (outermost first)
+ */
+function lookup(path, scopes) {
+  const [head, ...rest] = path.split('.');
+  const inner = scopes[scopes.length - 1];
+
+  if (head.startsWith('@')) {
+    const loop = [...scopes].reverse().find(scope => scope.index !== undefined);
+    if (!loop) return undefined;
+    return {
+      '@index': loop.index,
+      '@number': loop.index + 1,
+      '@first': loop.index === 0,
+      '@last': loop.index === loop.count - 1,
+    }[head];
+  }
+
+  let value;
+  if (head === 'this') {
+    value = inner.value;
+  } else {
+    const scope = [...scopes].reverse().find(s => hasOwn(s.value, head));
+    value = scope?.value[head];
+  }
+  return rest.reduce((acc, key) => (hasOwn(acc, key) ? acc[key] : undefined), value);
+}
+
+function printValue(value) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.filter(item => !isObject(item)).join(', ');
+  if (isObject(value)) return '';
+  return String(value);
+}
+
+function renderNodes(nodes, scopes) {
+  return nodes.map(node => {
+    switch (node.type) {
+      case 'text':
+        return node.value;
+      case 'value':
+        return printValue(lookup(node.path, scopes));
+      case 'if':
+      case 'unless': {
+        const pass = isTruthy(lookup(node.path, scopes)) === (node.type === 'if');
+        if (pass) return renderNodes(node.children, scopes);
+        return node.inverse ? renderNodes(node.inverse, scopes) : '';
+      }
+      case 'each': {
+        const value = lookup(node.path, scopes);
+        const items = Array.isArray(value) ? value : (isObject(value) ? Object.values(value) : []);
+        if (items.length === 0) return node.inverse ? renderNodes(node.inverse, scopes) : '';
+        return items
+          .map((item, index) => renderNodes(node.children, [...scopes, { value: item, index, count: items.length }]))
+          .join('');
+      }
+      default:
+        return '';
+    }
+  }).join('');
+}
+
+/**
+ * Render a template
+ * @param {string} source - Template text
+ * @param {Object} context - Values it can use (see buildTemplateContext)
+ * @returns {string}
+ */
+export function renderTemplate(source, context = {}) {
+  return renderNodes(parseTemplate(source), [{ value: context }]);
+}
+
+/**
+ * Add the lookups templates use to a status model: stats and resources by
+ * key, and each skill list under its own name (empty if there are none)
+ * @param {Object} model - From buildStatusModel()
+ */
+export function buildTemplateContext(model) {
+  const skills = Object.fromEntries(model.skillSections.map(section => [section.key, section.items]));
+  return {
+    ...model,
+    stats: Object.fromEntries(model.statGroups.flatMap(group => group.stats).map(stat => [stat.key, stat.value])),
+    resource: Object.fromEntries(model.resources.map(resource => [resource.key, resource])),
+    bondSkills: skills.bondSkills || [],
+    activeSkills: skills.activeSkills || [],
+    passiveSkills: skills.passiveSkills || [],
+  };
+}
+
+/**
+ * Turn a saved template into an output format (see utils/outputFormats.js)
+ * Only the full status screen is templated; "Changes since…" blocks keep
+ * the Markdown layout.
+ * @param {Object} template - { id, name, body }
+ */
+export function createTemplateFormat(template) {
+  const markdown = getOutputFormat('markdown');
+  return {
+    id: `${TEMPLATE_FORMAT_PREFIX}${template.id}`,
+    label: template.name,
+    description: 'Status screen template',
+    contentType: 'text/plain',
+    separator: markdown.separator,
+    renderStatus: (model) => renderTemplate(template.body, buildTemplateContext(model)),
+    renderChanges: markdown.renderChanges,
+  };
+}
@@ -0,0 +1,313 @@
+/**
+ * System prompt library
+ *
+ * ============================================================================
+ * TEMPLATE NOTE FOR DEVELOPERS:
+ * ============================================================================
+ * The story's "system" messages (skill offered, skill levelled up, title
+ * earned, level up, ...) that the tabs copy for pasting into Notion. Every
+ * prompt type has a built-in text below; edits and extra prompts are stored
+ * per character by the server (<dataDir>/prompts.json, /api/prompts) and
+ * shown in components/SystemPromptDialog.js, the one dialog every tab uses.
+ *
+ * Prompt bodies use the status screen template language
+ * (utils/statusTemplates.js): {{skillName}}, {{#each statGains}}...{{/each}},
+ * {{#if ...}}. buildPromptContext() provides the values; PROMPT_VARIABLES
+ * lists them for the editor.
+ *
+ * To add a prompt type: add it to PROMPT_TYPES and BUILT_IN_PROMPT_BODIES,
+ * give buildPromptContext() whatever it needs, and open the dialog with that
+ * type from a tab.
+ * ============================================================================
+ */
+
+import { getCurrentClass, getAllStats, getStatDisplayName } from './statCalculator.js';
+import { renderTemplate } from './statusTemplates.js';
+
+/**
+ * Prompt types: label (dialog title and library group) and the subject the
+ * prompt is about (which values buildPromptContext() fills in)
+ */
+export const PROMPT_TYPES = {
+  offered: { label: 'Skill Offered', subject: 'skill' },
+  levelup: { label: 'Skill Level Up', subject: 'skill' },
+  advancement: { label: 'Skill Advancement', subject: 'skill' },
+  passive_offered: { label: 'Passive Skill Offered', subject: 'skill' },
+  passive_levelup: { label: 'Passive Tier Advance', subject: 'skill' },
+  passive_advancement: { label: 'Passive Skill Advancement', subject: 'skill' },
+  title_earned: { label: 'Title Earned', subject: 'title' },
+  trait_gained: { label: 'Trait Gained', subject: 'trait' },
+  class_offered: { label: 'Class Offered', subject: 'class' },
+  level_up: { label: 'Level Up', subject: 'level' },
+  item_bound: { label: 'Item Bound', subject: 'item' },
+};
+
+// Built-in texts, one per prompt type (the blank lines are Notion spacing)
+const BUILT_IN_PROMPT_BODIES = {
+  offered: `***
+
+
+
+**New Skill Learned:** {{skillName}} (Novice - Level 1)
+
+**Do you accept? Yes/ No?**
+
+***`,
+  levelup: `***
+
+
+
+**Congratulations, {{skillName}} has leveled up!**
+
+***`,
+  advancement: `***
+
+
+
+**Congratulations, {{skillName}} has leveled up!**
+
+You have reached the Tier threshold of an active skill. Would you like to advance or evolve this skill? 
+
+
+
+Advance: This skill stays the same and advances to an improved version in the same tree.
+
+
+
+Evolve: This skill changes based on the different ways you may have used it or pushed the bounds of its purpose. You will lose levels in this skill if you choose this option. 
+
+
+
+Advance / Evolve?
+
+
+
+***
+
+
+
+---
+
+
+
+***
+
+
+
+Analyzing skill usage…
+
+**New Skill Learned:** [insert skill name] ([insert rank])
+
+
+
+ **[insert skill name] -** [skill description]
+
+
+
+***`,
+  passive_offered: `***
+
+
+
+**New Skill Learned:** {{skillName}} (Tier I)
+
+**Do you accept? Yes/ No?**
+
+***`,
+  passive_levelup: `***
+
+
+
+**Congratulations, {{skillName}} (Tier {{tier}}) has advanced to (Tier {{nextTier}})!**
+
+***`,
+  passive_advancement: `***
+
+
+
+**Congratulations, {{skillName}} (Tier {{tier}}) has leveled up!**
+
+You have reached the Tier threshold of an active skill. Would you like to advance or evolve this skill? 
+
+Advance: This skill stays the same and advances to an improved version in the same tree.
+
+Evolve: This skill changes based on the different ways you may have used it or pushed the bounds of its purpose. You will lose levels in this skill if you choose this option. 
+
+Advance / Evolve?
+
+***
+
+---
+
+***
+
+Analyzing skill usage…
+
+**New Skill Learned:** [insert skill name] ([insert tier])
+
+ **[name](Tier #) -** skill description
+
+***`,
+  title_earned: `***
+
+
+
+**Title Earned:** {{titleName}}
+
+{{#each bonuses}}
+{{text}}
+
+{{/each}}
+***`,
+  trait_gained: `***
+
+
+
+**New Trait Acquired:** {{{traitName}}}
+
+***`,
+  class_offered: `***
+
+
+
+**Congratulations, {{characterName}}! A new class is available:** {{newClassName}}
+
+{{#if classGains}}
+Per level: {{#each classGains}}+{{value}} {{name}}{{#unless @last}}, {{/unless}}{{/each}}
+
+{{/if}}
+**Do you accept? Yes/ No?**
+
+***`,
+  level_up: `***
+
+
+
+**Congratulations, you have reached Level {{level}}!**
+
+{{#each statGains}}
++{{value}} {{name}}
+
+{{/each}}
+***`,
+  item_bound: `***
+
+
+
+**Item Bound:** {{itemRank}} Rank {{itemType}} - {{itemName}}
+
+***`
+};
+
+/**
+ * The built-in prompts; their id is the prompt type
+ * @returns {Array} - [{ id, type, name, body }]
+ */
+export function getBuiltInPrompts() {
+  return Object.entries(BUILT_IN_PROMPT_BODIES).map(([type, body]) => ({
+    id: type,
+    type,
+    name: PROMPT_TYPES[type].label,
+    body,
+  }));
+}
+
+/**
+ * Values a prompt can use, by subject ("common" ones are always there)
+ */
+export const PROMPT_VARIABLES = {
+  common: [
+    { name: 'characterName', description: 'Name of the character the prompt is for' },
+    { name: 'level, className', description: 'Their level and current class' },
+    { name: 'statGains', description: 'List of { name, value }: stats gained per level in the current class' },
+  ],
+  skill: [
+    { name: 'skillName', description: 'Skill name' },
+    { name: 'rank, skillLevel', description: 'Proficiency and level (active and bond skills)' },
+    { name: 'tier, nextTier', description: 'Tier and the tier after it (passive skills)' },
+  ],
+  title: [
+    { name: 'titleName', description: 'Title name' },
+    { name: 'bonuses', description: 'List of { name, text } - text is e.g. "+10 Strength" or "+50% Willpower"' },
+  ],
+  trait: [
+    { name: 'traitName', description: 'Trait name ({{{traitName}}} prints it in braces)' },
+  ],
+  class: [
+    { name: 'newClassName', description: 'The class being offered' },
+    { name: 'classGains', description: 'List of { name, value }: its stats per level' },
+  ],
+  level: [],
+  item: [
+    { name: 'itemName, itemRank, itemType', description: 'The bound item' },
+  ],
+};
+
+// Tier after the given one (I -> II); the last tier stays as it is
+export const getNextTier = (currentTier) => {
+  const tiers = ['I', 'II', 'III', 'IV', 'V', 'VI', 'VII', 'VIII', 'IX', 'X'];
+  const currentIndex = tiers.indexOf(currentTier);
+  if (currentIndex === -1 || currentIndex >= tiers.length - 1) return currentTier;
+  return tiers[currentIndex + 1];
+};
+
+// [{ key, name, value }] for the positive entries of a { stat: amount } map, in config order
+const listGains = (statsPerLevel = {}) => getAllStats()
+  .filter(key => (statsPerLevel[key] || 0) > 0)
+  .map(key => ({ key, name: getStatDisplayName(key), value: statsPerLevel[key] }));
+
+// "+10 Strength" / "+50% Willpower" (a multiplier of 0.5 is +50%)
+function describeTitleBonus(bonus) {
+  const name = getStatDisplayName(bonus.stat);
+  const parts = [];
+  const additive = bonus.additive || bonus.value || 0;
+  if (additive) parts.push(`${additive > 0 ? '+' : ''}${additive} ${name}`);
+  if (bonus.multiplier) parts.push(`+${Math.round(bonus.multiplier * 100)}% ${name}`);
+  return parts.join(', ');
+}
+
+/**
+ * Values for rendering a prompt
+ * @param {Object} character - The character the prompt is for (main or a companion)
+ * @param {Object} subject - What it is about: { skill, title, trait, classEntry, item } (any of them)
+ * @returns {Object} - Context for renderPrompt()
+ */
+export function buildPromptContext(character, subject = {}) {
+  const currentClass = getCurrentClass(character?.classHistory, character?.level);
+  const { skill, title, trait, classEntry, item } = subject;
+
+  return {
+    characterName: character?.name || '',
+    level: character?.level ?? '',
+    className: currentClass?.name || character?.class || '',
+    statGains: listGains(currentClass?.statsPerLevel),
+    ...(skill && {
+      skillName: skill.name,
+      rank: skill.rank || '',
+      skillLevel: skill.level ?? '',
+      tier: skill.tier || 'I',
+      nextTier: getNextTier(skill.tier || 'I'),
+    }),
+    ...(title && {
+      titleName: title.name,
+      bonuses: (title.bonuses || [])
+        .map(bonus => ({ name: getStatDisplayName(bonus.stat), text: describeTitleBonus(bonus) }))
+        .filter(bonus => bonus.text),
+    }),
+    ...(trait && { traitName: trait.name }),
+    ...(classEntry && {
+      newClassName: classEntry.name,
+      classGains: listGains(classEntry.statsPerLevel),
+    }),
+    ...(item && { itemName: item.name, itemRank: item.rank || '', itemType: item.type || '' }),
+  };
+}
+
+/**
+ * Render a prompt's text
+ * @param {Object} prompt - { body }
+ * @param {Object} context - From buildPromptContext()
+ */
+export function renderPrompt(prompt, context) {
+  return renderTemplate(prompt?.body || '', context);
+}
@@ -10,8 +10,12 @@
  * 1. Edit /config/character.json to configure the character
  * 2. The server reads character names from config for defaults
  * 3. Data is stored with generic keys: "main" and "companion"
+ * 4. More characters can live on the same server as workspaces
+ *    (POST /api/characters) instead of copying the project folder
  * 
  * When adding NEW API ENDPOINTS, consider:
+ * - Add per-character routes to characterRouter (not app) so they work for
+ *   every workspace under /api/characters/:characterId as well as /api
  * - Use generic terminology (main/companion) not character-specific names
  * - Check config for feature flags before exposing feature-specific endpoints
  * - Document any new endpoints in this file
@@ -23,7 +27,10 @@ const cors = require('cors');
 const bodyParser = require('body-parser');
 const fs = require('fs-extra');
 const path = require('path');
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
+const { pathToFileURL } = require('url');
+const ExcelJS = require('exceljs');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -31,26 +38,318 @@ const DATA_DIR = path.join(__dirname, 'data');
 const CONFIG_DIR = path.join(__dirname, 'config');
 
 // Middleware
-app.use(cors());
+app.use(cors({ exposedHeaders: ['ETag'] }));
 app.use(bodyParser.json());
 
 // Ensure directories exist
 fs.ensureDirSync(DATA_DIR);
 fs.ensureDirSync(CONFIG_DIR);
 
-// File paths
-const currentFilePath = path.join(DATA_DIR, 'current.json');
-const snapshotsFilePath = path.join(DATA_DIR, 'snapshots.json');
-const configFilePath = path.join(CONFIG_DIR, 'character.json');
+/**
+ * Character workspaces
+ * One server can host many characters (or parties). Each workspace has its own
+ * config, current state, snapshots and ledger:
+ * - "default":  config/character.json and data/*.json (the original layout)
+ * - any other:  config/characters/<id>.json and data/characters/<id>/*.json
+ *
+ * TEMPLATE NOTE: Never read or write data files directly - use the paths on
+ * req.workspace so every route works for every character.
+ */
+const DEFAULT_WORKSPACE_ID = 'default';
+const CHARACTERS_DATA_DIR = path.join(DATA_DIR, 'characters');
+const CHARACTERS_CONFIG_DIR = path.join(CONFIG_DIR, 'characters');
+const WORKSPACE_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+
+const getWorkspace = (id = DEFAULT_WORKSPACE_ID) => {
+  const isDefault = id === DEFAULT_WORKSPACE_ID;
+  const dataDir = isDefault ? DATA_DIR : path.join(CHARACTERS_DATA_DIR, id);
+
+  return {
+    id,
+    isDefault,
+    dataDir,
+    configFilePath: isDefault
+      ? path.join(CONFIG_DIR, 'character.json')
+      : path.join(CHARACTERS_CONFIG_DIR, `${id}.json`),
+    currentFilePath: path.join(dataDir, 'current.json'),
+    snapshotsFilePath: path.join(dataDir, 'snapshots.json'),
+    ledgerFilePath: path.join(dataDir, 'ledger.json'),
+    promptsFilePath: path.join(dataDir, 'prompts.json'),
+    backupsDir: path.join(dataDir, 'backups'),
+    templatesDir: path.join(dataDir, 'templates'),
+  };
+};
+
+const defaultWorkspace = getWorkspace();
+
+// ============================================================================
+// Safe Data File Writes
+// ============================================================================
+// TEMPLATE NOTE: Never call fs.writeJson on a data file. Wrap read-modify-write
+// code in withFileLock() and write with writeDataFile(), so a crash can't leave
+// a half-written file and overlapping requests can't overwrite each other.
+
+// Rolling backups in <dataDir>/backups: how many to keep per file, and the
+// minimum time between automatic backups of the same file (autosave runs every
+// few seconds while editing). Backups before a restore or snapshot load are always taken.
+const BACKUP_LIMIT = Number(process.env.BACKUP_LIMIT) || 20;
+const BACKUP_INTERVAL_MS = (Number(process.env.BACKUP_INTERVAL_MINUTES) || 10) * 60 * 1000;
+const BACKUP_FILES = ['current', 'snapshots', 'ledger'];
+const BACKUP_ID_PATTERN = /^(current|snapshots|ledger)-(\d{8}T\d{9}Z)(?:-([a-z-]+))?$/;
+
+// Tail of each file's queue: the next task for a file starts when the previous one settles
+const fileQueues = new Map();
+
+/**
+ * Run a task while holding the lock for a file (a per-file FIFO queue)
+ * Locks for several files must always be taken in the same order:
+ * current.json, then snapshots.json, then ledger.json.
+ * @returns {Promise} - The task's result
+ */
+const withFileLock = (filePath, task) => {
+  const previous = fileQueues.get(filePath) || Promise.resolve();
+  const run = previous.then(task, task);
+  const tail = run.catch(() => {});
+  fileQueues.set(filePath, tail);
+  tail.then(() => {
+    if (fileQueues.get(filePath) === tail) fileQueues.delete(filePath);
+  });
+  return run;
+};
+
+/**
+ * Write JSON to a temp file, flush it to disk and rename it over the target
+ * The rename is atomic, so readers see either the old or the new file.
+ */
+const writeJsonAtomic = async (filePath, data) => {
+  const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+  try {
+    const handle = await fs.promises.open(tempPath, 'w');
+    try {
+      await handle.writeFile(`${JSON.stringify(data, null, 2)}\n`);
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await fs.rename(tempPath, filePath);
+  } catch (err) {
+    await fs.remove(tempPath).catch(() => {});
+    throw err;
+  }
+};
+
+/**
+ * Parse a backup id ("current-20261019T120000000Z-before-restore")
+ * @returns {object|null} - { id, file, createdAt, reason }
+ */
+const parseBackupId = (id) => {
+  const match = BACKUP_ID_PATTERN.exec(id);
+  if (!match) return null;
+
+  const [, file, stamp, reason] = match;
+  const createdAt = `${stamp.slice(0, 4)}-${stamp.slice(4, 6)}-${stamp.slice(6, 8)}T` +
+    `${stamp.slice(9, 11)}:${stamp.slice(11, 13)}:${stamp.slice(13, 15)}.${stamp.slice(15, 18)}Z`;
+  return { id, file, createdAt, reason: reason || 'auto' };
+};
+
+/**
+ * All backups in a workspace, newest first
+ * @returns {Array} - [{ id, file, createdAt, reason }]
+ */
+const listBackups = async (workspace) => {
+  if (!await fs.pathExists(workspace.backupsDir)) return [];
+
+  return (await fs.readdir(workspace.backupsDir))
+    .filter(name => name.endsWith('.json'))
+    .map(name => parseBackupId(name.slice(0, -'.json'.length)))
+    .filter(Boolean)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+};
+
+/**
+ * Copy a data file into the backups folder before it is overwritten
+ * Automatic backups are skipped if the file was backed up less than
+ * BACKUP_INTERVAL_MS ago; a reason ("before-restore", ...) forces one.
+ * Only the newest BACKUP_LIMIT backups of each file are kept.
+ */
+const backupDataFile = async (workspace, filePath, reason = null) => {
+  const file = path.basename(filePath, '.json');
+  if (!BACKUP_FILES.includes(file) || !await fs.pathExists(filePath)) return null;
+
+  const backups = (await listBackups(workspace)).filter(backup => backup.file === file);
+  if (!reason && backups.length > 0 && Date.now() - Date.parse(backups[0].createdAt) < BACKUP_INTERVAL_MS) {
+    return null;
+  }
+
+  const stamp = new Date().toISOString().replace(/[-:.]/g, '');
+  const id = reason ? `${file}-${stamp}-${reason}` : `${file}-${stamp}`;
+  await fs.ensureDir(workspace.backupsDir);
+  await fs.copy(filePath, path.join(workspace.backupsDir, `${id}.json`));
+
+  const expired = backups.slice(Math.max(0, BACKUP_LIMIT - 1));
+  await Promise.all(expired.map(backup => fs.remove(path.join(workspace.backupsDir, `${backup.id}.json`))));
+  return id;
+};
+
+/**
+ * Revision of a current.json state, sent as its ETag
+ * A hash of the content, so any write (from any window or script) changes it.
+ */
+const getRevision = (data) =>
+  crypto.createHash('sha1').update(JSON.stringify(data)).digest('hex').slice(0, 16);
+
+/**
+ * Revision from an If-Match header ('"abc"', 'W/"abc"' or '*'); null if absent
+ */
+const parseIfMatch = (header) => {
+  if (!header) return null;
+  return header.trim().replace(/^W\//, '').replace(/^"|"$/g, '');
+};
+
+/**
+ * Back up (if due) and atomically replace a data file
+ * Call inside withFileLock(filePath, ...).
+ * @param {object} options - { backupReason } to force a backup with that label
+ */
+const writeDataFile = async (workspace, filePath, data, options = {}) => {
+  await backupDataFile(workspace, filePath, options.backupReason || null);
+  await writeJsonAtomic(filePath, data);
+  notifyChange(workspace, DATA_FILE_EVENTS[path.basename(filePath)]);
+};
+
+// ============================================================================
+// Live Change Events
+// ============================================================================
+// GET /api/events streams a Server-Sent Event whenever a workspace's
+// current.json, snapshots.json, ledger.json, prompts.json, config file or
+// status screen templates change - whether
+// the server wrote it or someone edited the file by hand. Files are only
+// watched while at least one window is listening.
+
+// Bursts of file system events (an atomic rename, an editor saving twice)
+// become one broadcast per file
+const EVENT_DEBOUNCE_MS = 150;
+// Comment line sent now and then so proxies don't close an idle stream
+const EVENT_HEARTBEAT_MS = 25000;
+const DATA_FILE_EVENTS = {
+  'current.json': 'current',
+  'snapshots.json': 'snapshots',
+  'ledger.json': 'ledger',
+  'prompts.json': 'prompts',
+};
+
+// Workspace id -> { clients: Set<res>, watchers: [FSWatcher], timers: Map<type, timeout> }
+const eventChannels = new Map();
+
+const sendEvent = (res, type, payload) => {
+  res.write(`event: ${type}\ndata: ${JSON.stringify(payload)}\n\n`);
+};
+
+/**
+ * Send one change event to every window listening to a workspace
+ * "current" events carry the new revision, so a window can tell its own
+ * saves apart. A file that doesn't parse (a hand edit saved halfway) is
+ * skipped until the next change.
+ */
+const broadcastChange = async (workspace, type) => {
+  const channel = eventChannels.get(workspace.id);
+  if (!channel) return;
+
+  const payload = { type, changedAt: new Date().toISOString() };
+  try {
+    if (type === 'current') {
+      payload.revision = getRevision(await fs.readJson(workspace.currentFilePath));
+    } else if (type === 'config') {
+      await fs.readJson(workspace.configFilePath);
+    }
+  } catch (err) {
+    console.warn(`Not broadcasting ${type} change for ${workspace.id}: ${err.message}`);
+    return;
+  }
+
+  channel.clients.forEach(res => sendEvent(res, type, payload));
+};
+
+/**
+ * Schedule a change event ("current", "snapshots", "ledger", "prompts", "config" or "templates")
+ * Safe to call for any workspace; does nothing if no window is listening.
+ */
+const notifyChange = (workspace, type) => {
+  const channel = eventChannels.get(workspace.id);
+  if (!channel || !type) return;
+
+  clearTimeout(channel.timers.get(type));
+  channel.timers.set(type, setTimeout(() => {
+    channel.timers.delete(type);
+    broadcastChange(workspace, type);
+  }, EVENT_DEBOUNCE_MS));
+};
+
+/**
+ * Watch a workspace's data folder and config file for changes
+ * Folders are watched (not the files) because atomic writes replace the file.
+ * @returns {Array} - FSWatchers to close when the last window disconnects
+ */
+const watchWorkspace = (workspace) => {
+  const watchers = [];
+  const watchDir = (dir, onFile) => {
+    try {
+      const watcher = fs.watch(dir, (eventType, filename) => {
+        if (filename) onFile(filename.toString());
+      });
+      watcher.on('error', err => console.warn(`Stopped watching ${dir}: ${err.message}`));
+      watchers.push(watcher);
+    } catch (err) {
+      console.warn(`Could not watch ${dir} for changes: ${err.message}`);
+    }
+  };
+
+  watchDir(workspace.dataDir, filename => notifyChange(workspace, DATA_FILE_EVENTS[filename]));
+  // Created with the first template; until then the server's own writes notify
+  if (fs.existsSync(workspace.templatesDir)) {
+    watchDir(workspace.templatesDir, filename => {
+      if (filename.endsWith('.json')) notifyChange(workspace, 'templates');
+    });
+  }
+
+  const configName = path.basename(workspace.configFilePath);
+  watchDir(path.dirname(workspace.configFilePath), filename => {
+    if (filename === configName) notifyChange(workspace, 'config');
+  });
+
+  return watchers;
+};
+
+const openEventChannel = (workspace) => {
+  let channel = eventChannels.get(workspace.id);
+  if (!channel) {
+    channel = { clients: new Set(), watchers: [], timers: new Map() };
+    eventChannels.set(workspace.id, channel);
+    channel.watchers = watchWorkspace(workspace);
+  }
+  return channel;
+};
+
+const closeEventClient = (workspace, res) => {
+  const channel = eventChannels.get(workspace.id);
+  if (!channel) return;
+
+  channel.clients.delete(res);
+  if (channel.clients.size > 0) return;
+
+  channel.watchers.forEach(watcher => watcher.close());
+  channel.timers.forEach(timer => clearTimeout(timer));
+  eventChannels.delete(workspace.id);
+};
 
 /**
  * Load character configuration
  * Used for getting default names and feature flags
  */
-const loadConfig = () => {
+const loadConfig = (workspace = defaultWorkspace) => {
   try {
-    if (fs.existsSync(configFilePath)) {
-      return fs.readJsonSync(configFilePath);
+    if (fs.existsSync(workspace.configFilePath)) {
+      return fs.readJsonSync(workspace.configFilePath);
     }
   } catch (err) {
     console.warn('Could not load config file, using defaults');
@@ -63,6 +362,294 @@ const loadConfig = () => {
   };
 };
 
+/**
+ * Stats used when config doesn't define config.stats
+ */
+const DEFAULT_STAT_KEYS = [
+  'strength', 'agility', 'constitution', 'vitality',
+  'intellect', 'willpower', 'mana', 'wisdom'
+];
+
+/**
+ * Get the ordered list of stat keys from config.stats.groups
+ * TEMPLATE NOTE: Stats are configurable - never hardcode the stat list
+ */
+const getStatKeys = (config) => {
+  const groups = config?.stats?.groups;
+  if (!Array.isArray(groups) || groups.length === 0) return DEFAULT_STAT_KEYS;
+  
+  return groups.flatMap(group =>
+    (group.stats || []).map(stat => (typeof stat === 'string' ? stat : stat.key))
+  );
+};
+
+/**
+ * Enabled companions from config, each with the id used as its key in current.json
+ * TEMPLATE NOTE: Mirrors getCompanions() in client/src/config/characterConfig.js -
+ * config.companions is a list; the older single config.companion becomes the first entry.
+ */
+const getCompanionConfigs = (config) => {
+  const list = Array.isArray(config?.companions)
+    ? config.companions
+    : (config?.companion?.enabled === true ? [config.companion] : []);
+
+  return list
+    .map((companion, index) => companion && {
+      ...companion,
+      id: companion.id || (index === 0 ? 'companion' : `companion${index + 1}`),
+      name: companion.name || 'Companion'
+    })
+    .filter(companion => companion && companion.enabled !== false);
+};
+
+/**
+ * Stat calculation engine shared with the client
+ * The calculator lives in client/src/utils (ES modules, loadable by Node) so the
+ * app, the API and scripts always agree on final stats. Imported once, on first use.
+ * The progression ledger helpers, the data schema and the status screen
+ * formatter are loaded the same way.
+ *
+ * TEMPLATE NOTE: Don't copy stat math into this file - change
+ * client/src/utils/statCalculator.js and both sides pick it up.
+ */
+const STAT_ENGINE_DIR = path.join(__dirname, 'client', 'src');
+let statEnginePromise = null;
+
+const loadStatEngine = () => {
+  if (!statEnginePromise) {
+    const importModule = (relativePath) =>
+      import(pathToFileURL(path.join(STAT_ENGINE_DIR, relativePath)).href);
+
+    statEnginePromise = Promise.all([
+      importModule('config/characterConfig.js'),
+      importModule('utils/computeStats.js'),
+      importModule('utils/snapshotValidator.js'),
+      importModule('utils/progressionLedger.js'),
+      importModule('utils/dataSchema.js'),
+      importModule('utils/snapshotDiff.js'),
+      importModule('utils/spreadsheetImport.js'),
+      importModule('utils/formatter.js'),
+      importModule('utils/outputFormats.js'),
+      importModule('utils/statusTemplates.js'),
+      importModule('utils/systemPrompts.js'),
+    ])
+      .then(([
+        characterConfig, computeStats, snapshotValidator, progressionLedger, dataSchema,
+        snapshotDiff, spreadsheetImport, formatter, outputFormats, statusTemplates, systemPrompts,
+      ]) => ({
+        setConfig: characterConfig.setConfig,
+        computeCharacterStats: computeStats.computeCharacterStats,
+        validateCharacterData: snapshotValidator.validateCharacterData,
+        diffLedgerEvents: progressionLedger.diffLedgerEvents,
+        replayLedger: progressionLedger.replayLedger,
+        SCHEMA_VERSION: dataSchema.SCHEMA_VERSION,
+        migrateState: dataSchema.migrateState,
+        validateState: dataSchema.validateState,
+        formatSchemaErrors: dataSchema.formatSchemaErrors,
+        validateSchema: dataSchema.validateSchema,
+        SNAPSHOT_META_SCHEMA: dataSchema.SNAPSHOT_META_SCHEMA,
+        getCompanionEntries: characterConfig.getCompanionEntries,
+        diffStates: snapshotDiff.diffStates,
+        getSpreadsheetFields: spreadsheetImport.getSpreadsheetFields,
+        suggestSheetMapping: spreadsheetImport.suggestSheetMapping,
+        readSpreadsheetEntries: spreadsheetImport.readSpreadsheetEntries,
+        buildSpreadsheetImport: spreadsheetImport.buildSpreadsheetImport,
+        formatPartyStatusScreens: formatter.formatPartyStatusScreens,
+        getOutputFormat: outputFormats.getOutputFormat,
+        getOutputFormats: outputFormats.getOutputFormats,
+        hasOutputFormat: outputFormats.hasOutputFormat,
+        TEMPLATE_FORMAT_PREFIX: statusTemplates.TEMPLATE_FORMAT_PREFIX,
+        validateTemplate: statusTemplates.validateTemplate,
+        createTemplateFormat: statusTemplates.createTemplateFormat,
+        PROMPT_TYPES: systemPrompts.PROMPT_TYPES,
+        getBuiltInPrompts: systemPrompts.getBuiltInPrompts,
+      }))
+      .catch((err) => {
+        statEnginePromise = null;
+        throw err;
+      });
+  }
+  return statEnginePromise;
+};
+
+/**
+ * Point the engine at a workspace's config (stats, groups, resources)
+ * The engine holds ONE config for every workspace, so call this right before
+ * the engine calls that read it, with no await in between - another
+ * request may switch it while this one waits.
+ */
+const applyWorkspaceConfig = (engine, workspace) => {
+  engine.setConfig(loadConfig(workspace));
+  return engine;
+};
+
+/**
+ * Compute final stats, breakdowns, bond-synced values and derived resources
+ * for a data object ({ main, companion } or legacy keys)
+ */
+const computeData = async (workspace, data) => {
+  const engine = await loadStatEngine();
+  return applyWorkspaceConfig(engine, workspace).computeCharacterStats(data);
+};
+
+/**
+ * Check level snapshots and class history for inconsistencies
+ * (see client/src/utils/snapshotValidator.js)
+ */
+const validateData = async (workspace, data) => {
+  const engine = await loadStatEngine();
+  return applyWorkspaceConfig(engine, workspace).validateCharacterData(data);
+};
+
+/**
+ * Upgrade incoming data (an update, snapshot or import) to the current
+ * format and check it against the schema (client/src/utils/dataSchema.js)
+ * @returns {object} - { data } or { error, errors } to send back as a 400
+ */
+const checkIncomingState = async (data) => {
+  const engine = await loadStatEngine();
+  const { data: migrated } = engine.migrateState(data);
+  const errors = engine.validateState(migrated);
+  if (errors.length > 0) {
+    return { error: `Invalid character data: ${engine.formatSchemaErrors(errors)}`, errors };
+  }
+  return { data: migrated };
+};
+
+// Largest spreadsheet POST /api/import/spreadsheet/preview accepts
+const SPREADSHEET_UPLOAD_LIMIT = '20mb';
+
+/**
+ * Plain value of a spreadsheet cell: formulas give their last calculated
+ * result, rich text its text, dates an ISO date; errors and blanks are null
+ */
+const readCellValue = (value) => {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value !== 'object') return value;
+  if ('result' in value) return readCellValue(value.result);
+  if (value.richText) return value.richText.map(part => part.text).join('');
+  if ('text' in value) return readCellValue(value.text);
+  return null;
+};
+
+/**
+ * Read every visible sheet of an .xlsx file
+ * @param {Buffer} buffer - File contents
+ * @returns {Array} - [{ name, rows: [[value]] }] without trailing empty rows and columns
+ */
+const readWorkbook = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  return workbook.worksheets
+    .filter(worksheet => worksheet.state === 'visible')
+    .map(worksheet => {
+      const rows = [];
+      worksheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+        const values = [];
+        row.eachCell({ includeEmpty: false }, (cell, columnNumber) => {
+          values[columnNumber - 1] = readCellValue(cell.value);
+        });
+        const trimmed = Array.from(values, value => value ?? null);
+        while (trimmed.length > 0 && (trimmed[trimmed.length - 1] === null || trimmed[trimmed.length - 1] === '')) {
+          trimmed.pop();
+        }
+        if (trimmed.length > 0) rows[rowNumber - 1] = trimmed;
+      });
+      return { name: worksheet.name, rows: Array.from(rows, row => row || []) };
+    });
+};
+
+/**
+ * Read snapshot details (book, chapter, inWorldDate, notes, tags) from a
+ * request body. Only fields present in the body are returned, so PATCH can
+ * change one field; null clears a field.
+ * @returns {object} - { meta } or { error, errors } to send back as a 400
+ */
+const readSnapshotMeta = async (body) => {
+  const engine = await loadStatEngine();
+  const errors = engine.validateSchema(body, engine.SNAPSHOT_META_SCHEMA);
+  if (errors.length > 0) {
+    return { error: `Invalid snapshot details: ${engine.formatSchemaErrors(errors)}`, errors };
+  }
+
+  const meta = {};
+  ['book', 'chapter', 'inWorldDate', 'notes'].forEach(field => {
+    if (body[field] !== undefined) meta[field] = String(body[field] ?? '').trim();
+  });
+  if (body.tags !== undefined) {
+    meta.tags = [...new Set((body.tags || []).map(tag => tag.trim()).filter(Boolean))];
+  }
+  return { meta };
+};
+
+/**
+ * A snapshot without its data (list view, PATCH response)
+ * Snapshots saved before details existed get empty ones.
+ */
+const describeSnapshot = (snapshot) => ({
+  id: snapshot.id,
+  name: snapshot.name,
+  createdAt: snapshot.createdAt,
+  book: snapshot.book || '',
+  chapter: snapshot.chapter || '',
+  inWorldDate: snapshot.inWorldDate || '',
+  notes: snapshot.notes || '',
+  tags: snapshot.tags || [],
+  ledgerSeq: snapshot.ledgerSeq ?? null
+});
+
+/**
+ * Progression ledger (data/ledger.json)
+ * { baseline, position: { book, chapter }, events: [{ id, seq, type, character, book, chapter, createdAt, payload }] }
+ * Append-only: replaying events over the baseline gives current.json.
+ * See client/src/utils/progressionLedger.js for the event types.
+ *
+ * Events are appended only AFTER current.json was written, so a failed write
+ * (disk full, EPERM) never leaves events for a change that didn't happen.
+ */
+const getLastLedgerSeq = (ledger) =>
+  ledger.events.length > 0 ? ledger.events[ledger.events.length - 1].seq : 0;
+
+/**
+ * Append events ({ type, character, payload }) stamped with the current book/chapter
+ * @returns {Array} - The stored events
+ */
+const appendLedgerEvents = async (workspace, changes) => {
+  if (changes.length === 0) return [];
+
+  return withFileLock(workspace.ledgerFilePath, async () => {
+    const ledger = await fs.readJson(workspace.ledgerFilePath);
+    const { book = '', chapter = '' } = ledger.position || {};
+    const createdAt = new Date().toISOString();
+    let seq = getLastLedgerSeq(ledger);
+
+    const events = changes.map(change => ({
+      id: uuidv4(),
+      seq: ++seq,
+      type: change.type,
+      character: change.character ?? null,
+      book,
+      chapter,
+      createdAt,
+      payload: change.payload,
+    }));
+
+    ledger.events.push(...events);
+    await writeDataFile(workspace, workspace.ledgerFilePath, ledger);
+    return events;
+  });
+};
+
+/**
+ * Record the change from one full state to another as typed ledger events
+ */
+const recordStateChange = async (workspace, before, after) => {
+  const engine = await loadStatEngine();
+  return appendLedgerEvents(workspace, applyWorkspaceConfig(engine, workspace).diffLedgerEvents(before, after));
+};
+
 /**
  * Default character template
  * Used when initializing a new character
@@ -70,25 +657,18 @@ const loadConfig = () => {
  * TEMPLATE NOTE: This structure should match what the frontend expects.
  * Add new fields here when adding features.
  */
-const createDefaultCharacter = (name) => ({
+const createDefaultCharacter = (name, statKeys = DEFAULT_STAT_KEYS) => ({
   name: name,
   level: 1,
   class: '',
   classAdvancement: false,
   hp: { current: 100, max: 100 },
   mp: { current: 100, max: 100 },
+  trackCurrentResources: false,
+  resources: {},
   classHistory: [],
   levelSnapshots: {},
-  freePoints: {
-    strength: 0,
-    agility: 0,
-    constitution: 0,
-    vitality: 0,
-    intellect: 0,
-    willpower: 0,
-    mana: 0,
-    wisdom: 0
-  },
+  freePoints: Object.fromEntries(statKeys.map(stat => [stat, 0])),
   statDerivations: [],
   traits: { current: 0, max: 3, items: [] },
   titles: [],
@@ -103,41 +683,110 @@ const createDefaultCharacter = (name) => ({
  * Initialize data files if they don't exist
  * Uses config for character names
  */
-const initializeDataFiles = async () => {
-  const config = loadConfig();
+const initializeDataFiles = async (workspace = defaultWorkspace) => {
+  const { currentFilePath, snapshotsFilePath, ledgerFilePath } = workspace;
+  const config = loadConfig(workspace);
+  const engine = await loadStatEngine();
+  await fs.ensureDir(workspace.dataDir);
+  const statKeys = getStatKeys(config);
   
   if (!await fs.pathExists(currentFilePath)) {
     const initialData = {
-      // TEMPLATE NOTE: Data uses generic keys "main" and "companion"
-      // The actual names come from config and are stored in the character object
-      main: createDefaultCharacter(config.mainCharacter?.name || 'Character'),
+      schemaVersion: engine.SCHEMA_VERSION,
+      // TEMPLATE NOTE: Data uses generic keys "main" and one key per companion id
+      // ("companion" for the first). The actual names come from config and are
+      // stored in the character object
+      main: createDefaultCharacter(config.mainCharacter?.name || 'Character', statKeys),
     };
     
-    // Only add companion if enabled in config
-    if (config.companion?.enabled) {
-      initialData.companion = createDefaultCharacter(config.companion?.name || 'Companion');
-    }
+    // One entry per enabled companion
+    getCompanionConfigs(config).forEach(companion => {
+      initialData[companion.id] = createDefaultCharacter(companion.name, statKeys);
+    });
     
-    await fs.writeJson(currentFilePath, initialData, { spaces: 2 });
+    await writeJsonAtomic(currentFilePath, initialData);
   }
   
   if (!await fs.pathExists(snapshotsFilePath)) {
-    await fs.writeJson(snapshotsFilePath, { snapshots: [] }, { spaces: 2 });
+    await writeJsonAtomic(snapshotsFilePath, { snapshots: [] });
   }
+
+  // The ledger starts from whatever current.json holds when it is created
+  if (!await fs.pathExists(ledgerFilePath)) {
+    const baseline = await fs.readJson(currentFilePath);
+    await writeJsonAtomic(ledgerFilePath, {
+      baseline,
+      position: { book: '', chapter: '' },
+      events: []
+    });
+  }
+
+  await migrateDataFiles(workspace);
+};
+
+/**
+ * Upgrade current.json and every snapshot written by an older version
+ * (see client/src/utils/dataSchema.js). The old files are backed up first,
+ * and the upgrade is recorded in the ledger so replaying it still gives current.json.
+ */
+const migrateDataFiles = async (workspace) => {
+  const engine = await loadStatEngine();
+
+  await withFileLock(workspace.currentFilePath, async () => {
+    const { data, fromVersion, applied } = engine.migrateState(await fs.readJson(workspace.currentFilePath));
+    if (applied.length === 0) return;
+
+    await writeDataFile(workspace, workspace.currentFilePath, data, { backupReason: 'before-migration' });
+    await appendLedgerEvents(workspace, [{
+      type: 'state_replaced',
+      character: null,
+      payload: { data, source: `Upgraded from data format v${fromVersion} to v${engine.SCHEMA_VERSION}` }
+    }]);
+    console.log(`Upgraded ${workspace.currentFilePath}: ${applied.join('; ')}`);
+  });
+
+  await withFileLock(workspace.snapshotsFilePath, async () => {
+    const { snapshotsData, upgraded } = migrateSnapshotsData(engine, await fs.readJson(workspace.snapshotsFilePath));
+    if (upgraded === 0) return;
+
+    await writeDataFile(workspace, workspace.snapshotsFilePath, snapshotsData, {
+      backupReason: 'before-migration'
+    });
+    console.log(`Upgraded ${upgraded} snapshot(s) in ${workspace.snapshotsFilePath}`);
+  });
+};
+
+/**
+ * Upgrade every snapshot in a snapshots.json object
+ * @returns {object} - { snapshotsData, upgraded } (how many snapshots changed)
+ */
+const migrateSnapshotsData = (engine, snapshotsData) => {
+  let upgraded = 0;
+  const snapshots = (snapshotsData.snapshots || []).map(snapshot => {
+    const { data, applied } = engine.migrateState(snapshot.data);
+    if (applied.length === 0) return snapshot;
+    upgraded++;
+    return { ...snapshot, data };
+  });
+  return { snapshotsData: { ...snapshotsData, snapshots }, upgraded };
 };
 
 // ============================================================================
 // API Routes
 // ============================================================================
+// Character routes are defined once on this router and mounted twice:
+// at /api (default workspace) and at /api/characters/:characterId.
+// The paths in the comments below are shown for the default workspace.
+const characterRouter = express.Router();
 
 /**
  * GET /api/config
  * Returns the character configuration
  * Used by frontend to adapt UI to character settings
  */
-app.get('/api/config', async (req, res) => {
+characterRouter.get('/config', async (req, res) => {
   try {
-    const config = loadConfig();
+    const config = loadConfig(req.workspace);
     res.json(config);
   } catch (error) {
     console.error('Error reading config:', error);
@@ -148,11 +797,13 @@ app.get('/api/config', async (req, res) => {
 /**
  * GET /api/current
  * Returns current character state
- * Response shape: { main: {...}, companion: {...} } (companion only if enabled)
+ * Response shape: { main: {...}, companion: {...}, <companionId>: {...} } (one key per enabled companion)
+ * The ETag header holds the state's revision; send it back as If-Match on POST /api/update.
  */
-app.get('/api/current', async (req, res) => {
+characterRouter.get('/current', async (req, res) => {
   try {
-    const data = await fs.readJson(currentFilePath);
+    const data = await fs.readJson(req.workspace.currentFilePath);
+    res.set('ETag', `"${getRevision(data)}"`);
     res.json(data);
   } catch (error) {
     console.error('Error reading current data:', error);
@@ -161,107 +812,416 @@ app.get('/api/current', async (req, res) => {
 });
 
 /**
- * POST /api/update
- * Updates current character state
- * Expects: { main: {...}, companion: {...} }
+ * GET /api/events
+ * Server-Sent Events stream of changes to this workspace's files, including
+ * hand edits. Each event is named after what changed:
+ * - current:   { type, changedAt, revision } (revision as in the ETag of GET /api/current)
+ * - snapshots: { type, changedAt }
+ * - ledger:    { type, changedAt }
+ * - config:    { type, changedAt } (GET /api/config returns the new config)
+ * - templates: { type, changedAt } (GET /api/templates lists them)
+ * - prompts:   { type, changedAt } (GET /api/prompts lists them)
+ */
+characterRouter.get('/events', (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    // no-transform keeps compressing proxies (the dev server) from buffering events
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+  });
+  res.flushHeaders();
+  res.write('retry: 3000\n\n');
+
+  const channel = openEventChannel(req.workspace);
+  channel.clients.add(res);
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), EVENT_HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    closeEventClient(req.workspace, res);
+  });
+});
+
+/**
+ * GET /api/current/computed
+ * Returns calculated values for the current state (nothing is written)
+ * Response shape: { main: {...}, companion: {...}|null, companions: { <id>: {...} }, bondSync: [...] }
+ * where each character is
+ * { name, level, currentClass, finalStats, bondedStats, totalStats, breakdowns, derivedStats }
  */
-app.post('/api/update', async (req, res) => {
+characterRouter.get('/current/computed', async (req, res) => {
   try {
-    const data = req.body;
-    await fs.writeJson(currentFilePath, data, { spaces: 2 });
-    res.json({ success: true, message: 'Data updated successfully' });
+    const data = await fs.readJson(req.workspace.currentFilePath);
+    res.json(await computeData(req.workspace, data));
   } catch (error) {
-    console.error('Error updating data:', error);
-    res.status(500).json({ error: 'Failed to update data' });
+    console.error('Error computing current stats:', error);
+    res.status(500).json({ error: 'Failed to compute current stats' });
   }
 });
 
 /**
- * POST /api/save
- * Saves a new snapshot
+ * GET /api/current/render?format=<id>&characters=<key,key>
+ * Returns the current status screen(s) as text in an output format, exactly
+ * as the Output tab's Copy Status would (see client/src/utils/outputFormats.js)
+ * - format: markdown (default), bbcode, html, plain, discord or template:<id> (a saved
+ *   status screen template, see GET /api/templates)
+ * - characters: comma-separated keys (main, <companionId>) in print order;
+ *   default main followed by every companion
+ * The body is sent with the format's content type (text/markdown, text/html, ...).
+ * An unknown format or character is refused with 400 { error, formats|characters },
+ * a missing template with 404.
  */
-app.post('/api/save', async (req, res) => {
+characterRouter.get('/current/render', async (req, res) => {
   try {
-    const { name, data } = req.body;
-    
-    if (!name || !name.trim()) {
-      return res.status(400).json({ error: 'Snapshot name is required' });
+    const engine = await loadStatEngine();
+    const format = String(req.query.format || 'markdown');
+    let outputFormat;
+    if (format.startsWith(engine.TEMPLATE_FORMAT_PREFIX)) {
+      const template = await readTemplate(req.workspace, format.slice(engine.TEMPLATE_FORMAT_PREFIX.length));
+      if (!template) {
+        return res.status(404).json({ error: 'Template not found' });
+      }
+      outputFormat = engine.createTemplateFormat(template);
+    } else if (engine.hasOutputFormat(format)) {
+      outputFormat = engine.getOutputFormat(format);
+    } else {
+      return res.status(400).json({
+        error: `Unknown format "${format}"`,
+        formats: engine.getOutputFormats().map(({ id }) => id),
+      });
     }
 
-    const snapshotsData = await fs.readJson(snapshotsFilePath);
-    
-    const newSnapshot = {
-      id: uuidv4(),
-      name: name.trim(),
-      createdAt: new Date().toISOString(),
-      data: data
-    };
+    const data = await fs.readJson(req.workspace.currentFilePath);
+    const computed = await computeData(req.workspace, data);
+    // Another request may have switched the config while computeData() was awaited;
+    // everything below runs without awaiting
+    applyWorkspaceConfig(engine, req.workspace);
+    // Printable characters by key: main, then companions that have data
+    const characters = { main: { data: data.main, stats: computed.main } };
+    engine.getCompanionEntries(data)
+      .filter(entry => entry.data)
+      .forEach(entry => { characters[entry.id] = { data: entry.data, stats: computed.companions[entry.id] }; });
 
-    snapshotsData.snapshots.unshift(newSnapshot);
-    await fs.writeJson(snapshotsFilePath, snapshotsData, { spaces: 2 });
+    const keys = req.query.characters
+      ? String(req.query.characters).split(',').map(key => key.trim()).filter(Boolean)
+      : Object.keys(characters);
+    const unknown = keys.find(key => !characters[key]);
+    if (unknown) {
+      return res.status(400).json({ error: `Unknown character "${unknown}"`, characters: Object.keys(characters) });
+    }
 
-    res.json({ 
-      success: true, 
-      message: 'Snapshot saved successfully',
-      snapshot: newSnapshot 
+    const members = keys.map(key => {
+      const { data: character, stats } = characters[key];
+      return {
+        character,
+        options: { calculatedStats: stats.finalStats, derivedStats: stats.derivedStats, bondedStats: stats.bondedStats },
+      };
     });
+    res.type(outputFormat.contentType).send(engine.formatPartyStatusScreens(members, outputFormat));
   } catch (error) {
-    console.error('Error saving snapshot:', error);
-    res.status(500).json({ error: 'Failed to save snapshot' });
+    console.error('Error rendering current status:', error);
+    res.status(500).json({ error: 'Failed to render current status' });
   }
 });
 
 /**
- * GET /api/snapshots
- * Returns all snapshots (metadata only for list view)
+ * GET /api/validate
+ * Checks the current state's level snapshots and class history (nothing is written)
+ * Response shape: { main: report|null, companion: report|null, companions: { <id>: report|null },
+ *   summary: { error, warning, info } }
+ * where report is { name, issues: [{ severity, type, message, level }], snapshotChecks: [...] }
  */
-app.get('/api/snapshots', async (req, res) => {
+characterRouter.get('/validate', async (req, res) => {
   try {
-    const snapshotsData = await fs.readJson(snapshotsFilePath);
-    const config = loadConfig();
-    
-    // Return metadata with preview info
-    // TEMPLATE NOTE: Check both new (main/companion) and legacy (alex/valtherion) keys
-    const snapshotsList = snapshotsData.snapshots.map(snapshot => {
-      // Support both new generic keys and legacy character-specific keys
-      const mainData = snapshot.data?.main || snapshot.data?.alex;
-      const companionData = snapshot.data?.companion || snapshot.data?.valtherion;
-      
-      return {
-        id: snapshot.id,
-        name: snapshot.name,
-        createdAt: snapshot.createdAt,
-        preview: {
-          mainLevel: mainData?.level || 0,
-          mainClass: mainData?.class || '',
-          companionLevel: companionData?.level || 0
-        }
-      };
-    });
-    
-    res.json(snapshotsList);
+    const data = await fs.readJson(req.workspace.currentFilePath);
+    res.json(await validateData(req.workspace, data));
   } catch (error) {
-    console.error('Error reading snapshots:', error);
-    res.status(500).json({ error: 'Failed to load snapshots' });
+    console.error('Error validating current data:', error);
+    res.status(500).json({ error: 'Failed to validate current data' });
   }
 });
 
 /**
- * GET /api/snapshot/:id
- * Returns a specific snapshot by ID
+ * POST /api/update
+ * Updates current character state
+ * Expects: { schemaVersion, main: {...}, <companionId>: {...} } - older formats are upgraded,
+ * data that doesn't match the schema is refused with 400 { error, errors: [{ path, message }] }
+ * Optional If-Match header: the revision the edit was based on (ETag of GET /api/current or
+ * the revision of the previous update). If current.json has changed since - another window or
+ * a script saved - nothing is written and the response is 409 with the newer state:
+ * { error, revision, data }. Without If-Match the update always applies.
+ * The difference from the previous state is appended to the progression ledger.
+ * Response shape: { success, message, revision }
  */
-app.get('/api/snapshot/:id', async (req, res) => {
+characterRouter.post('/update', async (req, res) => {
   try {
-    const { id } = req.params;
-    const snapshotsData = await fs.readJson(snapshotsFilePath);
-    
-    const snapshot = snapshotsData.snapshots.find(s => s.id === id);
-    
-    if (!snapshot) {
-      return res.status(404).json({ error: 'Snapshot not found' });
+    const checked = await checkIncomingState(req.body);
+    if (checked.error) {
+      return res.status(400).json({ error: checked.error, errors: checked.errors });
     }
-    
-    res.json(snapshot);
+
+    const { data } = checked;
+    const expectedRevision = parseIfMatch(req.get('If-Match'));
+
+    const result = await withFileLock(req.workspace.currentFilePath, async () => {
+      const previous = await fs.readJson(req.workspace.currentFilePath);
+      const currentRevision = getRevision(previous);
+      if (expectedRevision && expectedRevision !== '*' && expectedRevision !== currentRevision) {
+        return { conflict: true, revision: currentRevision, data: previous };
+      }
+
+      await writeDataFile(req.workspace, req.workspace.currentFilePath, data);
+      await recordStateChange(req.workspace, previous, data);
+      return { conflict: false, revision: getRevision(data) };
+    });
+
+    if (result.conflict) {
+      return res.status(409).json({
+        error: 'Current data was changed somewhere else',
+        revision: result.revision,
+        data: result.data
+      });
+    }
+
+    res.set('ETag', `"${result.revision}"`);
+    res.json({ success: true, message: 'Data updated successfully', revision: result.revision });
+  } catch (error) {
+    console.error('Error updating data:', error);
+    res.status(500).json({ error: 'Failed to update data' });
+  }
+});
+
+/**
+ * GET /api/ledger
+ * Returns the progression ledger without its baseline
+ * Optional query filters: ?character=main&book=2&chapter=14
+ * Response shape: { position: { book, chapter }, events: [...] }
+ */
+characterRouter.get('/ledger', async (req, res) => {
+  try {
+    const ledger = await fs.readJson(req.workspace.ledgerFilePath);
+    const { character, book, chapter } = req.query;
+
+    const events = ledger.events.filter(event =>
+      (character === undefined || event.character === character || event.character === null) &&
+      (book === undefined || event.book === book) &&
+      (chapter === undefined || event.chapter === chapter)
+    );
+
+    res.json({ position: ledger.position, events });
+  } catch (error) {
+    console.error('Error reading ledger:', error);
+    res.status(500).json({ error: 'Failed to load ledger' });
+  }
+});
+
+/**
+ * PUT /api/ledger/position
+ * Sets the book/chapter stamped on new ledger events
+ * Expects: { book, chapter }
+ */
+characterRouter.put('/ledger/position', async (req, res) => {
+  try {
+    const position = await withFileLock(req.workspace.ledgerFilePath, async () => {
+      const ledger = await fs.readJson(req.workspace.ledgerFilePath);
+      ledger.position = {
+        book: String(req.body.book ?? '').trim(),
+        chapter: String(req.body.chapter ?? '').trim()
+      };
+      await writeDataFile(req.workspace, req.workspace.ledgerFilePath, ledger);
+      return ledger.position;
+    });
+
+    res.json({ success: true, position });
+  } catch (error) {
+    console.error('Error updating ledger position:', error);
+    res.status(500).json({ error: 'Failed to update ledger position' });
+  }
+});
+
+/**
+ * GET /api/ledger/replay
+ * Rebuilds the state by replaying the ledger (nothing is written)
+ * Query: ?until=<seq> or ?book=2&chapter=14 (end of that chapter); no query = everything
+ * Response shape: { until, data: { main, companion } }
+ */
+characterRouter.get('/ledger/replay', async (req, res) => {
+  try {
+    const ledger = await fs.readJson(req.workspace.ledgerFilePath);
+    let until = getLastLedgerSeq(ledger);
+
+    if (req.query.until !== undefined) {
+      until = Number(req.query.until);
+      if (!Number.isFinite(until)) {
+        return res.status(400).json({ error: 'until must be an event number' });
+      }
+    } else if (req.query.book !== undefined || req.query.chapter !== undefined) {
+      const inChapter = ledger.events.filter(event =>
+        event.book === (req.query.book ?? '') && event.chapter === (req.query.chapter ?? '')
+      );
+      if (inChapter.length === 0) {
+        return res.status(404).json({ error: 'Chapter not found in ledger' });
+      }
+      until = inChapter[inChapter.length - 1].seq;
+    }
+
+    // Events recorded before a format upgrade hold the old format
+    const engine = await loadStatEngine();
+    res.json({ until, data: engine.migrateState(engine.replayLedger(ledger, { until })).data });
+  } catch (error) {
+    console.error('Error replaying ledger:', error);
+    res.status(500).json({ error: 'Failed to replay ledger' });
+  }
+});
+
+/**
+ * POST /api/save
+ * Saves a new snapshot
+ * Expects: { name, data, book?, chapter?, inWorldDate?, notes?, tags? } where
+ * data is checked like POST /api/update. Book and chapter default to the
+ * ledger's current position (PUT /api/ledger/position).
+ */
+characterRouter.post('/save', async (req, res) => {
+  try {
+    const { name } = req.body;
+    
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: 'Snapshot name is required' });
+    }
+
+    const checked = await checkIncomingState(req.body.data);
+    if (checked.error) {
+      return res.status(400).json({ error: checked.error, errors: checked.errors });
+    }
+    const { data } = checked;
+
+    const { meta, error, errors } = await readSnapshotMeta(req.body);
+    if (error) {
+      return res.status(400).json({ error, errors });
+    }
+
+    const newSnapshot = await withFileLock(req.workspace.snapshotsFilePath, async () => {
+      const snapshotsData = await fs.readJson(req.workspace.snapshotsFilePath);
+      const ledger = await fs.readJson(req.workspace.ledgerFilePath);
+      
+      const snapshot = {
+        id: uuidv4(),
+        name: name.trim(),
+        createdAt: new Date().toISOString(),
+        book: meta.book ?? ledger.position?.book ?? '',
+        chapter: meta.chapter ?? ledger.position?.chapter ?? '',
+        inWorldDate: meta.inWorldDate ?? '',
+        notes: meta.notes ?? '',
+        tags: meta.tags ?? [],
+        ledgerSeq: getLastLedgerSeq(ledger),  // Ledger events up to here are in this save
+        data: data
+      };
+
+      snapshotsData.snapshots.unshift(snapshot);
+      await writeDataFile(req.workspace, req.workspace.snapshotsFilePath, snapshotsData);
+      return snapshot;
+    });
+
+    res.json({ 
+      success: true, 
+      message: 'Snapshot saved successfully',
+      snapshot: newSnapshot 
+    });
+  } catch (error) {
+    console.error('Error saving snapshot:', error);
+    res.status(500).json({ error: 'Failed to save snapshot' });
+  }
+});
+
+/**
+ * GET /api/snapshots
+ * Returns all snapshots (metadata only for list view): id, name, createdAt,
+ * book, chapter, inWorldDate, notes, tags, ledgerSeq and a preview
+ */
+characterRouter.get('/snapshots', async (req, res) => {
+  try {
+    const snapshotsData = await fs.readJson(req.workspace.snapshotsFilePath);
+    const [firstCompanion] = getCompanionConfigs(loadConfig(req.workspace));
+    
+    // Return metadata with preview info
+    const snapshotsList = snapshotsData.snapshots.map(snapshot => {
+      const mainData = snapshot.data?.main;
+      const companionData = (firstCompanion && snapshot.data?.[firstCompanion.id]) || snapshot.data?.companion;
+      
+      return {
+        ...describeSnapshot(snapshot),
+        preview: {
+          mainLevel: mainData?.level || 0,
+          mainClass: mainData?.class || '',
+          companionLevel: companionData?.level || 0
+        }
+      };
+    });
+    
+    res.json(snapshotsList);
+  } catch (error) {
+    console.error('Error reading snapshots:', error);
+    res.status(500).json({ error: 'Failed to load snapshots' });
+  }
+});
+
+/**
+ * GET /api/snapshots/diff?a=<id>&b=<id>
+ * Compares two snapshots; either id can be "current" for the current state.
+ * a is the older side. Returns { a, b, changed, characters } where a and b
+ * are { id, name, createdAt } and characters is the structured diff from
+ * client/src/utils/snapshotDiff.js (stats, level, class, skills, titles,
+ * traits, bound items, ... for main and every companion)
+ */
+characterRouter.get('/snapshots/diff', async (req, res) => {
+  try {
+    const { a, b } = req.query;
+    if (!a || !b) {
+      return res.status(400).json({ error: 'Query parameters a and b are required' });
+    }
+
+    const snapshotsData = await fs.readJson(req.workspace.snapshotsFilePath);
+    const resolveSide = async (id) => {
+      if (id === 'current') {
+        return { id, name: 'Current state', createdAt: null, data: await fs.readJson(req.workspace.currentFilePath) };
+      }
+      return snapshotsData.snapshots.find(s => s.id === id) || null;
+    };
+
+    const [before, after] = await Promise.all([resolveSide(a), resolveSide(b)]);
+    if (!before || !after) {
+      return res.status(404).json({ error: `Snapshot not found: ${!before ? a : b}` });
+    }
+
+    const engine = await loadStatEngine();
+    const describe = ({ id, name, createdAt }) => ({ id, name, createdAt });
+    res.json({
+      a: describe(before),
+      b: describe(after),
+      ...applyWorkspaceConfig(engine, req.workspace).diffStates(before.data, after.data)
+    });
+  } catch (error) {
+    console.error('Error comparing snapshots:', error);
+    res.status(500).json({ error: 'Failed to compare snapshots' });
+  }
+});
+
+/**
+ * GET /api/snapshot/:id
+ * Returns a specific snapshot by ID
+ */
+characterRouter.get('/snapshot/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const snapshotsData = await fs.readJson(req.workspace.snapshotsFilePath);
+    
+    const snapshot = snapshotsData.snapshots.find(s => s.id === id);
+    
+    if (!snapshot) {
+      return res.status(404).json({ error: 'Snapshot not found' });
+    }
+    
+    res.json(snapshot);
   } catch (error) {
     console.error('Error reading snapshot:', error);
     res.status(500).json({ error: 'Failed to load snapshot' });
@@ -269,22 +1229,99 @@ app.get('/api/snapshot/:id', async (req, res) => {
 });
 
 /**
- * DELETE /api/snapshot/:id
- * Deletes a snapshot
+ * GET /api/snapshot/:id/computed
+ * Returns calculated values for a snapshot, same shape as /api/current/computed
+ * plus the snapshot's id, name and createdAt
  */
-app.delete('/api/snapshot/:id', async (req, res) => {
+characterRouter.get('/snapshot/:id/computed', async (req, res) => {
   try {
     const { id } = req.params;
-    const snapshotsData = await fs.readJson(snapshotsFilePath);
+    const snapshotsData = await fs.readJson(req.workspace.snapshotsFilePath);
     
-    const index = snapshotsData.snapshots.findIndex(s => s.id === id);
+    const snapshot = snapshotsData.snapshots.find(s => s.id === id);
     
-    if (index === -1) {
+    if (!snapshot) {
       return res.status(404).json({ error: 'Snapshot not found' });
     }
     
-    snapshotsData.snapshots.splice(index, 1);
-    await fs.writeJson(snapshotsFilePath, snapshotsData, { spaces: 2 });
+    const computed = await computeData(req.workspace, snapshot.data);
+    res.json({
+      id: snapshot.id,
+      name: snapshot.name,
+      createdAt: snapshot.createdAt,
+      ...computed
+    });
+  } catch (error) {
+    console.error('Error computing snapshot stats:', error);
+    res.status(500).json({ error: 'Failed to compute snapshot stats' });
+  }
+});
+
+/**
+ * PATCH /api/snapshot/:id
+ * Edits a snapshot's name and details without touching its data
+ * Expects any of { name, book, chapter, inWorldDate, notes, tags }
+ * Returns { success, snapshot } (without data)
+ */
+characterRouter.patch('/snapshot/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name } = req.body;
+
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+      return res.status(400).json({ error: 'Snapshot name cannot be empty' });
+    }
+    const { meta, error, errors } = await readSnapshotMeta(req.body);
+    if (error) {
+      return res.status(400).json({ error, errors });
+    }
+
+    const snapshot = await withFileLock(req.workspace.snapshotsFilePath, async () => {
+      const snapshotsData = await fs.readJson(req.workspace.snapshotsFilePath);
+      const existing = snapshotsData.snapshots.find(s => s.id === id);
+      if (!existing) return null;
+
+      if (name !== undefined) existing.name = name.trim();
+      Object.assign(existing, meta);
+      await writeDataFile(req.workspace, req.workspace.snapshotsFilePath, snapshotsData);
+      return existing;
+    });
+
+    if (!snapshot) {
+      return res.status(404).json({ error: 'Snapshot not found' });
+    }
+
+    res.json({ success: true, snapshot: describeSnapshot(snapshot) });
+  } catch (error) {
+    console.error('Error updating snapshot:', error);
+    res.status(500).json({ error: 'Failed to update snapshot' });
+  }
+});
+
+/**
+ * DELETE /api/snapshot/:id
+ * Deletes a snapshot
+ */
+characterRouter.delete('/snapshot/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const deleted = await withFileLock(req.workspace.snapshotsFilePath, async () => {
+      const snapshotsData = await fs.readJson(req.workspace.snapshotsFilePath);
+      
+      const index = snapshotsData.snapshots.findIndex(s => s.id === id);
+      
+      if (index === -1) return false;
+      
+      snapshotsData.snapshots.splice(index, 1);
+      await writeDataFile(req.workspace, req.workspace.snapshotsFilePath, snapshotsData, {
+        backupReason: 'before-delete'
+      });
+      return true;
+    });
+    
+    if (!deleted) {
+      return res.status(404).json({ error: 'Snapshot not found' });
+    }
     
     res.json({ success: true, message: 'Snapshot deleted successfully' });
   } catch (error) {
@@ -297,10 +1334,10 @@ app.delete('/api/snapshot/:id', async (req, res) => {
  * POST /api/snapshot/:id/load
  * Loads a snapshot into current state
  */
-app.post('/api/snapshot/:id/load', async (req, res) => {
+characterRouter.post('/snapshot/:id/load', async (req, res) => {
   try {
     const { id } = req.params;
-    const snapshotsData = await fs.readJson(snapshotsFilePath);
+    const snapshotsData = await fs.readJson(req.workspace.snapshotsFilePath);
     
     const snapshot = snapshotsData.snapshots.find(s => s.id === id);
     
@@ -308,12 +1345,22 @@ app.post('/api/snapshot/:id/load', async (req, res) => {
       return res.status(404).json({ error: 'Snapshot not found' });
     }
     
-    await fs.writeJson(currentFilePath, snapshot.data, { spaces: 2 });
+    await withFileLock(req.workspace.currentFilePath, async () => {
+      await writeDataFile(req.workspace, req.workspace.currentFilePath, snapshot.data, {
+        backupReason: 'before-load'
+      });
+      await appendLedgerEvents(req.workspace, [{
+        type: 'state_replaced',
+        character: null,
+        payload: { data: snapshot.data, source: `Loaded "${snapshot.name}"` }
+      }]);
+    });
     
     res.json({ 
       success: true, 
       message: 'Snapshot loaded successfully',
-      data: snapshot.data
+      data: snapshot.data,
+      revision: getRevision(snapshot.data)
     });
   } catch (error) {
     console.error('Error loading snapshot:', error);
@@ -325,10 +1372,10 @@ app.post('/api/snapshot/:id/load', async (req, res) => {
  * GET /api/snapshot/:id/export
  * Exports a snapshot as JSON file download
  */
-app.get('/api/snapshot/:id/export', async (req, res) => {
+characterRouter.get('/snapshot/:id/export', async (req, res) => {
   try {
     const { id } = req.params;
-    const snapshotsData = await fs.readJson(snapshotsFilePath);
+    const snapshotsData = await fs.readJson(req.workspace.snapshotsFilePath);
     
     const snapshot = snapshotsData.snapshots.find(s => s.id === id);
     
@@ -349,28 +1396,45 @@ app.get('/api/snapshot/:id/export', async (req, res) => {
 
 /**
  * POST /api/import
- * Imports a snapshot from JSON
+ * Imports a snapshot from JSON (a file from GET /api/snapshot/:id/export)
+ * Files from older versions are upgraded; data that doesn't match the schema
+ * is refused with 400 { error, errors: [{ path, message }] }
  */
-app.post('/api/import', async (req, res) => {
+characterRouter.post('/import', async (req, res) => {
   try {
     const importedSnapshot = req.body;
     
-    if (!importedSnapshot.data) {
+    if (!importedSnapshot || !importedSnapshot.data) {
       return res.status(400).json({ error: 'Invalid snapshot format' });
     }
 
-    const snapshotsData = await fs.readJson(snapshotsFilePath);
-    
+    const checked = await checkIncomingState(importedSnapshot.data);
+    if (checked.error) {
+      return res.status(400).json({ error: checked.error, errors: checked.errors });
+    }
+    const { meta, error, errors } = await readSnapshotMeta(importedSnapshot);
+    if (error) {
+      return res.status(400).json({ error, errors });
+    }
+
     const newSnapshot = {
       id: uuidv4(),
       name: importedSnapshot.name || `Imported ${new Date().toLocaleDateString()}`,
       createdAt: new Date().toISOString(),
+      book: meta.book ?? '',
+      chapter: meta.chapter ?? '',
+      inWorldDate: meta.inWorldDate ?? '',
+      notes: meta.notes ?? '',
+      tags: meta.tags ?? [],
       importedFrom: importedSnapshot.id || null,
-      data: importedSnapshot.data
+      data: checked.data
     };
 
-    snapshotsData.snapshots.unshift(newSnapshot);
-    await fs.writeJson(snapshotsFilePath, snapshotsData, { spaces: 2 });
+    await withFileLock(req.workspace.snapshotsFilePath, async () => {
+      const snapshotsData = await fs.readJson(req.workspace.snapshotsFilePath);
+      snapshotsData.snapshots.unshift(newSnapshot);
+      await writeDataFile(req.workspace, req.workspace.snapshotsFilePath, snapshotsData);
+    });
 
     res.json({ 
       success: true, 
@@ -383,6 +1447,743 @@ app.post('/api/import', async (req, res) => {
   }
 });
 
+/**
+ * Characters a spreadsheet sheet can be imported into: main, then every
+ * companion that has data
+ */
+const getImportTargets = (engine, data) => [
+  { key: 'main', name: data.main?.name || 'Main' },
+  ...engine.getCompanionEntries(data)
+    .filter(entry => entry.data)
+    .map(entry => ({ key: entry.id, name: entry.data.name || entry.name })),
+];
+
+/**
+ * POST /api/import/spreadsheet/preview
+ * Reads an .xlsx file - sent as the raw request body, not JSON - and suggests
+ * a mapping for every sheet (see client/src/utils/spreadsheetImport.js).
+ * Nothing is written.
+ * Response shape: { sheets: [{ name, rows }], mappings: [{ sheet, include, layout,
+ *   target|null, headerRow, fields }], fields: [{ key, label }], targets: [{ key, name }] }
+ */
+characterRouter.post(
+  '/import/spreadsheet/preview',
+  express.raw({ type: () => true, limit: SPREADSHEET_UPLOAD_LIMIT }),
+  async (req, res) => {
+    try {
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({ error: 'Send the .xlsx file as the request body' });
+      }
+
+      let sheets;
+      try {
+        sheets = await readWorkbook(req.body);
+      } catch (err) {
+        return res.status(400).json({ error: `Could not read the spreadsheet: ${err.message}` });
+      }
+
+      const engine = await loadStatEngine();
+      const current = await fs.readJson(req.workspace.currentFilePath);
+      applyWorkspaceConfig(engine, req.workspace);
+      const targets = getImportTargets(engine, current);
+
+      res.json({
+        sheets,
+        mappings: sheets.map(sheet => engine.suggestSheetMapping(sheet, targets)),
+        fields: engine.getSpreadsheetFields().map(({ key, label }) => ({ key, label })),
+        targets
+      });
+    } catch (error) {
+      console.error('Error reading spreadsheet:', error);
+      res.status(500).json({ error: 'Failed to read spreadsheet' });
+    }
+  }
+);
+
+/**
+ * POST /api/import/spreadsheet
+ * Imports spreadsheet rows as level snapshots and class history entries of
+ * the current state, and optionally one named snapshot per imported level
+ * (tagged "spreadsheet").
+ * Expects: { sheets: [{ name, rows }], mappings: [...], replaceExisting?, createSnapshots? }
+ * as returned (and possibly corrected) from the preview; sheets whose mapping
+ * has include: false are ignored. Existing level snapshots are kept unless
+ * replaceExisting is true.
+ * Response shape: { success, summary: [{ target, name, levels, classes, skipped }], snapshots }
+ */
+characterRouter.post('/import/spreadsheet', async (req, res) => {
+  try {
+    const { sheets, mappings, replaceExisting = false, createSnapshots = true } = req.body || {};
+    if (!Array.isArray(sheets) || !Array.isArray(mappings)) {
+      return res.status(400).json({ error: 'sheets and mappings are required' });
+    }
+
+    const engine = await loadStatEngine();
+    applyWorkspaceConfig(engine, req.workspace);
+
+    const entries = [];
+    const errors = [];
+    mappings.filter(mapping => mapping?.include).forEach(mapping => {
+      const sheet = sheets.find(s => s?.name === mapping.sheet && Array.isArray(s.rows));
+      if (!sheet) {
+        errors.push(`Sheet not found: ${mapping.sheet}`);
+        return;
+      }
+      const read = engine.readSpreadsheetEntries(sheet, mapping);
+      entries.push(...read.entries);
+      errors.push(...read.errors);
+    });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: `Invalid mapping: ${errors.join('; ')}`, errors });
+    }
+    if (entries.length === 0) {
+      return res.status(400).json({ error: 'No rows with a level to import' });
+    }
+
+    const result = await withFileLock(req.workspace.currentFilePath, async () => {
+      const previous = await fs.readJson(req.workspace.currentFilePath);
+      const imported = applyWorkspaceConfig(engine, req.workspace)
+        .buildSpreadsheetImport(previous, entries, { replaceExisting, createSnapshots });
+      const checked = await checkIncomingState(imported.data);
+      if (checked.error) return { error: checked.error, errors: checked.errors };
+
+      await writeDataFile(req.workspace, req.workspace.currentFilePath, checked.data, {
+        backupReason: 'before-import'
+      });
+      await recordStateChange(req.workspace, previous, checked.data);
+      return imported;
+    });
+    if (result.error) {
+      return res.status(400).json({ error: result.error, errors: result.errors });
+    }
+
+    const snapshots = await withFileLock(req.workspace.snapshotsFilePath, async () => {
+      if (result.snapshots.length === 0) return [];
+      const snapshotsData = await fs.readJson(req.workspace.snapshotsFilePath);
+      const ledger = await fs.readJson(req.workspace.ledgerFilePath);
+      const createdAt = new Date().toISOString();
+
+      const added = result.snapshots.map(({ name, data }) => ({
+        id: uuidv4(),
+        name,
+        createdAt,
+        book: '',
+        chapter: '',
+        inWorldDate: '',
+        notes: 'Imported from a spreadsheet',
+        tags: ['spreadsheet'],
+        ledgerSeq: getLastLedgerSeq(ledger),
+        data: { schemaVersion: engine.SCHEMA_VERSION, ...data }
+      }));
+      snapshotsData.snapshots.unshift(...[...added].reverse());
+      await writeDataFile(req.workspace, req.workspace.snapshotsFilePath, snapshotsData);
+      return added.map(describeSnapshot);
+    });
+
+    res.json({ success: true, summary: result.summary, snapshots });
+  } catch (error) {
+    console.error('Error importing spreadsheet:', error);
+    res.status(500).json({ error: 'Failed to import spreadsheet' });
+  }
+});
+
+/**
+ * GET /api/backups
+ * Lists the rolling backups of current.json, snapshots.json and ledger.json, newest first
+ * Optional query filter: ?file=current|snapshots|ledger
+ * Response shape: [{ id, file, createdAt, reason }] where reason is "auto" or what forced the
+ * backup ("before-load", "before-delete", "before-restore", "before-migration", "before-import")
+ */
+characterRouter.get('/backups', async (req, res) => {
+  try {
+    const backups = await listBackups(req.workspace);
+    const { file } = req.query;
+    res.json(file === undefined ? backups : backups.filter(backup => backup.file === file));
+  } catch (error) {
+    console.error('Error listing backups:', error);
+    res.status(500).json({ error: 'Failed to list backups' });
+  }
+});
+
+/**
+ * POST /api/backups/:id/restore
+ * Replaces the backed-up file with the backup (the file is backed up first, so a restore can be undone)
+ * Restoring current.json is recorded in the ledger as state_replaced. Backups of current.json and
+ * snapshots.json from older versions are upgraded to the current data format.
+ * Reload the app afterwards.
+ * Response shape: { success, file, data, revision }
+ */
+characterRouter.post('/backups/:id/restore', async (req, res) => {
+  try {
+    const backup = parseBackupId(req.params.id);
+    const backupPath = backup ? path.join(req.workspace.backupsDir, `${backup.id}.json`) : null;
+
+    if (!backup || !await fs.pathExists(backupPath)) {
+      return res.status(404).json({ error: 'Backup not found' });
+    }
+
+    const engine = await loadStatEngine();
+    let data = await fs.readJson(backupPath);
+    if (backup.file === 'current') data = engine.migrateState(data).data;
+    if (backup.file === 'snapshots') data = migrateSnapshotsData(engine, data).snapshotsData;
+    const filePath = req.workspace[`${backup.file}FilePath`];
+
+    await withFileLock(filePath, async () => {
+      await writeDataFile(req.workspace, filePath, data, { backupReason: 'before-restore' });
+      if (backup.file === 'current') {
+        await appendLedgerEvents(req.workspace, [{
+          type: 'state_replaced',
+          character: null,
+          payload: { data, source: `Restored backup from ${backup.createdAt}` }
+        }]);
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Backup restored successfully',
+      file: backup.file,
+      data,
+      revision: getRevision(data)
+    });
+  } catch (error) {
+    console.error('Error restoring backup:', error);
+    res.status(500).json({ error: 'Failed to restore backup' });
+  }
+});
+
+// ============================================================================
+// Status Screen Templates
+// ============================================================================
+// One file per template in <dataDir>/templates/<id>.json: { name, body, updatedAt }.
+// The template language is in client/src/utils/statusTemplates.js; the
+// Output tab edits templates and GET /api/current/render?format=template:<id>
+// renders them.
+
+const TEMPLATE_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+
+const getTemplateFilePath = (workspace, id) => path.join(workspace.templatesDir, `${id}.json`);
+
+/**
+ * Read one template
+ * @returns {object|null} - { id, name, body, updatedAt }, null if there is no such template
+ */
+const readTemplate = async (workspace, id) => {
+  if (!TEMPLATE_ID_PATTERN.test(id) || !await fs.pathExists(getTemplateFilePath(workspace, id))) {
+    return null;
+  }
+  const { name, body, updatedAt } = await fs.readJson(getTemplateFilePath(workspace, id));
+  return { id, name: name || id, body: String(body ?? ''), updatedAt: updatedAt || null };
+};
+
+/**
+ * All templates of a workspace, by name
+ * A file that doesn't parse (a hand edit saved halfway) is left out.
+ */
+const listTemplates = async (workspace) => {
+  if (!await fs.pathExists(workspace.templatesDir)) return [];
+
+  const ids = (await fs.readdir(workspace.templatesDir))
+    .filter(file => file.endsWith('.json'))
+    .map(file => file.slice(0, -'.json'.length))
+    .filter(id => TEMPLATE_ID_PATTERN.test(id));
+  const templates = await Promise.all(ids.map(id => readTemplate(workspace, id).catch((err) => {
+    console.warn(`Skipping template ${id}: ${err.message}`);
+    return null;
+  })));
+  return templates.filter(Boolean).sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * Write a template and tell open windows
+ * Not through writeDataFile(): templates aren't backed up, and a template
+ * called "current" must not be mistaken for current.json.
+ */
+const writeTemplate = async (workspace, template) => {
+  const { id, name, body } = template;
+  await fs.ensureDir(workspace.templatesDir);
+  await writeJsonAtomic(getTemplateFilePath(workspace, id), { name, body, updatedAt: new Date().toISOString() });
+  notifyChange(workspace, 'templates');
+};
+
+/**
+ * Check the name and body of a template or system prompt from a request
+ * (both bodies use the template language); when editing, missing fields
+ * keep the existing values
+ * @param {string} kind - "Template" or "Prompt", for the error messages
+ * @returns {object} - { name, body } or { error }
+ */
+const checkIncomingTemplate = async (input, existing = null, kind = 'Template') => {
+  const name = input.name === undefined && existing ? existing.name : String(input.name ?? '').trim();
+  const body = input.body === undefined && existing ? existing.body : input.body;
+  if (!name) return { error: `${kind} name is required` };
+  if (typeof body !== 'string') return { error: `${kind} text must be text` };
+
+  const engine = await loadStatEngine();
+  const templateError = engine.validateTemplate(body);
+  if (templateError) return { error: templateError };
+  return { name, body };
+};
+
+/**
+ * GET /api/templates
+ * Lists the status screen templates
+ * Response shape: [{ id, name, body, updatedAt }]
+ */
+characterRouter.get('/templates', async (req, res) => {
+  try {
+    res.json(await listTemplates(req.workspace));
+  } catch (error) {
+    console.error('Error listing templates:', error);
+    res.status(500).json({ error: 'Failed to list templates' });
+  }
+});
+
+/**
+ * POST /api/templates
+ * Creates a status screen template
+ * Expects: { name, body, id? } - id defaults to the name in lower-case-with-dashes.
+ * A body that doesn't parse is refused with 400 { error } (the message names the line).
+ * Response shape: { success, template }
+ */
+characterRouter.post('/templates', async (req, res) => {
+  try {
+    const { name, body, error } = await checkIncomingTemplate(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const id = String(req.body.id || name)
+      .toLowerCase()
+      .replace(/[^a-z0-9_-]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+    if (!TEMPLATE_ID_PATTERN.test(id)) {
+      return res.status(400).json({ error: 'Invalid template id' });
+    }
+
+    const filePath = getTemplateFilePath(req.workspace, id);
+    const created = await withFileLock(filePath, async () => {
+      if (await fs.pathExists(filePath)) return false;
+      await writeTemplate(req.workspace, { id, name, body });
+      return true;
+    });
+    if (!created) {
+      return res.status(409).json({ error: 'A template with this id already exists' });
+    }
+
+    res.json({ success: true, template: await readTemplate(req.workspace, id) });
+  } catch (error) {
+    console.error('Error creating template:', error);
+    res.status(500).json({ error: 'Failed to create template' });
+  }
+});
+
+/**
+ * PUT /api/templates/:id
+ * Updates a template's name and/or body
+ * Expects any of { name, body }; an invalid body is refused with 400 { error }
+ * Response shape: { success, template }
+ */
+characterRouter.put('/templates/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await withFileLock(getTemplateFilePath(req.workspace, id), async () => {
+      const existing = await readTemplate(req.workspace, id);
+      if (!existing) return null;
+
+      const { name, body, error } = await checkIncomingTemplate(req.body, existing);
+      if (error) return { error };
+      await writeTemplate(req.workspace, { id, name, body });
+      return {};
+    });
+
+    if (!result) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json({ success: true, template: await readTemplate(req.workspace, id) });
+  } catch (error) {
+    console.error('Error updating template:', error);
+    res.status(500).json({ error: 'Failed to update template' });
+  }
+});
+
+/**
+ * DELETE /api/templates/:id
+ * Deletes a template
+ */
+characterRouter.delete('/templates/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const filePath = getTemplateFilePath(req.workspace, id);
+    const deleted = await withFileLock(filePath, async () => {
+      if (!await readTemplate(req.workspace, id)) return false;
+      await fs.remove(filePath);
+      notifyChange(req.workspace, 'templates');
+      return true;
+    });
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    res.json({ success: true, message: 'Template deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting template:', error);
+    res.status(500).json({ error: 'Failed to delete template' });
+  }
+});
+
+// ============================================================================
+// System Prompt Library
+// ============================================================================
+// The built-in prompts live in client/src/utils/systemPrompts.js (id = prompt
+// type). <dataDir>/prompts.json only holds edits of built-ins (same id) and
+// prompts added by the user: { prompts: [{ id, type, name, body, updatedAt }] }.
+// The file is created with the first edit.
+
+const readPromptsData = async (workspace) => (
+  await fs.pathExists(workspace.promptsFilePath)
+    ? fs.readJson(workspace.promptsFilePath)
+    : { prompts: [] }
+);
+
+/**
+ * Built-in prompts (with any edits) followed by added prompts, grouped by type
+ * @returns {Array} - [{ id, type, name, body, builtIn, customized, updatedAt }]
+ */
+const listPrompts = (engine, promptsData) => {
+  const stored = new Map(promptsData.prompts.map(prompt => [prompt.id, prompt]));
+  const builtIns = engine.getBuiltInPrompts().map((prompt) => {
+    const edited = stored.get(prompt.id);
+    return {
+      ...prompt,
+      ...(edited && { name: edited.name, body: edited.body }),
+      builtIn: true,
+      customized: !!edited,
+      updatedAt: edited?.updatedAt || null,
+    };
+  });
+  const builtInIds = new Set(builtIns.map(prompt => prompt.id));
+  const added = promptsData.prompts
+    .filter(prompt => !builtInIds.has(prompt.id) && engine.PROMPT_TYPES[prompt.type])
+    .map(prompt => ({ ...prompt, builtIn: false, customized: true }));
+
+  const typeOrder = Object.keys(engine.PROMPT_TYPES);
+  return [...builtIns, ...added].sort((a, b) => typeOrder.indexOf(a.type) - typeOrder.indexOf(b.type));
+};
+
+/**
+ * GET /api/prompts
+ * Lists the system prompt library (built-in prompts first, then added ones, by type)
+ * Optional query filter: ?type=<prompt type>
+ * Response shape: [{ id, type, name, body, builtIn, customized, updatedAt }]
+ */
+characterRouter.get('/prompts', async (req, res) => {
+  try {
+    const engine = await loadStatEngine();
+    const prompts = listPrompts(engine, await readPromptsData(req.workspace));
+    const { type } = req.query;
+    res.json(type === undefined ? prompts : prompts.filter(prompt => prompt.type === type));
+  } catch (error) {
+    console.error('Error listing prompts:', error);
+    res.status(500).json({ error: 'Failed to list prompts' });
+  }
+});
+
+/**
+ * POST /api/prompts
+ * Adds a prompt to the library
+ * Expects: { type, name, body } - type is one of PROMPT_TYPES in client/src/utils/systemPrompts.js;
+ * a body that doesn't parse is refused with 400 { error }
+ * Response shape: { success, prompt }
+ */
+characterRouter.post('/prompts', async (req, res) => {
+  try {
+    const engine = await loadStatEngine();
+    const { type } = req.body;
+    if (!engine.PROMPT_TYPES[type]) {
+      return res.status(400).json({ error: `Unknown prompt type "${type}"`, types: Object.keys(engine.PROMPT_TYPES) });
+    }
+    const { name, body, error } = await checkIncomingTemplate(req.body, null, 'Prompt');
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const prompt = { id: uuidv4(), type, name, body, updatedAt: new Date().toISOString() };
+    await withFileLock(req.workspace.promptsFilePath, async () => {
+      const promptsData = await readPromptsData(req.workspace);
+      promptsData.prompts.push(prompt);
+      await writeDataFile(req.workspace, req.workspace.promptsFilePath, promptsData);
+    });
+
+    res.json({ success: true, prompt: { ...prompt, builtIn: false, customized: true } });
+  } catch (error) {
+    console.error('Error adding prompt:', error);
+    res.status(500).json({ error: 'Failed to add prompt' });
+  }
+});
+
+/**
+ * PUT /api/prompts/:id
+ * Edits a prompt's name and/or text; editing a built-in prompt stores the edited copy
+ * Expects any of { name, body }; an invalid body is refused with 400 { error }
+ * Response shape: { success, prompt }
+ */
+characterRouter.put('/prompts/:id', async (req, res) => {
+  try {
+    const engine = await loadStatEngine();
+    const { id } = req.params;
+    const result = await withFileLock(req.workspace.promptsFilePath, async () => {
+      const promptsData = await readPromptsData(req.workspace);
+      const existing = listPrompts(engine, promptsData).find(prompt => prompt.id === id);
+      if (!existing) return null;
+
+      const { name, body, error } = await checkIncomingTemplate(req.body, existing, 'Prompt');
+      if (error) return { error };
+
+      const stored = { id, type: existing.type, name, body, updatedAt: new Date().toISOString() };
+      const index = promptsData.prompts.findIndex(prompt => prompt.id === id);
+      if (index === -1) promptsData.prompts.push(stored);
+      else promptsData.prompts[index] = stored;
+      await writeDataFile(req.workspace, req.workspace.promptsFilePath, promptsData);
+      return { prompt: { ...stored, builtIn: existing.builtIn, customized: true } };
+    });
+
+    if (!result) {
+      return res.status(404).json({ error: 'Prompt not found' });
+    }
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json({ success: true, prompt: result.prompt });
+  } catch (error) {
+    console.error('Error updating prompt:', error);
+    res.status(500).json({ error: 'Failed to update prompt' });
+  }
+});
+
+/**
+ * DELETE /api/prompts/:id
+ * Deletes an added prompt, or resets an edited built-in prompt to its original text
+ * (unedited built-in prompts can't be deleted: 400)
+ * Response shape: { success, message, reset }
+ */
+characterRouter.delete('/prompts/:id', async (req, res) => {
+  try {
+    const engine = await loadStatEngine();
+    const { id } = req.params;
+    const builtIn = engine.getBuiltInPrompts().some(prompt => prompt.id === id);
+    const deleted = await withFileLock(req.workspace.promptsFilePath, async () => {
+      const promptsData = await readPromptsData(req.workspace);
+      const index = promptsData.prompts.findIndex(prompt => prompt.id === id);
+      if (index === -1) return false;
+
+      promptsData.prompts.splice(index, 1);
+      await writeDataFile(req.workspace, req.workspace.promptsFilePath, promptsData);
+      return true;
+    });
+
+    if (!deleted) {
+      return builtIn
+        ? res.status(400).json({ error: 'Built-in prompts can only be reset after editing them' })
+        : res.status(404).json({ error: 'Prompt not found' });
+    }
+
+    res.json({
+      success: true,
+      message: builtIn ? 'Prompt reset to the built-in text' : 'Prompt deleted successfully',
+      reset: builtIn,
+    });
+  } catch (error) {
+    console.error('Error deleting prompt:', error);
+    res.status(500).json({ error: 'Failed to delete prompt' });
+  }
+});
+
+// ============================================================================
+// Character Workspaces
+// ============================================================================
+
+/**
+ * Summary of a workspace for the character switcher
+ */
+const describeWorkspace = (workspace) => {
+  const config = loadConfig(workspace);
+  return {
+    id: workspace.id,
+    name: config.mainCharacter?.name || 'Character',
+    companionName: getCompanionConfigs(config).map(companion => companion.name).join(', ') || null,
+    appTitle: config.appTitle || null,
+    isDefault: workspace.isDefault
+  };
+};
+
+/**
+ * All workspaces: the default one first, then config/characters/*.json by id
+ */
+const listWorkspaces = async () => {
+  if (!await fs.pathExists(CHARACTERS_CONFIG_DIR)) return [defaultWorkspace];
+
+  const ids = (await fs.readdir(CHARACTERS_CONFIG_DIR))
+    .filter(file => file.endsWith('.json'))
+    .map(file => file.slice(0, -'.json'.length))
+    .filter(id => WORKSPACE_ID_PATTERN.test(id) && id !== DEFAULT_WORKSPACE_ID)
+    .sort();
+
+  return [defaultWorkspace, ...ids.map(getWorkspace)];
+};
+
+// Data file setup per workspace id, started at most once since startup. The
+// promise (not a "done" flag) is stored, so requests arriving together while a
+// workspace is opened for the first time all wait for the same run instead
+// of creating the ledger or migrating twice. A failed run is retried next time.
+const workspaceInits = new Map();
+
+const ensureWorkspaceInitialized = (workspace) => {
+  if (!workspaceInits.has(workspace.id)) {
+    workspaceInits.set(workspace.id, initializeDataFiles(workspace).catch((error) => {
+      workspaceInits.delete(workspace.id);
+      throw error;
+    }));
+  }
+  return workspaceInits.get(workspace.id);
+};
+
+/**
+ * Middleware: resolve :characterId to req.workspace
+ */
+const useCharacterWorkspace = async (req, res, next) => {
+  try {
+    const { characterId } = req.params;
+    const workspace = WORKSPACE_ID_PATTERN.test(characterId) ? getWorkspace(characterId) : null;
+
+    if (!workspace || (!workspace.isDefault && !await fs.pathExists(workspace.configFilePath))) {
+      return res.status(404).json({ error: 'Character not found' });
+    }
+
+    await ensureWorkspaceInitialized(workspace);
+
+    req.workspace = workspace;
+    next();
+  } catch (error) {
+    console.error('Error opening character workspace:', error);
+    res.status(500).json({ error: 'Failed to open character' });
+  }
+};
+
+/**
+ * GET /api/characters
+ * Lists every character workspace on this server
+ * Response shape: [{ id, name, companionName, appTitle, isDefault }]
+ */
+app.get('/api/characters', async (req, res) => {
+  try {
+    const workspaces = await listWorkspaces();
+    res.json(workspaces.map(describeWorkspace));
+  } catch (error) {
+    console.error('Error listing characters:', error);
+    res.status(500).json({ error: 'Failed to list characters' });
+  }
+});
+
+/**
+ * POST /api/characters
+ * Creates a new character workspace
+ * Expects: { name, id?, pronouns?, copyConfigFrom?, companionName?, companionType?, companionBondType?,
+ *   companionPronouns? }
+ * - id defaults to the name in lower-case-with-dashes
+ * - copyConfigFrom: workspace whose config (stats, resources, features, ui) is copied; default "default"
+ * - companionName: one companion with this name (settings and bond rules copied from the source's
+ *   first companion); otherwise companion and bond are off
+ * - pronouns, companionType, companionBondType, companionPronouns: left unset when not given - the source
+ *   characters' identity (e.g. a "dragon", "he/him") is never copied
+ */
+app.post('/api/characters', async (req, res) => {
+  try {
+    const name = String(req.body.name || '').trim();
+    if (!name) {
+      return res.status(400).json({ error: 'Character name is required' });
+    }
+
+    const id = String(req.body.id || name)
+      .toLowerCase()
+      .replace(/[^a-z0-9_-]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+    if (!WORKSPACE_ID_PATTERN.test(id)) {
+      return res.status(400).json({ error: 'Invalid character id' });
+    }
+
+    const workspace = getWorkspace(id);
+    if (workspace.isDefault || await fs.pathExists(workspace.configFilePath)) {
+      return res.status(409).json({ error: 'A character with this id already exists' });
+    }
+
+    const sourceId = req.body.copyConfigFrom || DEFAULT_WORKSPACE_ID;
+    const source = WORKSPACE_ID_PATTERN.test(sourceId) ? getWorkspace(sourceId) : null;
+    if (!source || (!source.isDefault && !await fs.pathExists(source.configFilePath))) {
+      return res.status(400).json({ error: 'Character to copy config from not found' });
+    }
+
+    const { companions, ...sourceConfig } = loadConfig(source);
+    const companionName = String(req.body.companionName || '').trim();
+    // Optional text fields: trimmed, and left out of the config when empty
+    const optional = (key, value) => {
+      const text = String(value ?? '').trim();
+      return text ? { [key]: text } : {};
+    };
+
+    // The new character starts with at most one companion, based on the source's first
+    const [firstCompanion] = getCompanionConfigs({ ...sourceConfig, companions });
+    const {
+      id: firstCompanionId, bond: companionBond,
+      type: sourceType, bondType: sourceBondType, pronouns: sourcePronouns,
+      ...companionSettings
+    } = firstCompanion || sourceConfig.companion || {};
+    const bond = companionBond || sourceConfig.bond;
+    const bondEnabled = companionBond ? companionBond.enabled !== false : sourceConfig.bond?.enabled === true;
+
+    const config = {
+      ...sourceConfig,
+      appTitle: `${name} Status Screen`,
+      mainCharacter: { name, defaultClass: '', ...optional('pronouns', req.body.pronouns) },
+      companion: {
+        ...companionSettings,
+        enabled: !!companionName,
+        name: companionName || companionSettings.name,
+        ...optional('type', req.body.companionType),
+        ...optional('bondType', req.body.companionBondType),
+        ...optional('pronouns', req.body.companionPronouns),
+      },
+      bond: { ...bond, enabled: !!companionName && bondEnabled }
+    };
+
+    await fs.ensureDir(CHARACTERS_CONFIG_DIR);
+    await writeJsonAtomic(workspace.configFilePath, config);
+    await ensureWorkspaceInitialized(workspace);
+
+    res.json({
+      success: true,
+      message: 'Character created successfully',
+      character: describeWorkspace(workspace)
+    });
+  } catch (error) {
+    console.error('Error creating character:', error);
+    res.status(500).json({ error: 'Failed to create character' });
+  }
+});
+
+// Per-character routes first, then the same routes for the default workspace
+app.use('/api/characters/:characterId', useCharacterWorkspace, characterRouter);
+app.use('/api', (req, res, next) => {
+  req.workspace = defaultWorkspace;
+  next();
+}, characterRouter);
+
 /**
  * POST /api/shutdown
  * Gracefully stops the server
@@ -408,10 +2209,14 @@ if (process.env.NODE_ENV === 'production') {
 }
 
 // Initialize and start server
-initializeDataFiles().then(() => {
+ensureWorkspaceInitialized(defaultWorkspace).then(() => {
   app.listen(PORT, () => {
     console.log(`Server running on http://localhost:${PORT}`);
     console.log(`Data directory: ${DATA_DIR}`);
     console.log(`Config directory: ${CONFIG_DIR}`);
   });
+}).catch((error) => {
+  // A failed migration or an unwritable data folder: don't run half-initialized
+  console.error(`Failed to initialize data files in ${DATA_DIR}:`, error);
+  process.exit(1);
 });